@@ -1,3 +1,4 @@
+#!/usr/bin/env node
 /* MIT LICENSE
 Copyright (c) 2025 Jacob Darker
 Permission is hereby granted, free of charge, to any person obtaining a copy of
@@ -20,55 +21,85 @@ SOFTWARE.
 */
 
 require("dotenv").config();
-const createLogger = require("./lib/logger");
-const CloudflareAPI = require("./lib/cloudflare");
-const ConfigManager = require("./lib/config");
+const CLIContext = require("./lib/cli/context");
+const EXIT_CODES = require("./lib/cli/exit-codes");
+const commands = require("./lib/cli/commands");
+const { parseCommandLine, usage } = require("./lib/cli/args");
+const { ConfigError, UsageError } = require("./lib/errors");
+const { version } = require("./package.json");
 
-// Load environment variables
-const {
-    API_KEY,
-    EMAIL,
-    DOMAIN_NAME,
-    SUBDOMAIN = "@",
-    CONFIG_PATH = "./ddns-config.json",
-    LOG_PATH = "./nimbus-ddns.log",
-    LOG_LEVEL = "info",
-} = process.env;
+/**
+ * Maps an error that ended a command to the exit code reported for it.
+ * @param {Error} error - The error.
+ * @returns {number} - The exit code.
+ */
+function exitCodeFor(error) {
+    if (error instanceof UsageError) {
+        return EXIT_CODES.USAGE;
+    }
+    if (error instanceof ConfigError) {
+        return EXIT_CODES.CONFIG;
+    }
+    return EXIT_CODES.ERROR;
+}
 
-const logger = createLogger(LOG_PATH, LOG_LEVEL);
-const configManager = new ConfigManager(CONFIG_PATH, logger);
-const cloudflare = new CloudflareAPI(API_KEY, EMAIL, DOMAIN_NAME, logger);
+/**
+ * Formats an error for the log, listing each problem of a configuration error on its own line.
+ * @param {Error} error - The error.
+ * @returns {string} - The message.
+ */
+function describeError(error) {
+    const problems = error instanceof ConfigError ? error.problems : [];
+    return [
+        `Error: ${error.message}`,
+        ...problems.map((problem) => `  - ${problem}`),
+    ].join("\n");
+}
 
 /**
- * Main function to update the DNS record.
- * Retrieves the public IP, zone ID, and record ID, then updates the DNS record on Cloudflare.
+ * Parses the command line and runs the selected command (update when none is given).
+ * @param {Array<string>} argv - The arguments, without the node executable and script path.
+ * @returns {Promise<number>} - The exit code.
  */
-async function main() {
+async function run(argv) {
+    let invocation;
     try {
-        const publicIP = await cloudflare.getPublicIP();
-        logger.info(`Current Public IP: ${publicIP}`);
+        invocation = parseCommandLine(argv);
+    } catch (error) {
+        console.error(`${error.message}\n\n${usage()}`);
+        return exitCodeFor(error);
+    }
 
-        let zoneId = configManager.get("zoneId");
-        if (!zoneId) {
-            zoneId = await cloudflare.getZoneId();
-            configManager.set("zoneId", zoneId);
-        }
+    const { command, options } = invocation;
+    if (options.help) {
+        console.log(usage(argv.includes(command) ? command : undefined));
+        return EXIT_CODES.SUCCESS;
+    }
+    if (options.version) {
+        console.log(version);
+        return EXIT_CODES.SUCCESS;
+    }
 
-        let recordId = configManager.get("recordId");
-        if (!recordId) {
-            recordId = await cloudflare.getRecordId(zoneId, SUBDOMAIN);
-            if (!recordId) {
-                throw new Error(
-                    "DNS record not found. Please create it first."
-                );
-            }
-            configManager.set("recordId", recordId);
-        }
+    let context;
+    try {
+        context = new CLIContext(options, process.env);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        return EXIT_CODES.CONFIG;
+    }
 
-        await cloudflare.updateDNSRecord(zoneId, recordId, SUBDOMAIN, publicIP);
+    try {
+        // The secrets command opens the keystore itself, and may be creating it
+        await context.resolveSecrets({ keystore: command !== "secrets" });
+        return await commands[command](context, invocation);
     } catch (error) {
-        logger.error(`Error: ${error.message}`);
+        context.logger.error(describeError(error));
+        return exitCodeFor(error);
+    } finally {
+        await context.close();
     }
 }
 
-main();
+run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+});
@@ -0,0 +1,248 @@
+const { parseArgs } = require("util");
+const { UsageError } = require("../errors");
+
+/**
+ * Options accepted by every command.
+ */
+const GLOBAL_OPTIONS = {
+  config: {
+    type: "string",
+    short: "c",
+    value: "<path>",
+    description: "Config file (default: $CONFIG_PATH or ./ddns-config.json)",
+  },
+  state: {
+    type: "string",
+    value: "<path>",
+    description:
+      "State file (default: $STATE_PATH or ddns-state.json next to the config)",
+  },
+  "log-level": {
+    type: "string",
+    short: "l",
+    value: "<level>",
+    description:
+      "error, warn, info, http, verbose or debug (default: $LOG_LEVEL or info)",
+  },
+  "log-format": {
+    type: "string",
+    value: "<format>",
+    description: "Log lines as text or json (default: $LOG_FORMAT or text)",
+  },
+  json: {
+    type: "boolean",
+    description: "Print machine-readable JSON; logs go to stderr",
+  },
+  help: { type: "boolean", short: "h", description: "Show help" },
+  version: { type: "boolean", short: "v", description: "Show the version" },
+};
+
+/**
+ * The subcommands, with their own options and positional arguments.
+ */
+const COMMANDS = {
+  update: {
+    summary: "Publish the current public IP to every record (default)",
+    options: {
+      "dry-run": {
+        type: "boolean",
+        description: "Show what would change without applying it ($DRY_RUN)",
+      },
+      diff: { type: "boolean", description: "Same as --dry-run" },
+      daemon: {
+        type: "boolean",
+        description: "Keep running and check on an interval ($DAEMON)",
+      },
+    },
+  },
+  status: {
+    summary: "Show the cached IDs and last published IP of each record",
+    options: {},
+  },
+  history: {
+    summary: "Show the recorded IP changes, newest first",
+    args: ["[record]"],
+    options: {
+      limit: {
+        type: "string",
+        short: "n",
+        value: "<count>",
+        description: "Show at most this many changes (default: 20)",
+      },
+    },
+  },
+  "list-records": {
+    summary: "List the DNS records of a zone",
+    args: ["[zone]"],
+    options: {
+      type: {
+        type: "string",
+        short: "t",
+        value: "<type>",
+        description: "Only list records of this type",
+      },
+    },
+  },
+  init: {
+    summary: "Interactively write the config file and .env",
+    options: {
+      "env-file": {
+        type: "string",
+        value: "<path>",
+        description: "Where to write the credentials (default: ./.env)",
+      },
+      force: { type: "boolean", description: "Overwrite existing files" },
+    },
+  },
+  "validate-config": {
+    summary: "Check the config file and environment for problems",
+    options: {},
+  },
+  "clear-cache": {
+    summary: "Forget the cached zone and record IDs",
+    options: {
+      all: {
+        type: "boolean",
+        description: "Also forget the last published IPs and notified failures",
+      },
+    },
+  },
+  secrets: {
+    summary: "List, set or remove the secrets in the encrypted keystore",
+    args: ["<list|set|remove>", "[name]"],
+    options: {
+      keystore: {
+        type: "string",
+        value: "<path>",
+        description:
+          "Keystore file (default: $SECRETS_KEYSTORE or ./ddns-secrets.json)",
+      },
+    },
+  },
+};
+
+/**
+ * Finds the position of the command name: the first argument that is neither an option nor the
+ * value of a global option, so global options may also come before the command.
+ * @param {Array<string>} argv - The arguments.
+ * @returns {number} - The index of the command, or -1 if there is none.
+ */
+function findCommand(argv) {
+  const takesValue = new Set(
+    Object.entries(GLOBAL_OPTIONS)
+      .filter(([, option]) => option.type === "string")
+      .flatMap(([name, option]) => [`--${name}`, `-${option.short}`])
+  );
+  for (let index = 0; index < argv.length; index++) {
+    if (argv[index] === "--") {
+      return -1;
+    }
+    if (!argv[index].startsWith("-")) {
+      return index;
+    }
+    if (takesValue.has(argv[index])) {
+      index++;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parses the command line.
+ * The first argument that is not an option selects the command; without one, "update" is run.
+ * @param {Array<string>} argv - The arguments, without the node executable and script path.
+ * @returns {{command: string, options: object, args: Array<string>}} - The command, its options and positional arguments.
+ * @throws {UsageError} - If the command or an option is unknown, or there are too many arguments.
+ */
+function parseCommandLine(argv) {
+  const position = findCommand(argv);
+  const command = position === -1 ? "update" : argv[position];
+  const spec = COMMANDS[command];
+  if (!spec) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args:
+        position === -1
+          ? argv
+          : [...argv.slice(0, position), ...argv.slice(position + 1)],
+      options: Object.fromEntries(
+        Object.entries({ ...GLOBAL_OPTIONS, ...spec.options }).map(
+          ([name, { type, short }]) => [
+            name,
+            short ? { type, short } : { type },
+          ]
+        )
+      ),
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const maxArgs = spec.args?.length || 0;
+  if (parsed.positionals.length > maxArgs) {
+    throw new UsageError(
+      `Unexpected argument for ${command}: ${parsed.positionals[maxArgs]}`
+    );
+  }
+
+  return { command, options: parsed.values, args: parsed.positionals };
+}
+
+/**
+ * Formats a list of options for the help text.
+ * @param {object} options - The option definitions.
+ * @returns {Array<string>} - The lines.
+ */
+function formatOptions(options) {
+  return Object.entries(options).map(([name, option]) => {
+    const flags = [
+      option.short && `-${option.short}`,
+      `--${name}${option.value ? ` ${option.value}` : ""}`,
+    ]
+      .filter(Boolean)
+      .join(", ");
+    return `  ${flags.padEnd(24)} ${option.description}`;
+  });
+}
+
+/**
+ * Returns the help text, for all commands or for one.
+ * @param {string} [command] - The command to describe.
+ * @returns {string} - The help text.
+ */
+function usage(command) {
+  const spec = COMMANDS[command];
+  if (spec) {
+    return [
+      `Usage: ddns ${command}${spec.args ? ` ${spec.args.join(" ")}` : ""} [options]`,
+      "",
+      spec.summary,
+      "",
+      "Options:",
+      ...formatOptions(spec.options),
+      ...formatOptions(GLOBAL_OPTIONS),
+    ].join("\n");
+  }
+
+  return [
+    "Usage: ddns [command] [options]",
+    "",
+    "Commands:",
+    ...Object.entries(COMMANDS).map(
+      ([name, { summary }]) => `  ${name.padEnd(24)} ${summary}`
+    ),
+    "",
+    "Options:",
+    ...formatOptions(GLOBAL_OPTIONS),
+    "",
+    'Run "ddns <command> --help" for the options of a command.',
+  ].join("\n");
+}
+
+module.exports = { COMMANDS, parseCommandLine, usage };
@@ -0,0 +1,38 @@
+const EXIT_CODES = require("../exit-codes");
+
+/**
+ * State sections holding cached lookups, which are safe to drop at any time.
+ */
+const CACHE_SECTIONS = ["zoneIds", "recordIds"];
+
+/**
+ * Sections that are also dropped with --all. Without the last published IPs every record
+ * is updated on the next run, and uplinks start their hold-down again. The history of
+ * changes is always kept.
+ */
+const STATE_SECTIONS = ["lastIPs", "notifiedFailures", "uplinks"];
+
+/**
+ * The "clear-cache" command: removes the cached zone and record IDs from the state file,
+ * so they are looked up again on the next run.
+ * @param {CLIContext} context - The command-line context.
+ * @param {object} invocation - The parsed command line.
+ * @param {object} invocation.options - The command-line options.
+ * @returns {Promise<number>} - The exit code.
+ */
+async function clearCache(context, { options }) {
+  const state = await context.openState();
+  const cleared = await state.clear(
+    options.all ? [...CACHE_SECTIONS, ...STATE_SECTIONS] : CACHE_SECTIONS
+  );
+
+  context.print(
+    { cleared },
+    cleared.length > 0
+      ? `Cleared ${cleared.join(", ")} from ${state.statePath}`
+      : "Nothing to clear"
+  );
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = clearCache;
@@ -0,0 +1,50 @@
+const EXIT_CODES = require("../exit-codes");
+const { formatTable } = require("../table");
+const { UsageError } = require("../../errors");
+
+/**
+ * Formats IP changes as an aligned table.
+ * @param {Array<object>} changes - The changes, from StateStore.getHistory.
+ * @returns {string} - The table.
+ */
+function formatChanges(changes) {
+  return formatTable(
+    ["TIME", "RECORD", "FROM", "TO", "STATUS"],
+    changes.map((change) => [
+      change.at,
+      change.record,
+      change.previousIP || "-",
+      change.ip,
+      change.status,
+    ])
+  );
+}
+
+/**
+ * The "history" command: prints the IP changes recorded in the state file, newest first,
+ * for every record or for one record key or name. Makes no API calls.
+ * @param {CLIContext} context - The command-line context.
+ * @param {object} invocation - The parsed command line.
+ * @param {object} invocation.options - The command-line options.
+ * @param {Array<string>} invocation.args - The record, if given.
+ * @returns {Promise<number>} - The exit code.
+ * @throws {UsageError} - If the limit is not a positive integer.
+ */
+async function history(context, { options, args: [record] }) {
+  const limit = Number(options.limit ?? 20);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new UsageError(
+      `--limit must be a positive integer, not ${options.limit}`
+    );
+  }
+
+  const state = await context.openState({ readOnly: true });
+  const changes = state.getHistory({ record, limit });
+  context.print(
+    changes,
+    changes.length > 0 ? formatChanges(changes) : "No IP changes recorded"
+  );
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = history;
@@ -0,0 +1,14 @@
+/**
+ * The command implementations, keyed by command name (see lib/cli/args).
+ * Each takes the CLIContext and the parsed command line and resolves to an exit code.
+ */
+module.exports = {
+  update: require("./update"),
+  status: require("./status"),
+  history: require("./history"),
+  "list-records": require("./list-records"),
+  init: require("./init"),
+  "validate-config": require("./validate-config"),
+  "clear-cache": require("./clear-cache"),
+  secrets: require("./secrets"),
+};
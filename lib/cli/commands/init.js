@@ -0,0 +1,113 @@
+const fs = require("fs");
+const EXIT_CODES = require("../exit-codes");
+const { ConfigError } = require("../../errors");
+const { formatFor } = require("../../formats");
+const { normalizeRecord } = require("../../records");
+
+/**
+ * Splits a comma-separated answer into its trimmed, non-empty parts.
+ * @param {string} answer - The answer.
+ * @returns {Array<string>} - The parts.
+ */
+function splitList(answer) {
+  return answer
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Asks for the zone, records, credentials and create-if-missing setting.
+ * @param {function(string, string=, object=): Promise<string>} ask - Asks a question, with an optional default.
+ * @returns {Promise<object>} - The answers.
+ * @throws {ConfigError} - If no zone is given.
+ */
+async function askQuestions(ask) {
+  const zone = await ask("Zone (domain name), e.g. example.com");
+  if (!zone) {
+    throw new ConfigError("A zone is required");
+  }
+  const names = splitList(
+    await ask("Record names, comma-separated (@ for the zone itself)", "home")
+  );
+  const types = splitList(await ask("Record types (A, AAAA or A,AAAA)", "A"));
+
+  const apiToken = await ask(
+    "Cloudflare API token (leave empty to use the Global API Key)",
+    "",
+    { secret: true }
+  );
+  const apiKey = apiToken
+    ? ""
+    : await ask("Cloudflare Global API Key", "", { secret: true });
+  const email = apiToken ? "" : await ask("Cloudflare account email");
+  const createMissing = /^y/i.test(
+    await ask("Create records that do not exist yet? (y/n)", "n")
+  );
+
+  return { zone, names, types, apiToken, apiKey, email, createMissing };
+}
+
+/**
+ * The "init" command: asks for the basic settings and writes the config file and the .env file
+ * with the credentials. Existing files are only overwritten with --force.
+ * @param {CLIContext} context - The command-line context.
+ * @param {object} invocation - The parsed command line.
+ * @param {object} invocation.options - The command-line options.
+ * @returns {Promise<number>} - The exit code.
+ * @throws {ConfigError} - If a file already exists or an answer is invalid.
+ */
+async function init(context, { options }) {
+  const { configPath } = context;
+  const envPath = options["env-file"] || ".env";
+  const existing = [configPath, envPath].filter((file) => fs.existsSync(file));
+  if (existing.length > 0 && !options.force) {
+    throw new ConfigError(
+      `${existing.join(" and ")} already exist(s); use --force to overwrite`
+    );
+  }
+
+  const answers = await context.prompt(askQuestions);
+  const records = answers.names.flatMap((name) =>
+    answers.types.map((type) => ({
+      zone: answers.zone,
+      name,
+      type: type.toUpperCase(),
+    }))
+  );
+  try {
+    records.forEach(normalizeRecord);
+  } catch (error) {
+    throw new ConfigError(error.message);
+  }
+
+  const config = {
+    records,
+    ...(answers.createMissing && { createMissing: true }),
+  };
+  const credentials = answers.apiToken
+    ? [`API_TOKEN=${answers.apiToken}`]
+    : [`API_KEY=${answers.apiKey}`, `EMAIL=${answers.email}`];
+  const envFile = [
+    "# Written by ddns init",
+    ...credentials,
+    `CONFIG_PATH=${configPath}`,
+    "",
+  ].join("\n");
+
+  await fs.promises.writeFile(
+    configPath,
+    formatFor(configPath).update("\n", config)
+  );
+  await fs.promises.writeFile(envPath, envFile, { mode: 0o600 });
+  // The mode only applies to a new file; an overwritten one keeps its permissions otherwise
+  await fs.promises.chmod(envPath, 0o600);
+
+  context.print(
+    { config: configPath, env: envPath, records: records.length },
+    `Wrote ${configPath} (${records.length} record(s)) and ${envPath}\nRun "ddns validate-config" to check them.`
+  );
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = init;
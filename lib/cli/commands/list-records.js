@@ -0,0 +1,70 @@
+const EXIT_CODES = require("../exit-codes");
+const { formatTable } = require("../table");
+const { loadRecords } = require("../../records");
+
+/**
+ * Formats records as an aligned table.
+ * @param {Array<object>} records - The records, as returned by the Cloudflare API.
+ * @returns {string} - The table.
+ */
+function formatRecords(records) {
+  return formatTable(
+    ["TYPE", "NAME", "CONTENT", "TTL", "PROXIED"],
+    records.map((record) => [
+      record.type,
+      record.name,
+      record.content,
+      record.ttl === 1 ? "auto" : String(record.ttl),
+      record.proxied ? "yes" : "no",
+    ])
+  );
+}
+
+/**
+ * The "list-records" command: lists the DNS records of the given zone, or of every
+ * configured zone, using the zone's DNS provider.
+ * @param {CLIContext} context - The command-line context.
+ * @param {object} invocation - The parsed command line.
+ * @param {object} invocation.options - The command-line options.
+ * @param {Array<string>} invocation.args - The zone name, if given.
+ * @returns {Promise<number>} - The exit code.
+ * @throws {ConfigError} - If the environment is invalid.
+ * @throws {Error} - If the provider cannot list records or the API request fails.
+ */
+async function listRecords(context, { options, args: [zoneName] }) {
+  context.validateEnvironment();
+  const zones = new Map();
+  if (zoneName) {
+    zones.set(zoneName, "cloudflare");
+  } else {
+    for (const record of loadRecords(
+      context.configManager.config,
+      context.env
+    )) {
+      if (!zones.has(record.zone)) {
+        zones.set(record.zone, record.provider);
+      }
+    }
+  }
+
+  const listings = [];
+  for (const [zone, provider] of zones) {
+    const client = context.createClient(zone, provider);
+    if (typeof client.listDNSRecords !== "function") {
+      throw new Error(`DNS provider "${provider}" cannot list records`);
+    }
+    const zoneId = await client.getZoneId();
+    const records = await client.listDNSRecords(zoneId, { type: options.type });
+    listings.push({ zone, zoneId, records });
+  }
+
+  context.print(
+    listings,
+    listings
+      .map(({ zone, records }) => `${zone}\n${formatRecords(records)}`)
+      .join("\n\n")
+  );
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = listRecords;
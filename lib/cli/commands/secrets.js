@@ -0,0 +1,81 @@
+const EXIT_CODES = require("../exit-codes");
+const { UsageError } = require("../../errors");
+const { Keystore } = require("../../secrets");
+
+/**
+ * Secret names are environment variable names.
+ */
+const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * The "secrets" command: lists the names in the encrypted keystore, or sets or removes one
+ * secret. The passphrase comes from SECRETS_PASSPHRASE or is asked for, as are the values to
+ * set, so they can be piped in. Values are never printed.
+ * @param {CLIContext} context - The command-line context.
+ * @param {object} invocation - The parsed command line.
+ * @param {object} invocation.options - The command-line options.
+ * @param {Array<string>} invocation.args - The action and the secret's name.
+ * @returns {Promise<number>} - The exit code: an error if the secret to remove is not stored.
+ * @throws {UsageError} - If the action is unknown or the name is missing or invalid.
+ * @throws {Error} - If the keystore cannot be unlocked.
+ */
+async function secrets(context, { options, args: [action, name] }) {
+  if (!["list", "set", "remove"].includes(action)) {
+    throw new UsageError(
+      `Unknown secrets action: ${action || "none"} (use list, set or remove)`
+    );
+  }
+  if (action !== "list" && !VARIABLE_NAME.test(name || "")) {
+    throw new UsageError(
+      name
+        ? `Invalid secret name: ${name}`
+        : `secrets ${action} needs the secret's name`
+    );
+  }
+
+  const filePath =
+    options.keystore || context.env.SECRETS_KEYSTORE || "./ddns-secrets.json";
+  const [passphrase, value] = await context.prompt(async (ask) => [
+    context.env.SECRETS_PASSPHRASE ||
+      (await ask("Keystore passphrase", "", { secret: true })),
+    action === "set"
+      ? await ask(`Value of ${name}`, "", { secret: true })
+      : undefined,
+  ]);
+  if (action === "set" && !value) {
+    throw new UsageError(`No value given for ${name}`);
+  }
+  context.redactor.add(passphrase, value);
+
+  const keystore = new Keystore(filePath, passphrase);
+  const exists = await keystore.load();
+
+  if (action === "list") {
+    const names = keystore.names();
+    context.print(
+      { keystore: filePath, names },
+      names.length > 0
+        ? names.join("\n")
+        : `No secrets stored in ${filePath}${exists ? "" : " (not created yet)"}`
+    );
+    return EXIT_CODES.SUCCESS;
+  }
+
+  if (action === "set") {
+    keystore.set(name, value);
+  } else if (!keystore.delete(name)) {
+    context.print(
+      { keystore: filePath, removed: null },
+      `${name} is not stored in ${filePath}`
+    );
+    return EXIT_CODES.ERROR;
+  }
+  await keystore.save();
+  context.print(
+    { keystore: filePath, [action === "set" ? "stored" : "removed"]: name },
+    `${action === "set" ? "Stored" : "Removed"} ${name} in ${filePath}`
+  );
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = secrets;
@@ -0,0 +1,43 @@
+const EXIT_CODES = require("../exit-codes");
+const { loadRecords, recordKey } = require("../../records");
+
+/**
+ * The "status" command: shows what the updater last did for each configured record, from the
+ * cached IDs, last published IPs and notified failures in the state file. Makes no API calls.
+ * @param {CLIContext} context - The command-line context.
+ * @returns {Promise<number>} - The exit code.
+ */
+async function status(context) {
+  const { configManager, env } = context;
+  const state = await context.openState({ readOnly: true });
+  const entries = loadRecords(configManager.config, env).map((record) => {
+    const key = recordKey(record);
+    return {
+      record: key,
+      provider: record.provider,
+      zoneId: state.getEntry("zoneIds", record.zone) || null,
+      recordId: state.getEntry("recordIds", key) || null,
+      lastIP: state.getEntry("lastIPs", key) || null,
+      failure: state.getEntry("notifiedFailures", key)?.message || null,
+    };
+  });
+
+  const width = Math.max(0, ...entries.map((entry) => entry.record.length));
+  context.print(
+    entries,
+    entries
+      .map((entry) =>
+        [
+          entry.record.padEnd(width),
+          `ip=${entry.lastIP || "-"}`,
+          `zone=${entry.zoneId || "-"}`,
+          `record=${entry.recordId || "-"}`,
+          ...(entry.failure ? [`failing: ${entry.failure}`] : []),
+        ].join("  ")
+      )
+      .join("\n")
+  );
+  return EXIT_CODES.SUCCESS;
+}
+
+module.exports = status;
@@ -0,0 +1,280 @@
+const DNSUpdater = require("../../updater");
+const DynDNSServer = require("../../dyndns");
+const EXIT_CODES = require("../exit-codes");
+const IPDetector = require("../../ip");
+const MockCloudflareServer = require("../../mock/server");
+const Notifier = require("../../notify");
+const PropagationChecker = require("../../propagation");
+const Scheduler = require("../../scheduler");
+const StatusServer = require("../../status");
+const { UplinkMonitor } = require("../../uplinks");
+const { formatPlan, planOutcome } = require("../../plan");
+const { loadRecords, recordFqdn, recordKey } = require("../../records");
+
+/**
+ * Runs one update check: loads the records from the config file (or the environment), updates
+ * each of them, logs a summary and passes the results to the status server and notifiers.
+ * Errors are logged and reported rather than thrown, so a daemon keeps running.
+ * @param {CLIContext} context - The command-line context.
+ * @param {object} services - The updater, notifier and optional status server.
+ * @returns {Promise<Array<object>|null>} - The result for each record, or null if the check failed.
+ */
+async function runCheck(context, { updater, notifier, statusServer }) {
+  const { configManager, env, logger } = context;
+  try {
+    const results = await updater.run(loadRecords(configManager.config, env));
+
+    const failed = results.filter((result) => result.status === "failed");
+    logger.info(
+      `Updated ${results.length - failed.length} of ${results.length} record(s)`
+    );
+    statusServer?.recordRun(results);
+    await notifier.notifyResults(results);
+    return results;
+  } catch (error) {
+    logger.error(`Error: ${error.message}`);
+    statusServer?.recordError(error);
+    await notifier.notifyError(error);
+    return null;
+  }
+}
+
+/**
+ * Runs update checks on a schedule until the process receives SIGTERM or SIGINT.
+ * The check interval and jitter are configured in seconds.
+ * @param {CLIContext} context - The command-line context.
+ * @param {object} services - The updater, notifier and optional status server.
+ * @returns {Promise<void>} - Resolves once the daemon has stopped.
+ */
+function runDaemon(context, services) {
+  const { CHECK_INTERVAL = "300", CHECK_JITTER = "0" } = context.env;
+  const { logger } = context;
+  const scheduler = new Scheduler(
+    () => runCheck(context, services),
+    {
+      interval: Number(CHECK_INTERVAL) * 1000,
+      jitter: Number(CHECK_JITTER) * 1000,
+    },
+    logger
+  );
+
+  for (const signal of ["SIGTERM", "SIGINT"]) {
+    process.once(signal, () => {
+      logger.info(`Received ${signal}, shutting down...`);
+      scheduler.stop();
+    });
+  }
+
+  logger.info(
+    `Starting daemon (interval: ${CHECK_INTERVAL}s, jitter: ${CHECK_JITTER}s)`
+  );
+  return scheduler.start().then(() => logger.info("Daemon stopped"));
+}
+
+/**
+ * Returns the placeholder content the mock server holds for a configured record.
+ * @param {object} record - The normalized record.
+ * @returns {string} - The content.
+ */
+function mockContent(record) {
+  const address = record.family === 6 ? "2001:db8::1" : "192.0.2.1";
+  return record.spf ? `v=spf1 ip${record.family}:${address} -all` : address;
+}
+
+/**
+ * Starts the internal mock Cloudflare API and points the API clients at it.
+ * The mock is seeded with every configured record, holding a placeholder address (inside an
+ * SPF policy for SPF records).
+ * @param {CLIContext} context - The command-line context.
+ * @returns {Promise<MockCloudflareServer>} - The running mock server.
+ */
+async function startMockCloudflare(context) {
+  const mock = new MockCloudflareServer({
+    records: loadRecords(context.configManager.config, context.env).map(
+      (record) => ({
+        zone: record.zone,
+        name: recordFqdn(record),
+        type: record.type,
+        content: mockContent(record),
+      })
+    ),
+  });
+  await mock.listen();
+
+  context.apiBaseURL = mock.baseURL;
+  context.logger.info(`Using mock Cloudflare API at ${mock.baseURL}`);
+  return mock;
+}
+
+/**
+ * Returns the IP detection settings that read the public IPs from the mock server.
+ * @param {MockCloudflareServer} mock - The running mock server.
+ * @returns {object} - The IP detection settings.
+ */
+function mockIPDetection(mock) {
+  return {
+    allowPrivate: true,
+    providers: [4, 6].map((family) => ({
+      type: "http",
+      url: mock.ipURL(family),
+      family,
+    })),
+  };
+}
+
+/**
+ * Converts an update result to plain JSON.
+ * @param {object} result - The result from DNSUpdater.run.
+ * @returns {object} - The JSON result.
+ */
+function resultJSON({ record, status, ip, previousIP, error }) {
+  return {
+    record: recordKey(record),
+    status,
+    ip: ip || null,
+    previousIP: previousIP || null,
+    error: error?.message || null,
+  };
+}
+
+/**
+ * The "update" command: verifies the credentials, then shows the dry-run plan, or updates
+ * the records once or as a daemon. Starts the mock API and the status server when configured,
+ * and the dyndns2 update server when configured for a daemon.
+ * @param {CLIContext} context - The command-line context.
+ * @param {object} invocation - The parsed command line.
+ * @param {object} invocation.options - The command-line options.
+ * @returns {Promise<number>} - The exit code: an error if a record failed, or for a dry run whether changes are pending.
+ * @throws {ConfigError} - If the configuration or the environment is invalid.
+ */
+async function update(context, { options }) {
+  const { configManager, env, logger } = context;
+  context.validateEnvironment();
+  const dryRun = options["dry-run"] || options.diff || env.DRY_RUN === "true";
+  const daemon = options.daemon || env.DAEMON === "true";
+  // A dry run writes nothing, so it can run next to a daemon holding the lock
+  const state = await context.openState({ readOnly: dryRun });
+
+  const mock =
+    env.USE_MOCK_CLOUDFLARE === "true"
+      ? await startMockCloudflare(context)
+      : null;
+  let statusServer = null;
+  let dyndnsServer = null;
+
+  try {
+    const allowPrivate =
+      Boolean(mock) || configManager.get("ipDetection")?.allowPrivate === true;
+    const propagation = configManager.get("propagation");
+    const verifyPropagation =
+      env.VERIFY_PROPAGATION !== undefined
+        ? env.VERIFY_PROPAGATION === "true"
+        : propagation?.verify === true;
+    const updater = new DNSUpdater(
+      {
+        createClient: (zone, provider) => context.createClient(zone, provider),
+        ipSource: new IPDetector(
+          mock ? mockIPDetection(mock) : configManager.get("ipDetection"),
+          logger
+        ),
+        state,
+        uplinks: new UplinkMonitor(
+          {
+            state,
+            allowPrivate,
+          },
+          logger
+        ),
+        propagation: verifyPropagation
+          ? new PropagationChecker(propagation, logger)
+          : undefined,
+        createMissing:
+          env.CREATE_MISSING !== undefined
+            ? env.CREATE_MISSING === "true"
+            : configManager.get("createMissing") === true,
+      },
+      logger
+    );
+    const notifier = new Notifier(
+      { ...configManager.get("notifications"), state },
+      logger
+    );
+
+    if (env.STATUS_PORT) {
+      statusServer = new StatusServer(
+        {
+          state,
+          failureThreshold: Number(env.HEALTH_FAILURE_THRESHOLD || 3),
+        },
+        logger
+      );
+      context.onRequest = (request) => statusServer.observeRequest(request);
+      await statusServer.listen(
+        Number(env.STATUS_PORT),
+        env.STATUS_HOST || "127.0.0.1"
+      );
+    }
+
+    // The update server only serves LAN devices while a daemon keeps running
+    if (env.DYNDNS_PORT && !dryRun && !daemon) {
+      logger.warn(
+        "DYNDNS_PORT is set, but the dyndns2 update server only runs with --daemon"
+      );
+    } else if (env.DYNDNS_PORT && !dryRun) {
+      dyndnsServer = new DynDNSServer(
+        {
+          updater,
+          state,
+          ipSource: updater.ipSource,
+          records: loadRecords(configManager.config, env),
+          users: configManager.get("dyndns")?.users,
+          allowPrivate,
+        },
+        logger
+      );
+      await dyndnsServer.listen(Number(env.DYNDNS_PORT), env.DYNDNS_HOST);
+    }
+
+    if (context.apiToken) {
+      await context.createClient(env.DOMAIN_NAME).verifyToken();
+      logger.info("API token verified");
+    }
+
+    if (dryRun) {
+      const plans = await updater.plan(loadRecords(configManager.config, env));
+      context.print(
+        plans.map(({ record, error, ...plan }) => ({
+          record: recordKey(record),
+          ...plan,
+          error: error?.message,
+        })),
+        formatPlan(plans)
+      );
+      const { changes, failed } = planOutcome(plans);
+      if (failed > 0) {
+        return EXIT_CODES.ERROR;
+      }
+      return changes > 0 ? EXIT_CODES.CHANGES_PENDING : EXIT_CODES.SUCCESS;
+    }
+
+    const services = { updater, notifier, statusServer };
+    if (daemon) {
+      await runDaemon(context, services);
+      return EXIT_CODES.SUCCESS;
+    }
+
+    const results = await runCheck(context, services);
+    if (context.json && results) {
+      context.print(results.map(resultJSON));
+    }
+    return results && results.every((result) => result.status !== "failed")
+      ? EXIT_CODES.SUCCESS
+      : EXIT_CODES.ERROR;
+  } finally {
+    await dyndnsServer?.close();
+    await statusServer?.close();
+    await mock?.close();
+  }
+}
+
+module.exports = update;
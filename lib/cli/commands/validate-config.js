@@ -0,0 +1,85 @@
+const EXIT_CODES = require("../exit-codes");
+const IPDetector = require("../../ip");
+const Notifier = require("../../notify");
+const { ConfigError } = require("../../errors");
+const { createDNSProvider } = require("../../providers");
+const { loadRecords, recordKey } = require("../../records");
+const { validateEnvironment } = require("../../config-schema");
+
+/**
+ * Collects the problems in a configuration that matches the schema, without contacting any
+ * service: the environment is checked, then each section is used to build the objects the
+ * updater would build from it.
+ * @param {object} config - The loaded configuration data.
+ * @param {object} env - The environment variables.
+ * @param {Logger} logger - The logger instance.
+ * @returns {Array<string>} - The problems found.
+ */
+function findProblems(config, env, logger) {
+  const problems = validateEnvironment(env, config);
+  const check = (label, validate) => {
+    try {
+      validate();
+    } catch (error) {
+      problems.push(label ? `${label}: ${error.message}` : error.message);
+    }
+  };
+
+  let records = [];
+  check(null, () => {
+    records = loadRecords(config, env);
+  });
+
+  const providers = config.providers || {};
+  for (const [name, settings] of Object.entries(providers)) {
+    check(`providers.${name}`, () =>
+      createDNSProvider("example.com", settings, logger)
+    );
+  }
+  for (const record of records) {
+    if (record.provider !== "cloudflare" && !providers[record.provider]) {
+      problems.push(
+        `${recordKey(record)} uses provider "${record.provider}", which is not configured`
+      );
+    }
+  }
+
+  check("ipDetection", () => new IPDetector(config.ipDetection, logger));
+  check(
+    "notifications",
+    () => new Notifier(config.notifications || {}, logger)
+  );
+
+  return [...new Set(problems)];
+}
+
+/**
+ * The "validate-config" command: checks the config file and environment and lists every problem.
+ * @param {CLIContext} context - The command-line context.
+ * @returns {Promise<number>} - The exit code: success if the configuration is valid, otherwise a configuration error.
+ */
+async function validateConfig(context) {
+  const { env, logger } = context;
+  let problems;
+  try {
+    problems = findProblems(context.configManager.config, env, logger);
+  } catch (error) {
+    if (!(error instanceof ConfigError)) {
+      throw error;
+    }
+    problems = error.problems.length > 0 ? error.problems : [error.message];
+  }
+
+  context.print(
+    { valid: problems.length === 0, problems },
+    problems.length === 0
+      ? `${context.configPath} is valid`
+      : [
+          `${context.configPath} has ${problems.length} problem(s):`,
+          ...problems.map((problem) => `  - ${problem}`),
+        ].join("\n")
+  );
+  return problems.length === 0 ? EXIT_CODES.SUCCESS : EXIT_CODES.CONFIG;
+}
+
+module.exports = validateConfig;
@@ -0,0 +1,267 @@
+const path = require("path");
+const readline = require("readline");
+const { Writable } = require("stream");
+const createLogger = require("../logger");
+const { Redactor, findSecrets } = require("../logger/redact");
+const CloudflareAPI = require("../cloudflare");
+const ConfigManager = require("../config");
+const {
+  CONFIG_SCHEMA,
+  STATE_KEYS,
+  validateEnvironment,
+} = require("../config-schema");
+const { ConfigError } = require("../errors");
+const { createDNSProvider } = require("../providers");
+const { resolveSecrets } = require("../secrets");
+const StateStore = require("../state");
+
+/**
+ * Shared state of a command-line invocation: the parsed options, the environment, the logger,
+ * the configuration, the state store and the DNS provider clients built from them.
+ */
+class CLIContext {
+  /**
+   * Creates an instance of CLIContext.
+   * @param {object} options - The parsed command-line options.
+   * @param {object} env - The environment variables.
+   * @param {object} [streams] - The standard streams, replaceable in tests.
+   * @param {stream.Readable} [streams.stdin=process.stdin] - Where prompts are answered.
+   * @param {stream.Writable} [streams.stdout=process.stdout] - Where command output is printed.
+   * @param {stream.Writable} [streams.stderr=process.stderr] - Where prompts are written with --json.
+   * @throws {Error} - If a logging setting is invalid.
+   */
+  constructor(
+    options,
+    env,
+    {
+      stdin = process.stdin,
+      stdout = process.stdout,
+      stderr = process.stderr,
+    } = {}
+  ) {
+    this.options = options;
+    this.env = env;
+    this.stdin = stdin;
+    this.stdout = stdout;
+    this.stderr = stderr;
+    this.json = options.json === true;
+    this.configPath = options.config || env.CONFIG_PATH || "./ddns-config.json";
+    this.statePath =
+      options.state ||
+      env.STATE_PATH ||
+      path.join(path.dirname(this.configPath), "ddns-state.json");
+    // Secrets from the config file are added once it is loaded
+    this.redactor = new Redactor(findSecrets(env));
+    this.logger = createLogger(
+      env.LOG_PATH || "./nimbus-ddns.log",
+      options["log-level"] || env.LOG_LEVEL || "info",
+      {
+        stderr: this.json,
+        format: options["log-format"] || env.LOG_FORMAT || "text",
+        // systemd sets JOURNAL_STREAM when the output goes to the journal
+        journald: env.LOG_JOURNALD
+          ? env.LOG_JOURNALD === "true"
+          : Boolean(env.JOURNAL_STREAM),
+        maxSize: env.LOG_MAX_SIZE || undefined,
+        maxAge: env.LOG_MAX_AGE ? Number(env.LOG_MAX_AGE) * 1000 : undefined,
+        maxFiles: env.LOG_MAX_FILES ? Number(env.LOG_MAX_FILES) : undefined,
+        syslog: env.LOG_SYSLOG || undefined,
+        syslogFacility: env.LOG_SYSLOG_FACILITY || undefined,
+        redactor: this.redactor,
+      }
+    );
+
+    // Replaced by the update command when it starts the mock API or the status server
+    this.apiBaseURL = env.CLOUDFLARE_API_URL || undefined;
+    this.onRequest = undefined;
+    this.loadedConfig = null;
+    this.openedState = null;
+  }
+
+  /**
+   * Reads the credentials given as files, commands or in the keystore into the environment
+   * (see lib/secrets), and redacts them from the logs. Runs before the config file is loaded,
+   * so it can refer to them.
+   * @param {object} [options] - What to resolve.
+   * @param {boolean} [options.keystore=true] - Whether to read the keystore.
+   * @returns {Promise<void>}
+   * @throws {ConfigError} - If a secret cannot be read.
+   */
+  async resolveSecrets(options) {
+    const { env, secrets } = await resolveSecrets(this.env, options);
+    this.redactor.add(...secrets);
+    this.env = env;
+  }
+
+  /**
+   * The configuration manager, loaded and validated on first use.
+   * @returns {ConfigManager}
+   * @throws {ConfigError} - If the config file is missing or invalid.
+   */
+  get configManager() {
+    if (!this.loadedConfig) {
+      try {
+        this.loadedConfig = new ConfigManager(this.configPath, this.logger, {
+          env: this.env,
+          schema: CONFIG_SCHEMA,
+        });
+        this.redactor.add(...findSecrets(this.loadedConfig.config));
+      } catch (error) {
+        throw error instanceof ConfigError
+          ? error
+          : new ConfigError(error.message);
+      }
+    }
+    return this.loadedConfig;
+  }
+
+  /**
+   * Opens the state store on first use. Until the state file exists, it starts from the state
+   * sections that older versions wrote to the config file.
+   * @param {object} [options] - How to open the store.
+   * @param {boolean} [options.readOnly=false] - Whether the command only reads the state, and so does not need the lock.
+   * @returns {Promise<StateStore>} - The open store.
+   * @throws {ConfigError} - If the config file or the state file is invalid.
+   * @throws {Error} - If another running instance holds the state file's lock.
+   */
+  async openState({ readOnly = false } = {}) {
+    if (!this.openedState) {
+      const { config } = this.configManager;
+      const store = new StateStore(this.statePath, this.logger, {
+        historyLimit: config.historyLimit,
+      });
+      await store.open({
+        readOnly,
+        seed: Object.fromEntries(
+          STATE_KEYS.filter((key) => config[key] !== undefined).map((key) => [
+            key,
+            config[key],
+          ])
+        ),
+      });
+      this.openedState = store;
+    }
+    return this.openedState;
+  }
+
+  /**
+   * Releases what the command opened: waits for state writes, removes the state file's lock
+   * and closes the log transports, so queued syslog messages are sent.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.openedState?.close();
+    this.logger.close();
+  }
+
+  /**
+   * Checks that the environment has everything the configuration needs.
+   * @throws {ConfigError} - If a variable is missing or has the wrong format.
+   */
+  validateEnvironment() {
+    const problems = validateEnvironment(this.env, this.configManager.config);
+    if (problems.length > 0) {
+      throw new ConfigError("The environment is invalid", problems);
+    }
+  }
+
+  /**
+   * The Cloudflare API token from the environment or the config file.
+   * @returns {string|undefined}
+   */
+  get apiToken() {
+    return this.env.API_TOKEN || this.configManager.get("apiToken");
+  }
+
+  /**
+   * Creates the DNS provider client for a zone.
+   * The default "cloudflare" provider uses the credentials from the environment, authenticating
+   * with the API token when one is configured and with the global API key otherwise.
+   * Other providers are looked up by name in the config file's "providers" section.
+   * @param {string} zone - The zone name.
+   * @param {string} [provider="cloudflare"] - The provider name.
+   * @returns {DNSProvider} - The provider client.
+   * @throws {Error} - If the provider is not configured.
+   */
+  createClient(zone, provider = "cloudflare") {
+    const onRequest = (request) => this.onRequest?.(request);
+    const settings = this.configManager.get("providers")?.[provider];
+    if (settings) {
+      return createDNSProvider(zone, { ...settings, onRequest }, this.logger);
+    }
+    if (provider !== "cloudflare") {
+      throw new Error(`DNS provider "${provider}" is not configured`);
+    }
+
+    const { API_KEY, EMAIL, CLOUDFLARE_TIMEOUT, CLOUDFLARE_RETRIES } = this.env;
+    return new CloudflareAPI(API_KEY, EMAIL, zone, this.logger, {
+      apiToken: this.apiToken,
+      baseURL: this.apiBaseURL,
+      timeout: CLOUDFLARE_TIMEOUT
+        ? Number(CLOUDFLARE_TIMEOUT) * 1000
+        : undefined,
+      retries: CLOUDFLARE_RETRIES ? Number(CLOUDFLARE_RETRIES) : undefined,
+      onRequest,
+    });
+  }
+
+  /**
+   * Prints command output: the data as JSON with --json, otherwise the text.
+   * @param {*} data - The machine-readable output.
+   * @param {string} text - The human-readable output.
+   */
+  print(data, text) {
+    this.stdout.write(`${this.json ? JSON.stringify(data, null, 2) : text}\n`);
+  }
+
+  /**
+   * Asks a series of questions on the terminal.
+   * Reading answers through one line iterator also works when they are piped in.
+   * With --json the questions go to stderr, keeping stdout machine-readable.
+   * When stdin is a terminal, answers to secret questions are typed without being echoed.
+   * @param {function(function(string, string=, object=): Promise<string>): Promise<*>} dialog - Receives an ask(question, default, {secret}) function.
+   * @returns {Promise<*>} - The result of the dialog.
+   */
+  async prompt(dialog) {
+    const output = this.json ? this.stderr : this.stdout;
+    const terminal = Boolean(this.stdin.isTTY);
+    let muted = false;
+    // In terminal mode readline echoes what is typed; the echo is dropped for secrets
+    const echo = new Writable({
+      write(chunk, encoding, callback) {
+        if (!muted) {
+          output.write(chunk, encoding);
+        }
+        callback();
+      },
+    });
+    const rl = readline.createInterface({
+      input: this.stdin,
+      output: terminal ? echo : output,
+      terminal,
+    });
+    const lines = rl[Symbol.asyncIterator]();
+
+    try {
+      return await dialog(
+        async (question, fallback = "", { secret = false } = {}) => {
+          output.write(
+            fallback ? `${question} [${fallback}]: ` : `${question}: `
+          );
+          muted = secret && terminal;
+          const { value, done } = await lines.next();
+          if (muted) {
+            muted = false;
+            output.write("\n");
+          }
+          const answer = done ? "" : value.trim();
+          return answer || fallback;
+        }
+      );
+    } finally {
+      rl.close();
+    }
+  }
+}
+
+module.exports = CLIContext;
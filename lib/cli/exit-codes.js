@@ -0,0 +1,13 @@
+/**
+ * Exit codes of the command-line interface, which scripts can rely on.
+ * CHANGES_PENDING follows "terraform plan -detailed-exitcode"; USAGE and CONFIG follow sysexits.h.
+ */
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  CHANGES_PENDING: 2,
+  USAGE: 64,
+  CONFIG: 78,
+};
+
+module.exports = EXIT_CODES;
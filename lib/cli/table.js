@@ -0,0 +1,22 @@
+/**
+ * Formats rows of text as a table with aligned columns, two spaces apart.
+ * @param {Array<string>} headings - The column headings.
+ * @param {Array<Array<string>>} rows - The rows, one cell per column.
+ * @returns {string} - The table.
+ */
+function formatTable(headings, rows) {
+  const lines = [headings, ...rows];
+  const widths = headings.map((_, column) =>
+    Math.max(...lines.map((line) => line[column].length))
+  );
+  return lines
+    .map((line) =>
+      line
+        .map((cell, column) => cell.padEnd(widths[column]))
+        .join("  ")
+        .trimEnd()
+    )
+    .join("\n");
+}
+
+module.exports = { formatTable };
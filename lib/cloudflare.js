@@ -1,9 +1,77 @@
 const axios = require("axios");
 const logger = require("winston").Logger;
+const { CloudflareError, LookupError, isRetryableError } = require("./errors");
+const { qualifyName } = require("./records");
+const { withRetry } = require("./retry");
+
+const DEFAULT_BASE_URL = "https://api.cloudflare.com/client/v4";
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * Page sizes used when listing: the largest Cloudflare accepts for zones and DNS records.
+ */
+const ZONES_PER_PAGE = 50;
+const RECORDS_PER_PAGE = 100;
+
+/**
+ * The TTL value Cloudflare uses for "automatic".
+ */
+const AUTO_TTL = 1;
+
+/**
+ * ID of Cloudflare's "DNS Write" permission group, shown as Zone > DNS > Edit in the dashboard.
+ */
+const DNS_WRITE_PERMISSION_GROUP = "4755a26eedb94da69e1066d98aa820be";
+
+/**
+ * Converts record settings to the fields of a Cloudflare API request, leaving out those that
+ * are not set. A TTL of "auto" is sent as 1.
+ * @param {object} settings - The TTL, proxied flag, comment and tags.
+ * @returns {object} - The request fields.
+ */
+function recordFields(settings) {
+  return Object.fromEntries(
+    Object.entries(settings)
+      .filter(([, value]) => value !== undefined)
+      .map(([field, value]) => [
+        field,
+        field === "ttl" && value === "auto" ? AUTO_TTL : value,
+      ])
+  );
+}
+
+/**
+ * Whether two DNS names are the same; names are case-insensitive and may end with a dot.
+ * @param {string} a - The first name.
+ * @param {string} b - The second name.
+ * @returns {boolean}
+ */
+function sameName(a, b) {
+  const normalize = (name) => String(name).toLowerCase().replace(/\.$/, "");
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Converts a record returned by the Cloudflare API to the provider interface's shape.
+ * A TTL of 1 is reported as "auto", the value used for it in the config file.
+ * @param {object} record - The API record.
+ * @returns {{id: string, content: string, ttl: number|string, proxied: boolean, comment: string|null, tags: Array<string>}} - The record.
+ */
+function toRecord(record) {
+  return {
+    id: record.id,
+    content: record.content,
+    ttl: record.ttl === AUTO_TTL ? "auto" : record.ttl,
+    proxied: record.proxied,
+    comment: record.comment ?? null,
+    tags: record.tags ?? [],
+  };
+}
 
 /**
  * Cloudflare API client.
- * This class provides methods for interacting with the Cloudflare API.
+ * This class provides methods for interacting with the Cloudflare API,
+ * and is the reference implementation of the DNS provider interface (see lib/providers).
  */
 class CloudflareAPI {
   /**
@@ -13,117 +81,533 @@ class CloudflareAPI {
    * @param {string} email - The email address associated with the API key.
    * @param {string} domainName - The domain name to manage.
    * @param {logger} logger - The logger instance for outputting messages.
+   * @param {object} [options] - Additional client settings.
+   * @param {string} [options.apiToken] - A scoped API token, sent as a Bearer token instead of the API key and email.
+   * @param {string} [options.baseURL] - The API base URL, e.g. to target the mock server in lib/mock.
+   * @param {number} [options.timeout=10000] - The timeout for each request, in milliseconds.
+   * @param {number} [options.retries=3] - How many times a request failing with a retryable error is retried.
+   * @param {number} [options.retryDelay=1000] - The base delay of the exponential backoff, in milliseconds.
+   * @param {number} [options.maxRetryDelay=30000] - The longest delay before a retry, in milliseconds.
+   * @param {function(object): void} [options.onRequest] - Called after each request attempt with its method, HTTP status and duration in milliseconds.
    */
-  constructor(apiKey, email, domainName, logger) {
+  constructor(
+    apiKey,
+    email,
+    domainName,
+    logger,
+    {
+      apiToken,
+      baseURL = DEFAULT_BASE_URL,
+      timeout = DEFAULT_TIMEOUT,
+      retries = 3,
+      retryDelay = 1000,
+      maxRetryDelay = 30000,
+      onRequest,
+    } = {}
+  ) {
     if (!logger) {
       throw Error("Logger was not provided to CloudflareAPI instance");
     }
 
     this.logger = logger;
+    this.retry = { retries, minDelay: retryDelay, maxDelay: maxRetryDelay };
+    this.onRequest = onRequest;
     this.api = axios.create({
-      baseURL: "https://api.cloudflare.com/client/v4",
+      baseURL,
+      timeout,
       proxy:
         process.env.USE_PROXY === "true"
           ? { host: "127.0.0.1", port: 8888 }
           : false,
-      headers: {
-        "X-Auth-Email": email,
-        "X-Auth-Key": apiKey,
-      },
+      headers: apiToken
+        ? { Authorization: `Bearer ${apiToken}` }
+        : {
+            "X-Auth-Email": email,
+            "X-Auth-Key": apiKey,
+          },
     });
     this.domainName = domainName;
   }
 
   /**
-   * Retrieves the public IP address.
-   * Fetches the public IP address using a third-party service.
-   * @returns {Promise<string>} - The public IP address.
+   * Sends a request to the Cloudflare API and checks the response envelope.
+   * Rate-limited (429), timed out and failed (5xx) requests and transient network errors are
+   * retried with exponential backoff, waiting at least as long as a Retry-After header asks.
+   * Requests that are not idempotent are only retried when they were rate limited, timed out
+   * by the API or could not connect, so they are never applied twice. Other HTTP errors and
+   * unsuccessful responses fail immediately with a CloudflareError carrying the status and
+   * Cloudflare's errors[] list.
+   * @param {function(): Promise<object>} request - Starts the axios request; called again for each retry.
+   * @param {string} failureMessage - The message that Cloudflare's reported errors are appended to.
+   * @param {object} [options] - The request's properties.
+   * @param {boolean} [options.idempotent=true] - Whether the request may be sent again after a failure that it may have survived; creates and deletes are not.
+   * @returns {Promise<object>} - The axios response.
+   * @throws {CloudflareError} - If the request fails or the response is not successful.
    */
-  async getPublicIP() {
-    this.logger.http("GET: Fetching public IP address...");
+  send(request, failureMessage, { idempotent = true } = {}) {
+    return withRetry(
+      async () => {
+        const started = Date.now();
+        let response;
+        try {
+          response = await request();
+        } catch (error) {
+          this.reportRequest(
+            error.config,
+            error.response?.status ?? "error",
+            started
+          );
+          if (error.response) {
+            throw CloudflareError.fromResponse(error.response, failureMessage);
+          }
+          throw error;
+        }
+        this.reportRequest(response.config, response.status, started);
+
+        if (!response.data.success) {
+          throw CloudflareError.fromResponse(response, failureMessage);
+        }
+
+        return response;
+      },
+      {
+        ...this.retry,
+        isRetryable: (error) => isRetryableError(error, { idempotent }),
+        retryAfter: (error) => error.retryAfter,
+        onRetry: (error, attempt, delay) =>
+          this.logger.warn(
+            `${error.message}; retrying in ${delay}ms (${attempt}/${this.retry.retries})`,
+            { status: error.status, errorCodes: error.codes }
+          ),
+      }
+    );
+  }
+
+  /**
+   * Passes the outcome of a request attempt to the onRequest callback, if one is set.
+   * @param {object} [config] - The axios request config.
+   * @param {number|string} status - The HTTP status, or "error" if no response was received.
+   * @param {number} started - When the attempt started, in milliseconds since the epoch.
+   */
+  reportRequest(config, status, started) {
+    this.onRequest?.({
+      method: config?.method?.toUpperCase() || "UNKNOWN",
+      status,
+      duration: Date.now() - started,
+    });
+  }
+
+  /**
+   * Verifies the configured API token.
+   * Checks that the token is active, then inspects its policies for the DNS edit permission.
+   * Tokens are not always allowed to read their own policies; in that case a warning is logged
+   * and the permission check is skipped.
+   * @returns {Promise<void>}
+   * @throws {Error} - If the token is invalid, inactive or lacks the DNS edit permission.
+   */
+  async verifyToken() {
+    this.logger.http("GET: Verifying API token...");
 
     let response;
     try {
-      response = await axios.get("https://ipv4.icanhazip.com");
+      response = await this.send(
+        () => this.api.get("/user/tokens/verify"),
+        "Failed to verify API token"
+      );
+    } catch (error) {
+      if (error instanceof CloudflareError && !error.retryable) {
+        throw new Error("API token is invalid or has been revoked");
+      }
+      throw error;
+    }
+
+    const { result } = response.data;
+    if (result?.status !== "active") {
+      throw new Error(
+        `API token is not active (status: ${result?.status || "unknown"})`
+      );
+    }
+
+    let token;
+    try {
+      token = (
+        await this.send(
+          () => this.api.get(`/user/tokens/${result.id}`),
+          "Failed to inspect API token"
+        )
+      ).data.result;
     } catch {
-      response = await axios.get("https://api.ipify.org");
+      this.logger.warn(
+        "Unable to inspect API token permissions; make sure it has Zone > DNS > Edit permission"
+      );
+      return;
+    }
+
+    const canEditDNS = (token?.policies || []).some(
+      (policy) =>
+        policy.effect === "allow" &&
+        policy.permission_groups.some(
+          (group) => group.id === DNS_WRITE_PERMISSION_GROUP
+        )
+    );
+    if (!canEditDNS) {
+      throw new Error(
+        "API token does not have the DNS edit permission (Zone > DNS > Edit)"
+      );
     }
 
-    return response.data.trim();
+    this.logger.http("API token verified.");
+  }
+
+  /**
+   * Sends a GET request for a list, following result_info pagination until every page has
+   * been read.
+   * @param {string} url - The list endpoint.
+   * @param {object} params - The query parameters.
+   * @param {number} perPage - The page size.
+   * @param {string} failureMessage - The message that Cloudflare's reported errors are appended to.
+   * @returns {Promise<Array<object>>} - The items of every page.
+   * @throws {CloudflareError} - If a page cannot be fetched.
+   */
+  async getAllPages(url, params, perPage, failureMessage) {
+    const items = [];
+    for (let page = 1; ; page++) {
+      const response = await this.send(
+        () =>
+          this.api.get(url, { params: { ...params, page, per_page: perPage } }),
+        failureMessage
+      );
+
+      const { result, result_info: info } = response.data;
+      items.push(...result);
+      if (!info || result.length === 0 || page >= info.total_pages) {
+        return items;
+      }
+    }
   }
 
   /**
    * Retrieves the Zone ID for the configured domain.
-   * Fetches the Zone ID from the Cloudflare API.
+   * Pages through the zones the credentials can see and only accepts a zone whose name is
+   * exactly the domain name.
    * @returns {Promise<string>} - The Zone ID.
-   * @throws {Error} - If the Zone ID cannot be fetched.
+   * @throws {CloudflareError} - If the zones cannot be fetched.
+   * @throws {LookupError} - If no zone, or more than one, has the domain name.
    */
   async getZoneId() {
     this.logger.http("GET: Fetching Zone ID...");
-    const response = await this.api.get("/zones", {
-      params: { name: this.domainName },
-    });
+    const zones = (
+      await this.getAllPages(
+        "/zones",
+        { name: this.domainName },
+        ZONES_PER_PAGE,
+        "Failed to fetch Zone ID"
+      )
+    ).filter((zone) => sameName(zone.name, this.domainName));
 
-    if (!response.data.success) {
-      throw new Error("Failed to fetch Zone ID");
+    if (zones.length === 0) {
+      throw new LookupError(
+        `Zone ${this.domainName} was not found; check the domain name and that the credentials can access the zone`,
+        { reason: "not_found" }
+      );
+    }
+    if (zones.length > 1) {
+      throw new LookupError(
+        `Zone ${this.domainName} is ambiguous: ${zones.length} zones have that name (${zones.map((zone) => zone.id).join(", ")})`,
+        { reason: "ambiguous", matches: zones.map((zone) => zone.id) }
+      );
     }
+    return zones[0].id;
+  }
+
+  /**
+   * Lists the DNS records of a name and type. The name must match exactly, and "@" stands for
+   * the zone apex.
+   * @param {string} zoneId - The ID of the zone.
+   * @param {string} subdomain - The subdomain name.
+   * @param {string} type - The DNS record type.
+   * @param {string} failureMessage - The message that Cloudflare's reported errors are appended to.
+   * @returns {Promise<Array<object>>} - The records, as returned by the Cloudflare API.
+   * @throws {CloudflareError} - If the records cannot be fetched.
+   */
+  async listRecords(zoneId, subdomain, type, failureMessage) {
+    const name = qualifyName(subdomain, this.domainName);
+    return (
+      await this.getAllPages(
+        `/zones/${zoneId}/dns_records`,
+        { type, name },
+        RECORDS_PER_PAGE,
+        failureMessage
+      )
+    ).filter((record) => record.type === type && sameName(record.name, name));
+  }
+
+  /**
+   * Finds the one DNS record of a name and type.
+   * @param {string} zoneId - The ID of the zone.
+   * @param {string} subdomain - The subdomain name, or "@" for the zone apex.
+   * @param {string} type - The DNS record type.
+   * @param {function(string): boolean} [match] - Only considers records with matching content.
+   * @param {string} failureMessage - The message that Cloudflare's reported errors are appended to.
+   * @returns {Promise<object|null>} - The record, as returned by the Cloudflare API, or null if not found.
+   * @throws {CloudflareError} - If the records cannot be fetched.
+   * @throws {LookupError} - If several records could be meant, e.g. a round-robin name.
+   */
+  async findRecord(zoneId, subdomain, type, match, failureMessage) {
+    const name = qualifyName(subdomain, this.domainName);
+    const records = (
+      await this.listRecords(zoneId, subdomain, type, failureMessage)
+    ).filter((record) => !match || match(record.content));
 
-    return response.data.result[0].id;
+    if (records.length > 1) {
+      throw new LookupError(
+        `${name} has ${records.length}${match ? " matching" : ""} ${type} records (${records.map((record) => record.content).join(", ")}); remove the duplicates so the record to update is unambiguous`,
+        { reason: "ambiguous", matches: records.map((record) => record.id) }
+      );
+    }
+    return records[0] || null;
   }
 
   /**
    * Retrieves the Record ID for a given subdomain.
-   * Fetches the Record ID from the Cloudflare API based on the provided zone ID and subdomain.
+   * Fetches the Record ID from the Cloudflare API based on the provided zone ID, subdomain and record type.
    * @param {string} zoneId - The ID of the zone.
-   * @param {string} subdomain - The subdomain name.
+   * @param {string} subdomain - The subdomain name, or "@" for the zone apex.
+   * @param {string} [type="A"] - The DNS record type, e.g. "A", "AAAA" or "TXT".
+   * @param {object} [options] - Lookup settings.
+   * @param {function(string): boolean} [options.match] - Picks the record by its content when the name has several records of the type, e.g. the SPF policy among TXT records.
    * @returns {Promise<string|null>} - The Record ID, or null if not found.
-   * @throws {Error} - If the Record ID cannot be fetched.
+   * @throws {CloudflareError} - If the Record ID cannot be fetched.
+   * @throws {LookupError} - If several records match.
    */
-  async getRecordId(zoneId, subdomain) {
+  async getRecordId(zoneId, subdomain, type = "A", { match } = {}) {
     this.logger.http("GET: Fetching Record ID...");
-    const response = await this.api.get(`/zones/${zoneId}/dns_records`, {
-      params: { type: "A", name: `${subdomain}.${this.domainName}` },
-    });
+    const record = await this.findRecord(
+      zoneId,
+      subdomain,
+      type,
+      match,
+      "Failed to fetch Record ID"
+    );
+    return record?.id || null;
+  }
 
-    if (!response.data.success) {
-      throw new Error("Failed to fetch Record ID");
+  /**
+   * Retrieves the current settings of a DNS record.
+   * A TTL of 1 is reported as "auto", the value used for it in the config file.
+   * @param {string} zoneId - The ID of the zone.
+   * @param {string} subdomain - The subdomain name, or "@" for the zone apex.
+   * @param {string} [type="A"] - The DNS record type, e.g. "A", "AAAA" or "TXT".
+   * @param {object} [options] - Lookup settings.
+   * @param {function(string): boolean} [options.match] - Picks the record by its content, as for getRecordId.
+   * @returns {Promise<{id: string, content: string, ttl: number|string, proxied: boolean, comment: string|null, tags: Array<string>}|null>} - The record, or null if not found.
+   * @throws {CloudflareError} - If the record cannot be fetched.
+   * @throws {LookupError} - If several records match.
+   */
+  async getRecord(zoneId, subdomain, type = "A", { match } = {}) {
+    this.logger.http(`GET: Fetching ${type} record for ${subdomain}...`);
+    const record = await this.findRecord(
+      zoneId,
+      subdomain,
+      type,
+      match,
+      "Failed to fetch DNS record"
+    );
+    return record ? toRecord(record) : null;
+  }
+
+  /**
+   * Retrieves every DNS record of a name and type, e.g. a round-robin set.
+   * @param {string} zoneId - The ID of the zone.
+   * @param {string} subdomain - The subdomain name, or "@" for the zone apex.
+   * @param {string} [type="A"] - The DNS record type.
+   * @returns {Promise<Array<{id: string, content: string, ttl: number|string, proxied: boolean, comment: string|null, tags: Array<string>}>>} - The records, in the shape getRecord returns.
+   * @throws {CloudflareError} - If the records cannot be fetched.
+   */
+  async getRecordSet(zoneId, subdomain, type = "A") {
+    this.logger.http(`GET: Fetching ${type} records for ${subdomain}...`);
+    const records = await this.listRecords(
+      zoneId,
+      subdomain,
+      type,
+      "Failed to fetch DNS records"
+    );
+    return records.map(toRecord);
+  }
+
+  /**
+   * Makes the records of a name and type hold exactly the given contents: missing contents
+   * are created first, then records with other contents are deleted, so the name always
+   * resolves while the set changes. Records that stay are updated with the settings, if any.
+   * @param {string} zoneId - The ID of the zone.
+   * @param {string} subdomain - The subdomain name, or "@" for the zone apex.
+   * @param {Array<string>} contents - The addresses to publish.
+   * @param {string} [type="A"] - The DNS record type.
+   * @param {object} [settings] - The TTL, proxied flag, comment and tags, as for createDNSRecord.
+   * @returns {Promise<{created: number, deleted: number}>} - How many records were created and deleted.
+   * @throws {CloudflareError} - If the records cannot be fetched or changed.
+   */
+  async replaceRecordSet(
+    zoneId,
+    subdomain,
+    contents,
+    type = "A",
+    settings = {}
+  ) {
+    const current = await this.getRecordSet(zoneId, subdomain, type);
+    const existing = current.map((record) => record.content);
+    const missing = contents.filter((content) => !existing.includes(content));
+    const extra = current.filter(
+      (record) => !contents.includes(record.content)
+    );
+
+    for (const content of missing) {
+      await this.createDNSRecord(zoneId, subdomain, content, type, settings);
+    }
+    if (Object.keys(recordFields(settings)).length > 0) {
+      for (const record of current.filter((entry) => !extra.includes(entry))) {
+        await this.updateDNSRecord(
+          zoneId,
+          record.id,
+          subdomain,
+          record.content,
+          type,
+          settings
+        );
+      }
+    }
+    for (const record of extra) {
+      await this.deleteDNSRecord(zoneId, record.id);
     }
+    return { created: missing.length, deleted: extra.length };
+  }
+
+  /**
+   * Lists the DNS records of a zone, following pagination until every page has been read.
+   * @param {string} zoneId - The ID of the zone.
+   * @param {object} [filters] - Optional filters.
+   * @param {string} [filters.type] - Only list records of this type.
+   * @returns {Promise<Array<object>>} - The records, as returned by the Cloudflare API.
+   * @throws {CloudflareError} - If the records cannot be fetched.
+   */
+  async listDNSRecords(zoneId, { type } = {}) {
+    this.logger.http("GET: Fetching DNS records...");
+    return this.getAllPages(
+      `/zones/${zoneId}/dns_records`,
+      type ? { type } : {},
+      RECORDS_PER_PAGE,
+      "Failed to list DNS records"
+    );
+  }
+
+  /**
+   * Creates a DNS record pointing at the given public IP address.
+   * Sends a POST request to the Cloudflare API to create the DNS record.
+   * @param {string} zoneId - The ID of the zone.
+   * @param {string} subdomain - The subdomain name.
+   * @param {string} publicIP - The public IP address, or the content of a TXT record.
+   * @param {string} [type="A"] - The DNS record type: "A" for IPv4, "AAAA" for IPv6 or "TXT".
+   * @param {object} [options] - Additional record settings.
+   * @param {number|string} [options.ttl=1800] - The record TTL in seconds, or "auto".
+   * @param {boolean} [options.proxied] - Whether the record is proxied through Cloudflare; not proxied by default. Not sent for TXT records.
+   * @param {string} [options.comment] - A comment shown with the record in the dashboard.
+   * @param {Array<string>} [options.tags] - Tags, as "name:value".
+   * @returns {Promise<object>} - The response data from the Cloudflare API, including the created record.
+   * @throws {CloudflareError} - If the DNS record cannot be created.
+   */
+  async createDNSRecord(
+    zoneId,
+    subdomain,
+    publicIP,
+    type = "A",
+    { ttl = 1800, proxied, comment, tags } = {}
+  ) {
+    this.logger.http(
+      `POST: Creating DNS record for ${subdomain} with IP: ${publicIP}`
+    );
+    const response = await this.send(
+      () =>
+        this.api.post(`/zones/${zoneId}/dns_records`, {
+          type,
+          name: qualifyName(subdomain, this.domainName),
+          content: publicIP,
+          ...recordFields({
+            ttl,
+            proxied: type === "TXT" ? undefined : (proxied ?? false),
+            comment,
+            tags,
+          }),
+        }),
+      "Failed to create DNS record",
+      { idempotent: false }
+    );
 
-    return response.data.result[0]?.id || null;
+    this.logger.http("DNS record created successfully.");
+    return response.data;
   }
 
   /**
    * Updates a DNS record with a new public IP address.
-   * Sends a PUT request to the Cloudflare API to update the DNS record.
+   * Sends a PATCH request, so the settings that are not given (TTL, proxying, comment, tags)
+   * keep the values they have in Cloudflare.
    * @param {string} zoneId - The ID of the zone.
    * @param {string} recordId - The ID of the DNS record.
    * @param {string} subdomain - The subdomain name.
-   * @param {string} publicIP - The new public IP address.
+   * @param {string} publicIP - The new public IP address, or the new content of a TXT record.
+   * @param {string} [type="A"] - The DNS record type: "A" for IPv4, "AAAA" for IPv6 or "TXT".
+   * @param {object} [options] - Record settings to change.
+   * @param {number|string} [options.ttl] - The record TTL in seconds, or "auto".
+   * @param {boolean} [options.proxied] - Whether the record is proxied through Cloudflare.
+   * @param {string} [options.comment] - A comment shown with the record in the dashboard.
+   * @param {Array<string>} [options.tags] - Tags, as "name:value".
    * @returns {Promise<object>} - The response data from the Cloudflare API.
-   * @throws {Error} - If the DNS record cannot be updated.
+   * @throws {CloudflareError} - If the DNS record cannot be updated.
    */
-  async updateDNSRecord(zoneId, recordId, subdomain, publicIP) {
+  async updateDNSRecord(
+    zoneId,
+    recordId,
+    subdomain,
+    publicIP,
+    type = "A",
+    { ttl, proxied, comment, tags } = {}
+  ) {
     this.logger.http(
-      `PUT: Updating DNS record for ${subdomain} to IP: ${publicIP}`
+      `PATCH: Updating DNS record for ${subdomain} to IP: ${publicIP}`
     );
-    const response = await this.api.put(
-      `/zones/${zoneId}/dns_records/${recordId}`,
-      {
-        type: "A",
-        name: `${subdomain}.${this.domainName}`,
-        content: publicIP,
-        ttl: 1800,
-        proxied: false,
-      }
+    const response = await this.send(
+      () =>
+        this.api.patch(`/zones/${zoneId}/dns_records/${recordId}`, {
+          type,
+          name: qualifyName(subdomain, this.domainName),
+          content: publicIP,
+          ...recordFields({ ttl, proxied, comment, tags }),
+        }),
+      "Failed to update DNS record"
     );
 
-    if (!response.data.success) {
-      throw new Error("Failed to update DNS record");
-    }
-
     this.logger.http("DNS record updated successfully.");
     return response.data;
   }
+
+  /**
+   * Deletes a DNS record.
+   * Sends a DELETE request to the Cloudflare API.
+   * @param {string} zoneId - The ID of the zone.
+   * @param {string} recordId - The ID of the DNS record.
+   * @returns {Promise<object>} - The response data from the Cloudflare API.
+   * @throws {CloudflareError} - If the DNS record cannot be deleted.
+   */
+  async deleteDNSRecord(zoneId, recordId) {
+    this.logger.http(`DELETE: Deleting DNS record ${recordId}`);
+    const response = await this.send(
+      () => this.api.delete(`/zones/${zoneId}/dns_records/${recordId}`),
+      "Failed to delete DNS record",
+      { idempotent: false }
+    );
+
+    this.logger.http("DNS record deleted successfully.");
+    return response.data;
+  }
 }
 
 module.exports = CloudflareAPI;
@@ -0,0 +1,307 @@
+const { CHANNEL_KINDS, NOTIFICATION_EVENTS } = require("./notify/channels");
+const { PROVIDER_KINDS } = require("./ip/providers");
+const { FACILITIES } = require("./logger/syslog");
+const { PROVIDER_TYPES } = require("./providers");
+const { FAILOVER_MODES, RECORD_FAMILIES } = require("./records");
+const { validate } = require("./schema");
+const { PROBE_KINDS } = require("./uplinks/probes");
+
+/**
+ * A map of names to strings, as used by the cached ID sections.
+ */
+const STRING_MAP = { type: "object", additionalProperties: { type: "string" } };
+
+/**
+ * The sections older versions wrote to the config file at runtime. They now live in the state
+ * file, which starts from these sections when it is first created.
+ */
+const STATE_KEYS = ["zoneIds", "recordIds", "lastIPs", "notifiedFailures"];
+
+/**
+ * The schema of a records entry.
+ */
+const RECORD_SCHEMA = {
+  type: "object",
+  required: ["zone"],
+  additionalProperties: false,
+  properties: {
+    zone: { type: "string", minLength: 1 },
+    name: { type: "string", minLength: 1 },
+    type: {
+      type: "string",
+      enum: Object.keys(RECORD_FAMILIES),
+      ignoreCase: true,
+    },
+    // "auto" is checked by normalizeRecord, as the schema has no keyword for it
+    ttl: { type: ["integer", "string"], minimum: 1 },
+    proxied: { type: "boolean" },
+    comment: { type: "string" },
+    tags: { type: "array", items: { type: "string" } },
+    family: { type: "integer", enum: [4, 6] },
+    spf: { type: "boolean" },
+    provider: { type: "string", minLength: 1 },
+    createMissing: { type: "boolean" },
+    uplinks: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          name: { type: "string", minLength: 1 },
+          address: { type: "string", minLength: 1 },
+          source: {
+            type: "object",
+            required: ["type"],
+            properties: {
+              type: { type: "string", enum: Object.keys(PROVIDER_KINDS) },
+            },
+          },
+          check: {
+            type: "object",
+            required: ["type"],
+            properties: {
+              type: { type: "string", enum: Object.keys(PROBE_KINDS) },
+              port: { type: "integer", minimum: 1, maximum: 65535 },
+              status: { type: "integer", minimum: 100, maximum: 599 },
+              timeout: { type: "integer", minimum: 1 },
+            },
+          },
+        },
+      },
+    },
+    failover: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        mode: { type: "string", enum: FAILOVER_MODES },
+        holdDown: { type: "number", minimum: 0 },
+      },
+    },
+  },
+};
+
+/**
+ * The schema of the config file. Nested settings that are checked in depth by the objects
+ * built from them (provider, IP detection and channel settings) are only checked for their
+ * type names here.
+ */
+const CONFIG_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    records: { type: "array", items: RECORD_SCHEMA },
+    providers: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        required: ["type"],
+        properties: {
+          type: { type: "string", enum: Object.keys(PROVIDER_TYPES) },
+        },
+      },
+    },
+    apiToken: { type: "string", minLength: 1 },
+    createMissing: { type: "boolean" },
+    historyLimit: { type: "integer", minimum: 1 },
+    ipDetection: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        providers: {
+          type: "array",
+          minItems: 1,
+          items: {
+            type: "object",
+            required: ["type"],
+            properties: {
+              type: { type: "string", enum: Object.keys(PROVIDER_KINDS) },
+              family: { type: "integer", enum: [4, 6] },
+              timeout: { type: "integer", minimum: 1 },
+            },
+          },
+        },
+        consensus: { type: "integer", minimum: 1 },
+        allowPrivate: { type: "boolean" },
+      },
+    },
+    dyndns: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        users: {
+          type: "array",
+          minItems: 1,
+          items: {
+            type: "object",
+            required: ["username", "password", "hostnames"],
+            additionalProperties: false,
+            properties: {
+              username: { type: "string", minLength: 1 },
+              password: { type: "string", minLength: 1 },
+              hostnames: {
+                type: "array",
+                minItems: 1,
+                items: { type: "string", minLength: 1 },
+              },
+            },
+          },
+        },
+      },
+    },
+    propagation: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        verify: { type: "boolean" },
+        resolvers: {
+          type: "array",
+          items: { type: "string", minLength: 1 },
+        },
+        timeout: { type: "number", minimum: 1 },
+        interval: { type: "number", minimum: 1 },
+      },
+    },
+    notifications: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        repeatAfter: { type: "number", minimum: 0 },
+        channels: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["type"],
+            properties: {
+              type: { type: "string", enum: Object.keys(CHANNEL_KINDS) },
+              events: {
+                type: "array",
+                items: { type: "string", enum: NOTIFICATION_EVENTS },
+              },
+              records: { type: "array", items: { type: "string" } },
+            },
+          },
+        },
+      },
+    },
+    zoneIds: STRING_MAP,
+    recordIds: STRING_MAP,
+    lastIPs: STRING_MAP,
+    notifiedFailures: {
+      type: "object",
+      additionalProperties: { type: "object" },
+    },
+  },
+};
+
+/**
+ * The environment variables with a fixed format. Values are read as the declared type
+ * before they are checked: "true"/"false" for booleans, decimal numbers otherwise.
+ */
+const ENV_SCHEMA = {
+  type: "object",
+  properties: {
+    LOG_LEVEL: {
+      type: "string",
+      enum: ["error", "warn", "info", "http", "verbose", "debug"],
+    },
+    LOG_FORMAT: { type: "string", enum: ["text", "json"] },
+    LOG_JOURNALD: { type: "boolean" },
+    LOG_MAX_AGE: { type: "number", minimum: 1 },
+    LOG_MAX_FILES: { type: "integer", minimum: 0 },
+    LOG_SYSLOG_FACILITY: { type: "string", enum: Object.keys(FACILITIES) },
+    DAEMON: { type: "boolean" },
+    DRY_RUN: { type: "boolean" },
+    CREATE_MISSING: { type: "boolean" },
+    VERIFY_PROPAGATION: { type: "boolean" },
+    USE_MOCK_CLOUDFLARE: { type: "boolean" },
+    USE_PROXY: { type: "boolean" },
+    CHECK_INTERVAL: { type: "number", minimum: 1 },
+    CHECK_JITTER: { type: "number", minimum: 0 },
+    CLOUDFLARE_TIMEOUT: { type: "number", minimum: 1 },
+    CLOUDFLARE_RETRIES: { type: "integer", minimum: 0 },
+    STATUS_PORT: { type: "integer", minimum: 0, maximum: 65535 },
+    DYNDNS_PORT: { type: "integer", minimum: 0, maximum: 65535 },
+    HEALTH_FAILURE_THRESHOLD: { type: "integer", minimum: 1 },
+  },
+};
+
+/**
+ * Reads an environment variable as the type its schema declares, leaving it as a string
+ * when it does not have that format so the schema reports it.
+ * @param {string} value - The raw value.
+ * @param {object} schema - The variable's schema.
+ * @returns {*} - The typed value.
+ */
+function parseEnvValue(value, schema) {
+  if (schema.type === "boolean") {
+    return { true: true, false: false }[value] ?? value;
+  }
+  if (schema.type === "number" || schema.type === "integer") {
+    return value.trim() !== "" && !Number.isNaN(Number(value))
+      ? Number(value)
+      : value;
+  }
+  return value;
+}
+
+/**
+ * Checks the environment against ENV_SCHEMA, and that everything the config file relies on
+ * is set: DOMAIN_NAME when no records are configured, and the Cloudflare credentials when a
+ * record uses the built-in Cloudflare provider.
+ * @param {object} env - The environment variables.
+ * @param {object} config - The loaded configuration data.
+ * @returns {Array<string>} - The problems found.
+ */
+function validateEnvironment(env, config) {
+  const values = {};
+  for (const [name, schema] of Object.entries(ENV_SCHEMA.properties)) {
+    if (env[name] !== undefined && env[name] !== "") {
+      values[name] = parseEnvValue(env[name], schema);
+    }
+  }
+  const problems = validate(values, ENV_SCHEMA);
+
+  if (config.records === undefined && !env.DOMAIN_NAME) {
+    problems.push(
+      "DOMAIN_NAME is required when the config file has no records"
+    );
+  }
+
+  if (env.DYNDNS_PORT && !config.dyndns?.users) {
+    problems.push("DYNDNS_PORT needs dyndns users in the config file");
+  }
+
+  const records = Array.isArray(config.records)
+    ? config.records
+    : [{ provider: "cloudflare" }];
+  const usesCloudflare = records.some(
+    (record) => (record?.provider || "cloudflare") === "cloudflare"
+  );
+  if (
+    usesCloudflare &&
+    !config.providers?.cloudflare &&
+    env.USE_MOCK_CLOUDFLARE !== "true" &&
+    !env.API_TOKEN &&
+    !config.apiToken
+  ) {
+    if (!env.API_KEY && !env.EMAIL) {
+      problems.push(
+        "Cloudflare credentials are missing: set API_TOKEN, or API_KEY and EMAIL"
+      );
+    } else if (!env.EMAIL) {
+      problems.push("EMAIL is required with API_KEY");
+    } else if (!env.API_KEY) {
+      problems.push("API_KEY is required with EMAIL");
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  ENV_SCHEMA,
+  STATE_KEYS,
+  validateEnvironment,
+};
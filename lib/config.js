@@ -1,56 +1,230 @@
 const fs = require("fs");
 const {Logger} = require("winston");
+const { ConfigError } = require("./errors");
+const { formatFor } = require("./formats");
+const { recordKey } = require("./records");
+const { validate } = require("./schema");
 
 /**
- * Manages configuration data from a JSON file.
+ * Matches an environment variable reference: ${NAME}, ${NAME:-default}, or $${...} for a literal "${...}".
+ */
+const ENV_REFERENCE = /\$(\$)?\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+/**
+ * Replaces environment variable references in every string of the configuration.
+ * @param {*} value - The configuration value.
+ * @param {object} env - The environment variables.
+ * @param {string} path - The value's path, used in error messages.
+ * @param {Array<string>} problems - Receives a message for each variable that is not set.
+ * @returns {*} - A copy of the value with the references replaced.
+ */
+function interpolate(value, env, path, problems) {
+  if (typeof value === "string") {
+    return value.replace(
+      ENV_REFERENCE,
+      (reference, escaped, name, fallback) => {
+        if (escaped) {
+          return reference.slice(1);
+        }
+        if (env[name] !== undefined && env[name] !== "") {
+          return env[name];
+        }
+        if (fallback === undefined) {
+          problems.push(`${path} uses \${${name}}, which is not set`);
+        }
+        return fallback ?? "";
+      }
+    );
+  }
+  if (Array.isArray(value)) {
+    return value.map((item, index) =>
+      interpolate(item, env, `${path}[${index}]`, problems)
+    );
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        interpolate(item, env, path ? `${path}.${key}` : key, problems),
+      ])
+    );
+  }
+  return value;
+}
+
+/**
+ * Moves the IDs cached by single-record versions, which stored one "zoneId" and "recordId"
+ * for the A record of SUBDOMAIN.DOMAIN_NAME, into the keyed cache sections.
+ * Without DOMAIN_NAME the IDs cannot be keyed and are dropped; they are looked up again.
+ * @param {object} config - The parsed configuration data.
+ * @param {object} env - The environment variables.
+ * @returns {boolean} - Whether the configuration was changed.
+ */
+function migrateLegacyIds(config, env) {
+  const { zoneId, recordId } = config;
+  if (zoneId === undefined && recordId === undefined) {
+    return false;
+  }
+
+  delete config.zoneId;
+  delete config.recordId;
+  if (env.DOMAIN_NAME) {
+    const key = recordKey({
+      type: "A",
+      name: env.SUBDOMAIN || "@",
+      zone: env.DOMAIN_NAME,
+    });
+    if (zoneId) {
+      config.zoneIds = { [env.DOMAIN_NAME]: zoneId, ...config.zoneIds };
+    }
+    if (recordId) {
+      config.recordIds = { [key]: recordId, ...config.recordIds };
+    }
+  }
+  return true;
+}
+
+/**
+ * Manages configuration data from a JSON, YAML or TOML file, picked by its extension.
  * This class loads, saves, and provides access to configuration data.
+ * String values may reference environment variables as ${NAME} or ${NAME:-default}; the
+ * references are resolved on load and written back unresolved, so secrets stay out of the file.
+ * Saving only rewrites the sections that changed, keeping the comments and key order of the rest.
+ * The runtime state (cached IDs, published IPs) lives in a StateStore, not in this file.
  */
 class ConfigManager {
   /**
    * Creates an instance of ConfigManager.
    * @param {string} configPath - Path to the configuration file.
    * @param {Logger} logger - The logger instance.
+   * @param {object} [options] - Loading settings.
+   * @param {object} [options.env=process.env] - The environment variables referenced by the file.
+   * @param {object} [options.schema] - The schema the file must match (see lib/schema).
+   * @throws {Error} - If the configuration file is not found.
+   * @throws {ConfigError} - If a file cannot be parsed, references unset variables or does not match the schema.
    */
-  constructor(configPath, logger) {
+  constructor(configPath, logger, { env = process.env, schema } = {}) {
     this.configPath = configPath;
     this.logger = logger;
+    this.env = env;
+    this.schema = schema;
+    this.pendingSave = Promise.resolve();
     this.config = this.loadConfig();
   }
 
+  /**
+   * Reads and parses a file in the format given by its extension.
+   * @param {string} filePath - The file path.
+   * @param {string} description - What the file is, for error messages.
+   * @returns {{text: string, data: *}} - The file contents and the parsed data.
+   * @throws {ConfigError} - If the file cannot be parsed.
+   */
+  readFile(filePath, description) {
+    const format = formatFor(filePath);
+    const text = fs.readFileSync(filePath, "utf8");
+    try {
+      return { text, data: format.parse(text) };
+    } catch (error) {
+      throw new ConfigError(
+        `${description} ${filePath} is not valid ${format.name}: ${error.message}`
+      );
+    }
+  }
+
   /**
    * Loads configuration from the specified file.
-   * If the file exists, it parses the JSON data; otherwise, throws an error.
+   * If the file exists, it parses the data, migrates older layouts in memory, resolves
+   * environment variable references and validates the result; otherwise, throws an error.
    * @returns {object} - The loaded configuration data.
    * @throws {Error} - If the configuration file is not found.
+   * @throws {ConfigError} - If a file cannot be parsed, references unset variables or does not match the schema.
    */
   loadConfig() {
-    if (fs.existsSync(this.configPath)) {
-      this.logger.info(`Loading config from ${this.configPath}`);
-      return JSON.parse(fs.readFileSync(this.configPath, "utf8"));
+    if (!fs.existsSync(this.configPath)) {
+      throw new Error(`Config file not found (${this.configPath})`);
+    }
+
+    this.logger.info(`Loading config from ${this.configPath}`);
+    const { text, data: source } = this.readFile(
+      this.configPath,
+      "Config file"
+    );
+    this.text = text;
+
+    const problems = [];
+    if (source && typeof source === "object" && !Array.isArray(source)) {
+      migrateLegacyIds(source, this.env);
+    }
+    const config = interpolate(source, this.env, "", problems);
+    if (this.schema) {
+      problems.push(...validate(config, this.schema));
+    }
+    if (problems.length > 0) {
+      throw new ConfigError(
+        `Config file ${this.configPath} is invalid`,
+        problems
+      );
     }
 
-    throw new Error(`Config file not found (${this.configPath})`);
+    // Kept to write the environment variable references back instead of their values; the
+    // snapshot is a copy, as set() replaces values in this.config
+    this.source = source;
+    this.resolved = { ...config };
+    return config;
+  }
+
+  /**
+   * Returns the data to save. Top-level values that are unchanged since loading are
+   * written as they appear in the file, with their variable references.
+   * @returns {object} - The data.
+   */
+  serialize() {
+    const unchanged = (key) =>
+      this.source &&
+      Object.prototype.hasOwnProperty.call(this.source, key) &&
+      this.config[key] === this.resolved[key];
+
+    return Object.fromEntries(
+      Object.entries(this.config).map(([key, value]) => [
+        key,
+        unchanged(key) ? this.source[key] : value,
+      ])
+    );
   }
 
   /**
    * Saves the configuration to the specified file atomically.
    * Merges the existing configuration with the provided new configuration before saving.
-   * Uses a temporary file and renames to ensure atomicity.
+   * Uses a temporary file and renames to ensure atomicity. Saves are queued so that
+   * concurrent calls never write the temporary file at the same time.
    * @param {object} newConfig - The new configuration data to merge and save.
+   * @returns {Promise<void>} - Resolves once this configuration is written.
    */
-  async saveConfig(newConfig) {
+  saveConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+    const contents = formatFor(this.configPath).update(
+      this.text || "",
+      this.serialize()
+    );
+    this.text = contents;
+
+    const save = this.pendingSave.then(() => this.writeConfig(contents));
+    this.pendingSave = save.catch(() => {});
+    return save;
+  }
+
+  /**
+   * Writes the serialized configuration through a temporary file.
+   * @param {string} contents - The serialized configuration.
+   */
+  async writeConfig(contents) {
     try {
-      this.config = { ...this.config, ...newConfig };
       const tempPath = `${this.configPath}.tmp`;
 
       // Write to a temporary file first
-      await fs.promises.writeFile(
-        tempPath,
-        JSON.stringify(this.config, null, 2),
-        "utf8"
-      );
+      await fs.promises.writeFile(tempPath, contents, "utf8");
 
-      // Rename the temporary file to replace the original config file atomically
+      // Rename the temporary file to replace the original file atomically
       await fs.promises.rename(tempPath, this.configPath);
 
       this.logger.info(`Config saved atomically to ${this.configPath}`);
@@ -70,14 +244,14 @@ class ConfigManager {
   }
 
   /**
-   * Sets a configuration value for a given key.
-   * Saves the updated configuration to the file after setting the value.
+   * Sets a configuration value for a given key and saves the configuration to the file.
    * @param {string} key - The key of the configuration value to set.
    * @param {*} value - The value to set for the given key.
+   * @returns {Promise<void>} - Resolves once the configuration is saved.
    */
   set(key, value) {
     this.config[key] = value;
-    this.saveConfig(this.config);
+    return this.saveConfig(this.config);
   }
 }
 
@@ -0,0 +1,340 @@
+const crypto = require("crypto");
+const http = require("http");
+const { Logger } = require("winston");
+const { validateIP } = require("./ip/validate");
+const { normalizeRecord, recordKey } = require("./records");
+
+/**
+ * How many hostnames one request may update, as in the dyndns2 protocol.
+ */
+const MAX_HOSTNAMES = 20;
+
+/**
+ * Compares two secrets in constant time, whatever their lengths.
+ * @param {string} a - The first secret.
+ * @param {string} b - The second secret.
+ * @returns {boolean}
+ */
+function sameSecret(a, b) {
+  const digest = (value) =>
+    crypto.createHash("sha256").update(String(value)).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Reads the credentials of a basic Authorization header.
+ * @param {string} [header] - The header value.
+ * @returns {{username: string, password: string}|null} - The credentials, or null if the header is missing or not basic auth.
+ */
+function parseBasicAuth(header) {
+  const match = /^Basic\s+(\S+)$/i.exec(header || "");
+  if (!match) {
+    return null;
+  }
+  const decoded = Buffer.from(match[1], "base64").toString("utf8");
+  const separator = decoded.indexOf(":");
+  return separator === -1
+    ? null
+    : {
+        username: decoded.slice(0, separator),
+        password: decoded.slice(separator + 1),
+      };
+}
+
+/**
+ * Lower-cases a hostname and drops its trailing dot.
+ * @param {string} hostname - The hostname.
+ * @returns {string} - The normalized hostname.
+ */
+function normalizeHostname(hostname) {
+  return hostname.trim().toLowerCase().replace(/\.$/, "");
+}
+
+/**
+ * HTTP server speaking the dyndns2 protocol, so routers and NAS boxes on the LAN can update
+ * records: GET /nic/update?hostname=<names>&myip=<address>, authenticated with basic auth.
+ * Each user may only update the hostnames listed for it, which must be in the zones of the
+ * configured records; the record's provider is the one those records use. Without myip the
+ * detected public IPv4 address is published.
+ *
+ * Each hostname gets one answer line: "good <ip>" once updated, "nochg <ip>" if it already
+ * held the address, "nohost" if the user may not update it or it does not exist (unless
+ * missing records are created), "dnserr" if the provider failed. A request that cannot be
+ * authenticated is answered with "badauth", one without hostnames with "notfqdn", one with
+ * more than 20 with "numhost", and an invalid myip with "badagent", the protocol's answer to
+ * a malformed request.
+ */
+class DynDNSServer {
+  /**
+   * Creates an instance of DynDNSServer.
+   * @param {object} options - The server settings.
+   * @param {DNSUpdater} options.updater - Publishes the addresses, caching the zone and record IDs.
+   * @param {StateStore} options.state - The state store recording the published IPs and the history.
+   * @param {{getPublicIP: function(number): Promise<string>}} options.ipSource - Detects the public IP for requests without myip.
+   * @param {Array<object>} options.records - The configured records, whose zones and providers the hostnames are published in.
+   * @param {Array<{username: string, password: string, hostnames: Array<string>}>} options.users - The users and the hostnames each may update.
+   * @param {boolean} [options.allowPrivate=false] - Whether myip may be a private or reserved address.
+   * @param {Logger} logger - The logger instance.
+   * @throws {Error} - If there are no users or a user's hostname is outside the configured zones.
+   */
+  constructor(
+    { updater, state, ipSource, records, users, allowPrivate = false },
+    logger
+  ) {
+    if (!logger) {
+      throw Error("Logger was not provided to DynDNSServer instance");
+    }
+    if (!Array.isArray(users) || users.length === 0) {
+      throw new Error("The update server needs at least one user");
+    }
+
+    this.updater = updater;
+    this.state = state;
+    this.ipSource = ipSource;
+    this.allowPrivate = allowPrivate;
+    this.logger = logger;
+
+    // Longest zone first, so a hostname is published in the most specific zone
+    const zones = new Map();
+    records.forEach(({ zone, provider }) => {
+      if (!zones.has(zone.toLowerCase())) {
+        zones.set(zone.toLowerCase(), { zone, provider });
+      }
+    });
+    this.zones = [...zones.values()].sort(
+      (a, b) => b.zone.length - a.zone.length
+    );
+
+    this.users = new Map(
+      users.map(({ username, password, hostnames }) => {
+        const allowed = new Set(hostnames.map(normalizeHostname));
+        allowed.forEach((hostname) => {
+          if (!this.zoneFor(hostname)) {
+            throw new Error(
+              `Update server user ${username} may update ${hostname}, which is not in any configured zone`
+            );
+          }
+        });
+        return [username, { password, hostnames: allowed }];
+      })
+    );
+    this.server = http.createServer((req, res) =>
+      this.handle(req, res).catch((error) => {
+        this.logger.error(`Update server: ${error.message}`);
+        if (!res.headersSent) {
+          this.sendText(res, 500, "911");
+        }
+      })
+    );
+  }
+
+  /**
+   * Finds the configured zone a hostname belongs to.
+   * @param {string} hostname - The normalized hostname.
+   * @returns {{zone: string, provider: string}|undefined} - The zone and its provider.
+   */
+  zoneFor(hostname) {
+    return this.zones.find(({ zone }) => {
+      const name = zone.toLowerCase();
+      return hostname === name || hostname.endsWith(`.${name}`);
+    });
+  }
+
+  /**
+   * Builds the record to publish for a hostname.
+   * @param {string} hostname - The normalized hostname, inside a configured zone.
+   * @param {number} family - The address family, which picks an A or AAAA record.
+   * @returns {object} - The normalized record.
+   */
+  recordFor(hostname, family) {
+    const { zone, provider } = this.zoneFor(hostname);
+    const name =
+      hostname.length === zone.length
+        ? "@"
+        : hostname.slice(0, -(zone.length + 1));
+    return normalizeRecord(
+      { zone, name, type: family === 6 ? "AAAA" : "A", provider },
+      0
+    );
+  }
+
+  /**
+   * Publishes an address to one hostname.
+   * @param {string} username - The authenticated user.
+   * @param {string} hostname - The requested hostname.
+   * @param {string} ip - The validated address.
+   * @param {number} family - The address's family.
+   * @returns {Promise<string>} - The dyndns2 answer for the hostname.
+   */
+  async updateHost(username, hostname, ip, family) {
+    const host = normalizeHostname(hostname);
+    if (!this.users.get(username).hostnames.has(host)) {
+      this.logger.warn(
+        `Update server: ${username} may not update ${hostname}`,
+        { user: username, hostname }
+      );
+      return "nohost";
+    }
+
+    const record = this.recordFor(host, family);
+    const key = recordKey(record);
+    try {
+      const zoneId = await this.updater.resolveZoneId(record);
+      const current = await this.updater
+        .clientFor(record)
+        .getRecord(zoneId, record.name, record.type);
+      if (current?.content === ip) {
+        return `nochg ${ip}`;
+      }
+      if (!current && !this.updater.createMissing) {
+        this.logger.warn(`${key}: not found, requested by ${username}`, {
+          record: key,
+          user: username,
+        });
+        return "nohost";
+      }
+
+      const previousIP = current?.content;
+      const started = Date.now();
+      const status = await this.updater.publish(record, ip, previousIP);
+      await this.state.recordChange(key, { ip, previousIP, status });
+      this.logger.info(`${key}: ${status} with ${ip} for ${username}`, {
+        record: key,
+        zone: record.zone,
+        previousIP,
+        ip,
+        user: username,
+        duration: Date.now() - started,
+      });
+      return `good ${ip}`;
+    } catch (error) {
+      this.logger.error(`${key}: ${error.message}`, {
+        record: key,
+        zone: record.zone,
+        user: username,
+        errorCodes: error.codes,
+      });
+      return "dnserr";
+    }
+  }
+
+  /**
+   * Handles a request.
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   * @returns {Promise<void>}
+   */
+  async handle(req, res) {
+    let url;
+    try {
+      url = new URL(req.url, "http://localhost");
+    } catch {
+      this.sendText(res, 400, "badagent");
+      return;
+    }
+    if (url.pathname !== "/nic/update") {
+      this.sendText(res, 404, "Not found");
+      return;
+    }
+    if (req.method !== "GET") {
+      res.writeHead(405, { Allow: "GET" });
+      res.end();
+      return;
+    }
+
+    const credentials = parseBasicAuth(req.headers.authorization);
+    const user = credentials && this.users.get(credentials.username);
+    if (!user || !sameSecret(user.password, credentials.password)) {
+      this.logger.warn(
+        `Update server: rejected credentials from ${req.socket.remoteAddress}`,
+        { user: credentials?.username }
+      );
+      this.sendText(res, 401, "badauth", {
+        "WWW-Authenticate": 'Basic realm="Nimbus DDNS"',
+      });
+      return;
+    }
+
+    const hostnames = (url.searchParams.get("hostname") || "")
+      .split(",")
+      .filter((hostname) => hostname.trim());
+    if (hostnames.length === 0) {
+      this.sendText(res, 400, "notfqdn");
+      return;
+    }
+    if (hostnames.length > MAX_HOSTNAMES) {
+      this.sendText(res, 400, "numhost");
+      return;
+    }
+
+    let ip = url.searchParams.get("myip");
+    let family;
+    try {
+      if (ip) {
+        family = ip.includes(":") ? 6 : 4;
+        ip = validateIP(ip, family, { allowPrivate: this.allowPrivate });
+      } else {
+        family = 4;
+        ip = await this.ipSource.getPublicIP(family);
+      }
+    } catch (error) {
+      this.logger.warn(`Update server: ${error.message}`, {
+        user: credentials.username,
+      });
+      this.sendText(res, ip ? 400 : 500, ip ? "badagent" : "911");
+      return;
+    }
+
+    const answers = [];
+    for (const hostname of hostnames) {
+      answers.push(
+        await this.updateHost(credentials.username, hostname, ip, family)
+      );
+    }
+    this.sendText(res, 200, answers.join("\n"));
+  }
+
+  /**
+   * Sends a plain-text response.
+   * @param {http.ServerResponse} res - The response.
+   * @param {number} statusCode - The HTTP status code.
+   * @param {string} body - The body.
+   * @param {object} [headers] - Additional headers.
+   */
+  sendText(res, statusCode, body, headers = {}) {
+    res.writeHead(statusCode, {
+      "Content-Type": "text/plain; charset=utf-8",
+      ...headers,
+    });
+    res.end(body);
+  }
+
+  /**
+   * Starts listening.
+   * @param {number} port - The port; 0 picks a free one.
+   * @param {string} [host="0.0.0.0"] - The address to listen on; every IPv4 address by default, so devices on the LAN can reach it.
+   * @returns {Promise<string>} - The server's URL.
+   */
+  listen(port, host = "0.0.0.0") {
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener("error", reject);
+        const address = this.server.address();
+        this.url = `http://${host.includes(":") ? `[${host}]` : host}:${address.port}`;
+        this.logger.info(`Update server listening on ${this.url}`);
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stops listening.
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+}
+
+module.exports = DynDNSServer;
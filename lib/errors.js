@@ -0,0 +1,198 @@
+/**
+ * Cloudflare error codes meaning that the requested zone or record does not exist.
+ * 7003: "Could not route to ..., perhaps your object identifier is invalid?"
+ * 81044: "Record does not exist."
+ */
+const NOT_FOUND_CODES = [7003, 81044];
+
+/**
+ * Network error codes raised before a request was sent, so it cannot have been applied.
+ */
+const UNSENT_NETWORK_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+/**
+ * Network error codes for failures that are usually temporary. A request failing with one
+ * of these may still have reached the API.
+ */
+const TRANSIENT_NETWORK_CODES = [
+  ...UNSENT_NETWORK_CODES,
+  "ECONNABORTED",
+  "ECONNRESET",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "EPIPE",
+  "ERR_NETWORK",
+  "ETIMEDOUT",
+];
+
+/**
+ * Parses a Retry-After header, given either in seconds or as an HTTP date.
+ * @param {string} [value] - The header value.
+ * @returns {number|undefined} - The requested delay in milliseconds.
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(seconds, 0) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Error returned by the Cloudflare API.
+ * Carries the HTTP status and the errors[] list from Cloudflare's response envelope.
+ */
+class CloudflareError extends Error {
+  /**
+   * Creates an instance of CloudflareError.
+   * @param {string} message - The error message.
+   * @param {object} [details] - Details from the API response.
+   * @param {number} [details.status] - The HTTP status code.
+   * @param {Array<{code: number, message: string}>} [details.errors] - The errors reported by Cloudflare.
+   * @param {number} [details.retryAfter] - The delay the API asked for before retrying, in milliseconds.
+   */
+  constructor(message, { status, errors = [], retryAfter } = {}) {
+    super(message);
+    this.name = "CloudflareError";
+    this.status = status;
+    this.errors = errors;
+    this.retryAfter = retryAfter;
+  }
+
+  /**
+   * Creates a CloudflareError from an HTTP response.
+   * The message lists the errors reported by Cloudflare with their codes, after the given message if any.
+   * @param {object} response - The axios response.
+   * @param {string} [message] - The error message.
+   * @returns {CloudflareError} - The error.
+   */
+  static fromResponse(response, message) {
+    const errors = response.data?.errors || [];
+    const reported = errors
+      .map((error) => `${error.message} (code ${error.code})`)
+      .join("; ");
+    const summary =
+      message && reported ? `${message}: ${reported}` : message || reported;
+
+    return new CloudflareError(
+      summary || `Cloudflare API request failed with status ${response.status}`,
+      {
+        status: response.status,
+        errors,
+        retryAfter: parseRetryAfter(response.headers?.["retry-after"]),
+      }
+    );
+  }
+
+  /**
+   * The codes of the errors reported by Cloudflare.
+   * @returns {Array<number>}
+   */
+  get codes() {
+    return this.errors.map((error) => error.code);
+  }
+
+  /**
+   * Whether the error means the zone or record no longer exists.
+   * @returns {boolean}
+   */
+  get isNotFound() {
+    return (
+      this.status === 404 ||
+      this.errors.some((error) => NOT_FOUND_CODES.includes(error.code))
+    );
+  }
+
+  /**
+   * Whether the request may succeed if sent again: rate limits, timeouts and server errors.
+   * @returns {boolean}
+   */
+  get retryable() {
+    return this.status === 408 || this.status === 429 || this.status >= 500;
+  }
+}
+
+/**
+ * Error for invalid command-line usage, such as an unknown command or option.
+ */
+class UsageError extends Error {
+  /**
+   * Creates an instance of UsageError.
+   * @param {string} message - The error message.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * Error for a missing, unreadable or invalid configuration.
+ * Carries every problem found, so they can be reported together.
+ */
+class ConfigError extends Error {
+  /**
+   * Creates an instance of ConfigError.
+   * @param {string} message - The error message.
+   * @param {Array<string>} [problems] - The individual problems found.
+   */
+  constructor(message, problems = []) {
+    super(message);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+/**
+ * Error for a zone or record lookup that found nothing, or more than one match where
+ * exactly one was expected.
+ */
+class LookupError extends Error {
+  /**
+   * Creates an instance of LookupError.
+   * @param {string} message - The error message.
+   * @param {object} details - What went wrong.
+   * @param {string} details.reason - "not_found" or "ambiguous".
+   * @param {Array<string>} [details.matches] - The IDs of the matches, when ambiguous.
+   */
+  constructor(message, { reason, matches = [] }) {
+    super(message);
+    this.name = "LookupError";
+    this.reason = reason;
+    this.matches = matches;
+  }
+}
+
+/**
+ * Whether a failed request is worth retrying. A request that is not idempotent, such as
+ * creating a record, is only sent again when the failure proves it was not applied: a rate
+ * limit, a request timeout, or a connection that could not be opened. Otherwise a create
+ * whose response timed out would create the record twice.
+ * @param {Error} error - The error thrown by the request.
+ * @param {object} [options] - The request's properties.
+ * @param {boolean} [options.idempotent=true] - Whether sending the request twice has the same effect as sending it once.
+ * @returns {boolean}
+ */
+function isRetryableError(error, { idempotent = true } = {}) {
+  if (error instanceof CloudflareError) {
+    return idempotent
+      ? error.retryable
+      : error.status === 408 || error.status === 429;
+  }
+  return (idempotent ? TRANSIENT_NETWORK_CODES : UNSENT_NETWORK_CODES).includes(
+    error?.code
+  );
+}
+
+module.exports = {
+  CloudflareError,
+  ConfigError,
+  LookupError,
+  UsageError,
+  isRetryableError,
+  parseRetryAfter,
+};
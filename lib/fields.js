@@ -0,0 +1,13 @@
+/**
+ * Reads a value from an object by a dotted path, e.g. "error.message".
+ * @param {object} data - The object to read from.
+ * @param {string} path - The dotted path.
+ * @returns {*} - The value, or undefined if the path does not exist.
+ */
+function getField(data, path) {
+  return path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+module.exports = { getField };
@@ -0,0 +1,212 @@
+const path = require("path");
+const TOML = require("smol-toml");
+const YAML = require("yaml");
+
+/**
+ * Whether two parsed values are equal.
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean}
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Returns the top-level keys whose values differ between two objects, including removed keys.
+ * @param {object} previous - The data in the file.
+ * @param {object} data - The data to write.
+ * @returns {Array<string>} - The changed keys.
+ */
+function changedKeys(previous, data) {
+  return [...new Set([...Object.keys(previous), ...Object.keys(data)])].filter(
+    (key) => !sameValue(previous[key], data[key])
+  );
+}
+
+/**
+ * Adds the line and column to a JSON syntax error, which only reports the character position.
+ * @param {SyntaxError} error - The error thrown by JSON.parse.
+ * @param {string} text - The parsed text.
+ * @returns {string} - The error message.
+ */
+function describeJSONError(error, text) {
+  const position = /at position (\d+)/.exec(error.message);
+  if (!position) {
+    return error.message;
+  }
+  const lines = text.slice(0, Number(position[1])).split("\n");
+  return `${error.message} (line ${lines.length}, column ${lines[lines.length - 1].length + 1})`;
+}
+
+/**
+ * Returns the name of the top-level key a TOML table header or dotted key starts with,
+ * e.g. "recordIds" for [recordIds] or "a.b" for ["a.b".c].
+ * @param {string} key - The key, without brackets.
+ * @returns {string} - The top-level key.
+ */
+function topLevelTOMLKey(key) {
+  const quoted = /^\s*(["'])((?:\\.|(?!\1).)*)\1/.exec(key);
+  if (quoted) {
+    return quoted[1] === '"' ? JSON.parse(`"${quoted[2]}"`) : quoted[2];
+  }
+  return key.split(".")[0].trim();
+}
+
+/**
+ * Rewrites the top-level keys of a TOML document that changed, keeping every other line, with
+ * its comments, where it is. Changed values and tables are replaced where they were; new values
+ * are added before the first table and new tables at the end.
+ * @param {string} text - The current document.
+ * @param {object} data - The data to write.
+ * @returns {string|null} - The new document, or null if a changed value spans several lines.
+ */
+function updateTOML(text, data) {
+  const changed = new Set(changedKeys(TOML.parse(text), data));
+  const header = /^\s*\[\[?\s*(.+?)\s*\]\]?\s*(#.*)?$/;
+  const assignment =
+    /^\s*((?:"[^"]*"|'[^']*'|[A-Za-z0-9_-]+)(?:\s*\.\s*(?:"[^"]*"|'[^']*'|[A-Za-z0-9_-]+))*)\s*=/;
+  const isTable = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+  const render = (key) =>
+    TOML.stringify({ [key]: data[key] })
+      .trim()
+      .split("\n");
+  const pending = new Set(
+    [...changed].filter((key) => data[key] !== undefined)
+  );
+
+  const kept = [];
+  let inTable = false;
+  let dropping = false;
+  for (const line of text.split("\n")) {
+    const table = header.exec(line);
+    if (table) {
+      const key = topLevelTOMLKey(table[1]);
+      inTable = true;
+      dropping = changed.has(key);
+      if (dropping && pending.has(key) && isTable(data[key])) {
+        kept.push(...render(key), "");
+        pending.delete(key);
+      }
+    } else if (!inTable) {
+      const match = assignment.exec(line);
+      const key = match && topLevelTOMLKey(match[1]);
+      if (key && changed.has(key)) {
+        try {
+          TOML.parse(line);
+        } catch {
+          return null;
+        }
+        if (pending.has(key) && !isTable(data[key])) {
+          kept.push(...render(key));
+          pending.delete(key);
+        }
+        continue;
+      }
+    }
+    if (!dropping) {
+      kept.push(line);
+    }
+  }
+
+  const values = [...pending].filter((key) => !isTable(data[key]));
+  if (values.length > 0) {
+    let at = kept.findIndex((line) => header.test(line));
+    at = at === -1 ? kept.length : at;
+    while (at > 0 && /^\s*(#.*)?$/.test(kept[at - 1])) {
+      at--;
+    }
+    kept.splice(at, 0, ...values.flatMap(render));
+  }
+
+  let result = kept.join("\n").replace(/\n*$/, "\n");
+  for (const key of [...pending].filter((key) => isTable(data[key]))) {
+    result += `\n${render(key).join("\n")}\n`;
+  }
+  return result;
+}
+
+/**
+ * The supported file formats, keyed by name. Each parses a document into plain data and
+ * writes data back over an existing document, keeping its comments and key order where the
+ * format has them.
+ */
+const FORMATS = {
+  JSON: {
+    extensions: [".json"],
+    parse(text) {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw new Error(describeJSONError(error, text));
+      }
+    },
+    update(text, data) {
+      const indent = /^([ \t]+)"/m.exec(text)?.[1] || 2;
+      const newline = text.endsWith("\n") ? "\n" : "";
+      return `${JSON.stringify(data, null, indent)}${newline}`;
+    },
+  },
+
+  YAML: {
+    extensions: [".yaml", ".yml"],
+    parse(text) {
+      const document = YAML.parseDocument(text);
+      if (document.errors.length > 0) {
+        throw new Error(
+          document.errors[0].message.split("\n")[0].replace(/:$/, "")
+        );
+      }
+      return document.toJS() ?? {};
+    },
+    update(text, data) {
+      const document = YAML.parseDocument(text);
+      if (!YAML.isMap(document.contents)) {
+        return YAML.stringify(data);
+      }
+      for (const key of changedKeys(document.toJS(), data)) {
+        if (data[key] === undefined) {
+          document.delete(key);
+        } else {
+          document.set(key, data[key]);
+        }
+      }
+      return document.toString();
+    },
+  },
+
+  TOML: {
+    extensions: [".toml"],
+    parse(text) {
+      try {
+        return TOML.parse(text);
+      } catch (error) {
+        const message = error.message.split("\n")[0];
+        throw new Error(
+          error.line
+            ? `${message} (line ${error.line}, column ${error.column})`
+            : message
+        );
+      }
+    },
+    update(text, data) {
+      return (text.trim() && updateTOML(text, data)) || TOML.stringify(data);
+    },
+  },
+};
+
+/**
+ * Returns the format of a file from its extension; files with other extensions are read as JSON.
+ * @param {string} filePath - The file path.
+ * @returns {{name: string, parse: function(string): object, update: function(string, object): string}} - The format.
+ */
+function formatFor(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const [name, format] = Object.entries(FORMATS).find(([, { extensions }]) =>
+    extensions.includes(extension)
+  ) || ["JSON", FORMATS.JSON];
+  return { name, ...format };
+}
+
+module.exports = { FORMATS, formatFor };
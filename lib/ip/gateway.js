@@ -0,0 +1,174 @@
+const axios = require("axios");
+const fs = require("fs");
+const udpRequest = require("../udp");
+
+const SSDP_ADDRESS = "239.255.255.250";
+const SSDP_PORT = 1900;
+const IGD_SEARCH_TARGET = "urn:schemas-upnp-org:device:InternetGatewayDevice:1";
+const WAN_SERVICE_PATTERN =
+  /^urn:schemas-upnp-org:service:WAN(IP|PPP)Connection:\d$/;
+const NATPMP_PORT = 5351;
+
+/**
+ * Reads the IPv4 default gateway from the Linux routing table.
+ * @returns {string|null} - The gateway address, or null if it cannot be determined.
+ */
+function defaultGateway() {
+  let table;
+  try {
+    table = fs.readFileSync("/proc/net/route", "utf8");
+  } catch {
+    return null;
+  }
+
+  for (const line of table.trim().split("\n").slice(1)) {
+    const [, destination, gateway] = line.trim().split(/\s+/);
+    if (destination === "00000000" && gateway && gateway !== "00000000") {
+      // The table stores addresses as little-endian hex
+      return Buffer.from(gateway, "hex").reverse().join(".");
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the text content of the first matching XML element.
+ * @param {string} xml - The XML document or fragment.
+ * @param {string} tag - The element name, without namespace prefix.
+ * @returns {string|undefined} - The trimmed content.
+ */
+function xmlValue(xml, tag) {
+  const match = xml.match(
+    new RegExp(`<(?:\\w+:)?${tag}>([^<]*)</(?:\\w+:)?${tag}>`)
+  );
+  return match?.[1].trim();
+}
+
+/**
+ * Discovers the Internet Gateway Device over SSDP.
+ * @param {object} options - The discovery settings.
+ * @returns {Promise<string>} - The location URL of the device description.
+ */
+function discoverGateway({
+  ssdpAddress = SSDP_ADDRESS,
+  ssdpPort = SSDP_PORT,
+  timeout,
+}) {
+  const message = Buffer.from(
+    [
+      "M-SEARCH * HTTP/1.1",
+      `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+      'MAN: "ssdp:discover"',
+      "MX: 2",
+      `ST: ${IGD_SEARCH_TARGET}`,
+      "",
+      "",
+    ].join("\r\n")
+  );
+
+  return udpRequest({
+    message,
+    address: ssdpAddress,
+    port: ssdpPort,
+    timeout,
+    accept: (reply) =>
+      reply
+        .toString()
+        .split("\r\n")
+        .find((line) => /^location:/i.test(line))
+        ?.slice("location:".length)
+        .trim(),
+  });
+}
+
+/**
+ * Asks the gateway for its external IPv4 address over UPnP IGD.
+ * Discovers the gateway with SSDP (unless a description location is configured), finds its
+ * WANIPConnection or WANPPPConnection service and calls GetExternalIPAddress.
+ * @param {object} [options] - The UPnP settings.
+ * @param {string} [options.location] - The device description URL, skipping SSDP discovery.
+ * @param {string} [options.ssdpAddress="239.255.255.250"] - The address M-SEARCH requests are sent to.
+ * @param {number} [options.ssdpPort=1900] - The port M-SEARCH requests are sent to.
+ * @param {number} [options.timeout=5000] - The timeout for each step, in milliseconds.
+ * @returns {Promise<string>} - The external address reported by the gateway.
+ * @throws {Error} - If no gateway responds or it has no WAN connection service.
+ */
+async function upnpExternalIP({ location, timeout = 5000, ...options } = {}) {
+  const descriptionURL =
+    location || (await discoverGateway({ ...options, timeout }));
+  const { data: description } = await axios.get(descriptionURL, {
+    timeout,
+    responseType: "text",
+  });
+
+  const service = (description.match(/<service>[\s\S]*?<\/service>/g) || [])
+    .map((block) => ({
+      type: xmlValue(block, "serviceType"),
+      controlURL: xmlValue(block, "controlURL"),
+    }))
+    .find((entry) => WAN_SERVICE_PATTERN.test(entry.type || ""));
+  if (!service?.controlURL) {
+    throw new Error("Gateway does not provide a WAN connection service");
+  }
+
+  const baseURL = xmlValue(description, "URLBase") || descriptionURL;
+  const action = "GetExternalIPAddress";
+  const { data: reply } = await axios.post(
+    new URL(service.controlURL, baseURL).toString(),
+    '<?xml version="1.0"?>' +
+      '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">' +
+      `<s:Body><u:${action} xmlns:u="${service.type}"/></s:Body>` +
+      "</s:Envelope>",
+    {
+      timeout,
+      responseType: "text",
+      headers: {
+        "Content-Type": 'text/xml; charset="utf-8"',
+        SOAPAction: `"${service.type}#${action}"`,
+      },
+    }
+  );
+
+  return xmlValue(reply, "NewExternalIPAddress");
+}
+
+/**
+ * Asks the gateway for its external IPv4 address over NAT-PMP (RFC 6886).
+ * @param {object} [options] - The NAT-PMP settings.
+ * @param {string} [options.gateway] - The gateway address; defaults to the system's default gateway.
+ * @param {number} [options.port=5351] - The NAT-PMP port.
+ * @param {number} [options.timeout=5000] - How long to wait for a reply, in milliseconds.
+ * @returns {Promise<string>} - The external address reported by the gateway.
+ * @throws {Error} - If the gateway is unknown, does not respond or reports an error.
+ */
+function natpmpExternalIP({
+  gateway = defaultGateway(),
+  port = NATPMP_PORT,
+  timeout = 5000,
+} = {}) {
+  if (!gateway) {
+    return Promise.reject(
+      new Error("Unable to determine the default gateway for NAT-PMP")
+    );
+  }
+
+  return udpRequest({
+    // Version 0, opcode 0: external address request
+    message: Buffer.from([0, 0]),
+    address: gateway,
+    port,
+    timeout,
+    accept: (reply) => {
+      if (reply.length < 12 || reply[0] !== 0 || reply[1] !== 128) {
+        return undefined;
+      }
+      const resultCode = reply.readUInt16BE(2);
+      if (resultCode !== 0) {
+        throw new Error(`NAT-PMP gateway returned result code ${resultCode}`);
+      }
+      return reply.subarray(8, 12).join(".");
+    },
+  });
+}
+
+module.exports = { defaultGateway, natpmpExternalIP, upnpExternalIP };
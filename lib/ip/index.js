@@ -0,0 +1,107 @@
+const { Logger } = require("winston");
+const { DEFAULT_PROVIDERS, createProvider } = require("./providers");
+const { validateIP } = require("./validate");
+
+/**
+ * Detects the public IP address using an ordered list of providers.
+ * By default the first provider to return a valid address wins. With a consensus of N,
+ * providers are queried in order until N of them report the same address.
+ */
+class IPDetector {
+  /**
+   * Creates an instance of IPDetector.
+   * @param {object} [options] - The detection settings.
+   * @param {Array<object>} [options.providers] - Provider configurations; defaults to public HTTP services.
+   * @param {number} [options.consensus=1] - How many providers must report the same address.
+   * @param {boolean} [options.allowPrivate=false] - Whether private and reserved addresses are accepted.
+   * @param {Logger} logger - The logger instance.
+   * @throws {Error} - If a provider configuration or the consensus setting is invalid.
+   */
+  constructor({ providers, consensus = 1, allowPrivate = false } = {}, logger) {
+    if (!logger) {
+      throw Error("Logger was not provided to IPDetector instance");
+    }
+    if (!Number.isInteger(consensus) || consensus < 1) {
+      throw new Error("IP detection consensus must be a positive integer");
+    }
+
+    this.providers = providers ? providers.map(createProvider) : null;
+    this.consensus = consensus;
+    this.allowPrivate = allowPrivate;
+    this.logger = logger;
+  }
+
+  /**
+   * Returns the providers that can report addresses of the given family.
+   * @param {number} family - The address family, 4 or 6.
+   * @returns {Array<object>} - The providers, in order.
+   */
+  providersFor(family) {
+    if (!this.providers) {
+      return DEFAULT_PROVIDERS[family].map(createProvider);
+    }
+    return this.providers.filter(
+      (provider) => !provider.family || provider.family === family
+    );
+  }
+
+  /**
+   * Retrieves the public IP address.
+   * @param {number} [family=4] - The IP address family, either 4 or 6.
+   * @returns {Promise<string>} - The public IP address.
+   * @throws {Error} - If the family is unsupported or not enough providers agree on a valid address.
+   */
+  async getPublicIP(family = 4) {
+    if (family !== 4 && family !== 6) {
+      throw new Error(`Unsupported IP address family: ${family}`);
+    }
+
+    const providers = this.providersFor(family);
+    if (providers.length < this.consensus) {
+      throw new Error(
+        `IP detection needs ${this.consensus} IPv${family} provider(s) to agree but only ${providers.length} are configured`
+      );
+    }
+
+    const votes = new Map();
+    const failures = [];
+
+    for (const provider of providers) {
+      this.logger.http(
+        `GET: Fetching public IPv${family} address from ${provider.name}...`
+      );
+
+      let ip;
+      try {
+        ip = validateIP(await provider.getIP(family), family, {
+          allowPrivate: this.allowPrivate,
+        });
+      } catch (error) {
+        this.logger.warn(
+          `IP provider ${provider.name} failed: ${error.message}`
+        );
+        failures.push(`${provider.name}: ${error.message}`);
+        continue;
+      }
+
+      const count = (votes.get(ip) || 0) + 1;
+      votes.set(ip, count);
+      if (count >= this.consensus) {
+        return ip;
+      }
+    }
+
+    if (votes.size > 0) {
+      const reported = [...votes.keys()].join(", ");
+      throw new Error(
+        `IP providers did not agree on a public IPv${family} address (need ${this.consensus}, got ${reported})`
+      );
+    }
+
+    throw new Error(
+      `Unable to detect public IPv${family} address (${failures.join("; ")})`
+    );
+  }
+}
+
+module.exports = IPDetector;
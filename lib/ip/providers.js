@@ -0,0 +1,156 @@
+const axios = require("axios");
+const os = require("os");
+const { getField } = require("../fields");
+const { isBogon } = require("./validate");
+const { natpmpExternalIP, upnpExternalIP } = require("./gateway");
+
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Default providers for each address family, queried in order.
+ */
+const DEFAULT_PROVIDERS = {
+  4: [
+    { type: "http", url: "https://ipv4.icanhazip.com" },
+    { type: "http", url: "https://api.ipify.org" },
+  ],
+  6: [
+    { type: "http", url: "https://ipv6.icanhazip.com" },
+    { type: "http", url: "https://api6.ipify.org" },
+  ],
+};
+
+/**
+ * Cloudflare trace endpoints for each address family.
+ */
+const CLOUDFLARE_TRACE_URLS = {
+  4: "https://1.1.1.1/cdn-cgi/trace",
+  6: "https://[2606:4700:4700::1111]/cdn-cgi/trace",
+};
+
+/**
+ * Provider kinds. Each kind validates its settings (returning an error message or null),
+ * names the provider for log messages and returns the raw address reported for an address family.
+ * Kinds that can only report one address family declare it.
+ */
+const PROVIDER_KINDS = {
+  /**
+   * Fetches a plain-text endpoint that returns the address as its body.
+   */
+  http: {
+    validate: (spec) => (spec.url ? null : "url is required"),
+    name: (spec) => spec.url,
+    async getIP(spec) {
+      const response = await axios.get(spec.url, {
+        timeout: spec.timeout || DEFAULT_TIMEOUT,
+        responseType: "text",
+      });
+      return String(response.data).trim();
+    },
+  },
+
+  /**
+   * Fetches a JSON endpoint and reads the address from a field path.
+   */
+  json: {
+    validate: (spec) =>
+      spec.url && spec.field ? null : "url and field are required",
+    name: (spec) => spec.url,
+    async getIP(spec) {
+      const response = await axios.get(spec.url, {
+        timeout: spec.timeout || DEFAULT_TIMEOUT,
+      });
+      return getField(response.data, spec.field);
+    },
+  },
+
+  /**
+   * Fetches Cloudflare's /cdn-cgi/trace endpoint and reads its "ip=" line.
+   */
+  "cloudflare-trace": {
+    validate: () => null,
+    name: (spec) => spec.url || "cloudflare-trace",
+    async getIP(spec, family) {
+      const response = await axios.get(
+        spec.url || CLOUDFLARE_TRACE_URLS[family],
+        { timeout: spec.timeout || DEFAULT_TIMEOUT, responseType: "text" }
+      );
+      const line = String(response.data)
+        .split("\n")
+        .find((entry) => entry.startsWith("ip="));
+      return line?.slice(3).trim();
+    },
+  },
+
+  /**
+   * Reads an address of the requested family from a local network interface,
+   * preferring a publicly routable one over link-local or private addresses.
+   */
+  interface: {
+    validate: (spec) => (spec.interface ? null : "interface is required"),
+    name: (spec) => `interface:${spec.interface}`,
+    async getIP(spec, family) {
+      const addresses = os.networkInterfaces()[spec.interface];
+      if (!addresses) {
+        throw new Error(`Network interface ${spec.interface} not found`);
+      }
+      const candidates = addresses
+        .filter(
+          (address) =>
+            address.family === `IPv${family}` || address.family === family
+        )
+        .map((address) => address.address);
+      return candidates.find((address) => !isBogon(address)) || candidates[0];
+    },
+  },
+
+  /**
+   * Asks the LAN gateway for its WAN address over UPnP IGD.
+   */
+  upnp: {
+    family: 4,
+    validate: () => null,
+    name: (spec) => spec.location || "upnp",
+    getIP: (spec) => upnpExternalIP(spec),
+  },
+
+  /**
+   * Asks the LAN gateway for its WAN address over NAT-PMP.
+   */
+  natpmp: {
+    family: 4,
+    validate: () => null,
+    name: (spec) => (spec.gateway ? `natpmp:${spec.gateway}` : "natpmp"),
+    getIP: (spec) => natpmpExternalIP(spec),
+  },
+};
+
+/**
+ * Creates an IP provider from its configuration.
+ * @param {object} spec - The provider configuration.
+ * @param {string} spec.type - The provider kind: "http", "json", "cloudflare-trace", "interface", "upnp" or "natpmp".
+ * @param {string} [spec.name] - A name used in log messages.
+ * @param {number} [spec.family] - Restricts the provider to one address family, 4 or 6.
+ * @param {number} [spec.timeout=5000] - The request timeout in milliseconds.
+ * @returns {{name: string, family?: number, getIP: function(number): Promise<*>}} - The provider.
+ * @throws {Error} - If the provider kind is unknown or a required setting is missing.
+ */
+function createProvider(spec) {
+  const kind = PROVIDER_KINDS[spec?.type];
+  if (!kind) {
+    throw new Error(`Unknown IP provider type: ${spec?.type}`);
+  }
+
+  const problem = kind.validate(spec);
+  if (problem) {
+    throw new Error(`Invalid ${spec.type} IP provider: ${problem}`);
+  }
+
+  return {
+    name: spec.name || kind.name(spec),
+    family: spec.family ?? kind.family,
+    getIP: (family) => kind.getIP(spec, family),
+  };
+}
+
+module.exports = { DEFAULT_PROVIDERS, PROVIDER_KINDS, createProvider };
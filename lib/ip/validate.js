@@ -0,0 +1,89 @@
+const net = require("net");
+
+/**
+ * Private, reserved and otherwise non-routable ranges that must never be published.
+ */
+const BOGON_RANGES = {
+  4: [
+    ["0.0.0.0", 8],
+    ["10.0.0.0", 8],
+    ["100.64.0.0", 10],
+    ["127.0.0.0", 8],
+    ["169.254.0.0", 16],
+    ["172.16.0.0", 12],
+    ["192.0.0.0", 24],
+    ["192.0.2.0", 24],
+    ["192.168.0.0", 16],
+    ["198.18.0.0", 15],
+    ["198.51.100.0", 24],
+    ["203.0.113.0", 24],
+    ["224.0.0.0", 4],
+    ["240.0.0.0", 4],
+  ],
+  6: [
+    ["::", 128],
+    ["::1", 128],
+    ["::ffff:0:0", 96],
+    ["64:ff9b::", 96],
+    ["100::", 64],
+    ["2001:db8::", 32],
+    ["fc00::", 7],
+    ["fe80::", 10],
+    ["ff00::", 8],
+  ],
+};
+
+// One list per family: a single BlockList would also match IPv4 addresses
+// against the IPv4-mapped and NAT64 IPv6 ranges.
+const bogons = {};
+for (const [family, ranges] of Object.entries(BOGON_RANGES)) {
+  bogons[family] = new net.BlockList();
+  for (const [address, prefix] of ranges) {
+    bogons[family].addSubnet(address, prefix, `ipv${family}`);
+  }
+}
+
+/**
+ * Returns the address family of an IP address.
+ * @param {string} ip - The IP address.
+ * @returns {number} - 4 or 6, or 0 if the value is not a valid IP address.
+ */
+function ipFamily(ip) {
+  return typeof ip === "string" ? net.isIP(ip) : 0;
+}
+
+/**
+ * Whether an IP address falls in a private, reserved or otherwise non-routable range.
+ * @param {string} ip - A valid IP address.
+ * @returns {boolean}
+ */
+function isBogon(ip) {
+  const family = ipFamily(ip);
+  return family !== 0 && bogons[family].check(ip, `ipv${family}`);
+}
+
+/**
+ * Validates an IP address reported by a provider.
+ * @param {string} ip - The reported address.
+ * @param {number} family - The expected address family, 4 or 6.
+ * @param {object} [options] - Validation settings.
+ * @param {boolean} [options.allowPrivate=false] - Whether private and reserved addresses are accepted.
+ * @returns {string} - The validated address.
+ * @throws {Error} - If the address is invalid, of the wrong family or not publicly routable.
+ */
+function validateIP(ip, family, { allowPrivate = false } = {}) {
+  const actual = ipFamily(ip);
+  if (actual === 0) {
+    const preview = String(ip).slice(0, 40);
+    throw new Error(`Invalid IP address: "${preview}"`);
+  }
+  if (actual !== family) {
+    throw new Error(`Expected an IPv${family} address but got ${ip}`);
+  }
+  if (!allowPrivate && isBogon(ip)) {
+    throw new Error(`Refusing to use private or reserved address ${ip}`);
+  }
+  return ip;
+}
+
+module.exports = { ipFamily, isBogon, validateIP };
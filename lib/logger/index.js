@@ -0,0 +1,116 @@
+const winston = require("winston");
+const { Redactor } = require("./redact");
+const { RotatingFileTransport } = require("./rotating-file");
+const { SEVERITIES, SyslogTransport } = require("./syslog");
+
+const LOG_FORMATS = ["text", "json"];
+
+/**
+ * Formats log entries as lines: "<timestamp> [LEVEL] message" for text, or one JSON object
+ * with the timestamp, level, message and the entry's fields (record, zone, IPs, ...).
+ * @param {string} format - "text" or "json".
+ * @param {object} [options] - Line settings.
+ * @param {boolean} [options.journald=false] - Whether lines start with the syslog severity as <N>, which journald reads as the priority; text lines then leave the timestamp to journald.
+ * @returns {winston.Logform.Format} - The format.
+ */
+function lineFormat(format, { journald = false } = {}) {
+  const prefix = ({ level }) =>
+    journald ? `<${SEVERITIES[level] ?? SEVERITIES.info}>` : "";
+  if (format === "json") {
+    return winston.format.printf(
+      (info) => `${prefix(info)}${JSON.stringify(info)}`
+    );
+  }
+  return winston.format.printf((info) =>
+    journald
+      ? `${prefix(info)}${info.message}`
+      : `${info.timestamp} [${info.level.toUpperCase()}] ${info.message}`
+  );
+}
+
+/**
+ * Creates a Winston logger instance.
+ * This function configures a logger that writes to both the console and a file, and
+ * optionally to syslog. Secrets known to the redactor are removed from every entry first.
+ * @param {string} logPath - The path to the log file.
+ * @param {string} [logLevel="info"] - The minimum log level to record. Must be one of 'error', 'warn', 'info', 'http', 'verbose', or 'debug'.
+ * @param {object} [options] - Additional logger settings.
+ * @param {boolean} [options.stderr=false] - Whether console messages go to stderr, keeping stdout free for command output.
+ * @param {string} [options.format="text"] - "text" for plain lines, or "json" for one JSON object per line.
+ * @param {boolean} [options.journald=false] - Whether console lines are written for journald: prefixed with their priority and without a timestamp.
+ * @param {number|string} [options.maxSize] - Rotate the log file once it reaches this size, in bytes or with a k, M or G suffix.
+ * @param {number} [options.maxAge] - Rotate the log file once it is older than this, in milliseconds.
+ * @param {number} [options.maxFiles] - How many rotated log files to keep (5 by default).
+ * @param {string} [options.syslog] - Also send entries to syslog: udp://host[:port], tcp://host[:port] or unix:///path.
+ * @param {string} [options.syslogFacility] - The syslog facility name ("daemon" by default).
+ * @param {Redactor} [options.redactor] - Removes secrets from the entries.
+ * @returns {winston.Logger} - A configured Winston logger instance.
+ * @throws {Error} - If logPath is not a non-empty string or if logLevel, the format or a rotation or syslog setting is invalid.
+ **/
+function createLogger(
+  logPath,
+  logLevel = "info",
+  {
+    stderr = false,
+    format = "text",
+    journald = false,
+    maxSize,
+    maxAge,
+    maxFiles,
+    syslog,
+    syslogFacility,
+    redactor = new Redactor(),
+  } = {}
+) {
+  if (!logPath || typeof logPath !== "string" || logPath.trim() === "") {
+    throw new Error("logPath must be a non-empty string");
+  }
+
+  const validLogLevels = ["error", "warn", "info", "http", "verbose", "debug"];
+  if (!validLogLevels.includes(logLevel)) {
+    throw new Error(
+      `Invalid log level. Must be one of: ${validLogLevels.join(", ")}`
+    );
+  }
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(
+      `Invalid log format. Must be one of: ${LOG_FORMATS.join(", ")}`
+    );
+  }
+
+  const transports = [
+    new winston.transports.Console({
+      level: logLevel,
+      stderrLevels: stderr ? validLogLevels : [],
+      format: lineFormat(format, { journald }),
+    }),
+    new RotatingFileTransport({
+      level: logLevel,
+      filename: logPath,
+      maxSize,
+      maxAge,
+      maxFiles,
+      format: lineFormat(format),
+    }),
+  ];
+  if (syslog) {
+    transports.push(
+      new SyslogTransport({
+        level: logLevel,
+        url: syslog,
+        facility: syslogFacility,
+      })
+    );
+  }
+
+  return winston.createLogger({
+    level: logLevel,
+    format: winston.format.combine(
+      winston.format((info) => redactor.redactInfo(info))(),
+      winston.format.timestamp()
+    ),
+    transports,
+  });
+}
+
+module.exports = createLogger;
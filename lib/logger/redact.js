@@ -0,0 +1,127 @@
+/**
+ * The text secrets are replaced with.
+ */
+const REDACTED = "[REDACTED]";
+
+/**
+ * Names of environment variables and config settings holding secrets, e.g. API_KEY,
+ * API_TOKEN, apiToken, keySecret or SMTP_PASSWORD.
+ */
+const SECRET_NAME = /(token|secret|password|passphrase|key)$/i;
+
+/**
+ * Credentials that are redacted wherever they appear, even when their value is not known:
+ * bearer tokens and the X-Auth-Key header of the global API key.
+ */
+const SECRET_PATTERNS = [
+  /(Bearer\s+)[^\s"',]+/gi,
+  /(X-Auth-Key["']?\s*[:=]\s*["']?)[^\s"',}]+/gi,
+];
+
+/**
+ * Values shorter than this are not redacted, as they would match too much of every line.
+ */
+const MIN_SECRET_LENGTH = 4;
+
+/**
+ * Collects the values of the settings whose names look like secrets.
+ * @param {object} source - The environment variables or the config data; nested objects and lists are searched.
+ * @returns {Array<string>} - The secret values.
+ */
+function findSecrets(source) {
+  if (!source || typeof source !== "object") {
+    return [];
+  }
+  return Object.entries(source).flatMap(([name, value]) => {
+    if (typeof value === "string") {
+      return SECRET_NAME.test(name) ? [value] : [];
+    }
+    return findSecrets(value);
+  });
+}
+
+/**
+ * Removes secrets from log entries. Secrets can be added after the logger is created, e.g.
+ * once the config file has been read.
+ */
+class Redactor {
+  /**
+   * Creates an instance of Redactor.
+   * @param {Array<string>} [secrets] - The values to redact.
+   */
+  constructor(secrets = []) {
+    this.secrets = [];
+    this.add(...secrets);
+  }
+
+  /**
+   * Adds values to redact. Values that are not strings or are too short are ignored.
+   * @param {...string} secrets - The values.
+   */
+  add(...secrets) {
+    const added = secrets.filter(
+      (secret) =>
+        typeof secret === "string" &&
+        secret.length >= MIN_SECRET_LENGTH &&
+        !this.secrets.includes(secret)
+    );
+    // Longest first, so a secret containing another is replaced as a whole
+    this.secrets = [...this.secrets, ...added].sort(
+      (a, b) => b.length - a.length
+    );
+  }
+
+  /**
+   * Redacts a string.
+   * @param {string} text - The text.
+   * @returns {string} - The text with every secret replaced by "[REDACTED]".
+   */
+  redact(text) {
+    const known = this.secrets.reduce(
+      (result, secret) => result.split(secret).join(REDACTED),
+      text
+    );
+    return SECRET_PATTERNS.reduce(
+      (result, pattern) => result.replace(pattern, `$1${REDACTED}`),
+      known
+    );
+  }
+
+  /**
+   * Redacts every string in a value, including those nested in objects and lists.
+   * @param {*} value - The value.
+   * @returns {*} - A redacted copy of the value.
+   */
+  redactValue(value) {
+    if (typeof value === "string") {
+      return this.redact(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => this.redactValue(item));
+    }
+    if (value && typeof value === "object" && !(value instanceof Date)) {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          this.redactValue(item),
+        ])
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Redacts the message and fields of a Winston log entry in place. Winston's internal
+   * properties are symbols, so they are left alone.
+   * @param {object} info - The log entry.
+   * @returns {object} - The same entry.
+   */
+  redactInfo(info) {
+    for (const key of Object.keys(info)) {
+      info[key] = this.redactValue(info[key]);
+    }
+    return info;
+  }
+}
+
+module.exports = { REDACTED, SECRET_NAME, Redactor, findSecrets };
@@ -0,0 +1,131 @@
+const fs = require("fs");
+const path = require("path");
+const { Transport } = require("winston");
+
+const MESSAGE = Symbol.for("message");
+
+/**
+ * Parses a file size such as 1048576, "512k", "10M" or "1G" (powers of 1024).
+ * @param {number|string} value - The size.
+ * @returns {number} - The size in bytes.
+ * @throws {Error} - If the size is not a positive number with an optional unit.
+ */
+function parseSize(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i.exec(String(value).trim());
+  const bytes = match
+    ? Number(match[1]) * 1024 ** " kmg".indexOf(match[2].toLowerCase() || " ")
+    : NaN;
+  if (!(bytes > 0)) {
+    throw new Error(
+      `Invalid log file size: ${value} (use bytes or a k, M or G suffix)`
+    );
+  }
+  return Math.floor(bytes);
+}
+
+/**
+ * Winston transport appending to a log file, which is rotated once it reaches a size or an
+ * age: the file is renamed to <file>.1, older files move up to .2, .3 and so on, and only
+ * the newest rotated files are kept. Lines are written synchronously, so nothing is lost
+ * when the process exits right after logging.
+ */
+class RotatingFileTransport extends Transport {
+  /**
+   * Creates an instance of RotatingFileTransport.
+   * @param {object} options - The transport settings, plus Winston's level and format.
+   * @param {string} options.filename - The log file.
+   * @param {number|string} [options.maxSize] - Rotate once the file reaches this size, in bytes or with a k, M or G suffix.
+   * @param {number} [options.maxAge] - Rotate once the file is older than this, in milliseconds.
+   * @param {number} [options.maxFiles=5] - How many rotated files to keep.
+   * @throws {Error} - If a setting is invalid.
+   */
+  constructor({ filename, maxSize, maxAge, maxFiles = 5, ...options }) {
+    super(options);
+    if (maxAge !== undefined && !(maxAge > 0)) {
+      throw new Error("Log file age must be a positive number");
+    }
+    if (!Number.isInteger(maxFiles) || maxFiles < 0) {
+      throw new Error("Log file count must be a non-negative integer");
+    }
+
+    this.filename = filename;
+    this.maxSize = maxSize === undefined ? undefined : parseSize(maxSize);
+    this.maxAge = maxAge;
+    this.maxFiles = maxFiles;
+
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+    this.open();
+  }
+
+  /**
+   * Reads the size and start time of the current log file.
+   */
+  open() {
+    try {
+      const stats = fs.statSync(this.filename);
+      this.size = stats.size;
+      this.startedAt = stats.birthtimeMs || stats.mtimeMs;
+    } catch {
+      this.size = 0;
+      this.startedAt = Date.now();
+    }
+  }
+
+  /**
+   * Whether the current file must be rotated before a line is added to it.
+   * @param {number} bytes - The length of the line.
+   * @returns {boolean}
+   */
+  shouldRotate(bytes) {
+    if (this.size === 0) {
+      return false;
+    }
+    return (
+      (this.maxSize !== undefined && this.size + bytes > this.maxSize) ||
+      (this.maxAge !== undefined && Date.now() - this.startedAt >= this.maxAge)
+    );
+  }
+
+  /**
+   * Renames the current file to <file>.1, shifting the older files and removing the oldest.
+   */
+  rotate() {
+    const numbered = (index) => `${this.filename}.${index}`;
+    fs.rmSync(numbered(this.maxFiles), { force: true });
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(numbered(index))) {
+        fs.renameSync(numbered(index), numbered(index + 1));
+      }
+    }
+    if (this.maxFiles > 0) {
+      fs.renameSync(this.filename, numbered(1));
+    } else {
+      fs.rmSync(this.filename, { force: true });
+    }
+    this.size = 0;
+    this.startedAt = Date.now();
+  }
+
+  /**
+   * Writes a log entry.
+   * @param {object} info - The formatted log entry.
+   * @param {function(): void} callback - Called once the entry is written.
+   */
+  log(info, callback) {
+    const line = `${info[MESSAGE]}\n`;
+    const bytes = Buffer.byteLength(line);
+    try {
+      if (this.shouldRotate(bytes)) {
+        this.rotate();
+      }
+      fs.appendFileSync(this.filename, line);
+      this.size += bytes;
+    } catch (error) {
+      this.emit("warn", error);
+    }
+    this.emit("logged", info);
+    callback();
+  }
+}
+
+module.exports = { RotatingFileTransport, parseSize };
@@ -0,0 +1,240 @@
+const dgram = require("dgram");
+const net = require("net");
+const os = require("os");
+const { Transport } = require("winston");
+
+const APP_NAME = "nimbus-ddns";
+const DEFAULT_PORT = 514;
+
+/**
+ * Syslog severities of the log levels, also used for journald's <N> line prefixes.
+ */
+const SEVERITIES = {
+  error: 3,
+  warn: 4,
+  info: 6,
+  http: 7,
+  verbose: 7,
+  debug: 7,
+};
+
+/**
+ * Syslog facility codes by name.
+ */
+const FACILITIES = {
+  kern: 0,
+  user: 1,
+  mail: 2,
+  daemon: 3,
+  auth: 4,
+  syslog: 5,
+  lpr: 6,
+  news: 7,
+  uucp: 8,
+  cron: 9,
+  authpriv: 10,
+  ftp: 11,
+  ...Object.fromEntries(
+    Array.from({ length: 8 }, (_, index) => [`local${index}`, 16 + index])
+  ),
+};
+
+/**
+ * SD-ID of the structured data element carrying the log entry's fields; 32473 is the
+ * private enterprise number reserved for documentation and examples.
+ */
+const SD_ID = "fields@32473";
+
+/**
+ * Parses a syslog destination: udp://host[:port], tcp://host[:port] or unix:///path/to/socket.
+ * @param {string} url - The destination.
+ * @returns {{protocol: string, host?: string, port?: number, path?: string}} - The parsed destination.
+ * @throws {Error} - If the destination is not a supported URL.
+ */
+function parseSyslogURL(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error(`Invalid syslog destination: ${url}`);
+  }
+
+  const protocol = parsed.protocol.slice(0, -1);
+  if (protocol === "unix" && parsed.pathname) {
+    return { protocol, path: decodeURIComponent(parsed.pathname) };
+  }
+  if ((protocol === "udp" || protocol === "tcp") && parsed.hostname) {
+    return {
+      protocol,
+      host: parsed.hostname.replace(/^\[(.*)\]$/, "$1"),
+      port: parsed.port ? Number(parsed.port) : DEFAULT_PORT,
+    };
+  }
+  throw new Error(
+    `Invalid syslog destination: ${url} (use udp://host:port, tcp://host:port or unix:///path)`
+  );
+}
+
+/**
+ * Escapes a structured data parameter value: ", \ and ] must be preceded by a backslash.
+ * @param {*} value - The value; anything but a string is written as JSON.
+ * @returns {string} - The escaped value.
+ */
+function escapeParam(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.replace(/["\\\]]/g, "\\$&");
+}
+
+/**
+ * Formats a log entry as an RFC 5424 syslog message. The entry's fields, such as the record
+ * and the IPs, go into a structured data element.
+ * @param {object} info - The log entry, with its level, message, timestamp and fields.
+ * @param {object} options - The message header settings.
+ * @param {number} options.facility - The facility code.
+ * @param {string} [options.hostname] - The host name; the system's by default.
+ * @returns {string} - The message.
+ */
+function formatSyslogMessage(
+  { level, message, timestamp, ...fields },
+  { facility, hostname = os.hostname() }
+) {
+  const priority = facility * 8 + (SEVERITIES[level] ?? SEVERITIES.info);
+  const params = Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => ` ${name}="${escapeParam(value)}"`);
+  const structuredData =
+    params.length > 0 ? `[${SD_ID}${params.join("")}]` : "-";
+  return [
+    `<${priority}>1`,
+    timestamp || new Date().toISOString(),
+    hostname || "-",
+    APP_NAME,
+    process.pid,
+    "-",
+    structuredData,
+    message,
+  ].join(" ");
+}
+
+/**
+ * Winston transport sending log entries to a syslog server as RFC 5424 messages, over UDP,
+ * TCP (with octet-counting framing, RFC 6587) or a Unix stream socket. Delivery problems are
+ * reported as "warn" events and never interrupt the program; a broken TCP or Unix connection
+ * is opened again for the next entry.
+ */
+class SyslogTransport extends Transport {
+  /**
+   * Creates an instance of SyslogTransport.
+   * @param {object} options - The transport settings, plus Winston's level and format.
+   * @param {string} options.url - The destination: udp://host[:port], tcp://host[:port] or unix:///path.
+   * @param {string} [options.facility="daemon"] - The facility name.
+   * @throws {Error} - If the destination or facility is invalid.
+   */
+  constructor({ url, facility = "daemon", ...options }) {
+    super(options);
+    if (FACILITIES[facility] === undefined) {
+      throw new Error(`Invalid syslog facility: ${facility}`);
+    }
+
+    this.destination = parseSyslogURL(url);
+    this.facility = FACILITIES[facility];
+    this.socket = null;
+    this.pending = 0;
+    this.closing = false;
+  }
+
+  /**
+   * Returns the socket to send to, connecting on first use and after a connection is lost.
+   * @returns {dgram.Socket|net.Socket} - The socket.
+   */
+  connect() {
+    if (this.socket && !this.socket.destroyed) {
+      return this.socket;
+    }
+
+    const { protocol, host, port, path } = this.destination;
+    if (protocol === "udp") {
+      this.socket = dgram.createSocket(net.isIPv6(host) ? "udp6" : "udp4");
+    } else {
+      this.socket =
+        protocol === "unix"
+          ? net.createConnection({ path })
+          : net.createConnection({ host, port });
+      this.socket.on("close", () => {
+        this.socket = null;
+      });
+    }
+    this.socket.on("error", (error) => this.emit("warn", error));
+    return this.socket;
+  }
+
+  /**
+   * Sends a log entry.
+   * @param {object} info - The log entry.
+   * @param {function(): void} callback - Called once the entry is handed to the socket.
+   */
+  log(info, callback) {
+    const message = Buffer.from(
+      formatSyslogMessage(info, { facility: this.facility })
+    );
+    const done = (error) => {
+      if (error) {
+        this.emit("warn", error);
+      }
+      this.pending--;
+      if (this.closing && this.pending === 0) {
+        this.disconnect();
+      }
+    };
+
+    this.pending++;
+    try {
+      const socket = this.connect();
+      if (this.destination.protocol === "udp") {
+        socket.send(
+          message,
+          this.destination.port,
+          this.destination.host,
+          done
+        );
+      } else {
+        socket.write(`${message.length} ${message}`, done);
+      }
+    } catch (error) {
+      done(error);
+    }
+    this.emit("logged", info);
+    callback();
+  }
+
+  /**
+   * Closes the socket.
+   */
+  disconnect() {
+    const { socket } = this;
+    this.socket = null;
+    if (socket instanceof dgram.Socket) {
+      socket.close();
+    } else {
+      socket?.end();
+    }
+  }
+
+  /**
+   * Closes the socket once the entries still being sent are out.
+   */
+  close() {
+    this.closing = true;
+    if (this.pending === 0) {
+      this.disconnect();
+    }
+  }
+}
+
+module.exports = {
+  FACILITIES,
+  SEVERITIES,
+  SyslogTransport,
+  formatSyslogMessage,
+  parseSyslogURL,
+};
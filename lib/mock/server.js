@@ -0,0 +1,431 @@
+const crypto = require("crypto");
+const http = require("http");
+const net = require("net");
+
+const API_PREFIX = "/client/v4";
+const DEFAULT_PER_PAGE = 20;
+const MAX_PER_PAGE = 100;
+const DEFAULT_PUBLIC_IPS = { 4: "203.0.113.10", 6: "2001:db8::10" };
+
+/**
+ * Error answered with a Cloudflare error envelope.
+ */
+class MockError extends Error {
+  /**
+   * Creates an instance of MockError.
+   * @param {number} status - The HTTP status code.
+   * @param {number} code - The Cloudflare error code.
+   * @param {string} message - The error message.
+   */
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Returns a random 32-character hex ID, like Cloudflare's object identifiers.
+ * @returns {string} - The ID.
+ */
+function newId() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+/**
+ * Checks that a record's content is valid for its type.
+ * @param {object} record - The record.
+ * @throws {MockError} - If the content is invalid.
+ */
+function validateRecord({ type, name, content }) {
+  if (!type || !name || content === undefined) {
+    throw new MockError(400, 1004, "DNS Validation Error");
+  }
+  if (
+    (type === "A" && !net.isIPv4(content)) ||
+    (type === "AAAA" && !net.isIPv6(content))
+  ) {
+    throw new MockError(400, 9005, `Content for ${type} record is invalid.`);
+  }
+}
+
+/**
+ * Local mock of the Cloudflare v4 API for development and integration tests.
+ * Serves the zones and dns_records endpoints from memory with Cloudflare's response
+ * envelopes, error codes and pagination, plus a fake public IP echo endpoint at /ip.
+ */
+class MockCloudflareServer {
+  /**
+   * Creates an instance of MockCloudflareServer.
+   * @param {object} [options] - The initial state.
+   * @param {Array<string>} [options.zones] - The names of the zones to create.
+   * @param {Array<object>} [options.records] - DNS records to create; each needs a zone name.
+   * @param {object} [options.publicIPs] - The addresses returned by the IP echo endpoint, keyed by family.
+   * @param {string} [options.apiToken] - When set, only this API token (or any API key) is accepted.
+   */
+  constructor({ zones = [], records = [], publicIPs = {}, apiToken } = {}) {
+    this.zones = [];
+    this.records = [];
+    this.publicIPs = { ...DEFAULT_PUBLIC_IPS, ...publicIPs };
+    this.apiToken = apiToken;
+    this.requests = [];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    zones.forEach((zone) => this.addZone(zone));
+    records.forEach(({ zone, ...record }) => this.addRecord(zone, record));
+  }
+
+  /**
+   * Adds a zone.
+   * @param {string} name - The zone name.
+   * @returns {object} - The zone.
+   */
+  addZone(name) {
+    const existing = this.zones.find((zone) => zone.name === name);
+    if (existing) {
+      return existing;
+    }
+
+    const zone = { id: newId(), name, status: "active" };
+    this.zones.push(zone);
+    return zone;
+  }
+
+  /**
+   * Adds a DNS record to a zone, creating the zone if needed.
+   * @param {string} zoneName - The zone name.
+   * @param {object} record - The record fields.
+   * @returns {object} - The record.
+   */
+  addRecord(
+    zoneName,
+    { ttl = 1, proxied = false, comment = null, tags = [], ...fields }
+  ) {
+    const zone = this.addZone(zoneName);
+    const record = {
+      id: newId(),
+      zone_id: zone.id,
+      zone_name: zone.name,
+      ttl,
+      proxied,
+      comment,
+      tags,
+      ...fields,
+      created_on: new Date().toISOString(),
+      modified_on: new Date().toISOString(),
+    };
+    this.records.push(record);
+    return record;
+  }
+
+  /**
+   * Finds a record by name and type.
+   * @param {string} name - The record's FQDN.
+   * @param {string} [type="A"] - The record type.
+   * @returns {object|undefined} - The record.
+   */
+  findRecord(name, type = "A") {
+    return this.records.find(
+      (record) => record.name === name && record.type === type
+    );
+  }
+
+  /**
+   * Starts listening.
+   * @param {number} [port=0] - The port; 0 picks a free one.
+   * @param {string} [host="127.0.0.1"] - The address to listen on.
+   * @returns {Promise<string>} - The server's base URL.
+   */
+  listen(port = 0, host = "127.0.0.1") {
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        this.url = `http://${host}:${address.port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stops listening.
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+
+  /**
+   * The base URL of the mock API, for CloudflareAPI's baseURL option.
+   * @returns {string}
+   */
+  get baseURL() {
+    return `${this.url}${API_PREFIX}`;
+  }
+
+  /**
+   * The URL of the IP echo endpoint for an address family.
+   * @param {number} family - 4 or 6.
+   * @returns {string}
+   */
+  ipURL(family) {
+    return `${this.url}/ip?family=${family}`;
+  }
+
+  /**
+   * Handles a request, answering with a Cloudflare envelope.
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   */
+  handle(req, res) {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      let url;
+      try {
+        url = new URL(req.url, "http://localhost");
+      } catch {
+        res.statusCode = 400;
+        res.setHeader("Content-Type", "application/json");
+        res.end(
+          JSON.stringify({
+            success: false,
+            errors: [{ code: 10000, message: "Invalid request path" }],
+            messages: [],
+            result: null,
+          })
+        );
+        return;
+      }
+      this.requests.push({ method: req.method, path: url.pathname });
+
+      if (url.pathname === "/ip") {
+        const family = url.searchParams.get("family") || "4";
+        res.setHeader("Content-Type", "text/plain");
+        res.end(`${this.publicIPs[family] || req.socket.remoteAddress}\n`);
+        return;
+      }
+
+      let status = 200;
+      let payload;
+      try {
+        this.authenticate(req.headers);
+        const data = body ? JSON.parse(body) : {};
+        payload = this.route(req.method, url, data);
+      } catch (error) {
+        status = error.status || 500;
+        payload = {
+          success: false,
+          errors: [{ code: error.code || 10000, message: error.message }],
+          messages: [],
+          result: null,
+        };
+      }
+
+      res.statusCode = status;
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(payload));
+    });
+  }
+
+  /**
+   * Checks the request's credentials.
+   * @param {object} headers - The request headers.
+   * @throws {MockError} - If no valid credentials were sent.
+   */
+  authenticate(headers) {
+    const bearer = headers.authorization?.replace(/^Bearer /, "");
+    if (bearer) {
+      if (this.apiToken && bearer !== this.apiToken) {
+        throw new MockError(401, 1000, "Invalid API Token");
+      }
+      return;
+    }
+    if (!headers["x-auth-key"] || !headers["x-auth-email"]) {
+      throw new MockError(
+        400,
+        9106,
+        "Missing X-Auth-Key, X-Auth-Email or Authorization headers"
+      );
+    }
+  }
+
+  /**
+   * Routes a request to the matching endpoint.
+   * @param {string} method - The HTTP method.
+   * @param {URL} url - The request URL.
+   * @param {object} data - The parsed JSON body.
+   * @returns {object} - The response envelope.
+   * @throws {MockError} - If the route does not exist or the request fails.
+   */
+  route(method, url, data) {
+    const path = url.pathname.startsWith(API_PREFIX)
+      ? url.pathname.slice(API_PREFIX.length)
+      : null;
+    const segments = (path || "").split("/").filter(Boolean);
+
+    if (path === "/user/tokens/verify" && method === "GET") {
+      return this.envelope({ id: "mock-token", status: "active" });
+    }
+    if (
+      segments[0] === "user" &&
+      segments[1] === "tokens" &&
+      method === "GET"
+    ) {
+      return this.envelope({
+        id: segments[2],
+        status: "active",
+        policies: [
+          {
+            effect: "allow",
+            permission_groups: [
+              { id: "4755a26eedb94da69e1066d98aa820be", name: "DNS Write" },
+            ],
+          },
+        ],
+      });
+    }
+
+    if (segments[0] !== "zones") {
+      throw new MockError(404, 7000, "No route for that URI");
+    }
+    if (segments.length === 1 && method === "GET") {
+      const name = url.searchParams.get("name");
+      return this.paginate(
+        this.zones.filter((zone) => !name || zone.name === name),
+        url
+      );
+    }
+
+    const zone = this.zones.find((entry) => entry.id === segments[1]);
+    if (!zone) {
+      throw new MockError(
+        400,
+        7003,
+        `Could not route to ${path}, perhaps your object identifier is invalid?`
+      );
+    }
+    if (segments.length === 2 && method === "GET") {
+      return this.envelope(zone);
+    }
+    if (segments[2] !== "dns_records") {
+      throw new MockError(404, 7000, "No route for that URI");
+    }
+
+    const zoneRecords = this.records.filter(
+      (record) => record.zone_id === zone.id
+    );
+    if (segments.length === 3) {
+      if (method === "GET") {
+        const filters = ["name", "type", "content"]
+          .map((field) => [field, url.searchParams.get(field)])
+          .filter(([, value]) => value !== null);
+        return this.paginate(
+          zoneRecords.filter((record) =>
+            filters.every(([field, value]) => record[field] === value)
+          ),
+          url
+        );
+      }
+      if (method === "POST") {
+        validateRecord(data);
+        const duplicate = zoneRecords.some(
+          (record) =>
+            record.name === data.name &&
+            record.type === data.type &&
+            record.content === data.content
+        );
+        if (duplicate) {
+          throw new MockError(400, 81057, "Record already exists.");
+        }
+        return this.envelope(this.addRecord(zone.name, data));
+      }
+    }
+
+    const record = zoneRecords.find((entry) => entry.id === segments[3]);
+    if (segments.length === 4 && !record) {
+      throw new MockError(404, 81044, "Record does not exist.");
+    }
+    if (segments.length === 4) {
+      switch (method) {
+        case "GET":
+          return this.envelope(record);
+        case "PUT":
+        case "PATCH": {
+          const fields = method === "PUT" ? data : { ...record, ...data };
+          validateRecord(fields);
+          const { id, zone_id, zone_name, created_on } = record;
+          Object.keys(record).forEach((key) => delete record[key]);
+          Object.assign(
+            record,
+            { ttl: 1, proxied: false, comment: null, tags: [] },
+            fields,
+            { id, zone_id, zone_name, created_on },
+            { modified_on: new Date().toISOString() }
+          );
+          return this.envelope(record);
+        }
+        case "DELETE":
+          this.records = this.records.filter((entry) => entry !== record);
+          return this.envelope({ id: record.id });
+      }
+    }
+
+    throw new MockError(405, 10000, `Method ${method} not allowed`);
+  }
+
+  /**
+   * Wraps a result in a successful response envelope.
+   * @param {*} result - The result.
+   * @param {object} [resultInfo] - Pagination details for list results.
+   * @returns {object} - The envelope.
+   */
+  envelope(result, resultInfo) {
+    return {
+      success: true,
+      errors: [],
+      messages: [],
+      result,
+      ...(resultInfo && { result_info: resultInfo }),
+    };
+  }
+
+  /**
+   * Returns one page of a list result, using the page and per_page query parameters.
+   * @param {Array<object>} items - The full result list.
+   * @param {URL} url - The request URL.
+   * @returns {object} - The envelope with result_info.
+   */
+  paginate(items, url) {
+    const perPage = Math.min(
+      Number(url.searchParams.get("per_page")) || DEFAULT_PER_PAGE,
+      MAX_PER_PAGE
+    );
+    const page = Math.max(Number(url.searchParams.get("page")) || 1, 1);
+    const result = items.slice((page - 1) * perPage, page * perPage);
+
+    return this.envelope(result, {
+      page,
+      per_page: perPage,
+      count: result.length,
+      total_count: items.length,
+      total_pages: Math.max(Math.ceil(items.length / perPage), 1),
+    });
+  }
+}
+
+module.exports = MockCloudflareServer;
+
+if (require.main === module) {
+  const [zone = "example.com", port = "8787"] = process.argv.slice(2);
+  const mock = new MockCloudflareServer({
+    records: [
+      { zone, name: `home.${zone}`, type: "A", content: "192.0.2.1" },
+      { zone, name: `home.${zone}`, type: "AAAA", content: "2001:db8::1" },
+    ],
+  });
+  mock.listen(Number(port)).then(() => {
+    console.log(`Mock Cloudflare API listening on ${mock.baseURL}`);
+    console.log(`Zone ${zone} has ID ${mock.zones[0].id}`);
+  });
+}
@@ -0,0 +1,221 @@
+const axios = require("axios");
+const { exec } = require("child_process");
+const { getField } = require("../fields");
+const { sendMail } = require("./smtp");
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_SUBJECT = "[Nimbus DDNS] {{summary}}";
+
+/**
+ * The events a channel can subscribe to.
+ */
+const NOTIFICATION_EVENTS = [
+  "ip_changed",
+  "update_failed",
+  "recovered",
+  "error",
+];
+
+/**
+ * Returns the host of a URL, to name a channel in log messages without the path or query
+ * string that webhook URLs often carry their token in.
+ * @param {string} url - The URL.
+ * @returns {string} - The host, or "invalid-url" if the URL cannot be parsed.
+ */
+function urlHost(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "invalid-url";
+  }
+}
+
+/**
+ * Renders a template, replacing "{{field}}" placeholders with the event's fields.
+ * Objects and arrays are rendered recursively, so JSON bodies can be written as plain JSON.
+ * Missing fields render as an empty string.
+ * @param {*} template - A string, or an object or array containing strings.
+ * @param {object} event - The event.
+ * @returns {*} - The rendered template.
+ */
+function render(template, event) {
+  if (typeof template === "string") {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_match, path) => {
+      const value = getField(event, path);
+      return value == null ? "" : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map((item) => render(item, event));
+  }
+  if (template && typeof template === "object") {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [
+        key,
+        render(value, event),
+      ])
+    );
+  }
+  return template;
+}
+
+/**
+ * Posts a JSON payload to a URL.
+ * @param {object} spec - The channel configuration.
+ * @param {object} payload - The payload.
+ * @returns {Promise<void>}
+ */
+async function postJSON(spec, payload) {
+  await axios.request({
+    method: spec.method || "POST",
+    url: spec.url,
+    headers: spec.headers,
+    data: payload,
+    timeout: spec.timeout || DEFAULT_TIMEOUT,
+  });
+}
+
+/**
+ * Channel kinds. Each kind validates its settings (returning an error message or null),
+ * names the channel for log messages and delivers an event.
+ */
+const CHANNEL_KINDS = {
+  /**
+   * Sends a JSON request; the body is a template and defaults to the event itself.
+   */
+  webhook: {
+    validate: (spec) => (spec.url ? null : "url is required"),
+    name: (spec) => `webhook:${urlHost(spec.url)}`,
+    send: (spec, event) =>
+      postJSON(spec, spec.body ? render(spec.body, event) : event),
+  },
+
+  /**
+   * Posts the message to a Slack incoming webhook.
+   */
+  slack: {
+    validate: (spec) => (spec.url ? null : "url is required"),
+    name: () => "slack",
+    send: (spec, event) =>
+      postJSON(spec, {
+        text: render(spec.text || "{{summary}}", event),
+        ...(spec.username && { username: spec.username }),
+      }),
+  },
+
+  /**
+   * Posts the message to a Discord webhook.
+   */
+  discord: {
+    validate: (spec) => (spec.url ? null : "url is required"),
+    name: () => "discord",
+    send: (spec, event) =>
+      postJSON(spec, {
+        content: render(spec.text || "{{summary}}", event),
+        ...(spec.username && { username: spec.username }),
+      }),
+  },
+
+  /**
+   * Sends an email over SMTP.
+   */
+  smtp: {
+    validate: (spec) =>
+      spec.host && spec.from && spec.to
+        ? null
+        : "host, from and to are required",
+    name: (spec) => `smtp:${spec.host}`,
+    send: (spec, event) =>
+      sendMail({
+        ...spec,
+        subject: render(spec.subject || DEFAULT_SUBJECT, event),
+        text: render(spec.text || "{{summary}}", event),
+      }),
+  },
+
+  /**
+   * Runs a shell command with the event in NIMBUS_* environment variables and as JSON on stdin.
+   */
+  command: {
+    validate: (spec) => (spec.command ? null : "command is required"),
+    name: (spec) => `command:${spec.command.split(" ")[0]}`,
+    send: (spec, event) =>
+      new Promise((resolve, reject) => {
+        const child = exec(
+          spec.command,
+          {
+            timeout: spec.timeout || DEFAULT_TIMEOUT,
+            env: {
+              ...process.env,
+              NIMBUS_EVENT: event.event,
+              NIMBUS_RECORD: event.record || "",
+              NIMBUS_IP: event.ip || "",
+              NIMBUS_PREVIOUS_IP: event.previousIP || "",
+              NIMBUS_MESSAGE: event.message || "",
+              NIMBUS_SUMMARY: event.summary,
+            },
+          },
+          (error, _stdout, stderr) => {
+            if (error) {
+              const output = stderr.trim();
+              reject(
+                new Error(
+                  output ? `${error.message}: ${output}` : error.message
+                )
+              );
+              return;
+            }
+            resolve();
+          }
+        );
+        child.stdin.on("error", () => {});
+        child.stdin.end(JSON.stringify(event));
+      }),
+  },
+};
+
+/**
+ * Creates a notification channel from its configuration.
+ * @param {object} spec - The channel configuration.
+ * @param {string} spec.type - The channel kind: "webhook", "slack", "discord", "smtp" or "command".
+ * @param {string} [spec.name] - A name used in log messages.
+ * @param {Array<string>} [spec.events] - The events to send; defaults to all of them.
+ * @param {Array<string>} [spec.records] - Only send events for these records, given as FQDNs or "TYPE fqdn" keys.
+ * @param {number} [spec.timeout=10000] - The delivery timeout in milliseconds.
+ * @returns {{name: string, accepts: function(object): boolean, send: function(object): Promise<void>}} - The channel.
+ * @throws {Error} - If the channel kind is unknown or a required setting is missing.
+ */
+function createChannel(spec) {
+  const kind = CHANNEL_KINDS[spec?.type];
+  if (!kind) {
+    throw new Error(`Unknown notification type: ${spec?.type}`);
+  }
+
+  const unknown = (spec.events || []).filter(
+    (event) => !NOTIFICATION_EVENTS.includes(event)
+  );
+  const problem =
+    kind.validate(spec) ||
+    (unknown.length > 0 ? `unknown event(s) ${unknown.join(", ")}` : null);
+  if (problem) {
+    throw new Error(`Invalid ${spec.type} notification: ${problem}`);
+  }
+
+  return {
+    name: spec.name || kind.name(spec),
+    accepts: (event) =>
+      (!spec.events || spec.events.includes(event.event)) &&
+      (!spec.records ||
+        !event.record ||
+        spec.records.includes(event.record) ||
+        spec.records.includes(event.fqdn)),
+    send: (event) => kind.send(spec, event),
+  };
+}
+
+module.exports = {
+  CHANNEL_KINDS,
+  NOTIFICATION_EVENTS,
+  createChannel,
+  render,
+};
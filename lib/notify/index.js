@@ -0,0 +1,183 @@
+const os = require("os");
+const { Logger } = require("winston");
+const { createChannel } = require("./channels");
+const { recordFqdn, recordKey } = require("../records");
+
+/**
+ * Key under which failures of a whole run, rather than of one record, are tracked.
+ */
+const RUN_KEY = "run";
+
+/**
+ * Sends notifications about the outcome of update runs to the configured channels.
+ * Failures are de-duplicated: a failure is reported once, and again only when its message
+ * changes or the reminder interval has passed. When the record next succeeds a "recovered"
+ * event is sent. Reported failures are kept in the "notifiedFailures" section of the state store
+ * so de-duplication also works when each run is a separate process.
+ */
+class Notifier {
+  /**
+   * Creates an instance of Notifier.
+   * @param {object} options - The notification settings.
+   * @param {Array<object>} [options.channels] - Channel configurations (see lib/notify/channels).
+   * @param {number} [options.repeatAfter] - Seconds after which an ongoing failure is reported again; by default it is not.
+   * @param {StateStore} options.state - The state store used to remember reported failures.
+   * @param {Logger} logger - The logger instance.
+   * @throws {Error} - If a channel configuration is invalid.
+   */
+  constructor({ channels = [], repeatAfter, state }, logger) {
+    if (!logger) {
+      throw Error("Logger was not provided to Notifier instance");
+    }
+
+    this.channels = channels.map(createChannel);
+    this.repeatAfter = repeatAfter;
+    this.state = state;
+    this.logger = logger;
+  }
+
+  /**
+   * Sends an event to every channel that accepts it.
+   * Delivery failures are logged and never thrown, so they cannot break an update run.
+   * @param {object} event - The event; the timestamp and host name are added.
+   * @returns {Promise<void>}
+   */
+  async send(event) {
+    const full = {
+      ...event,
+      timestamp: new Date().toISOString(),
+      host: os.hostname(),
+    };
+
+    await Promise.all(
+      this.channels
+        .filter((channel) => channel.accepts(full))
+        .map(async (channel) => {
+          try {
+            await channel.send(full);
+            this.logger.debug(
+              `Sent ${full.event} notification via ${channel.name}`
+            );
+          } catch (error) {
+            this.logger.warn(
+              `Notification via ${channel.name} failed: ${error.message}`
+            );
+          }
+        })
+    );
+  }
+
+  /**
+   * Records a failure and decides whether it should be reported.
+   * @param {string} key - The record key, or "run".
+   * @param {string} message - The error message.
+   * @returns {Promise<boolean>} - Whether the failure is new, has changed or is due for a reminder.
+   */
+  async trackFailure(key, message) {
+    const now = Date.now();
+    const previous = this.state.getEntry("notifiedFailures", key);
+    const repeated =
+      previous?.message === message &&
+      (!this.repeatAfter ||
+        now - previous.notifiedAt < this.repeatAfter * 1000);
+
+    if (repeated) {
+      this.logger.debug(`${key}: failure already notified`);
+      return false;
+    }
+
+    await this.state.setEntry("notifiedFailures", key, {
+      message,
+      since: previous?.since ?? now,
+      notifiedAt: now,
+    });
+    return true;
+  }
+
+  /**
+   * Forgets a reported failure.
+   * @param {string} key - The record key, or "run".
+   * @returns {Promise<boolean>} - Whether a failure had been reported.
+   */
+  async clearFailure(key) {
+    if (this.state.getEntry("notifiedFailures", key) === undefined) {
+      return false;
+    }
+    await this.state.deleteEntry("notifiedFailures", key);
+    return true;
+  }
+
+  /**
+   * Sends the notifications for the results of an update run: "ip_changed" for each published
+   * address, "update_failed" for new failures and "recovered" for records that work again.
+   * @param {Array<{record: object, status: string, ip?: string, previousIP?: string, error?: Error}>} results - The results from DNSUpdater.run.
+   * @returns {Promise<void>}
+   */
+  async notifyResults(results) {
+    const events = [];
+    if (await this.clearFailure(RUN_KEY)) {
+      events.push({ event: "recovered", summary: "DNS updates recovered" });
+    }
+
+    for (const { record, status, ip, previousIP, error } of results) {
+      const key = recordKey(record);
+      const details = {
+        record: key,
+        fqdn: recordFqdn(record),
+        type: record.type,
+      };
+
+      if (status === "failed") {
+        if (await this.trackFailure(key, error.message)) {
+          events.push({
+            event: "update_failed",
+            ...details,
+            message: error.message,
+            summary: `${key} failed: ${error.message}`,
+          });
+        }
+        continue;
+      }
+
+      if (await this.clearFailure(key)) {
+        events.push({
+          event: "recovered",
+          ...details,
+          ip,
+          summary: `${key} recovered (${ip})`,
+        });
+      }
+      if (status === "updated" || status === "created") {
+        events.push({
+          event: "ip_changed",
+          ...details,
+          ip,
+          previousIP,
+          status,
+          summary: previousIP
+            ? `${key} changed from ${previousIP} to ${ip}`
+            : `${key} ${status} with ${ip}`,
+        });
+      }
+    }
+
+    await Promise.all(events.map((event) => this.send(event)));
+  }
+
+  /**
+   * Sends an "error" notification for a run that failed as a whole, unless it was already reported.
+   * @param {Error} error - The error.
+   * @returns {Promise<void>}
+   */
+  async notifyError(error) {
+    if (await this.trackFailure(RUN_KEY, error.message)) {
+      await this.send({
+        event: "error",
+        message: error.message,
+        summary: `DNS update failed: ${error.message}`,
+      });
+    }
+  }
+}
+
+module.exports = Notifier;
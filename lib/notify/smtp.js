@@ -0,0 +1,295 @@
+const crypto = require("crypto");
+const net = require("net");
+const os = require("os");
+const tls = require("tls");
+
+/**
+ * A line-oriented SMTP session on a socket, which can be upgraded to TLS with STARTTLS.
+ */
+class SMTPConnection {
+  /**
+   * Creates an instance of SMTPConnection.
+   * @param {net.Socket} socket - The connected socket.
+   * @param {number} timeout - The inactivity timeout in milliseconds.
+   */
+  constructor(socket, timeout) {
+    this.timeout = timeout;
+    this.replies = [];
+    this.waiting = null;
+    this.failure = null;
+    this.attach(socket);
+  }
+
+  /**
+   * Starts reading replies from a socket.
+   * @param {net.Socket} socket - The socket.
+   */
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = "";
+    this.lines = [];
+    socket.setTimeout(this.timeout, () =>
+      socket.destroy(new Error("SMTP server timed out"))
+    );
+    socket.on("data", (chunk) => this.receive(chunk));
+    socket.on("error", (error) => this.fail(error));
+    socket.on("close", () =>
+      this.fail(new Error("SMTP connection closed unexpectedly"))
+    );
+  }
+
+  /**
+   * Splits received data into replies. A reply ends with a line whose code is followed by a space.
+   * @param {Buffer} chunk - The received data.
+   */
+  receive(chunk) {
+    this.buffer += chunk.toString("utf8");
+    let index;
+    while ((index = this.buffer.indexOf("\r\n")) !== -1) {
+      const line = this.buffer.slice(0, index);
+      this.buffer = this.buffer.slice(index + 2);
+      this.lines.push(line.slice(4));
+      if (line[3] !== "-") {
+        const reply = { code: Number(line.slice(0, 3)), lines: this.lines };
+        this.lines = [];
+        if (this.waiting) {
+          this.waiting.resolve(reply);
+          this.waiting = null;
+        } else {
+          this.replies.push(reply);
+        }
+      }
+    }
+  }
+
+  /**
+   * Fails the pending and any later reads.
+   * @param {Error} error - The error.
+   */
+  fail(error) {
+    this.failure = this.failure || error;
+    if (this.waiting) {
+      this.waiting.reject(this.failure);
+      this.waiting = null;
+    }
+  }
+
+  /**
+   * Waits for the next reply and checks its code.
+   * @param {number|Array<number>} expected - The expected reply code, or the codes that are accepted.
+   * @param {string} step - The step, for error messages.
+   * @returns {Promise<{code: number, lines: Array<string>}>} - The reply.
+   * @throws {Error} - If the reply has another code or the connection fails.
+   */
+  async read(expected, step) {
+    const reply =
+      this.replies.shift() ||
+      (await new Promise((resolve, reject) => {
+        if (this.failure) {
+          reject(this.failure);
+          return;
+        }
+        this.waiting = { resolve, reject };
+      }));
+
+    if (![].concat(expected).includes(reply.code)) {
+      throw new Error(
+        `SMTP server rejected ${step}: ${reply.code} ${reply.lines.join(" ")}`
+      );
+    }
+    return reply;
+  }
+
+  /**
+   * Sends a command and checks the reply.
+   * @param {string} command - The command line, without the line ending.
+   * @param {number|Array<number>} expected - The expected reply code, or the codes that are accepted.
+   * @param {string} [step] - The step, for error messages; defaults to the command verb.
+   * @returns {Promise<{code: number, lines: Array<string>}>} - The reply.
+   */
+  command(command, expected, step = command.split(" ")[0]) {
+    this.socket.write(`${command}\r\n`);
+    return this.read(expected, step);
+  }
+
+  /**
+   * Upgrades the connection to TLS.
+   * @param {object} options - Options for tls.connect.
+   * @returns {Promise<void>}
+   */
+  upgrade(options) {
+    const plain = this.socket;
+    plain.removeAllListeners("data");
+    plain.removeAllListeners("error");
+    plain.removeAllListeners("close");
+    plain.setTimeout(0);
+
+    return new Promise((resolve, reject) => {
+      const secure = tls.connect({ ...options, socket: plain }, () => {
+        secure.removeListener("error", reject);
+        resolve();
+      });
+      secure.once("error", reject);
+      this.attach(secure);
+    });
+  }
+}
+
+/**
+ * Returns the TLS option naming the server for SNI. IP addresses may not be sent as a server
+ * name, so none is set for them.
+ * @param {string} host - The SMTP server.
+ * @returns {{servername?: string}} - The option.
+ */
+function serverName(host) {
+  return net.isIP(host) === 0 ? { servername: host } : {};
+}
+
+/**
+ * Opens a plain or TLS connection to the SMTP server.
+ * @param {object} options - The connection settings.
+ * @param {number} options.timeout - How long connecting, including the TLS handshake, may take in milliseconds.
+ * @returns {Promise<net.Socket>} - The connected socket.
+ * @throws {Error} - If the connection fails or times out.
+ */
+function connect({ host, port, secure, rejectUnauthorized, timeout }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, ...serverName(host), rejectUnauthorized })
+      : net.connect({ host, port });
+    const onTimeout = () =>
+      socket.destroy(new Error(`Timed out connecting to ${host}:${port}`));
+    socket.setTimeout(timeout);
+    socket.once("timeout", onTimeout);
+    socket.once(secure ? "secureConnect" : "connect", () => {
+      socket.removeListener("timeout", onTimeout);
+      socket.removeListener("error", reject);
+      resolve(socket);
+    });
+    socket.once("error", reject);
+  });
+}
+
+/**
+ * Encodes a header value as an RFC 2047 encoded word when it is not plain ASCII.
+ * @param {string} value - The header value.
+ * @returns {string} - The encoded value.
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+}
+
+/**
+ * Builds a plain-text message, normalizing line endings and dot-stuffing the body.
+ * @param {object} mail - The message.
+ * @returns {string} - The message, ready to send after DATA.
+ */
+function buildMessage({ from, to, subject, text }) {
+  const domain = from.split("@")[1] || "localhost";
+  const headers = [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+  ];
+  const body = String(text)
+    .split(/\r?\n/)
+    .map((line) => (line.startsWith(".") ? `.${line}` : line));
+
+  return [...headers, "", ...body].join("\r\n");
+}
+
+/**
+ * Sends a plain-text email over SMTP.
+ * Connects with implicit TLS when secure is set (usually port 465), and otherwise upgrades the
+ * connection with STARTTLS whenever the server offers it. Authenticates with AUTH PLAIN when a
+ * username is configured, which is only done over TLS unless allowInsecureAuth is set.
+ * @param {object} options - The server settings and message.
+ * @param {string} options.host - The SMTP server.
+ * @param {number} [options.port] - The port; 465 with secure, 587 otherwise.
+ * @param {boolean} [options.secure=false] - Whether to connect with implicit TLS.
+ * @param {boolean} [options.starttls=true] - Whether to upgrade plain connections with STARTTLS when offered.
+ * @param {boolean} [options.rejectUnauthorized=true] - Whether the server certificate must be valid.
+ * @param {string} [options.username] - The username for AUTH PLAIN.
+ * @param {string} [options.password] - The password for AUTH PLAIN.
+ * @param {boolean} [options.allowInsecureAuth=false] - Whether to authenticate over an unencrypted connection.
+ * @param {string} options.from - The sender address.
+ * @param {string|Array<string>} options.to - The recipient address or addresses.
+ * @param {string} options.subject - The subject.
+ * @param {string} options.text - The plain-text body.
+ * @param {number} [options.timeout=10000] - The connection and inactivity timeout in milliseconds.
+ * @returns {Promise<void>}
+ * @throws {Error} - If the connection fails or the server rejects a command.
+ */
+async function sendMail({
+  host,
+  secure = false,
+  port = secure ? 465 : 587,
+  starttls = true,
+  rejectUnauthorized = true,
+  username,
+  password,
+  allowInsecureAuth = false,
+  from,
+  to,
+  subject,
+  text,
+  timeout = 10000,
+}) {
+  const recipients = Array.isArray(to) ? to : [to];
+  const connection = new SMTPConnection(
+    await connect({ host, port, secure, rejectUnauthorized, timeout }),
+    timeout
+  );
+
+  try {
+    await connection.read(220, "connection");
+    let hello = await connection.command(`EHLO ${os.hostname()}`, 250);
+    let encrypted = secure;
+
+    const offersStartTLS = hello.lines.some((line) =>
+      /^STARTTLS\b/i.test(line)
+    );
+    if (!secure && starttls && offersStartTLS) {
+      await connection.command("STARTTLS", 220);
+      await connection.upgrade({ ...serverName(host), rejectUnauthorized });
+      hello = await connection.command(`EHLO ${os.hostname()}`, 250);
+      encrypted = true;
+    }
+
+    if (username) {
+      if (!encrypted && !allowInsecureAuth) {
+        throw new Error(
+          "Refusing to send SMTP credentials over an unencrypted connection"
+        );
+      }
+      const credentials = Buffer.from(
+        `\0${username}\0${password || ""}`
+      ).toString("base64");
+      await connection.command(`AUTH PLAIN ${credentials}`, 235, "AUTH");
+    }
+
+    await connection.command(`MAIL FROM:<${from}>`, 250, "MAIL FROM");
+    for (const recipient of recipients) {
+      // 251: the server forwards the message to another address
+      await connection.command(`RCPT TO:<${recipient}>`, [250, 251], "RCPT TO");
+    }
+    await connection.command("DATA", 354);
+    await connection.command(
+      `${buildMessage({ from, to: recipients, subject, text })}\r\n.`,
+      250,
+      "message"
+    );
+    await connection.command("QUIT", 221).catch(() => {});
+  } finally {
+    connection.socket.destroy();
+  }
+}
+
+module.exports = { buildMessage, sendMail };
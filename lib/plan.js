@@ -0,0 +1,72 @@
+const { recordKey } = require("./records");
+
+/**
+ * Markers printed before each record, by planned action.
+ */
+const MARKERS = { create: "+", update: "~", none: "=", failed: "!" };
+
+/**
+ * Formats a planned change to one record as a diff of its current and desired settings.
+ * @param {object} plan - A plan entry from DNSUpdater.plan.
+ * @returns {Array<string>} - The lines.
+ */
+function formatEntry({ record, action, current, desired, changes, error }) {
+  const heading = `${MARKERS[action]} ${recordKey(record)}`;
+  switch (action) {
+    case "failed":
+      return [`${heading}: ${error.message}`];
+    case "none":
+      return [`${heading} (no changes)`];
+    case "create":
+      return [
+        `${heading} (create)`,
+        ...Object.entries(desired)
+          .filter(([, value]) => value !== undefined)
+          .map(([field, value]) => `    ${field}: ${value}`),
+      ];
+    default:
+      return [
+        heading,
+        ...changes.map(
+          (field) => `    ${field}: ${current[field]} => ${desired[field]}`
+        ),
+      ];
+  }
+}
+
+/**
+ * Counts the plan entries by action.
+ * @param {Array<object>} plans - The plan entries.
+ * @returns {{create: number, update: number, none: number, failed: number}} - The counts.
+ */
+function summarizePlan(plans) {
+  const counts = { create: 0, update: 0, none: 0, failed: 0 };
+  plans.forEach(({ action }) => counts[action]++);
+  return counts;
+}
+
+/**
+ * Formats a plan as a per-record diff followed by a summary line.
+ * @param {Array<object>} plans - The plan entries from DNSUpdater.plan.
+ * @returns {string} - The formatted plan.
+ */
+function formatPlan(plans) {
+  const { create, update, none, failed } = summarizePlan(plans);
+  return [
+    ...plans.flatMap(formatEntry),
+    "",
+    `${create} to create, ${update} to update, ${none} unchanged, ${failed} failed`,
+  ].join("\n");
+}
+
+/**
+ * Returns the outcome of a plan: how many records would change and how many could not be planned.
+ * @param {Array<object>} plans - The plan entries.
+ * @returns {{changes: number, failed: number}} - The outcome.
+ */
+function planOutcome(plans) {
+  const { create, update, failed } = summarizePlan(plans);
+  return { changes: create + update, failed };
+}
+
+module.exports = { formatPlan, planOutcome, summarizePlan };
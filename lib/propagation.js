@@ -0,0 +1,244 @@
+const dns = require("dns");
+const { Logger } = require("winston");
+const { recordFqdn, recordKey } = require("./records");
+const { isSPFPolicy } = require("./spf");
+const { joinAddresses, splitAddresses } = require("./uplinks");
+
+const DEFAULT_TIMEOUT = 120;
+const DEFAULT_INTERVAL = 5;
+
+/**
+ * How long each DNS query may take, in milliseconds; a slow name server is asked again on the
+ * next poll rather than retried at once.
+ */
+const QUERY_TIMEOUT = 2000;
+
+/**
+ * Waits for a number of milliseconds.
+ * @param {number} ms - The delay.
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Creates a resolver that only asks the given name server.
+ * @param {string} server - The name server's address, optionally with a port.
+ * @returns {dns.promises.Resolver} - The resolver.
+ */
+function createResolver(server) {
+  const resolver = new dns.promises.Resolver({
+    timeout: QUERY_TIMEOUT,
+    tries: 1,
+  });
+  resolver.setServers([server]);
+  return resolver;
+}
+
+/**
+ * Reads the contents a name server serves for a record.
+ * @param {dns.promises.Resolver} resolver - The resolver asking the name server.
+ * @param {object} record - The normalized record.
+ * @returns {Promise<Array<string>>} - The addresses, or the TXT contents with their strings joined; empty if the name has no such record.
+ */
+async function queryRecord(resolver, record) {
+  const name = recordFqdn(record);
+  try {
+    if (record.type === "TXT") {
+      return (await resolver.resolveTxt(name)).map((chunks) => chunks.join(""));
+    }
+    return await resolver[record.type === "AAAA" ? "resolve6" : "resolve4"](
+      name
+    );
+  } catch (error) {
+    if (error.code === dns.NODATA || error.code === dns.NOTFOUND) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Whether the contents served for a record are the published ones: the same addresses for
+ * A and AAAA records (all of them, for a round-robin set), a TXT record holding the address,
+ * or an SPF policy with an ip4: or ip6: mechanism for it.
+ * @param {object} record - The normalized record.
+ * @param {Array<string>} contents - The served contents.
+ * @param {string} published - The published address, or the joined addresses of a record set.
+ * @returns {boolean}
+ */
+function servesPublished(record, contents, published) {
+  if (record.spf) {
+    const mechanism = new RegExp(
+      `(^|\\s)[+\\-~?]?ip${record.family}:${published.replace(/[.:]/g, "\\$&")}(\\s|$)`,
+      "i"
+    );
+    return contents.some(
+      (content) => isSPFPolicy(content) && mechanism.test(content)
+    );
+  }
+  if (record.type === "TXT") {
+    return contents.includes(published);
+  }
+  return joinAddresses(contents) === joinAddresses(splitAddresses(published));
+}
+
+/**
+ * Checks that a published change is served by DNS, by asking the zone's authoritative name
+ * servers (or a configured list of resolvers) until each of them serves the new content.
+ * Proxied records are skipped: their name servers answer with the proxy's addresses.
+ */
+class PropagationChecker {
+  /**
+   * Creates an instance of PropagationChecker.
+   * @param {object} [options] - The check settings.
+   * @param {Array<string>} [options.resolvers] - The name servers to ask, as addresses with an optional port; the zone's authoritative name servers by default.
+   * @param {number} [options.timeout=120] - How long to wait for every name server to serve the change, in seconds.
+   * @param {number} [options.interval=5] - How long to wait between polls, in seconds.
+   * @param {function(string): dns.promises.Resolver} [options.createResolver] - Creates the resolver for a name server.
+   * @param {function(number): Promise<void>} [options.sleep] - Waits between polls.
+   * @param {function(): number} [options.now=Date.now] - Returns the current time in milliseconds.
+   * @param {Logger} logger - The logger instance.
+   * @throws {Error} - If the timeout or interval is invalid.
+   */
+  constructor(
+    {
+      resolvers,
+      timeout = DEFAULT_TIMEOUT,
+      interval = DEFAULT_INTERVAL,
+      createResolver: resolverFor = createResolver,
+      sleep = delay,
+      now = Date.now,
+    } = {},
+    logger
+  ) {
+    if (!logger) {
+      throw Error("Logger was not provided to PropagationChecker instance");
+    }
+    if (!(timeout > 0) || !(interval > 0)) {
+      throw new Error(
+        "Propagation timeout and interval must be positive numbers"
+      );
+    }
+
+    this.resolvers = resolvers?.length > 0 ? resolvers : null;
+    this.timeout = timeout * 1000;
+    this.interval = interval * 1000;
+    this.createResolver = resolverFor;
+    this.sleep = sleep;
+    this.now = now;
+    this.logger = logger;
+    this.nameservers = new Map();
+  }
+
+  /**
+   * Finds the name servers to ask about a zone: the configured resolvers, or the addresses of
+   * the zone's NS records, looked up once per zone.
+   * @param {string} zone - The zone name.
+   * @returns {Promise<Array<{name: string, resolver: dns.promises.Resolver}>>} - The name servers.
+   * @throws {Error} - If the zone's name servers cannot be found.
+   */
+  nameserversFor(zone) {
+    if (!this.nameservers.has(zone)) {
+      const lookup = this.resolvers
+        ? Promise.resolve(this.resolvers.map((server) => [server, server]))
+        : this.findAuthoritative(zone);
+      const nameservers = lookup.then((servers) =>
+        servers.map(([name, address]) => ({
+          name,
+          resolver: this.createResolver(address),
+        }))
+      );
+      // A failed lookup is tried again for the next record
+      nameservers.catch(() => this.nameservers.delete(zone));
+      this.nameservers.set(zone, nameservers);
+    }
+    return this.nameservers.get(zone);
+  }
+
+  /**
+   * Looks up the authoritative name servers of a zone and their addresses.
+   * @param {string} zone - The zone name.
+   * @returns {Promise<Array<[string, string]>>} - The host name and address of each name server.
+   * @throws {Error} - If the zone has no name servers or none has an address.
+   */
+  async findAuthoritative(zone) {
+    const hosts = await dns.promises.resolveNs(zone);
+    const servers = await Promise.all(
+      hosts.map(async (host) => {
+        const addresses = await dns.promises
+          .resolve4(host)
+          .catch(() => dns.promises.resolve6(host))
+          .catch(() => []);
+        return addresses.length > 0 ? [host, addresses[0]] : null;
+      })
+    );
+    const found = servers.filter(Boolean);
+    if (found.length === 0) {
+      throw new Error(`No address found for the name servers of ${zone}`);
+    }
+    return found;
+  }
+
+  /**
+   * Polls the name servers until each of them serves the published content.
+   * @param {object} record - The normalized record.
+   * @param {string} published - The published address, or the joined addresses of a record set.
+   * @returns {Promise<{duration: number, nameservers: number}|null>} - How long propagation took in milliseconds and how many name servers were asked, or null if the record was not checked.
+   * @throws {Error} - If a name server still serves other content once the timeout has passed.
+   */
+  async verify(record, published) {
+    const key = recordKey(record);
+    if (record.proxied) {
+      this.logger.debug(`${key}: proxied, not checking propagation`);
+      return null;
+    }
+
+    const nameservers = await this.nameserversFor(record.zone);
+    const started = this.now();
+    let pending = nameservers;
+    const served = new Map();
+
+    for (;;) {
+      const results = await Promise.all(
+        pending.map(async (nameserver) => {
+          try {
+            const contents = await queryRecord(nameserver.resolver, record);
+            served.set(nameserver.name, contents.join(", ") || "nothing");
+            return servesPublished(record, contents, published);
+          } catch (error) {
+            served.set(
+              nameserver.name,
+              `an error (${error.code || error.message})`
+            );
+            return false;
+          }
+        })
+      );
+      pending = pending.filter((_nameserver, index) => !results[index]);
+
+      const duration = this.now() - started;
+      if (pending.length === 0) {
+        this.logger.info(
+          `${key}: propagated to ${nameservers.length} name server(s) in ${(duration / 1000).toFixed(1)}s`,
+          {
+            record: key,
+            zone: record.zone,
+            ip: published,
+            propagationTime: duration,
+          }
+        );
+        return { duration, nameservers: nameservers.length };
+      }
+      if (duration + this.interval > this.timeout) {
+        throw new Error(
+          `${published} did not propagate within ${this.timeout / 1000}s: ${pending.map(({ name }) => `${name} serves ${served.get(name)}`).join("; ")}`
+        );
+      }
+      await this.sleep(this.interval);
+    }
+  }
+}
+
+module.exports = PropagationChecker;
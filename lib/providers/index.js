@@ -0,0 +1,67 @@
+const { Logger } = require("winston");
+const CloudflareAPI = require("../cloudflare");
+const RFC2136Provider = require("./rfc2136");
+
+/**
+ * A DNS provider manages the records of one zone. CloudflareAPI is the reference implementation.
+ * @typedef {object} DNSProvider
+ * @property {function(): Promise<string>} getZoneId - Finds the zone.
+ * @property {function(string, string, string): Promise<string|null>} getRecordId - Finds a record by zone ID, subdomain and type.
+ * @property {function(string, string, string): Promise<object|null>} getRecord - Reads a record's current content, TTL and, where supported, proxied flag.
+ * @property {function(string, string, string): Promise<Array<object>>} getRecordSet - Reads every record of a name and type, e.g. a round-robin set.
+ * @property {function(string, string, string, string, object): Promise<object>} createDNSRecord - Creates a record.
+ * @property {function(string, string, string, string, string, object): Promise<object>} updateDNSRecord - Updates a record.
+ * @property {function(string, string): Promise<object>} deleteDNSRecord - Deletes a record.
+ * @property {function(string, string, Array<string>, string, object): Promise<object>} replaceRecordSet - Makes the records of a name and type hold exactly the given addresses.
+ */
+
+/**
+ * Factories for each provider type, keyed by the "type" of a provider configuration.
+ */
+const PROVIDER_TYPES = {
+  cloudflare: (
+    zone,
+    {
+      apiKey,
+      email,
+      apiToken,
+      baseURL,
+      timeout,
+      retries,
+      retryDelay,
+      maxRetryDelay,
+      onRequest,
+    },
+    logger
+  ) =>
+    new CloudflareAPI(apiKey, email, zone, logger, {
+      apiToken,
+      baseURL,
+      timeout,
+      retries,
+      retryDelay,
+      maxRetryDelay,
+      onRequest,
+    }),
+  rfc2136: (zone, settings, logger) =>
+    new RFC2136Provider(zone, settings, logger),
+};
+
+/**
+ * Creates the DNS provider for a zone from a provider configuration.
+ * @param {string} zone - The zone name.
+ * @param {object} settings - The provider configuration.
+ * @param {string} settings.type - The provider type: "cloudflare" or "rfc2136".
+ * @param {Logger} logger - The logger instance.
+ * @returns {DNSProvider} - The provider.
+ * @throws {Error} - If the provider type is unknown.
+ */
+function createDNSProvider(zone, settings, logger) {
+  const factory = PROVIDER_TYPES[settings?.type];
+  if (!factory) {
+    throw new Error(`Unknown DNS provider type: ${settings?.type}`);
+  }
+  return factory(zone, settings, logger);
+}
+
+module.exports = { PROVIDER_TYPES, createDNSProvider };
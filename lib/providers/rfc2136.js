@@ -0,0 +1,542 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const { Logger } = require("winston");
+const { LookupError } = require("../errors");
+const { qualifyName } = require("../records");
+const udpRequest = require("../udp");
+
+const TYPES = { A: 1, SOA: 6, TXT: 16, AAAA: 28, TSIG: 250 };
+const CLASS_IN = 1;
+const CLASS_NONE = 254;
+const CLASS_ANY = 255;
+const DEFAULT_TTL = 1800;
+const OPCODE_UPDATE = 5;
+const RCODES = [
+  "NOERROR",
+  "FORMERR",
+  "SERVFAIL",
+  "NXDOMAIN",
+  "NOTIMP",
+  "REFUSED",
+  "YXDOMAIN",
+  "YXRRSET",
+  "NXRRSET",
+  "NOTAUTH",
+  "NOTZONE",
+];
+
+/**
+ * TSIG algorithm names and the matching HMAC digests.
+ */
+const TSIG_ALGORITHMS = {
+  "hmac-md5": { name: "hmac-md5.sig-alg.reg.int", digest: "md5" },
+  "hmac-sha1": { name: "hmac-sha1", digest: "sha1" },
+  "hmac-sha256": { name: "hmac-sha256", digest: "sha256" },
+  "hmac-sha512": { name: "hmac-sha512", digest: "sha512" },
+};
+
+/**
+ * Encodes a domain name in DNS wire format, lower-cased as TSIG requires.
+ * @param {string} name - The domain name.
+ * @returns {Buffer} - The encoded name.
+ */
+function encodeName(name) {
+  const labels = name
+    .toLowerCase()
+    .split(".")
+    .filter(Boolean)
+    .map((label) =>
+      Buffer.concat([Buffer.from([label.length]), Buffer.from(label, "ascii")])
+    );
+  return Buffer.concat([...labels, Buffer.from([0])]);
+}
+
+/**
+ * Encodes an unsigned integer of the given byte length in network order.
+ * @param {number} value - The value.
+ * @param {number} bytes - The byte length: 2, 4 or 6.
+ * @returns {Buffer} - The encoded value.
+ */
+function encodeUInt(value, bytes) {
+  const buffer = Buffer.alloc(bytes);
+  buffer.writeUIntBE(value, 0, bytes);
+  return buffer;
+}
+
+/**
+ * Splits TXT record content into its character strings: the quoted strings of content written
+ * as "..." "...", otherwise the text in pieces of at most 255 bytes.
+ * @param {string} content - The TXT record content.
+ * @returns {Array<Buffer>} - The character strings.
+ */
+function splitTXT(content) {
+  if (/^(\s*"(?:\\.|[^"\\])*")+\s*$/.test(content)) {
+    return content
+      .match(/"(?:\\.|[^"\\])*"/g)
+      .map((part) => Buffer.from(part.slice(1, -1).replace(/\\(.)/g, "$1")));
+  }
+  const text = Buffer.from(content);
+  const parts = [text.subarray(0, 255)];
+  for (let offset = 255; offset < text.length; offset += 255) {
+    parts.push(text.subarray(offset, offset + 255));
+  }
+  return parts;
+}
+
+/**
+ * Encodes the RDATA of an address or TXT record.
+ * @param {string} type - "A", "AAAA" or "TXT".
+ * @param {string} content - The address, or the TXT record content.
+ * @returns {Buffer} - The encoded RDATA.
+ */
+function encodeRdata(type, content) {
+  if (type === "TXT") {
+    return Buffer.concat(
+      splitTXT(content).flatMap((part) => [Buffer.from([part.length]), part])
+    );
+  }
+  if (type === "A" && net.isIPv4(content)) {
+    return Buffer.from(content.split(".").map(Number));
+  }
+  if (type === "AAAA" && net.isIPv6(content)) {
+    const [head, tail = ""] = content.split("::");
+    const groups = (part) => (part ? part.split(":") : []);
+    const missing = 8 - groups(head).length - groups(tail).length;
+    const words = [
+      ...groups(head),
+      ...Array(content.includes("::") ? missing : 0).fill("0"),
+      ...groups(tail),
+    ];
+    return Buffer.concat(
+      words.map((word) => encodeUInt(parseInt(word, 16), 2))
+    );
+  }
+  throw new Error(`Cannot encode ${type} record content: ${content}`);
+}
+
+/**
+ * Encodes a resource record.
+ * @param {object} record - The record fields.
+ * @returns {Buffer} - The encoded record.
+ */
+function encodeRecord({
+  name,
+  type,
+  rrclass,
+  ttl = 0,
+  rdata = Buffer.alloc(0),
+}) {
+  return Buffer.concat([
+    encodeName(name),
+    encodeUInt(type, 2),
+    encodeUInt(rrclass, 2),
+    encodeUInt(ttl, 4),
+    encodeUInt(rdata.length, 2),
+    rdata,
+  ]);
+}
+
+/**
+ * Builds a DNS UPDATE message (RFC 2136) for a zone.
+ * @param {number} id - The message ID.
+ * @param {string} zone - The zone name.
+ * @param {Array<object>} updates - The records of the update section.
+ * @returns {Buffer} - The unsigned message.
+ */
+function buildUpdate(id, zone, updates) {
+  const header = Buffer.concat([
+    encodeUInt(id, 2),
+    encodeUInt(OPCODE_UPDATE << 11, 2),
+    encodeUInt(1, 2),
+    encodeUInt(0, 2),
+    encodeUInt(updates.length, 2),
+    encodeUInt(0, 2),
+  ]);
+  const zoneSection = Buffer.concat([
+    encodeName(zone),
+    encodeUInt(TYPES.SOA, 2),
+    encodeUInt(CLASS_IN, 2),
+  ]);
+  return Buffer.concat([header, zoneSection, ...updates.map(encodeRecord)]);
+}
+
+/**
+ * Signs a message with TSIG (RFC 8945) and appends the TSIG record.
+ * @param {Buffer} message - The unsigned message.
+ * @param {object} key - The TSIG key.
+ * @param {string} key.name - The key name.
+ * @param {string} key.secret - The base64-encoded key secret.
+ * @param {string} key.algorithm - The algorithm, e.g. "hmac-sha256".
+ * @param {number} [now] - The signing time in seconds since the epoch.
+ * @returns {Buffer} - The signed message.
+ */
+function signMessage(message, key, now = Math.floor(Date.now() / 1000)) {
+  const algorithm = TSIG_ALGORITHMS[key.algorithm];
+  const keyName = encodeName(key.name);
+  const algorithmName = encodeName(algorithm.name);
+  const timeSigned = encodeUInt(now, 6);
+  const fudge = encodeUInt(300, 2);
+  const noError = encodeUInt(0, 2);
+  const noOtherData = encodeUInt(0, 2);
+
+  const mac = crypto
+    .createHmac(algorithm.digest, Buffer.from(key.secret, "base64"))
+    .update(
+      Buffer.concat([
+        message,
+        keyName,
+        encodeUInt(CLASS_ANY, 2),
+        encodeUInt(0, 4),
+        algorithmName,
+        timeSigned,
+        fudge,
+        noError,
+        noOtherData,
+      ])
+    )
+    .digest();
+
+  const tsig = encodeRecord({
+    name: key.name,
+    type: TYPES.TSIG,
+    rrclass: CLASS_ANY,
+    rdata: Buffer.concat([
+      algorithmName,
+      timeSigned,
+      fudge,
+      encodeUInt(mac.length, 2),
+      mac,
+      message.subarray(0, 2),
+      noError,
+      noOtherData,
+    ]),
+  });
+
+  const signed = Buffer.concat([message, tsig]);
+  signed.writeUInt16BE(message.readUInt16BE(10) + 1, 10);
+  return signed;
+}
+
+/**
+ * DNS provider for servers accepting dynamic updates (RFC 2136) signed with TSIG, such as BIND.
+ * Implements the same interface as CloudflareAPI. DNS has no record IDs, so the zone name
+ * stands in for the zone ID and "<fqdn>/<type>" for the record ID.
+ */
+class RFC2136Provider {
+  /**
+   * Creates an instance of RFC2136Provider.
+   * @param {string} domainName - The zone to update.
+   * @param {object} settings - The server settings.
+   * @param {string} settings.server - The primary name server's IP address.
+   * @param {number} [settings.port=53] - The name server's port.
+   * @param {string} [settings.keyName] - The TSIG key name; updates are unsigned without it.
+   * @param {string} [settings.keySecret] - The base64-encoded TSIG key secret.
+   * @param {string} [settings.keyAlgorithm="hmac-sha256"] - The TSIG algorithm.
+   * @param {number} [settings.timeout=5000] - How long to wait for a reply, in milliseconds.
+   * @param {Logger} logger - The logger instance.
+   * @throws {Error} - If the server or TSIG settings are invalid.
+   */
+  constructor(
+    domainName,
+    {
+      server,
+      port = 53,
+      keyName,
+      keySecret,
+      keyAlgorithm = "hmac-sha256",
+      timeout = 5000,
+    },
+    logger
+  ) {
+    if (!logger) {
+      throw Error("Logger was not provided to RFC2136Provider instance");
+    }
+    if (!server) {
+      throw new Error("RFC 2136 provider requires a server");
+    }
+    if (keyName && (!keySecret || !TSIG_ALGORITHMS[keyAlgorithm])) {
+      throw new Error(
+        `RFC 2136 provider requires a keySecret and one of: ${Object.keys(TSIG_ALGORITHMS).join(", ")}`
+      );
+    }
+
+    this.domainName = domainName;
+    this.server = server;
+    this.port = port;
+    this.key = keyName
+      ? { name: keyName, secret: keySecret, algorithm: keyAlgorithm }
+      : null;
+    this.timeout = timeout;
+    this.logger = logger;
+    this.resolver = new dns.promises.Resolver({ timeout, tries: 2 });
+    this.resolver.setServers([
+      net.isIPv6(server) ? `[${server}]:${port}` : `${server}:${port}`,
+    ]);
+  }
+
+  /**
+   * Returns the fully qualified name of a subdomain in the zone.
+   * @param {string} subdomain - The subdomain name, or "@" for the zone apex.
+   * @returns {string} - The FQDN.
+   */
+  fqdn(subdomain) {
+    return qualifyName(subdomain, this.domainName);
+  }
+
+  /**
+   * Returns the zone ID, which for DNS UPDATE is the zone name itself.
+   * @returns {Promise<string>} - The zone name.
+   */
+  async getZoneId() {
+    return this.domainName;
+  }
+
+  /**
+   * Checks whether the record exists on the name server.
+   * @param {string} zoneId - The zone name.
+   * @param {string} subdomain - The subdomain name.
+   * @param {string} [type="A"] - The DNS record type.
+   * @param {object} [options] - Lookup settings.
+   * @param {function(string): boolean} [options.match] - Only counts records with matching content.
+   * @returns {Promise<string|null>} - The record ID ("<fqdn>/<type>"), or null if not found.
+   * @throws {LookupError} - If several records match, as for getRecord.
+   */
+  async getRecordId(zoneId, subdomain, type = "A", { match } = {}) {
+    return (
+      (await this.getRecord(zoneId, subdomain, type, { match }))?.id || null
+    );
+  }
+
+  /**
+   * Reads the record's current content and TTL from the name server.
+   * @param {string} zoneId - The zone name.
+   * @param {string} subdomain - The subdomain name.
+   * @param {string} [type="A"] - The DNS record type.
+   * @param {object} [options] - Lookup settings.
+   * @param {function(string): boolean} [options.match] - Picks the record by its content when the name has several, e.g. the SPF policy among TXT records.
+   * @returns {Promise<{id: string, content: string, ttl?: number}|null>} - The record, or null if not found.
+   * @throws {LookupError} - If several records match: an update replaces the whole record set, which would drop the others of a round-robin name.
+   */
+  async getRecord(zoneId, subdomain, type = "A", { match } = {}) {
+    const name = this.fqdn(subdomain);
+    const matches = (await this.getRecordSet(zoneId, subdomain, type)).filter(
+      (record) => !match || match(record.content)
+    );
+    if (matches.length > 1) {
+      throw new LookupError(
+        `${name} has ${matches.length}${match ? " matching" : ""} ${type} records (${matches.map((record) => record.content).join(", ")}); remove the duplicates so the record to update is unambiguous`,
+        { reason: "ambiguous" }
+      );
+    }
+    return matches[0] || null;
+  }
+
+  /**
+   * Reads every record of a name and type from the name server, e.g. a round-robin set.
+   * @param {string} zoneId - The zone name.
+   * @param {string} subdomain - The subdomain name.
+   * @param {string} [type="A"] - The DNS record type.
+   * @returns {Promise<Array<{id: string, content: string, ttl?: number}>>} - The records; they share the ID of their set.
+   */
+  async getRecordSet(zoneId, subdomain, type = "A") {
+    const name = this.fqdn(subdomain);
+    this.logger.http(`DNS: Reading ${type} ${name} from ${this.server}...`);
+
+    let answers;
+    try {
+      answers =
+        type === "A" || type === "AAAA"
+          ? await this.resolver[`resolve${type === "A" ? 4 : 6}`](name, {
+              ttl: true,
+            })
+          : (await this.resolver.resolve(name, type)).map((value) => ({
+              address: [].concat(value).join(""),
+            }));
+    } catch (error) {
+      if (error.code === dns.NODATA || error.code === dns.NOTFOUND) {
+        return [];
+      }
+      throw error;
+    }
+
+    return answers.map((answer) => ({
+      id: `${name}/${type}`,
+      content: answer.address,
+      ttl: answer.ttl,
+    }));
+  }
+
+  /**
+   * Sends a DNS UPDATE message and checks the server's response code.
+   * @param {Array<object>} updates - The records of the update section.
+   * @returns {Promise<void>}
+   * @throws {Error} - If the server does not respond or rejects the update.
+   */
+  async sendUpdate(updates) {
+    const id = crypto.randomInt(0, 0x10000);
+    let message = buildUpdate(id, this.domainName, updates);
+    if (this.key) {
+      message = signMessage(message, this.key);
+    }
+
+    const rcode = await udpRequest({
+      message,
+      address: this.server,
+      port: this.port,
+      timeout: this.timeout,
+      accept: (reply) =>
+        reply.length >= 12 && reply.readUInt16BE(0) === id
+          ? reply.readUInt16BE(2) & 0xf
+          : undefined,
+    });
+
+    if (rcode !== 0) {
+      throw new Error(
+        `DNS update for ${this.domainName} was rejected: ${RCODES[rcode] || rcode}`
+      );
+    }
+  }
+
+  /**
+   * Replaces the record set of a name and type with a single record, or only one record of
+   * the set when the content it replaces is given. A TTL of "auto" uses the default TTL.
+   * @param {string} subdomain - The subdomain name.
+   * @param {string} publicIP - The address or TXT content to publish.
+   * @param {string} type - "A", "AAAA" or "TXT".
+   * @param {number|string} [ttl=1800] - The record TTL in seconds.
+   * @param {string} [replaces] - The content of the record to replace; the whole set is replaced without it.
+   * @returns {Promise<void>}
+   */
+  async replaceRecord(subdomain, publicIP, type, ttl, replaces) {
+    const name = this.fqdn(subdomain);
+    await this.sendUpdate([
+      replaces === undefined
+        ? { name, type: TYPES[type], rrclass: CLASS_ANY }
+        : {
+            name,
+            type: TYPES[type],
+            rrclass: CLASS_NONE,
+            rdata: encodeRdata(type, replaces),
+          },
+      {
+        name,
+        type: TYPES[type],
+        rrclass: CLASS_IN,
+        ttl: ttl === undefined || ttl === "auto" ? DEFAULT_TTL : ttl,
+        rdata: encodeRdata(type, publicIP),
+      },
+    ]);
+  }
+
+  /**
+   * Creates a DNS record pointing at the given public IP address.
+   * @param {string} zoneId - The zone name.
+   * @param {string} subdomain - The subdomain name.
+   * @param {string} publicIP - The public IP address, or the content of a TXT record.
+   * @param {string} [type="A"] - The DNS record type, "A", "AAAA" or "TXT".
+   * @param {object} [options] - Additional record settings; comments and tags are not supported by DNS.
+   * @param {number|string} [options.ttl=1800] - The record TTL in seconds; "auto" uses the default.
+   * @returns {Promise<object>} - The created record, in the same shape CloudflareAPI returns.
+   */
+  async createDNSRecord(zoneId, subdomain, publicIP, type = "A", { ttl } = {}) {
+    this.logger.http(
+      `UPDATE: Creating DNS record for ${subdomain} with IP: ${publicIP}`
+    );
+    await this.replaceRecord(subdomain, publicIP, type, ttl);
+    this.logger.http("DNS record created successfully.");
+    return { success: true, result: { id: `${this.fqdn(subdomain)}/${type}` } };
+  }
+
+  /**
+   * Updates a DNS record with a new public IP address.
+   * @param {string} zoneId - The zone name.
+   * @param {string} recordId - The record ID.
+   * @param {string} subdomain - The subdomain name.
+   * @param {string} publicIP - The new public IP address, or the new content of a TXT record.
+   * @param {string} [type="A"] - The DNS record type, "A", "AAAA" or "TXT".
+   * @param {object} [options] - Additional record settings; comments and tags are not supported by DNS.
+   * @param {number|string} [options.ttl] - The record TTL in seconds; defaults to the TTL the record has, or 1800 if it has none. "auto" uses 1800.
+   * @param {string} [options.replaces] - The content of the record being replaced, so the other records of the name and type are kept.
+   * @returns {Promise<object>} - A Cloudflare-style success envelope.
+   */
+  async updateDNSRecord(
+    zoneId,
+    recordId,
+    subdomain,
+    publicIP,
+    type = "A",
+    { ttl, replaces } = {}
+  ) {
+    this.logger.http(
+      `UPDATE: Updating DNS record for ${subdomain} to IP: ${publicIP}`
+    );
+    // A DNS update always sets the TTL, so the current one is sent again to keep it
+    const [current] =
+      ttl === undefined ? await this.getRecordSet(zoneId, subdomain, type) : [];
+    await this.replaceRecord(
+      subdomain,
+      publicIP,
+      type,
+      ttl ?? current?.ttl,
+      replaces
+    );
+    this.logger.http("DNS record updated successfully.");
+    return { success: true };
+  }
+
+  /**
+   * Replaces the record set of a name and type with the given contents in one DNS UPDATE.
+   * @param {string} zoneId - The zone name.
+   * @param {string} subdomain - The subdomain name.
+   * @param {Array<string>} contents - The addresses to publish.
+   * @param {string} [type="A"] - The DNS record type, "A" or "AAAA".
+   * @param {object} [settings] - Additional record settings; comments and tags are not supported by DNS.
+   * @param {number|string} [settings.ttl] - The TTL of every record in the set; defaults to the TTL the set has, or 1800 for a new set. "auto" uses 1800.
+   * @returns {Promise<{created: number, deleted: number}>} - How many records were added and removed.
+   */
+  async replaceRecordSet(
+    zoneId,
+    subdomain,
+    contents,
+    type = "A",
+    { ttl } = {}
+  ) {
+    const name = this.fqdn(subdomain);
+    const current = await this.getRecordSet(zoneId, subdomain, type);
+    const existing = current.map((record) => record.content);
+    const setTTL = ttl ?? current[0]?.ttl;
+    this.logger.http(
+      `UPDATE: Replacing DNS ${type} records of ${name} with ${contents.join(", ")}`
+    );
+    await this.sendUpdate([
+      { name, type: TYPES[type], rrclass: CLASS_ANY },
+      ...contents.map((content) => ({
+        name,
+        type: TYPES[type],
+        rrclass: CLASS_IN,
+        ttl: setTTL === undefined || setTTL === "auto" ? DEFAULT_TTL : setTTL,
+        rdata: encodeRdata(type, content),
+      })),
+    ]);
+    return {
+      created: contents.filter((content) => !existing.includes(content)).length,
+      deleted: existing.filter((content) => !contents.includes(content)).length,
+    };
+  }
+
+  /**
+   * Deletes a DNS record set.
+   * @param {string} zoneId - The zone name.
+   * @param {string} recordId - The record ID ("<fqdn>/<type>").
+   * @returns {Promise<object>} - A Cloudflare-style success envelope.
+   */
+  async deleteDNSRecord(zoneId, recordId) {
+    const [name, type] = recordId.split("/");
+    this.logger.http(`UPDATE: Deleting DNS ${type} record ${name}`);
+    await this.sendUpdate([{ name, type: TYPES[type], rrclass: CLASS_ANY }]);
+    return { success: true };
+  }
+}
+
+module.exports = RFC2136Provider;
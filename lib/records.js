@@ -0,0 +1,310 @@
+const net = require("net");
+const { createProvider } = require("./ip/providers");
+const { createProbe } = require("./uplinks/probes");
+
+/**
+ * Address family used to detect the public IP for each supported record type.
+ * TXT records hold an IPv4 address (or an SPF policy's ip4: mechanism) unless their
+ * "family" setting is 6.
+ */
+const RECORD_FAMILIES = { A: 4, AAAA: 6, TXT: 4 };
+
+/**
+ * How records with several uplinks are published: "priority" publishes the first healthy uplink
+ * in the list, "all" publishes every healthy uplink as a round-robin record set.
+ */
+const FAILOVER_MODES = ["priority", "all"];
+
+/**
+ * How long a recovered uplink must stay healthy before it is published again, in seconds.
+ */
+const DEFAULT_HOLD_DOWN = 300;
+
+/**
+ * Normalizes the uplinks of a record and its failover settings.
+ * Each uplink has either a fixed address or a source, configured like an IP detection
+ * provider, and optionally a health check. Uplinks are named after their address or source
+ * unless they set a name.
+ * @param {object} entry - The raw record entry.
+ * @param {number} index - The position of the entry in the records list, used in error messages.
+ * @param {number} family - The record's address family.
+ * @returns {{uplinks?: Array<{name: string, address?: string, source?: object, check?: object}>, failover?: {mode: string, holdDown: number}}} - The uplinks and failover settings, or an empty object if the record has no uplinks.
+ * @throws {Error} - If an uplink or a failover setting is invalid.
+ */
+function normalizeUplinks(entry, index, family) {
+  const { uplinks, failover } = entry;
+  if (uplinks === undefined) {
+    if (failover !== undefined) {
+      throw new Error(`records[${index}].failover requires uplinks`);
+    }
+    return {};
+  }
+
+  if (!Array.isArray(uplinks) || uplinks.length === 0) {
+    throw new Error(`records[${index}].uplinks must be a non-empty list`);
+  }
+
+  const normalized = uplinks.map((uplink, position) => {
+    const path = `records[${index}].uplinks[${position}]`;
+    if (!uplink || typeof uplink !== "object") {
+      throw new Error(`${path} must be an object`);
+    }
+
+    const { name, address, source, check } = uplink;
+    if ((address === undefined) === (source === undefined)) {
+      throw new Error(`${path} must set either address or source`);
+    }
+    if (address !== undefined && net.isIP(address) !== family) {
+      throw new Error(`${path}.address must be an IPv${family} address`);
+    }
+    if (name !== undefined && (typeof name !== "string" || !name)) {
+      throw new Error(`${path}.name must be a non-empty string`);
+    }
+
+    let provider;
+    try {
+      provider = source && createProvider(source);
+      if (check !== undefined) {
+        createProbe(check);
+      }
+    } catch (error) {
+      throw new Error(`${path}: ${error.message}`);
+    }
+    if (provider?.family && provider.family !== family) {
+      throw new Error(
+        `${path}.source only reports IPv${provider.family} addresses`
+      );
+    }
+
+    return {
+      name: name ?? address ?? provider.name,
+      address,
+      source,
+      check,
+    };
+  });
+
+  const names = normalized.map((uplink) => uplink.name);
+  const duplicate = names.find(
+    (name, position) => names.indexOf(name) !== position
+  );
+  if (duplicate !== undefined) {
+    throw new Error(
+      `records[${index}].uplinks has more than one uplink named ${duplicate}`
+    );
+  }
+
+  if (failover !== undefined && (!failover || typeof failover !== "object")) {
+    throw new Error(`records[${index}].failover must be an object`);
+  }
+  const { mode = "priority", holdDown = DEFAULT_HOLD_DOWN } = failover || {};
+  if (!FAILOVER_MODES.includes(mode)) {
+    throw new Error(
+      `records[${index}].failover.mode must be one of: ${FAILOVER_MODES.join(", ")}`
+    );
+  }
+  if (typeof holdDown !== "number" || !(holdDown >= 0)) {
+    throw new Error(
+      `records[${index}].failover.holdDown must be a non-negative number of seconds`
+    );
+  }
+
+  return { uplinks: normalized, failover: { mode, holdDown } };
+}
+
+/**
+ * Normalizes a single record entry from the configuration file.
+ * Applies defaults for the optional fields and validates the required ones. TTL, proxied,
+ * comment and tags are left undefined unless set, so updates keep the record's current values.
+ * A and AAAA records may list uplinks to publish instead of the detected public IP.
+ * @param {object} entry - The raw record entry.
+ * @param {number} index - The position of the entry in the records list, used in error messages.
+ * @returns {{zone: string, name: string, type: string, family: number, spf: boolean, ttl?: number|string, proxied?: boolean, comment?: string, tags?: Array<string>, provider: string, createMissing?: boolean, uplinks?: Array<object>, failover?: {mode: string, holdDown: number}}} - The normalized record.
+ * @throws {Error} - If the entry is missing a required field or uses an unsupported type.
+ */
+function normalizeRecord(entry, index) {
+  if (!entry || typeof entry !== "object") {
+    throw new Error(`records[${index}] must be an object`);
+  }
+
+  const { zone, name = "@", type = "A", ttl, proxied, comment, tags } = entry;
+
+  if (!zone || typeof zone !== "string") {
+    throw new Error(`records[${index}].zone must be a non-empty string`);
+  }
+
+  const recordType = String(type).toUpperCase();
+  if (!RECORD_FAMILIES[recordType]) {
+    throw new Error(`records[${index}].type is not supported: ${type}`);
+  }
+
+  if (
+    ttl !== undefined &&
+    ttl !== "auto" &&
+    !(Number.isInteger(ttl) && ttl > 0)
+  ) {
+    throw new Error(
+      `records[${index}].ttl must be a positive integer or "auto"`
+    );
+  }
+  if (proxied !== undefined && typeof proxied !== "boolean") {
+    throw new Error(`records[${index}].proxied must be a boolean`);
+  }
+  if (proxied !== undefined && recordType === "TXT") {
+    throw new Error(
+      `records[${index}].proxied is not supported for TXT records`
+    );
+  }
+  if (comment !== undefined && typeof comment !== "string") {
+    throw new Error(`records[${index}].comment must be a string`);
+  }
+  if (
+    tags !== undefined &&
+    (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string"))
+  ) {
+    throw new Error(`records[${index}].tags must be a list of strings`);
+  }
+  if (
+    (entry.family !== undefined || entry.spf !== undefined) &&
+    recordType !== "TXT"
+  ) {
+    throw new Error(
+      `records[${index}].${entry.family !== undefined ? "family" : "spf"} is only supported for TXT records`
+    );
+  }
+  const { family = RECORD_FAMILIES[recordType], spf = false } = entry;
+  if (family !== 4 && family !== 6) {
+    throw new Error(`records[${index}].family must be 4 or 6`);
+  }
+  if (typeof spf !== "boolean") {
+    throw new Error(`records[${index}].spf must be a boolean`);
+  }
+
+  const { provider = "cloudflare" } = entry;
+  if (typeof provider !== "string" || !provider) {
+    throw new Error(`records[${index}].provider must be a non-empty string`);
+  }
+
+  if (
+    entry.createMissing !== undefined &&
+    typeof entry.createMissing !== "boolean"
+  ) {
+    throw new Error(`records[${index}].createMissing must be a boolean`);
+  }
+  if (spf && entry.createMissing) {
+    throw new Error(
+      `records[${index}].createMissing is not supported for SPF records, which must already exist`
+    );
+  }
+
+  if (entry.uplinks !== undefined && recordType === "TXT") {
+    throw new Error(
+      `records[${index}].uplinks is only supported for A and AAAA records`
+    );
+  }
+  const { uplinks, failover } = normalizeUplinks(entry, index, family);
+
+  return {
+    zone,
+    name,
+    type: recordType,
+    family,
+    spf,
+    ttl,
+    proxied,
+    comment,
+    tags,
+    provider,
+    createMissing: entry.createMissing,
+    uplinks,
+    failover,
+  };
+}
+
+/**
+ * Returns the record settings to send to the DNS provider besides the content: only the TTL,
+ * proxied flag, comment and tags that are configured, so the others keep their current values.
+ * @param {object} record - The normalized record.
+ * @returns {{ttl?: number|string, proxied?: boolean, comment?: string, tags?: Array<string>}} - The settings.
+ */
+function recordSettings(record) {
+  return Object.fromEntries(
+    ["ttl", "proxied", "comment", "tags"]
+      .filter((field) => record[field] !== undefined)
+      .map((field) => [field, record[field]])
+  );
+}
+
+/**
+ * Builds the list of records to manage.
+ * Records declared in the configuration file take precedence; otherwise a record is built
+ * for each type in RECORD_TYPES using the DOMAIN_NAME and SUBDOMAIN environment variables.
+ * @param {object} config - The loaded configuration data.
+ * @param {object} env - The environment variables.
+ * @returns {Array<object>} - The normalized records.
+ * @throws {Error} - If no records are configured or an entry is invalid.
+ */
+function loadRecords(config, env) {
+  if (config.records !== undefined) {
+    if (!Array.isArray(config.records)) {
+      throw new Error("records must be an array");
+    }
+    return config.records.map(normalizeRecord);
+  }
+
+  if (!env.DOMAIN_NAME) {
+    throw new Error(
+      "No records configured. Add a records list to the config file or set DOMAIN_NAME."
+    );
+  }
+
+  return (env.RECORD_TYPES || "A")
+    .split(",")
+    .map((type) => type.trim())
+    .filter(Boolean)
+    .map((type, index) =>
+      normalizeRecord(
+        { zone: env.DOMAIN_NAME, name: env.SUBDOMAIN || "@", type },
+        index
+      )
+    );
+}
+
+/**
+ * Qualifies a record name with its zone. "@" (or an empty name) stands for the zone apex.
+ * @param {string} name - The record name relative to the zone, e.g. "home" or "@".
+ * @param {string} zone - The zone name.
+ * @returns {string} - The fully qualified name, e.g. "home.example.com" or "example.com".
+ */
+function qualifyName(name, zone) {
+  return name === "@" || name === "" ? zone : `${name}.${zone}`;
+}
+
+/**
+ * Returns the fully qualified domain name of a record.
+ * @param {object} record - The normalized record.
+ * @returns {string} - The record's FQDN.
+ */
+function recordFqdn(record) {
+  return qualifyName(record.name, record.zone);
+}
+
+/**
+ * Returns the key used to cache state for a record, e.g. "A home.example.com".
+ * @param {object} record - The normalized record.
+ * @returns {string} - The cache key.
+ */
+function recordKey(record) {
+  return `${record.type} ${recordFqdn(record)}`;
+}
+
+module.exports = {
+  FAILOVER_MODES,
+  RECORD_FAMILIES,
+  loadRecords,
+  normalizeRecord,
+  qualifyName,
+  recordFqdn,
+  recordKey,
+  recordSettings,
+};
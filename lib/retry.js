@@ -0,0 +1,72 @@
+/**
+ * Returns the delay before a retry using exponential backoff with full jitter.
+ * @param {number} attempt - The number of the retry, starting at 1.
+ * @param {object} options - The backoff settings.
+ * @param {number} options.minDelay - The base delay in milliseconds.
+ * @param {number} options.maxDelay - The upper bound for the delay in milliseconds.
+ * @returns {number} - The delay in milliseconds.
+ */
+function backoffDelay(attempt, { minDelay, maxDelay }) {
+  const ceiling = Math.min(maxDelay, minDelay * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Resolves after the given delay.
+ * @param {number} ms - The delay in milliseconds.
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs an operation, retrying it with bounded exponential backoff while it fails with a
+ * retryable error. A delay requested by the error itself (e.g. from a Retry-After header) is
+ * honoured, but when it exceeds maxDelay the error is thrown instead of waiting that long.
+ * @param {function(number): Promise<*>} operation - The operation; receives the attempt number, starting at 0.
+ * @param {object} [options] - The retry settings.
+ * @param {number} [options.retries=3] - How many times a failed operation is retried.
+ * @param {number} [options.minDelay=1000] - The base backoff delay in milliseconds.
+ * @param {number} [options.maxDelay=30000] - The longest delay to wait before a retry, in milliseconds.
+ * @param {function(Error): boolean} [options.isRetryable] - Whether an error is worth retrying; by default none are.
+ * @param {function(Error): (number|undefined)} [options.retryAfter] - The delay an error asks for, in milliseconds.
+ * @param {function(Error, number, number): void} [options.onRetry] - Called with the error, the retry number and the delay before each retry.
+ * @returns {Promise<*>} - The result of the operation.
+ * @throws {Error} - The last error, once it is not retryable or the retries are used up.
+ */
+async function withRetry(
+  operation,
+  {
+    retries = 3,
+    minDelay = 1000,
+    maxDelay = 30000,
+    isRetryable = () => false,
+    retryAfter = () => undefined,
+    onRetry = () => {},
+  } = {}
+) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+
+      const requested = retryAfter(error);
+      if (requested > maxDelay) {
+        throw error;
+      }
+
+      const delay = Math.max(
+        requested || 0,
+        backoffDelay(attempt + 1, { minDelay, maxDelay })
+      );
+      onRetry(error, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = { backoffDelay, withRetry };
@@ -0,0 +1,96 @@
+const { Logger } = require("winston");
+
+/**
+ * Runs a task repeatedly on a fixed interval with optional random jitter.
+ * Runs never overlap: the next run is scheduled once the current one has finished.
+ */
+class Scheduler {
+  /**
+   * Creates an instance of Scheduler.
+   * @param {function(): Promise<void>} task - The task to run.
+   * @param {object} options - The schedule settings.
+   * @param {number} options.interval - The delay between runs in milliseconds.
+   * @param {number} [options.jitter=0] - The maximum random delay in milliseconds added to each interval.
+   * @param {Logger} logger - The logger instance.
+   * @throws {Error} - If the interval or jitter is invalid.
+   */
+  constructor(task, { interval, jitter = 0 }, logger) {
+    if (!Number.isFinite(interval) || interval <= 0) {
+      throw new Error("Scheduler interval must be a positive number");
+    }
+    if (!Number.isFinite(jitter) || jitter < 0) {
+      throw new Error("Scheduler jitter must be a non-negative number");
+    }
+
+    this.task = task;
+    this.interval = interval;
+    this.jitter = jitter;
+    this.logger = logger;
+    this.timer = null;
+    this.running = null;
+    this.stopped = true;
+    this.done = Promise.resolve();
+  }
+
+  /**
+   * Starts the schedule, running the task immediately.
+   * @returns {Promise<void>} - Resolves once the scheduler has been stopped and the current run has finished.
+   */
+  start() {
+    this.stopped = false;
+    this.done = new Promise((resolve) => {
+      this.resolveDone = resolve;
+    });
+    this.tick();
+    return this.done;
+  }
+
+  /**
+   * Stops the schedule. A run that is in progress is allowed to finish.
+   * @returns {Promise<void>} - Resolves once the current run, if any, has finished.
+   */
+  async stop() {
+    if (this.stopped) {
+      return this.done;
+    }
+
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    await this.running;
+    this.resolveDone();
+    return this.done;
+  }
+
+  /**
+   * Returns the delay before the next run, including a random jitter.
+   * @returns {number} - The delay in milliseconds.
+   */
+  nextDelay() {
+    return this.interval + Math.floor(Math.random() * this.jitter);
+  }
+
+  /**
+   * Runs the task once and schedules the next run.
+   * Errors thrown by the task are logged and do not stop the schedule.
+   */
+  async tick() {
+    this.timer = null;
+    this.running = Promise.resolve()
+      .then(() => this.task())
+      .catch((error) => {
+        this.logger.error(`Scheduled run failed: ${error.message}`);
+      });
+    await this.running;
+    this.running = null;
+
+    if (!this.stopped) {
+      const delay = this.nextDelay();
+      this.logger.debug(`Next check in ${Math.round(delay / 1000)}s`);
+      this.timer = setTimeout(() => this.tick(), delay);
+    }
+  }
+}
+
+module.exports = Scheduler;
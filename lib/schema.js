@@ -0,0 +1,183 @@
+/**
+ * Minimal JSON schema validation, enough to describe the config file.
+ * Supported keywords: type (a name or a list of names), enum, ignoreCase, minimum, maximum,
+ * minLength, properties, required, additionalProperties (false or a schema for the other
+ * values), items and minItems.
+ */
+
+/**
+ * Returns the schema type name of a value.
+ * @param {*} value - The value.
+ * @returns {string} - "null", "array", "integer", "number", "string", "boolean" or "object".
+ */
+function typeOf(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (Number.isInteger(value)) {
+    return "integer";
+  }
+  return typeof value;
+}
+
+/**
+ * Whether a value has one of the given types. Integers are also numbers.
+ * @param {*} value - The value.
+ * @param {Array<string>} types - The accepted type names.
+ * @returns {boolean}
+ */
+function hasType(value, types) {
+  const type = typeOf(value);
+  return (
+    types.includes(type) || (type === "integer" && types.includes("number"))
+  );
+}
+
+/**
+ * Describes a type name with its article, e.g. "an integer".
+ * @param {string} type - The type name.
+ * @returns {string} - The description.
+ */
+function describeType(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+/**
+ * Joins a property to a path, e.g. "records[0]" and "ttl" to "records[0].ttl".
+ * @param {string} path - The parent path.
+ * @param {string} key - The property name.
+ * @returns {string} - The property path.
+ */
+function joinPath(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Counts the single-character edits between two strings.
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} - The edit distance.
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Finds the known name closest to a misspelled one.
+ * @param {string} name - The unknown name.
+ * @param {Array<string>} known - The known names.
+ * @returns {string|undefined} - The closest name, if it is at most two edits away.
+ */
+function suggest(name, known) {
+  return known
+    .map((candidate) => ({
+      candidate,
+      distance: editDistance(name.toLowerCase(), candidate.toLowerCase()),
+    }))
+    .filter(({ distance }) => distance <= 2)
+    .sort((a, b) => a.distance - b.distance)[0]?.candidate;
+}
+
+/**
+ * Checks an object's properties.
+ * @param {object} value - The object.
+ * @param {object} schema - The object schema.
+ * @param {string} path - The object's path.
+ * @returns {Array<string>} - The problems found.
+ */
+function validateProperties(value, schema, path) {
+  const properties = schema.properties || {};
+  const problems = (schema.required || [])
+    .filter((key) => value[key] === undefined)
+    .map((key) => `${joinPath(path, key)} is required`);
+
+  for (const [key, child] of Object.entries(value)) {
+    if (properties[key]) {
+      problems.push(...validate(child, properties[key], joinPath(path, key)));
+    } else if (schema.additionalProperties === false) {
+      const match = suggest(key, Object.keys(properties));
+      problems.push(
+        `${joinPath(path, key)} is not a known setting${match ? ` (did you mean "${match}"?)` : ""}`
+      );
+    } else if (typeof schema.additionalProperties === "object") {
+      problems.push(
+        ...validate(child, schema.additionalProperties, joinPath(path, key))
+      );
+    }
+  }
+  return problems;
+}
+
+/**
+ * Checks a value against a schema.
+ * @param {*} value - The value to check.
+ * @param {object} schema - The schema.
+ * @param {string} [path=""] - The value's path, used in the messages, e.g. "records[0].ttl".
+ * @returns {Array<string>} - One message per problem, naming the offending field; empty if the value is valid.
+ */
+function validate(value, schema, path = "") {
+  const name = path || "value";
+  const types = schema.type && [].concat(schema.type);
+  if (types && !hasType(value, types)) {
+    return [
+      `${name} must be ${types.map(describeType).join(" or ")}, not ${typeOf(value)}`,
+    ];
+  }
+
+  if (schema.enum) {
+    const matches = schema.ignoreCase
+      ? (option) => String(option).toLowerCase() === String(value).toLowerCase()
+      : (option) => option === value;
+    if (!schema.enum.some(matches)) {
+      return [
+        `${name} must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}, not ${JSON.stringify(value)}`,
+      ];
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return [`${name} must be at least ${schema.minimum}`];
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return [`${name} must be at most ${schema.maximum}`];
+    }
+  }
+
+  if (typeof value === "string" && value.length < (schema.minLength || 0)) {
+    return [`${name} must not be empty`];
+  }
+
+  if (Array.isArray(value)) {
+    if (value.length < (schema.minItems || 0)) {
+      return [`${name} must have at least ${schema.minItems} item(s)`];
+    }
+    return schema.items
+      ? value.flatMap((item, index) =>
+          validate(item, schema.items, `${path}[${index}]`)
+        )
+      : [];
+  }
+
+  if (typeOf(value) === "object") {
+    return validateProperties(value, schema, path);
+  }
+  return [];
+}
+
+module.exports = { validate };
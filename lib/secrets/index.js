@@ -0,0 +1,169 @@
+const fs = require("fs");
+const { exec } = require("child_process");
+const Keystore = require("./keystore");
+const { ConfigError } = require("../errors");
+const { SECRET_NAME } = require("../logger/redact");
+
+/**
+ * How long a secret command may run, in milliseconds.
+ */
+const COMMAND_TIMEOUT = 30000;
+
+/**
+ * The suffixes of the variables naming where a secret comes from: API_TOKEN_FILE holds the
+ * path of a file containing API_TOKEN, API_TOKEN_COMMAND a shell command printing it.
+ */
+const SOURCE_SUFFIXES = ["_FILE", "_COMMAND"];
+
+/**
+ * Whether a variable may be read from a file or a command. Only credentials may, so
+ * unrelated variables such as SSL_CERT_FILE or PROMPT_COMMAND are left alone.
+ * @param {string} name - The variable name.
+ * @returns {boolean}
+ */
+function isSecretVariable(name) {
+  return name === "EMAIL" || SECRET_NAME.test(name);
+}
+
+/**
+ * Drops the line break that files and command output end with.
+ * @param {string} text - The text.
+ * @returns {string} - The text without trailing line breaks.
+ */
+function stripNewline(text) {
+  return text.replace(/[\r\n]+$/, "");
+}
+
+/**
+ * Runs a secret command through the shell and reads its output.
+ * @param {string} command - The command.
+ * @param {object} env - The environment the command runs in.
+ * @returns {Promise<string>} - The output, without its trailing line break.
+ * @throws {Error} - If the command fails, times out or prints nothing.
+ */
+function runCommand(command, env) {
+  return new Promise((resolve, reject) => {
+    exec(
+      command,
+      { env, timeout: COMMAND_TIMEOUT },
+      (error, stdout, stderr) => {
+        if (error) {
+          const reason = stderr.trim().split("\n")[0] || error.message;
+          reject(new Error(error.killed ? "timed out" : reason));
+          return;
+        }
+        const output = stripNewline(stdout);
+        if (!output) {
+          reject(new Error("printed nothing"));
+          return;
+        }
+        resolve(output);
+      }
+    );
+  });
+}
+
+/**
+ * Reads the secret a source variable points at.
+ * @param {string} variable - The source variable, e.g. API_TOKEN_FILE.
+ * @param {string} value - Its value: a file path or a command.
+ * @param {object} env - The environment the command runs in.
+ * @returns {Promise<string>} - The secret.
+ * @throws {Error} - If the secret cannot be read.
+ */
+async function readSource(variable, value, env) {
+  if (variable.endsWith("_COMMAND")) {
+    try {
+      return await runCommand(value, env);
+    } catch (error) {
+      throw new Error(`${variable} failed: ${error.message}`);
+    }
+  }
+  try {
+    return stripNewline(await fs.promises.readFile(value, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `${variable}: cannot read ${value} (${error.code || error.message})`
+    );
+  }
+}
+
+/**
+ * Resolves the credentials that are kept out of the environment. Each secret variable NAME
+ * may instead be given as NAME_FILE, the path of a file holding it (as with Docker and
+ * Kubernetes secrets), or NAME_COMMAND, a command printing it (such as "pass show ddns/token").
+ * When SECRETS_KEYSTORE is set, the keystore it names is unlocked with SECRETS_PASSPHRASE
+ * (which may itself come from a file or a command) and fills in the variables that are
+ * still unset.
+ * @param {object} env - The environment variables.
+ * @param {object} [options] - What to resolve.
+ * @param {boolean} [options.keystore=true] - Whether to read the keystore; the command managing it opens it itself.
+ * @returns {Promise<{env: object, secrets: Array<string>}>} - A copy of the environment with the secrets set, and the resolved values so they can be redacted from the logs.
+ * @throws {ConfigError} - If a secret cannot be read or is given more than one way.
+ */
+async function resolveSecrets(env, { keystore: useKeystore = true } = {}) {
+  const resolved = { ...env };
+  const secrets = [];
+  const problems = [];
+
+  const sources = new Map();
+  Object.keys(env).forEach((variable) => {
+    const suffix = SOURCE_SUFFIXES.find((end) => variable.endsWith(end));
+    const name = suffix && variable.slice(0, -suffix.length);
+    if (name && isSecretVariable(name) && env[variable]) {
+      sources.set(name, variable);
+    }
+  });
+  // Commands run once the files are read, so they can use e.g. a passphrase from a file
+  const ordered = [...sources].sort(
+    ([, a], [, b]) => a.endsWith("_COMMAND") - b.endsWith("_COMMAND")
+  );
+
+  for (const [name, variable] of ordered) {
+    const given = [
+      name,
+      ...SOURCE_SUFFIXES.map((suffix) => name + suffix),
+    ].filter((other) => env[other]);
+    if (given.length > 1) {
+      problems.push(`Set only one of ${given.join(", ")}`);
+      continue;
+    }
+    try {
+      resolved[name] = await readSource(variable, env[variable], resolved);
+      secrets.push(resolved[name]);
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+
+  if (useKeystore && resolved.SECRETS_KEYSTORE && problems.length === 0) {
+    try {
+      if (!resolved.SECRETS_PASSPHRASE) {
+        throw new Error("SECRETS_KEYSTORE needs SECRETS_PASSPHRASE");
+      }
+      const keystore = new Keystore(
+        resolved.SECRETS_KEYSTORE,
+        resolved.SECRETS_PASSPHRASE
+      );
+      if (!(await keystore.load())) {
+        throw new Error(`Keystore ${resolved.SECRETS_KEYSTORE} not found`);
+      }
+      // Variables set in the environment take precedence over the keystore
+      keystore.names().forEach((name) => {
+        if (!resolved[name]) {
+          resolved[name] = keystore.get(name);
+          secrets.push(resolved[name]);
+        }
+      });
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError("Secrets could not be resolved", problems);
+  }
+  return { env: resolved, secrets };
+}
+
+module.exports = { Keystore, isSecretVariable, resolveSecrets };
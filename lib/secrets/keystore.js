@@ -0,0 +1,182 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+/**
+ * The keystore file format version.
+ */
+const VERSION = 1;
+
+/**
+ * The scrypt cost parameters deriving the key from the passphrase. They are stored in the
+ * file, so they can be raised without breaking existing keystores.
+ */
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+
+/**
+ * A local file of named secrets, encrypted with AES-256-GCM under a key derived from a
+ * passphrase with scrypt. The whole file is re-encrypted with a fresh salt and IV on every
+ * save, and only its owner may read it.
+ */
+class Keystore {
+  /**
+   * Creates an instance of Keystore. Call load() to read the file.
+   * @param {string} filePath - The path of the keystore file.
+   * @param {string} passphrase - The passphrase unlocking it.
+   * @throws {Error} - If the passphrase is empty.
+   */
+  constructor(filePath, passphrase) {
+    if (!passphrase) {
+      throw new Error(
+        `A passphrase is required to open the keystore ${filePath}`
+      );
+    }
+
+    this.filePath = filePath;
+    this.passphrase = passphrase;
+    this.secrets = {};
+  }
+
+  /**
+   * Derives the encryption key.
+   * @param {Buffer} salt - The salt.
+   * @param {{N: number, r: number, p: number}} params - The scrypt cost parameters.
+   * @returns {Promise<Buffer>} - The 256-bit key.
+   */
+  deriveKey(salt, { N, r, p }) {
+    return new Promise((resolve, reject) =>
+      crypto.scrypt(
+        this.passphrase,
+        salt,
+        32,
+        { N, r, p, maxmem: 256 * N * r },
+        (error, key) => (error ? reject(error) : resolve(key))
+      )
+    );
+  }
+
+  /**
+   * Reads and decrypts the file; a keystore that does not exist yet is empty.
+   * @returns {Promise<boolean>} - Whether the file exists.
+   * @throws {Error} - If the file cannot be read, is not a keystore, or the passphrase is wrong.
+   */
+  async load() {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(this.filePath, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        this.secrets = {};
+        return false;
+      }
+      throw error;
+    }
+
+    let file;
+    try {
+      file = JSON.parse(contents);
+    } catch (error) {
+      throw new Error(`${this.filePath} is not a keystore: ${error.message}`);
+    }
+    if (file.version !== VERSION || file.kdf?.name !== "scrypt") {
+      throw new Error(
+        `${this.filePath} is not a keystore this version can read`
+      );
+    }
+
+    const key = await this.deriveKey(
+      Buffer.from(file.kdf.salt, "base64"),
+      file.kdf
+    );
+    try {
+      const decipher = crypto.createDecipheriv(
+        "aes-256-gcm",
+        key,
+        Buffer.from(file.iv, "base64")
+      );
+      decipher.setAuthTag(Buffer.from(file.tag, "base64"));
+      const plaintext = Buffer.concat([
+        decipher.update(Buffer.from(file.data, "base64")),
+        decipher.final(),
+      ]);
+      this.secrets = JSON.parse(plaintext.toString("utf8"));
+    } catch {
+      throw new Error(
+        `Cannot unlock the keystore ${this.filePath}: wrong passphrase or damaged file`
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Encrypts the secrets and writes them through a temporary file.
+   * @returns {Promise<void>}
+   */
+  async save() {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const key = await this.deriveKey(salt, SCRYPT_PARAMS);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    const data = Buffer.concat([
+      cipher.update(JSON.stringify(this.secrets), "utf8"),
+      cipher.final(),
+    ]);
+    const file = {
+      version: VERSION,
+      kdf: { name: "scrypt", salt: salt.toString("base64"), ...SCRYPT_PARAMS },
+      cipher: "aes-256-gcm",
+      iv: iv.toString("base64"),
+      tag: cipher.getAuthTag().toString("base64"),
+      data: data.toString("base64"),
+    };
+
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(
+      tempPath,
+      `${JSON.stringify(file, null, 2)}\n`,
+      {
+        encoding: "utf8",
+        mode: 0o600,
+      }
+    );
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * The names of the stored secrets, sorted.
+   * @returns {Array<string>}
+   */
+  names() {
+    return Object.keys(this.secrets).sort();
+  }
+
+  /**
+   * Reads a secret.
+   * @param {string} name - The secret's name.
+   * @returns {string|undefined} - The value, if stored.
+   */
+  get(name) {
+    return Object.hasOwn(this.secrets, name) ? this.secrets[name] : undefined;
+  }
+
+  /**
+   * Stores a secret; call save() to write it.
+   * @param {string} name - The secret's name.
+   * @param {string} value - The value.
+   */
+  set(name, value) {
+    this.secrets[name] = value;
+  }
+
+  /**
+   * Removes a secret; call save() to write the change.
+   * @param {string} name - The secret's name.
+   * @returns {boolean} - Whether the secret was stored.
+   */
+  delete(name) {
+    const stored = Object.hasOwn(this.secrets, name);
+    delete this.secrets[name];
+    return stored;
+  }
+}
+
+module.exports = Keystore;
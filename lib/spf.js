@@ -0,0 +1,68 @@
+/**
+ * Matches an ip4: or ip6: mechanism of an SPF policy, with its optional qualifier.
+ * TXT content may be quoted, so a mechanism ends at white space or a quote.
+ */
+const MECHANISM = /(^|[\s"])([+\-~?]?)(ip[46]):([^\s"]+)/g;
+
+/**
+ * Whether TXT record content is an SPF policy.
+ * @param {string} content - The TXT record content, quoted or not.
+ * @returns {boolean}
+ */
+function isSPFPolicy(content) {
+  return /^"?v=spf1(\s|"|$)/i.test(String(content).trim());
+}
+
+/**
+ * Points the ip4: (or ip6:) mechanism of an SPF policy at a new address, keeping every other
+ * mechanism, the qualifier and any quoting as they are. Mechanisms for networks (with a prefix
+ * length) are never changed. The mechanism to change is the one holding the previously
+ * published address or, failing that, the only single-address mechanism of the family.
+ * When the policy has none, one is added after "v=spf1".
+ * @param {string} policy - The current SPF policy.
+ * @param {string} ip - The address to publish.
+ * @param {object} options - How to find the mechanism.
+ * @param {number} options.family - 4 for ip4:, 6 for ip6:.
+ * @param {string} [options.previousIP] - The address published before, if known.
+ * @returns {string} - The new policy; the same policy if it already lists the address.
+ * @throws {Error} - If the content is not an SPF policy, or several mechanisms could be meant.
+ */
+function rewriteSPF(policy, ip, { family, previousIP }) {
+  if (!isSPFPolicy(policy)) {
+    throw new Error(`TXT record is not an SPF policy: ${policy}`);
+  }
+
+  const mechanism = `ip${family}`;
+  const addresses = [...policy.matchAll(MECHANISM)]
+    .filter((match) => match[3].toLowerCase() === mechanism)
+    .map((match) => match[4])
+    .filter((value) => !value.includes("/"));
+  if (addresses.includes(ip)) {
+    return policy;
+  }
+
+  let target;
+  if (previousIP && addresses.includes(previousIP)) {
+    target = previousIP;
+  } else if (addresses.length === 1) {
+    [target] = addresses;
+  } else if (addresses.length > 1) {
+    throw new Error(
+      `Cannot tell which ${mechanism}: mechanism to update in SPF policy: ${policy}`
+    );
+  }
+
+  if (target === undefined) {
+    return policy.replace(
+      /v=spf1/i,
+      (version) => `${version} ${mechanism}:${ip}`
+    );
+  }
+  return policy.replace(MECHANISM, (match, before, qualifier, name, value) =>
+    name.toLowerCase() === mechanism && value === target
+      ? `${before}${qualifier}${name}:${ip}`
+      : match
+  );
+}
+
+module.exports = { isSPFPolicy, rewriteSPF };
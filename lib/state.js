@@ -0,0 +1,355 @@
+const fs = require("fs");
+const os = require("os");
+const { Logger } = require("winston");
+const { ConfigError } = require("./errors");
+const { formatFor } = require("./formats");
+
+/**
+ * How long to wait between attempts to take a lock held by another process, in milliseconds.
+ */
+const LOCK_POLL_INTERVAL = 100;
+
+/**
+ * How old a lock file that cannot be read must be before it is taken over, in milliseconds.
+ * A lock file is empty from its creation until its owner has written itself into it.
+ */
+const LOCK_GRACE_PERIOD = 10000;
+
+/**
+ * Whether a process with the given ID is running on this host.
+ * @param {number} pid - The process ID.
+ * @returns {boolean}
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * Persistent runtime state, kept apart from the user's config file: the cached zone and record
+ * IDs, the last IP published to each record, the failures already notified and a history of
+ * IP changes, trimmed to the most recent entries.
+ *
+ * A writable store holds a lock file next to the state file while it is open, so a second
+ * instance cannot write the same file. Locks left by processes that are no longer running are
+ * taken over. Writes are queued and atomic, and each change resolves once it is on disk.
+ */
+class StateStore {
+  /**
+   * Creates an instance of StateStore.
+   * @param {string} statePath - Path to the state file; its extension picks the format, as for config files.
+   * @param {Logger} logger - The logger instance.
+   * @param {object} [options] - The store settings.
+   * @param {number} [options.historyLimit=100] - How many IP changes the history keeps.
+   * @param {number} [options.lockTimeout=5000] - How long to wait for another process to release the lock, in milliseconds.
+   */
+  constructor(
+    statePath,
+    logger,
+    { historyLimit = 100, lockTimeout = 5000 } = {}
+  ) {
+    if (!logger) {
+      throw Error("Logger was not provided to StateStore instance");
+    }
+
+    this.statePath = statePath;
+    this.lockPath = `${statePath}.lock`;
+    this.logger = logger;
+    this.historyLimit = historyLimit;
+    this.lockTimeout = lockTimeout;
+    this.data = {};
+    this.text = "";
+    this.locked = false;
+    this.readOnly = true;
+    this.pendingSave = Promise.resolve();
+  }
+
+  /**
+   * Loads the state, taking the lock unless the store is only read.
+   * @param {object} [options] - How to open the store.
+   * @param {boolean} [options.readOnly=false] - Whether to read the state without taking the lock.
+   * @param {object} [options.seed] - The initial state when there is no state file yet, e.g. the sections older versions kept in the config file.
+   * @returns {Promise<StateStore>} - The store.
+   * @throws {Error} - If another running process holds the lock.
+   * @throws {ConfigError} - If the state file cannot be parsed.
+   */
+  async open({ readOnly = false, seed } = {}) {
+    if (!readOnly) {
+      await this.lock();
+    }
+    this.readOnly = readOnly;
+
+    try {
+      this.load(seed);
+    } catch (error) {
+      await this.close();
+      throw error;
+    }
+    return this;
+  }
+
+  /**
+   * Reads the state file, or starts from the seed if there is none.
+   * @param {object} [seed] - The initial state.
+   * @throws {ConfigError} - If the state file cannot be parsed.
+   */
+  load(seed) {
+    if (!fs.existsSync(this.statePath)) {
+      this.data = { ...seed };
+      if (Object.keys(this.data).length > 0) {
+        this.logger.info(
+          `Starting ${this.statePath} from the state in the config file`
+        );
+      }
+      return;
+    }
+
+    const format = formatFor(this.statePath);
+    this.text = fs.readFileSync(this.statePath, "utf8");
+    try {
+      this.data = format.parse(this.text) || {};
+    } catch (error) {
+      throw new ConfigError(
+        `State file ${this.statePath} is not valid ${format.name}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Takes the lock file, waiting for another running process to release it.
+   * @returns {Promise<void>}
+   * @throws {Error} - If the lock is still held when the lock timeout expires.
+   */
+  async lock() {
+    const deadline = Date.now() + this.lockTimeout;
+    const owner = JSON.stringify({
+      pid: process.pid,
+      host: os.hostname(),
+      since: new Date().toISOString(),
+    });
+
+    for (;;) {
+      try {
+        await fs.promises.writeFile(this.lockPath, owner, { flag: "wx" });
+        this.locked = true;
+        return;
+      } catch (error) {
+        if (error.code !== "EEXIST") {
+          throw error;
+        }
+      }
+
+      const holder = this.readLock();
+      if (this.isStale(holder)) {
+        this.logger.warn(
+          `Removing stale lock ${this.lockPath} left by ${holder ? `process ${holder.pid}` : "an unknown process"}`
+        );
+        await fs.promises.rm(this.lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        const by = holder
+          ? `process ${holder.pid} on ${holder.host}`
+          : "another process";
+        throw new Error(
+          `State file ${this.statePath} is in use by ${by} (lock file ${this.lockPath})`
+        );
+      }
+      await new Promise((resolve) => setTimeout(resolve, LOCK_POLL_INTERVAL));
+    }
+  }
+
+  /**
+   * Reads the owner of the lock file.
+   * @returns {object|null} - The process ID, host and time the lock was taken, or null if it cannot be read.
+   */
+  readLock() {
+    try {
+      return JSON.parse(fs.readFileSync(this.lockPath, "utf8"));
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a lock was left behind: it belongs to a process on this host that is no longer
+   * running, or it has not been readable for longer than the grace period. A lock with our own
+   * process ID is left over from an earlier process that had the same ID, as happens to PID 1
+   * when a container restarts.
+   * @param {object|null} holder - The lock owner.
+   * @returns {boolean}
+   */
+  isStale(holder) {
+    if (!holder || typeof holder.pid !== "number") {
+      try {
+        const { mtimeMs } = fs.statSync(this.lockPath);
+        return Date.now() - mtimeMs > LOCK_GRACE_PERIOD;
+      } catch {
+        // Released in the meantime
+        return false;
+      }
+    }
+    return (
+      holder.host === os.hostname() &&
+      (holder.pid === process.pid || !isRunning(holder.pid))
+    );
+  }
+
+  /**
+   * Waits for pending writes and releases the lock.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.pendingSave;
+    if (this.locked) {
+      await fs.promises.rm(this.lockPath, { force: true });
+      this.locked = false;
+    }
+  }
+
+  /**
+   * Retrieves a section of the state.
+   * @param {string} section - The section name, e.g. "recordIds".
+   * @returns {*} - The section, or undefined if it does not exist.
+   */
+  get(section) {
+    return this.data[section];
+  }
+
+  /**
+   * Retrieves an entry from a section.
+   * @param {string} section - The section name.
+   * @param {string} key - The key of the entry within the section.
+   * @returns {*} - The entry value, or undefined if the section or entry does not exist.
+   */
+  getEntry(section, key) {
+    return this.data[section]?.[key];
+  }
+
+  /**
+   * Sets an entry in a section and saves the state.
+   * @param {string} section - The section name.
+   * @param {string} key - The key of the entry within the section.
+   * @param {*} value - The value to set.
+   * @returns {Promise<void>} - Resolves once the state is saved.
+   */
+  setEntry(section, key, value) {
+    this.data[section] = { ...this.data[section], [key]: value };
+    return this.save();
+  }
+
+  /**
+   * Removes an entry from a section and saves the state.
+   * @param {string} section - The section name.
+   * @param {string} key - The key of the entry to remove.
+   * @returns {Promise<void>} - Resolves once the state is saved.
+   */
+  async deleteEntry(section, key) {
+    if (this.getEntry(section, key) === undefined) {
+      return;
+    }
+    const { [key]: _removed, ...rest } = this.data[section];
+    this.data[section] = rest;
+    await this.save();
+  }
+
+  /**
+   * Removes whole sections and saves the state.
+   * @param {Array<string>} sections - The section names.
+   * @returns {Promise<Array<string>>} - The sections that existed and were removed.
+   */
+  async clear(sections) {
+    const cleared = sections.filter((section) => section in this.data);
+    if (cleared.length > 0) {
+      cleared.forEach((section) => delete this.data[section]);
+      await this.save();
+    }
+    return cleared;
+  }
+
+  /**
+   * Records that an IP was published to a record: sets the record's last published IP and
+   * adds the change to the history, dropping the oldest entries beyond the history limit.
+   * @param {string} key - The record key, e.g. "A home.example.com".
+   * @param {object} change - The change.
+   * @param {string} change.ip - The published IP.
+   * @param {string} [change.previousIP] - The IP published before, if known.
+   * @param {string} change.status - "updated" or "created".
+   * @returns {Promise<void>} - Resolves once the state is saved.
+   */
+  recordChange(key, { ip, previousIP, status }) {
+    this.data.lastIPs = { ...this.data.lastIPs, [key]: ip };
+    this.data.history = [
+      ...(this.data.history || []),
+      {
+        at: new Date().toISOString(),
+        record: key,
+        ...(previousIP && { previousIP }),
+        ip,
+        status,
+      },
+    ].slice(-this.historyLimit);
+    return this.save();
+  }
+
+  /**
+   * Returns the recorded IP changes, newest first.
+   * @param {object} [filter] - Which changes to return.
+   * @param {string} [filter.record] - Only changes of this record key, e.g. "A home.example.com", or of every record with this name.
+   * @param {number} [filter.limit] - At most this many changes.
+   * @returns {Array<{at: string, record: string, previousIP?: string, ip: string, status: string}>} - The changes.
+   */
+  getHistory({ record, limit } = {}) {
+    return (this.data.history || [])
+      .filter(
+        (entry) =>
+          !record ||
+          entry.record === record ||
+          entry.record.endsWith(` ${record}`)
+      )
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * Queues an atomic write of the current state.
+   * @returns {Promise<void>} - Resolves once this state is on disk.
+   * @throws {Error} - If the store was opened read-only or the write fails.
+   */
+  save() {
+    if (this.readOnly) {
+      return Promise.reject(
+        new Error(`State file ${this.statePath} was opened read-only`)
+      );
+    }
+
+    this.text = formatFor(this.statePath).update(this.text, this.data);
+    const contents = this.text;
+    const save = this.pendingSave.then(() => this.write(contents));
+    this.pendingSave = save.catch(() => {});
+    return save;
+  }
+
+  /**
+   * Writes the state through a temporary file.
+   * @param {string} contents - The serialized state.
+   * @returns {Promise<void>}
+   */
+  async write(contents) {
+    const tempPath = `${this.statePath}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, contents, "utf8");
+      await fs.promises.rename(tempPath, this.statePath);
+      this.logger.debug(`State saved to ${this.statePath}`);
+    } catch (error) {
+      this.logger.error(`Failed to save state: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = StateStore;
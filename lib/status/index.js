@@ -0,0 +1,279 @@
+const http = require("http");
+const { Logger } = require("winston");
+const { Counter, Gauge, Histogram, MetricsRegistry } = require("./metrics");
+const { recordKey } = require("../records");
+
+/**
+ * Small HTTP server exposing what the updater is doing:
+ * - /healthz answers 200 until a number of consecutive checks have failed, then 503;
+ * - /status returns the current IPs, the last result of each record and the cached IDs as JSON;
+ * - /metrics exposes check, update, failure and API latency metrics in the Prometheus text format.
+ * A check counts as failed when it throws or when any of its records fails.
+ */
+class StatusServer {
+  /**
+   * Creates an instance of StatusServer.
+   * @param {object} options - The server settings.
+   * @param {StateStore} options.state - The state store holding the cached IDs.
+   * @param {number} [options.failureThreshold=3] - How many consecutive failed checks make the updater unhealthy.
+   * @param {Logger} logger - The logger instance.
+   * @throws {Error} - If the failure threshold is invalid.
+   */
+  constructor({ state, failureThreshold = 3 }, logger) {
+    if (!logger) {
+      throw Error("Logger was not provided to StatusServer instance");
+    }
+    if (!Number.isInteger(failureThreshold) || failureThreshold < 1) {
+      throw new Error("Health failure threshold must be a positive integer");
+    }
+
+    this.state = state;
+    this.failureThreshold = failureThreshold;
+    this.logger = logger;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    this.consecutiveFailures = 0;
+    this.lastCheck = null;
+    this.lastSuccess = null;
+    this.lastError = null;
+    this.publicIPs = {};
+    this.records = {};
+
+    this.metrics = new MetricsRegistry();
+    this.checks = this.metrics.register(
+      new Counter("nimbus_ddns_checks_total", "Update checks by result.")
+    );
+    this.updates = this.metrics.register(
+      new Counter(
+        "nimbus_ddns_updates_total",
+        "DNS records updated or created, by record."
+      )
+    );
+    this.failures = this.metrics.register(
+      new Counter(
+        "nimbus_ddns_failures_total",
+        "Failed DNS record updates, by record."
+      )
+    );
+    this.consecutiveFailuresGauge = this.metrics.register(
+      new Gauge(
+        "nimbus_ddns_consecutive_failures",
+        "Update checks that have failed in a row."
+      )
+    );
+    this.lastSuccessGauge = this.metrics.register(
+      new Gauge(
+        "nimbus_ddns_last_success_timestamp_seconds",
+        "Time of the last successful update check."
+      )
+    );
+    this.apiLatency = this.metrics.register(
+      new Histogram(
+        "nimbus_ddns_api_request_duration_seconds",
+        "DNS provider API request durations, by method and HTTP status."
+      )
+    );
+    this.consecutiveFailuresGauge.set({}, 0);
+  }
+
+  /**
+   * Whether fewer consecutive checks have failed than the threshold.
+   * @returns {boolean}
+   */
+  get healthy() {
+    return this.consecutiveFailures < this.failureThreshold;
+  }
+
+  /**
+   * Records the results of a check.
+   * @param {Array<{record: object, status: string, ip?: string, error?: Error}>} results - The results from DNSUpdater.run.
+   */
+  recordRun(results) {
+    const now = new Date();
+    const failed = results.filter((result) => result.status === "failed");
+
+    for (const { record, status, ip, error } of results) {
+      const key = recordKey(record);
+      const previous = this.records[key];
+      if (ip) {
+        this.publicIPs[`ipv${record.family}`] = ip;
+      }
+
+      if (status === "failed") {
+        this.failures.inc({ record: key });
+        this.records[key] = {
+          ...previous,
+          status,
+          error: error.message,
+          checkedAt: now.toISOString(),
+        };
+        continue;
+      }
+
+      if (status === "updated" || status === "created") {
+        this.updates.inc({ record: key, status });
+      }
+      this.records[key] = {
+        status,
+        ip,
+        updatedAt:
+          status === "unchanged"
+            ? previous?.updatedAt || null
+            : now.toISOString(),
+        checkedAt: now.toISOString(),
+      };
+    }
+
+    this.finishCheck(now, failed.length === 0 ? null : failed[0].error);
+  }
+
+  /**
+   * Records a check that failed as a whole.
+   * @param {Error} error - The error.
+   */
+  recordError(error) {
+    this.finishCheck(new Date(), error);
+  }
+
+  /**
+   * Updates the health state and check metrics after a check.
+   * @param {Date} now - The time of the check.
+   * @param {Error|null} error - The first error of the check, or null if it succeeded.
+   */
+  finishCheck(now, error) {
+    this.lastCheck = now.toISOString();
+    this.checks.inc({ result: error ? "failure" : "success" });
+
+    if (error) {
+      this.consecutiveFailures++;
+      this.lastError = error.message;
+    } else {
+      this.consecutiveFailures = 0;
+      this.lastError = null;
+      this.lastSuccess = now.toISOString();
+      this.lastSuccessGauge.set({}, Math.floor(now.getTime() / 1000));
+    }
+    this.consecutiveFailuresGauge.set({}, this.consecutiveFailures);
+  }
+
+  /**
+   * Records the duration of a DNS provider API request.
+   * @param {object} request - The request details.
+   * @param {string} request.method - The HTTP method.
+   * @param {number|string} request.status - The HTTP status, or "error" if no response was received.
+   * @param {number} request.duration - The duration in milliseconds.
+   */
+  observeRequest({ method, status, duration }) {
+    this.apiLatency.observe({ method, status }, duration / 1000);
+  }
+
+  /**
+   * Returns the health state.
+   * @returns {object} - The health report.
+   */
+  health() {
+    return {
+      status: this.healthy ? "ok" : "unhealthy",
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      lastError: this.lastError,
+    };
+  }
+
+  /**
+   * Returns the full status report.
+   * @returns {object} - The status report.
+   */
+  status() {
+    return {
+      healthy: this.healthy,
+      consecutiveFailures: this.consecutiveFailures,
+      lastCheck: this.lastCheck,
+      lastSuccess: this.lastSuccess,
+      lastError: this.lastError,
+      publicIPs: this.publicIPs,
+      records: this.records,
+      cache: {
+        zoneIds: this.state.get("zoneIds") || {},
+        recordIds: this.state.get("recordIds") || {},
+      },
+    };
+  }
+
+  /**
+   * Handles a request.
+   * @param {http.IncomingMessage} req - The request.
+   * @param {http.ServerResponse} res - The response.
+   */
+  handle(req, res) {
+    let pathname;
+    try {
+      ({ pathname } = new URL(req.url, "http://localhost"));
+    } catch {
+      this.sendJSON(res, 400, { error: "Bad request" });
+      return;
+    }
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { Allow: "GET, HEAD" });
+      res.end();
+      return;
+    }
+
+    switch (pathname) {
+      case "/healthz":
+        this.sendJSON(res, this.healthy ? 200 : 503, this.health());
+        return;
+      case "/status":
+        this.sendJSON(res, 200, this.status());
+        return;
+      case "/metrics":
+        res.writeHead(200, {
+          "Content-Type": "text/plain; version=0.0.4; charset=utf-8",
+        });
+        res.end(this.metrics.render());
+        return;
+      default:
+        this.sendJSON(res, 404, { error: "Not found" });
+    }
+  }
+
+  /**
+   * Sends a JSON response.
+   * @param {http.ServerResponse} res - The response.
+   * @param {number} statusCode - The HTTP status code.
+   * @param {object} body - The body.
+   */
+  sendJSON(res, statusCode, body) {
+    res.writeHead(statusCode, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  /**
+   * Starts listening.
+   * @param {number} port - The port; 0 picks a free one.
+   * @param {string} [host="127.0.0.1"] - The address to listen on.
+   * @returns {Promise<string>} - The server's URL.
+   */
+  listen(port, host = "127.0.0.1") {
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, () => {
+        this.server.removeListener("error", reject);
+        const address = this.server.address();
+        this.url = `http://${host.includes(":") ? `[${host}]` : host}:${address.port}`;
+        this.logger.info(`Status server listening on ${this.url}`);
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stops listening.
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve) => this.server.close(() => resolve()));
+  }
+}
+
+module.exports = StatusServer;
@@ -0,0 +1,215 @@
+/**
+ * Default histogram buckets for request durations, in seconds.
+ */
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escapes a label value for the Prometheus text format.
+ * @param {*} value - The label value.
+ * @returns {string} - The escaped value.
+ */
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+/**
+ * Formats a label set, e.g. {record="A home.example.com"}.
+ * @param {object} labels - The labels.
+ * @returns {string} - The formatted labels, or an empty string if there are none.
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * A metric with one value (or set of values) per label combination.
+ */
+class Metric {
+  /**
+   * Creates an instance of Metric.
+   * @param {string} type - The Prometheus metric type.
+   * @param {string} name - The metric name.
+   * @param {string} help - The help text.
+   */
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.series = new Map();
+  }
+
+  /**
+   * Returns the series for a label set, creating it on first use.
+   * @param {object} labels - The labels.
+   * @param {function(): object} create - Creates the initial series state.
+   * @returns {object} - The series.
+   */
+  seriesFor(labels, create) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Renders the metric in the Prometheus text format.
+   * @returns {Array<string>} - The lines.
+   */
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+    ];
+    for (const series of this.series.values()) {
+      lines.push(...this.renderSeries(series));
+    }
+    return lines;
+  }
+
+  /**
+   * Renders one series.
+   * @param {object} series - The series.
+   * @returns {Array<string>} - The lines.
+   */
+  renderSeries(series) {
+    return [`${this.name}${formatLabels(series.labels)} ${series.value}`];
+  }
+}
+
+/**
+ * A value that only goes up.
+ */
+class Counter extends Metric {
+  /**
+   * Creates an instance of Counter.
+   * @param {string} name - The metric name.
+   * @param {string} help - The help text.
+   */
+  constructor(name, help) {
+    super("counter", name, help);
+  }
+
+  /**
+   * Increments the counter.
+   * @param {object} [labels={}] - The labels.
+   * @param {number} [amount=1] - The amount to add.
+   */
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+/**
+ * A value that can go up and down.
+ */
+class Gauge extends Metric {
+  /**
+   * Creates an instance of Gauge.
+   * @param {string} name - The metric name.
+   * @param {string} help - The help text.
+   */
+  constructor(name, help) {
+    super("gauge", name, help);
+  }
+
+  /**
+   * Sets the gauge.
+   * @param {object} labels - The labels.
+   * @param {number} value - The value.
+   */
+  set(labels, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+/**
+ * Counts observations in cumulative buckets, e.g. for request durations.
+ */
+class Histogram extends Metric {
+  /**
+   * Creates an instance of Histogram.
+   * @param {string} name - The metric name.
+   * @param {string} help - The help text.
+   * @param {Array<number>} [buckets] - The bucket upper bounds, in ascending order.
+   */
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super("histogram", name, help);
+    this.buckets = buckets;
+  }
+
+  /**
+   * Records an observation.
+   * @param {object} labels - The labels.
+   * @param {number} value - The observed value.
+   */
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Renders the buckets, sum and count of one series.
+   * @param {object} series - The series.
+   * @returns {Array<string>} - The lines.
+   */
+  renderSeries({ labels, counts, sum, count }) {
+    return [
+      ...this.buckets.map(
+        (bound, index) =>
+          `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`
+      ),
+      `${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`,
+    ];
+  }
+}
+
+/**
+ * A set of metrics rendered together for a /metrics endpoint.
+ */
+class MetricsRegistry {
+  /**
+   * Creates an instance of MetricsRegistry.
+   */
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * Registers a metric.
+   * @param {Metric} metric - The metric.
+   * @returns {Metric} - The metric.
+   */
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * Renders every metric in the Prometheus text format.
+   * @returns {string} - The exposition text.
+   */
+  render() {
+    return `${this.metrics.flatMap((metric) => metric.render()).join("\n")}\n`;
+  }
+}
+
+module.exports = { Counter, Gauge, Histogram, MetricsRegistry };
@@ -0,0 +1,77 @@
+const dgram = require("dgram");
+const net = require("net");
+
+/**
+ * Sends a UDP request and resolves with the first reply accepted by the handler.
+ * The request is retransmitted with a doubling delay until the timeout passes.
+ * @param {object} options - The request settings.
+ * @param {Buffer} options.message - The datagram to send.
+ * @param {string} options.address - The destination address.
+ * @param {number} options.port - The destination port.
+ * @param {number} options.timeout - How long to wait for a reply, in milliseconds.
+ * @param {function(Buffer): *} options.accept - Returns a result for a valid reply, or undefined to keep waiting.
+ * @returns {Promise<*>} - The accepted result.
+ * @throws {Error} - If no reply is accepted before the timeout.
+ */
+function udpRequest({ message, address, port, timeout, accept }) {
+  return new Promise((resolve, reject) => {
+    const socket = dgram.createSocket(net.isIPv6(address) ? "udp6" : "udp4");
+    let delay = 250;
+    let retransmit;
+    let settled = false;
+
+    // A late reply, send error or timer must not close the socket a second time
+    const finish = (error, result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      clearTimeout(retransmit);
+      clearTimeout(deadline);
+      socket.removeAllListeners("message");
+      socket.removeAllListeners("error");
+      socket.on("error", () => {});
+      socket.close();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    const send = () => {
+      if (settled) {
+        return;
+      }
+      socket.send(message, port, address, (error) => {
+        if (error) {
+          finish(error);
+        }
+      });
+      retransmit = setTimeout(send, delay);
+      delay *= 2;
+    };
+
+    const deadline = setTimeout(
+      () => finish(new Error(`No response from ${address}:${port}`)),
+      timeout
+    );
+
+    socket.on("error", (error) => finish(error));
+    socket.on("message", (reply) => {
+      let result;
+      try {
+        result = accept(reply);
+      } catch (error) {
+        finish(error);
+        return;
+      }
+      if (result !== undefined) {
+        finish(null, result);
+      }
+    });
+    socket.bind(0, send);
+  });
+}
+
+module.exports = udpRequest;
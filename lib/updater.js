@@ -0,0 +1,549 @@
+const { Logger } = require("winston");
+const { recordFqdn, recordKey, recordSettings } = require("./records");
+const { isSPFPolicy, rewriteSPF } = require("./spf");
+const { joinAddresses, splitAddresses } = require("./uplinks");
+
+/**
+ * Compares a live record setting with the desired one; tags are compared in any order.
+ * @param {string} field - The setting.
+ * @param {*} current - The live value.
+ * @param {*} desired - The desired value.
+ * @returns {boolean}
+ */
+function sameSetting(field, current, desired) {
+  if (field === "tags") {
+    return (
+      current.length === desired.length &&
+      desired.every((tag) => current.includes(tag))
+    );
+  }
+  return current === desired;
+}
+
+/**
+ * Describes a round-robin record set as one record for the dry-run plan: its joined addresses,
+ * with the settings of its first record.
+ * @param {Array<object>} records - The records of the set.
+ * @returns {object|null} - The summary, or null if the set is empty.
+ */
+function summarizeRecordSet(records) {
+  if (records.length === 0) {
+    return null;
+  }
+  return {
+    ...records[0],
+    id: records.map((record) => record.id).join(", "),
+    content: joinAddresses(records.map((record) => record.content)),
+  };
+}
+
+/**
+ * Updates a set of DNS records with the current public IP addresses, or with the addresses of
+ * their healthy uplinks. Zone and record IDs are cached in the state store, which also
+ * records the last IP published to each record and the history of changes.
+ */
+class DNSUpdater {
+  /**
+   * Creates an instance of DNSUpdater.
+   * @param {object} options - The updater dependencies.
+   * @param {function(string, string): DNSProvider} options.createClient - Creates the DNS provider client for a zone name and provider name.
+   * @param {{getPublicIP: function(number): Promise<string>}} options.ipSource - Detects the public IP for an address family.
+   * @param {StateStore} options.state - The state store used to cache IDs and record published IPs.
+   * @param {UplinkMonitor} [options.uplinks] - Picks the addresses of records with uplinks.
+   * @param {PropagationChecker} [options.propagation] - Checks that the name servers serve each change once it is published.
+   * @param {boolean} [options.createMissing=false] - Whether records that do not exist are created; records may override this.
+   * @param {Logger} logger - The logger instance.
+   */
+  constructor(
+    {
+      createClient,
+      ipSource,
+      state,
+      uplinks,
+      propagation,
+      createMissing = false,
+    },
+    logger
+  ) {
+    if (!logger) {
+      throw Error("Logger was not provided to DNSUpdater instance");
+    }
+
+    this.createClient = createClient;
+    this.ipSource = ipSource;
+    this.state = state;
+    this.uplinks = uplinks;
+    this.propagation = propagation;
+    this.createMissing = createMissing;
+    this.logger = logger;
+    this.clients = new Map();
+  }
+
+  /**
+   * Returns the DNS provider client for a record's zone, creating it on first use.
+   * @param {object} record - The normalized record.
+   * @returns {DNSProvider} - The provider client.
+   */
+  clientFor({ zone, provider }) {
+    const key = `${provider} ${zone}`;
+    if (!this.clients.has(key)) {
+      this.clients.set(key, this.createClient(zone, provider));
+    }
+    return this.clients.get(key);
+  }
+
+  /**
+   * Works out what to publish to a record: the addresses of its healthy uplinks, joined when
+   * several are published, or else the public IP of its address family.
+   * @param {object} record - The normalized record.
+   * @param {Map<number, Promise<string>>} publicIPs - The public IPs detected so far, by family; each family is detected once.
+   * @param {object} [options] - Selection settings.
+   * @param {boolean} [options.dryRun=false] - Whether to leave the uplinks' health in the state store untouched.
+   * @returns {Promise<string>} - The address or addresses.
+   * @throws {Error} - If the public IP cannot be detected or no uplink is healthy.
+   */
+  async resolveAddress(record, publicIPs, { dryRun = false } = {}) {
+    if (record.uplinks) {
+      return joinAddresses(await this.uplinks.select(record, { dryRun }));
+    }
+    if (!publicIPs.has(record.family)) {
+      publicIPs.set(record.family, this.ipSource.getPublicIP(record.family));
+    }
+    return publicIPs.get(record.family);
+  }
+
+  /**
+   * Resolves the zone ID for a record's zone, using the cached value when available.
+   * @param {object} record - The normalized record.
+   * @param {object} [options] - Lookup settings.
+   * @param {boolean} [options.useCache=true] - Whether the cached zone ID may be used.
+   * @param {boolean} [options.dryRun=false] - Whether to leave a looked-up zone ID out of the cache.
+   * @returns {Promise<string>} - The zone ID.
+   */
+  async resolveZoneId(record, { useCache = true, dryRun = false } = {}) {
+    let zoneId = useCache && this.state.getEntry("zoneIds", record.zone);
+    if (!zoneId) {
+      zoneId = await this.clientFor(record).getZoneId();
+      if (!dryRun) {
+        await this.state.setEntry("zoneIds", record.zone, zoneId);
+      }
+    }
+    return zoneId;
+  }
+
+  /**
+   * Resolves the record ID for a record, using the cached value when available.
+   * @param {object} record - The normalized record.
+   * @param {string} zoneId - The ID of the record's zone.
+   * @returns {Promise<string|null>} - The record ID, or null if the record does not exist.
+   */
+  async resolveRecordId(record, zoneId) {
+    const key = recordKey(record);
+    let recordId = this.state.getEntry("recordIds", key);
+    if (!recordId) {
+      recordId = await this.clientFor(record).getRecordId(
+        zoneId,
+        record.name,
+        record.type
+      );
+      if (recordId) {
+        await this.state.setEntry("recordIds", key, recordId);
+      }
+    }
+    return recordId || null;
+  }
+
+  /**
+   * Reads the SPF policy a record publishes to.
+   * @param {object} record - The normalized SPF record.
+   * @param {string} zoneId - The ID of the record's zone.
+   * @returns {Promise<object>} - The TXT record holding the policy.
+   * @throws {Error} - If the name has no SPF policy.
+   */
+  async getSPFRecord(record, zoneId) {
+    const current = await this.clientFor(record).getRecord(
+      zoneId,
+      record.name,
+      record.type,
+      { match: isSPFPolicy }
+    );
+    if (!current) {
+      throw new Error(
+        `No SPF policy found in the TXT records of ${recordFqdn(record)}`
+      );
+    }
+    return current;
+  }
+
+  /**
+   * Updates a single record with the given public IP.
+   * When the record does not exist and create-if-missing is enabled for it, the record is
+   * created instead and its new ID is cached. SPF records have the address rewritten
+   * inside their policy, and the other TXT records of the name are left alone. Records that
+   * publish all their healthy uplinks have their whole record set replaced.
+   * @param {object} record - The normalized record.
+   * @param {string} publicIP - The public IP to publish, or the joined addresses of a record set.
+   * @param {string} [previousIP] - The IP published before, used to find the SPF mechanism to change.
+   * @returns {Promise<string>} - "updated" or "created".
+   * @throws {Error} - If the record does not exist and may not be created.
+   */
+  async updateRecord(record, publicIP, previousIP) {
+    const client = this.clientFor(record);
+    const zoneId = await this.resolveZoneId(record);
+    const settings = recordSettings(record);
+
+    if (record.spf) {
+      const current = await this.getSPFRecord(record, zoneId);
+      await client.updateDNSRecord(
+        zoneId,
+        current.id,
+        record.name,
+        rewriteSPF(current.content, publicIP, {
+          family: record.family,
+          previousIP,
+        }),
+        record.type,
+        { ...settings, replaces: current.content }
+      );
+      return "updated";
+    }
+
+    if (record.failover?.mode === "all") {
+      return this.updateRecordSet(record, zoneId, publicIP);
+    }
+
+    const recordId = await this.resolveRecordId(record, zoneId);
+
+    if (!recordId) {
+      if (!(record.createMissing ?? this.createMissing)) {
+        throw new Error(
+          `DNS ${record.type} record ${recordFqdn(record)} not found. Please create it first.`
+        );
+      }
+
+      const { result } = await client.createDNSRecord(
+        zoneId,
+        record.name,
+        publicIP,
+        record.type,
+        settings
+      );
+      await this.state.setEntry("recordIds", recordKey(record), result.id);
+      return "created";
+    }
+
+    await client.updateDNSRecord(
+      zoneId,
+      recordId,
+      record.name,
+      publicIP,
+      record.type,
+      settings
+    );
+    return "updated";
+  }
+
+  /**
+   * Replaces the round-robin record set of a record with the given addresses.
+   * @param {object} record - The normalized record.
+   * @param {string} zoneId - The ID of the record's zone.
+   * @param {string} addresses - The joined addresses to publish.
+   * @returns {Promise<string>} - "updated" or "created".
+   * @throws {Error} - If the record does not exist and may not be created.
+   */
+  async updateRecordSet(record, zoneId, addresses) {
+    const client = this.clientFor(record);
+    const current = await client.getRecordSet(zoneId, record.name, record.type);
+    if (current.length === 0 && !(record.createMissing ?? this.createMissing)) {
+      throw new Error(
+        `DNS ${record.type} record ${recordFqdn(record)} not found. Please create it first.`
+      );
+    }
+
+    await client.replaceRecordSet(
+      zoneId,
+      record.name,
+      splitAddresses(addresses),
+      record.type,
+      recordSettings(record)
+    );
+    return current.length === 0 ? "created" : "updated";
+  }
+
+  /**
+   * Runs an operation on a record, recovering from stale cached IDs.
+   * If Cloudflare reports that the cached zone or record no longer exists, the operation runs
+   * once more with the IDs looked up again by name. The stale IDs are dropped from the cache,
+   * except in a dry run, which only looks past them.
+   * @param {object} record - The normalized record.
+   * @param {function(boolean): Promise<*>} operation - The operation; receives whether it may use the cached IDs.
+   * @param {object} [options] - Recovery settings.
+   * @param {boolean} [options.dryRun=false] - Whether to leave the state store untouched.
+   * @returns {Promise<*>} - The operation's result.
+   */
+  async withFreshIds(record, operation, { dryRun = false } = {}) {
+    const key = recordKey(record);
+    const hadCachedIds =
+      this.state.getEntry("zoneIds", record.zone) !== undefined ||
+      this.state.getEntry("recordIds", key) !== undefined;
+
+    try {
+      return await operation(true);
+    } catch (error) {
+      if (!error.isNotFound || !hadCachedIds) {
+        throw error;
+      }
+
+      this.logger.warn(
+        `${key}: cached IDs are stale (${error.message}), looking them up again`
+      );
+      if (!dryRun) {
+        await this.state.deleteEntry("zoneIds", record.zone);
+        await this.state.deleteEntry("recordIds", key);
+      }
+      return operation(false);
+    }
+  }
+
+  /**
+   * Publishes the public IP to a record, recovering from stale cached IDs.
+   * @param {object} record - The normalized record.
+   * @param {string} publicIP - The public IP to publish.
+   * @param {string} [previousIP] - The IP published before.
+   * @returns {Promise<string>} - "updated" or "created".
+   */
+  publish(record, publicIP, previousIP) {
+    return this.withFreshIds(record, () =>
+      this.updateRecord(record, publicIP, previousIP)
+    );
+  }
+
+  /**
+   * Whether the settings a record configures differ from those of the live record, so it
+   * needs publishing although its IP has not changed. Records that configure no settings are
+   * not read.
+   * @param {object} record - The normalized record.
+   * @param {string} publicIP - The address published to it.
+   * @returns {Promise<boolean>}
+   */
+  async settingsChanged(record, publicIP) {
+    if (Object.keys(recordSettings(record)).length === 0) {
+      return false;
+    }
+    const { action } = await this.withFreshIds(
+      record,
+      (useCache) => this.planRecord(record, publicIP, useCache),
+      { dryRun: true }
+    );
+    return action !== "none";
+  }
+
+  /**
+   * Whether a record is served through Cloudflare's proxy. A record that does not set proxied
+   * keeps the flag it has at the provider, so the live record is read for it.
+   * @param {object} record - The normalized record.
+   * @returns {Promise<boolean>}
+   */
+  async isProxied(record) {
+    if (record.proxied !== undefined || record.spf) {
+      return Boolean(record.proxied);
+    }
+    const client = this.clientFor(record);
+    const zoneId = await this.resolveZoneId(record);
+    const live =
+      record.failover?.mode === "all"
+        ? summarizeRecordSet(
+            await client.getRecordSet(zoneId, record.name, record.type)
+          )
+        : await client.getRecord(zoneId, record.name, record.type);
+    return Boolean(live?.proxied);
+  }
+
+  /**
+   * Works out what run() would change, without writing to the DNS provider or the cache.
+   * Reads each record's live content and settings and compares them with the desired values.
+   * Settings are only compared when the config sets them and the provider reports them.
+   * @param {Array<object>} records - The normalized records to check.
+   * @returns {Promise<Array<{record: object, action: string, current?: object, desired?: object, changes?: Array<string>, error?: Error}>>} - The planned action for each record: "create", "update", "none" or "failed".
+   */
+  async plan(records) {
+    const publicIPs = new Map();
+    const plans = [];
+
+    for (const record of records) {
+      try {
+        const publicIP = await this.resolveAddress(record, publicIPs, {
+          dryRun: true,
+        });
+        plans.push(
+          await this.withFreshIds(
+            record,
+            (useCache) => this.planRecord(record, publicIP, useCache),
+            { dryRun: true }
+          )
+        );
+      } catch (error) {
+        plans.push({ record, action: "failed", error });
+      }
+    }
+
+    return plans;
+  }
+
+  /**
+   * Works out the planned action for one record.
+   * @param {object} record - The normalized record.
+   * @param {string} publicIP - The address to publish.
+   * @param {boolean} useCache - Whether the cached zone ID may be used.
+   * @returns {Promise<object>} - A "create", "update" or "none" plan entry.
+   * @throws {Error} - If the record cannot be read, or does not exist and may not be created.
+   */
+  async planRecord(record, publicIP, useCache) {
+    const client = this.clientFor(record);
+    const zoneId = await this.resolveZoneId(record, {
+      useCache,
+      dryRun: true,
+    });
+
+    if (record.spf) {
+      const current = await this.getSPFRecord(record, zoneId);
+      const content = rewriteSPF(current.content, publicIP, {
+        family: record.family,
+        previousIP: this.state.getEntry("lastIPs", recordKey(record)),
+      });
+      return this.planUpdate(record, current, {
+        content,
+        ...recordSettings(record),
+      });
+    }
+
+    const desired = { content: publicIP, ...recordSettings(record) };
+    const current =
+      record.failover?.mode === "all"
+        ? summarizeRecordSet(
+            await client.getRecordSet(zoneId, record.name, record.type)
+          )
+        : await client.getRecord(zoneId, record.name, record.type);
+
+    if (!current) {
+      if (!(record.createMissing ?? this.createMissing)) {
+        throw new Error(
+          `DNS ${record.type} record ${recordFqdn(record)} not found. Please create it first.`
+        );
+      }
+      return { record, action: "create", current: null, desired };
+    }
+
+    return this.planUpdate(record, current, desired);
+  }
+
+  /**
+   * Compares an existing record with the desired content and settings.
+   * @param {object} record - The normalized record.
+   * @param {object} current - The live record.
+   * @param {object} desired - The desired content and settings.
+   * @returns {object} - An "update" or "none" plan entry.
+   */
+  planUpdate(record, current, desired) {
+    const changes = Object.keys(desired).filter(
+      (field) =>
+        current[field] !== undefined &&
+        !sameSetting(field, current[field], desired[field])
+    );
+    return {
+      record,
+      action: changes.length > 0 ? "update" : "none",
+      current,
+      desired,
+      changes,
+    };
+  }
+
+  /**
+   * Updates every record and reports the outcome of each one.
+   * The public IP is detected once per address family, and a failure for one record
+   * or address family does not prevent the others from being updated. Records with uplinks
+   * have them health-checked on every run instead.
+   * Records whose last published IP matches the current one are left untouched, unless the
+   * TTL, proxied flag, comment or tags they configure differ from the live record's.
+   * With propagation checks, a change only succeeds once the name servers serve it; one that
+   * never does fails, though it stays published, and is published and checked again on the
+   * next run.
+   * @param {Array<object>} records - The normalized records to update.
+   * @returns {Promise<Array<{record: object, status: string, ip?: string, previousIP?: string, error?: Error}>>} - The result for each record.
+   */
+  async run(records) {
+    const publicIPs = new Map();
+    const results = [];
+
+    for (const record of records) {
+      const key = recordKey(record);
+      try {
+        const publicIP = await this.resolveAddress(record, publicIPs);
+        const previousIP = this.state.getEntry("lastIPs", key);
+        if (
+          previousIP === publicIP &&
+          !(await this.settingsChanged(record, publicIP))
+        ) {
+          this.logger.info(`${key}: unchanged (${publicIP})`, {
+            record: key,
+            zone: record.zone,
+            ip: publicIP,
+          });
+          results.push({ record, status: "unchanged", ip: publicIP });
+          continue;
+        }
+
+        const started = Date.now();
+        const status = await this.publish(record, publicIP, previousIP);
+        this.logger.info(`${key}: ${status} with ${publicIP}`, {
+          record: key,
+          zone: record.zone,
+          previousIP,
+          ip: publicIP,
+          duration: Date.now() - started,
+        });
+        if (this.propagation) {
+          try {
+            await this.propagation.verify(
+              { ...record, proxied: await this.isProxied(record) },
+              publicIP
+            );
+          } catch (error) {
+            this.logger.error(`${key}: ${error.message}`, {
+              record: key,
+              zone: record.zone,
+              ip: publicIP,
+            });
+            results.push({
+              record,
+              status: "failed",
+              ip: publicIP,
+              previousIP,
+              error,
+            });
+            continue;
+          }
+        }
+        // Only saved once verified, so an unverified change is published again next run
+        await this.state.recordChange(key, {
+          ip: publicIP,
+          previousIP,
+          status,
+        });
+        results.push({ record, status, ip: publicIP, previousIP });
+      } catch (error) {
+        this.logger.error(`${key}: ${error.message}`, {
+          record: key,
+          zone: record.zone,
+          errorCodes: error.codes,
+        });
+        results.push({ record, status: "failed", error });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = DNSUpdater;
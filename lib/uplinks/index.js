@@ -0,0 +1,161 @@
+const { Logger } = require("winston");
+const { createProvider } = require("../ip/providers");
+const { validateIP } = require("../ip/validate");
+const { recordKey } = require("../records");
+const { createProbe } = require("./probes");
+
+/**
+ * Joins the addresses published to a record into one value, sorted so the same set always
+ * reads the same, e.g. in the last published IPs and the history.
+ * @param {Array<string>} addresses - The addresses.
+ * @returns {string} - The addresses, separated by ", ".
+ */
+function joinAddresses(addresses) {
+  return [...addresses].sort().join(", ");
+}
+
+/**
+ * Splits a value built by joinAddresses back into its addresses.
+ * @param {string} value - The joined addresses.
+ * @returns {Array<string>} - The addresses.
+ */
+function splitAddresses(value) {
+  return value.split(", ");
+}
+
+/**
+ * Health-checks the uplinks of records and picks the ones to publish.
+ *
+ * In "priority" mode the first healthy uplink in the list is published; in "all" mode every
+ * healthy uplink is. Failover to another uplink is immediate, but an uplink that recovers is
+ * only published again once it has stayed healthy for the record's hold-down period, so a
+ * flapping link does not make the record flap too. Since when each uplink has been healthy
+ * and which uplinks are published are kept in the "uplinks" section of the state store.
+ */
+class UplinkMonitor {
+  /**
+   * Creates an instance of UplinkMonitor.
+   * @param {object} options - The monitor settings.
+   * @param {StateStore} options.state - The state store keeping the uplinks' health.
+   * @param {boolean} [options.allowPrivate=false] - Whether uplink sources may report private and reserved addresses.
+   * @param {function(): number} [options.now=Date.now] - The clock, in milliseconds.
+   * @param {Logger} logger - The logger instance.
+   */
+  constructor({ state, allowPrivate = false, now = Date.now }, logger) {
+    if (!logger) {
+      throw Error("Logger was not provided to UplinkMonitor instance");
+    }
+
+    this.state = state;
+    this.allowPrivate = allowPrivate;
+    this.now = now;
+    this.logger = logger;
+  }
+
+  /**
+   * Resolves an uplink's address and runs its health check.
+   * @param {object} uplink - The normalized uplink.
+   * @param {number} family - The address family of the record.
+   * @returns {Promise<{name: string, address?: string, healthy: boolean, error?: Error}>} - The uplink's status; an uplink whose address cannot be read is unhealthy.
+   */
+  async checkUplink(uplink, family) {
+    let address = uplink.address;
+    try {
+      if (!address) {
+        address = validateIP(
+          await createProvider(uplink.source).getIP(family),
+          family,
+          { allowPrivate: this.allowPrivate }
+        );
+      }
+      if (uplink.check) {
+        const probe = createProbe(uplink.check);
+        this.logger.debug(
+          `Checking uplink ${uplink.name} with ${probe.name(address)}`
+        );
+        await probe.check(address);
+      }
+      return { name: uplink.name, address, healthy: true };
+    } catch (error) {
+      return { name: uplink.name, address, healthy: false, error };
+    }
+  }
+
+  /**
+   * Checks a record's uplinks and returns the addresses to publish.
+   * @param {object} record - The normalized record, with uplinks.
+   * @param {object} [options] - Selection settings.
+   * @param {boolean} [options.dryRun=false] - Whether to leave the state store untouched.
+   * @returns {Promise<Array<string>>} - The addresses, in the uplinks' order.
+   * @throws {Error} - If no uplink is healthy.
+   */
+  async select(record, { dryRun = false } = {}) {
+    const key = recordKey(record);
+    const statuses = await Promise.all(
+      record.uplinks.map((uplink) => this.checkUplink(uplink, record.family))
+    );
+    const tracked = this.state.getEntry("uplinks", key);
+    const healthy = statuses.filter((status) => status.healthy);
+
+    statuses
+      .filter((status) => !status.healthy)
+      .forEach(({ name, error }) => {
+        const wasHealthy = !tracked || tracked.healthySince[name] !== undefined;
+        this.logger[wasHealthy ? "warn" : "debug"](
+          `${key}: uplink ${name} is down (${error.message})`,
+          { record: key, uplink: name }
+        );
+      });
+    if (healthy.length === 0) {
+      throw new Error(
+        `No healthy uplink: ${statuses.map(({ name, error }) => `${name}: ${error.message}`).join("; ")}`
+      );
+    }
+
+    const now = this.now();
+    const healthySince = Object.fromEntries(
+      healthy.map(({ name }) => [
+        name,
+        tracked?.healthySince[name] ?? new Date(now).toISOString(),
+      ])
+    );
+    const active = tracked?.active || [];
+    const stable = ({ name }) =>
+      now - Date.parse(healthySince[name]) >= record.failover.holdDown * 1000;
+
+    let chosen;
+    if (record.failover.mode === "all") {
+      chosen = healthy.filter(
+        (status) => active.includes(status.name) || stable(status)
+      );
+      chosen = chosen.length > 0 ? chosen : healthy;
+    } else {
+      // Uplinks are in priority order, so this only moves back up to a stable uplink
+      chosen = [
+        healthy.find(
+          (status) => active.includes(status.name) || stable(status)
+        ) || healthy[0],
+      ];
+    }
+
+    const names = chosen.map(({ name }) => name);
+    if (
+      !dryRun &&
+      active.length > 0 &&
+      joinAddresses(names) !== joinAddresses(active)
+    ) {
+      this.logger.warn(
+        `${key}: switching from ${active.join(", ")} to ${names.join(", ")}`,
+        { record: key, previousUplinks: active, uplinks: names }
+      );
+    }
+
+    const entry = { active: names, healthySince };
+    if (!dryRun && JSON.stringify(entry) !== JSON.stringify(tracked)) {
+      await this.state.setEntry("uplinks", key, entry);
+    }
+    return chosen.map(({ address }) => address);
+  }
+}
+
+module.exports = { UplinkMonitor, joinAddresses, splitAddresses };
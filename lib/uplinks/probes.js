@@ -0,0 +1,108 @@
+const axios = require("axios");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Opens a TCP connection and closes it again as soon as it is established.
+ * @param {object} options - The connection settings.
+ * @param {string} options.host - The host to connect to.
+ * @param {number} options.port - The port.
+ * @param {string} [options.localAddress] - The local address to connect from, which picks the uplink on a multi-homed host.
+ * @param {number} options.timeout - How long to wait for the connection, in milliseconds.
+ * @returns {Promise<void>}
+ * @throws {Error} - If the connection fails or times out.
+ */
+function connect({ host, port, localAddress, timeout }) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port, localAddress });
+    socket.setTimeout(timeout, () => {
+      socket.destroy();
+      reject(new Error(`Connection to ${host}:${port} timed out`));
+    });
+    socket.once("connect", () => {
+      socket.destroy();
+      resolve();
+    });
+    socket.once("error", reject);
+  });
+}
+
+/**
+ * Probe kinds. Each kind validates its settings (returning an error message or null), names
+ * the probe for log messages and checks an uplink, resolving when it is healthy.
+ */
+const PROBE_KINDS = {
+  /**
+   * Connects to a TCP port: by default a port on the uplink's own address, e.g. a forwarded
+   * service, or a remote host reached from the uplink's local address.
+   */
+  tcp: {
+    validate: (spec) =>
+      Number.isInteger(spec.port) && spec.port > 0 && spec.port < 65536
+        ? null
+        : "port must be a TCP port number",
+    name: (spec, address) => `tcp:${spec.host || address}:${spec.port}`,
+    check: (spec, address) =>
+      connect({
+        host: spec.host || address,
+        port: spec.port,
+        localAddress: spec.localAddress,
+        timeout: spec.timeout || DEFAULT_TIMEOUT,
+      }),
+  },
+
+  /**
+   * Requests a URL and expects a status below 400, or exactly the configured status.
+   */
+  http: {
+    validate: (spec) => (spec.url ? null : "url is required"),
+    name: (spec) => spec.url,
+    async check(spec) {
+      const agentOptions = { localAddress: spec.localAddress };
+      await axios.get(spec.url, {
+        timeout: spec.timeout || DEFAULT_TIMEOUT,
+        httpAgent: new http.Agent(agentOptions),
+        httpsAgent: new https.Agent(agentOptions),
+        maxRedirects: 0,
+        responseType: "text",
+        validateStatus: (status) =>
+          spec.status ? status === spec.status : status < 400,
+      });
+    },
+  },
+};
+
+/**
+ * Creates a health probe from its configuration.
+ * @param {object} spec - The probe configuration.
+ * @param {string} spec.type - The probe kind: "tcp" or "http".
+ * @param {number} [spec.port] - The TCP port to connect to.
+ * @param {string} [spec.host] - The TCP host; the uplink's address by default.
+ * @param {string} [spec.url] - The URL to request.
+ * @param {number} [spec.status] - The HTTP status to expect; any status below 400 by default.
+ * @param {string} [spec.localAddress] - The local address to probe from.
+ * @param {number} [spec.timeout=5000] - The probe timeout in milliseconds.
+ * @returns {{name: function(string): string, check: function(string): Promise<void>}} - The probe; both functions take the uplink's address.
+ * @throws {Error} - If the probe kind is unknown or a required setting is missing.
+ */
+function createProbe(spec) {
+  const kind = PROBE_KINDS[spec?.type];
+  if (!kind) {
+    throw new Error(`Unknown health check type: ${spec?.type}`);
+  }
+
+  const problem = kind.validate(spec);
+  if (problem) {
+    throw new Error(`Invalid ${spec.type} health check: ${problem}`);
+  }
+
+  return {
+    name: (address) => kind.name(spec, address),
+    check: (address) => kind.check(spec, address),
+  };
+}
+
+module.exports = { PROBE_KINDS, createProbe };
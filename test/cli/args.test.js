@@ -0,0 +1,66 @@
+const { parseCommandLine, usage } = require("../../lib/cli/args");
+const { UsageError } = require("../../lib/errors");
+
+describe("parseCommandLine", () => {
+  it("should run update when no command is given", () => {
+    expect(parseCommandLine([])).toEqual({
+      command: "update",
+      options: {},
+      args: [],
+    });
+    expect(parseCommandLine(["--dry-run"]).options).toEqual({
+      "dry-run": true,
+    });
+  });
+
+  it("should parse the command's options and arguments", () => {
+    expect(
+      parseCommandLine(["list-records", "example.com", "-t", "AAAA", "--json"])
+    ).toEqual({
+      command: "list-records",
+      options: { type: "AAAA", json: true },
+      args: ["example.com"],
+    });
+  });
+
+  it("should accept global options before the command", () => {
+    expect(parseCommandLine(["-c", "other.json", "status"])).toEqual({
+      command: "status",
+      options: { config: "other.json" },
+      args: [],
+    });
+  });
+
+  it("should reject unknown commands", () => {
+    expect(() => parseCommandLine(["launch"])).toThrow(
+      new UsageError("Unknown command: launch")
+    );
+  });
+
+  it("should reject options of other commands", () => {
+    expect(() => parseCommandLine(["status", "--daemon"])).toThrow(UsageError);
+  });
+
+  it("should reject unexpected arguments", () => {
+    expect(() => parseCommandLine(["status", "example.com"])).toThrow(
+      "Unexpected argument for status: example.com"
+    );
+  });
+});
+
+describe("usage", () => {
+  it("should list every command", () => {
+    const text = usage();
+
+    expect(text).toContain("Usage: ddns [command] [options]");
+    expect(text).toMatch(/ {2}validate-config +Check the config file/);
+    expect(text).toMatch(/ {2}-c, --config <path> +Config file/);
+  });
+
+  it("should describe the options of a command", () => {
+    const text = usage("list-records");
+
+    expect(text).toContain("Usage: ddns list-records [zone] [options]");
+    expect(text).toMatch(/ {2}-t, --type <type> +Only list records/);
+  });
+});
@@ -0,0 +1,118 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const CLIContext = require("../../../lib/cli/context");
+const init = require("../../../lib/cli/commands/init");
+const { ConfigError } = require("../../../lib/errors");
+
+jest.mock("../../../lib/logger", () => () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe("init", () => {
+  let dir;
+  let configPath;
+  let envPath;
+  let output;
+
+  /**
+   * Runs the command with the given answers piped to stdin.
+   * @param {Array<string>} answers - One answer per question.
+   * @param {object} [options] - The command-line options.
+   * @returns {Promise<number>} - The exit code.
+   */
+  const run = (answers, options = {}) => {
+    const stdin = new PassThrough();
+    const stdout = new PassThrough();
+    stdout.on("data", (chunk) => (output += chunk));
+    stdin.end(answers.map((answer) => `${answer}\n`).join(""));
+
+    const context = new CLIContext(
+      { config: configPath, ...options },
+      {},
+      { stdin, stdout }
+    );
+    return init(context, { options: { "env-file": envPath, ...options } });
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "nimbus-ddns-"));
+    configPath = path.join(dir, "ddns-config.json");
+    envPath = path.join(dir, ".env");
+    output = "";
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should write the records and the API token", async () => {
+    const code = await run(["example.com", "home, @", "A,AAAA", "token", "y"]);
+
+    expect(code).toBe(0);
+    expect(JSON.parse(fs.readFileSync(configPath, "utf8"))).toEqual({
+      records: [
+        { zone: "example.com", name: "home", type: "A" },
+        { zone: "example.com", name: "home", type: "AAAA" },
+        { zone: "example.com", name: "@", type: "A" },
+        { zone: "example.com", name: "@", type: "AAAA" },
+      ],
+      createMissing: true,
+    });
+    expect(fs.readFileSync(envPath, "utf8")).toBe(
+      `# Written by ddns init\nAPI_TOKEN=token\nCONFIG_PATH=${configPath}\n`
+    );
+    expect(output).toContain("Zone (domain name), e.g. example.com: ");
+    expect(output).toContain(`Wrote ${configPath} (4 record(s))`);
+  });
+
+  it("should use the defaults and the global API key", async () => {
+    await run(["example.com", "", "", "", "key", "user@example.com", ""]);
+
+    expect(JSON.parse(fs.readFileSync(configPath, "utf8"))).toEqual({
+      records: [{ zone: "example.com", name: "home", type: "A" }],
+    });
+    expect(fs.readFileSync(envPath, "utf8")).toContain(
+      "API_KEY=key\nEMAIL=user@example.com\n"
+    );
+  });
+
+  it("should require a zone", async () => {
+    await expect(run([])).rejects.toThrow(
+      new ConfigError("A zone is required")
+    );
+    expect(fs.existsSync(configPath)).toBe(false);
+  });
+
+  it("should reject invalid record types", async () => {
+    await expect(run(["example.com", "home", "MX"])).rejects.toThrow(
+      new ConfigError("records[0].type is not supported: MX")
+    );
+    expect(fs.existsSync(configPath)).toBe(false);
+  });
+
+  it("should not overwrite existing files without --force", async () => {
+    fs.writeFileSync(configPath, "{}");
+
+    await expect(run(["example.com"])).rejects.toThrow(
+      `${configPath} already exist(s); use --force to overwrite`
+    );
+    expect(fs.readFileSync(configPath, "utf8")).toBe("{}");
+
+    await run(["example.com", "", "", "token", ""], { force: true });
+    expect(
+      JSON.parse(fs.readFileSync(configPath, "utf8")).records
+    ).toHaveLength(1);
+  });
+
+  it("should make an overwritten .env file private", async () => {
+    fs.writeFileSync(envPath, "API_TOKEN=old\n", { mode: 0o644 });
+
+    await run(["example.com", "", "", "token", ""], { force: true });
+
+    expect(fs.readFileSync(envPath, "utf8")).toContain("API_TOKEN=token");
+    expect(fs.statSync(envPath).mode & 0o777).toBe(0o600);
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const CLIContext = require("../../../lib/cli/context");
+const secrets = require("../../../lib/cli/commands/secrets");
+const { UsageError } = require("../../../lib/errors");
+const { Keystore } = require("../../../lib/secrets");
+
+jest.mock("../../../lib/logger", () => () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe("secrets", () => {
+  let dir;
+  let keystorePath;
+  let output;
+
+  /**
+   * Runs the command with the given answers piped to stdin.
+   * @param {Array<string>} args - The action and the secret's name.
+   * @param {Array<string>} [answers] - One answer per question.
+   * @param {object} [env] - The environment variables.
+   * @returns {Promise<number>} - The exit code.
+   */
+  const run = (args, answers = [], env = {}) => {
+    const stdin = new PassThrough();
+    const stdout = new PassThrough();
+    stdout.on("data", (chunk) => (output += chunk));
+    stdin.end(answers.map((answer) => `${answer}\n`).join(""));
+
+    const context = new CLIContext(
+      { json: true },
+      { SECRETS_KEYSTORE: keystorePath, ...env },
+      { stdin, stdout, stderr: new PassThrough() }
+    );
+    return secrets(context, { options: {}, args });
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "nimbus-ddns-"));
+    keystorePath = path.join(dir, "ddns-secrets.json");
+    output = "";
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should create the keystore and store a secret", async () => {
+    const code = await run(["set", "API_TOKEN"], ["correct horse", "cf-token"]);
+
+    expect(code).toBe(0);
+    expect(JSON.parse(output)).toEqual({
+      keystore: keystorePath,
+      stored: "API_TOKEN",
+    });
+    const keystore = new Keystore(keystorePath, "correct horse");
+    await keystore.load();
+    expect(keystore.get("API_TOKEN")).toBe("cf-token");
+  });
+
+  it("should not echo secrets typed on a terminal", async () => {
+    const stdin = new PassThrough();
+    const stdout = new PassThrough();
+    let shown = "";
+    stdout.on("data", (chunk) => (shown += chunk));
+    Object.assign(stdin, { isTTY: true, setRawMode: jest.fn() });
+    const context = new CLIContext(
+      {},
+      { SECRETS_KEYSTORE: keystorePath },
+      { stdin, stdout, stderr: new PassThrough() }
+    );
+
+    const result = secrets(context, {
+      options: {},
+      args: ["set", "API_TOKEN"],
+    });
+    stdin.write("correct horse\r");
+    await new Promise((resolve) => setImmediate(resolve));
+    stdin.write("cf-token\r");
+
+    expect(await result).toBe(0);
+    expect(shown).toContain("Keystore passphrase: \nValue of API_TOKEN: \n");
+    expect(shown).not.toContain("correct horse");
+    expect(shown).not.toContain("cf-token");
+  });
+
+  it("should list the names without their values", async () => {
+    await run(["set", "API_TOKEN"], ["correct horse", "cf-token"]);
+    output = "";
+
+    const code = await run(["list"], [], {
+      SECRETS_PASSPHRASE: "correct horse",
+    });
+
+    expect(code).toBe(0);
+    expect(JSON.parse(output)).toEqual({
+      keystore: keystorePath,
+      names: ["API_TOKEN"],
+    });
+  });
+
+  it("should remove a secret and fail for one that is not stored", async () => {
+    const env = { SECRETS_PASSPHRASE: "correct horse" };
+    await run(["set", "API_TOKEN"], ["cf-token"], env);
+
+    expect(await run(["remove", "API_TOKEN"], [], env)).toBe(0);
+    expect(await run(["remove", "API_TOKEN"], [], env)).toBe(1);
+  });
+
+  it.each([
+    [[], "Unknown secrets action: none (use list, set or remove)"],
+    [["set"], "secrets set needs the secret's name"],
+    [["remove", "API-TOKEN"], "Invalid secret name: API-TOKEN"],
+  ])("should reject the arguments %j", async (args, message) => {
+    const result = run(args);
+
+    await expect(result).rejects.toThrow(UsageError);
+    await expect(result).rejects.toThrow(message);
+  });
+});
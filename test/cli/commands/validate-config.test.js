@@ -0,0 +1,116 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const CLIContext = require("../../../lib/cli/context");
+const validateConfig = require("../../../lib/cli/commands/validate-config");
+
+jest.mock("../../../lib/logger", () => () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+}));
+
+describe("validate-config", () => {
+  let dir;
+  let configPath;
+  let output;
+
+  /**
+   * Runs the command against the given config file contents.
+   * @param {object|string} config - The config data, or the raw file contents.
+   * @param {object} [env] - The environment variables.
+   * @returns {Promise<number>} - The exit code.
+   */
+  const run = (config, env = { API_TOKEN: "token" }) => {
+    fs.writeFileSync(
+      configPath,
+      typeof config === "string" ? config : JSON.stringify(config)
+    );
+    const stdout = new PassThrough();
+    stdout.on("data", (chunk) => (output += chunk));
+    return validateConfig(
+      new CLIContext({ config: configPath, json: true }, env, { stdout })
+    );
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "nimbus-ddns-"));
+    configPath = path.join(dir, "ddns-config.json");
+    output = "";
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should accept a valid configuration", async () => {
+    const code = await run({
+      records: [{ zone: "example.com", name: "home" }],
+    });
+
+    expect(code).toBe(0);
+    expect(JSON.parse(output)).toEqual({ valid: true, problems: [] });
+  });
+
+  it("should list every problem that matches the schema", async () => {
+    const code = await run(
+      {
+        records: [
+          { zone: "example.com", name: "home" },
+          { zone: "example.org", provider: "bind" },
+        ],
+        ipDetection: { providers: [{ type: "http" }] },
+      },
+      {}
+    );
+
+    expect(code).toBe(78);
+    const { valid, problems } = JSON.parse(output);
+    expect(valid).toBe(false);
+    expect(problems).toEqual([
+      "Cloudflare credentials are missing: set API_TOKEN, or API_KEY and EMAIL",
+      'A example.org uses provider "bind", which is not configured',
+      "ipDetection: Invalid http IP provider: url is required",
+    ]);
+  });
+
+  it("should point at the fields that do not match the schema", async () => {
+    await run({
+      records: [{ name: "home", type: "MX", ttl: true }],
+      notifications: { channels: [{ type: "fax" }] },
+      recrods: [],
+    });
+
+    expect(JSON.parse(output).problems).toEqual([
+      "records[0].zone is required",
+      'records[0].type must be one of "A", "AAAA", "TXT", not "MX"',
+      "records[0].ttl must be an integer or a string, not boolean",
+      'notifications.channels[0].type must be one of "webhook", "slack", "discord", "smtp", "command", not "fax"',
+      'recrods is not a known setting (did you mean "records"?)',
+    ]);
+  });
+
+  it("should check the configured providers", async () => {
+    await run({
+      records: [{ zone: "example.com", provider: "bind" }],
+      providers: { bind: { type: "rfc2136" } },
+    });
+
+    expect(JSON.parse(output).problems).toEqual([
+      expect.stringMatching(/^providers\.bind: /),
+    ]);
+  });
+
+  it("should report where a config file stops being JSON", async () => {
+    const code = await run(
+      '{\n  "records": [\n    { "zone": "example.com", }\n  ]\n}'
+    );
+
+    expect(code).toBe(78);
+    expect(JSON.parse(output).problems).toEqual([
+      expect.stringMatching(
+        /^Config file .* is not valid JSON: .* \(line 3, column 30\)$/
+      ),
+    ]);
+  });
+});
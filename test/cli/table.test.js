@@ -0,0 +1,25 @@
+const { formatTable } = require("../../lib/cli/table");
+
+describe("formatTable", () => {
+  it("should align the columns without trailing spaces", () => {
+    expect(
+      formatTable(
+        ["TYPE", "NAME", "TTL"],
+        [
+          ["A", "home.example.com", "auto"],
+          ["AAAA", "vpn.example.com", "300"],
+        ]
+      )
+    ).toBe(
+      [
+        "TYPE  NAME              TTL",
+        "A     home.example.com  auto",
+        "AAAA  vpn.example.com   300",
+      ].join("\n")
+    );
+  });
+
+  it("should print only the headings without rows", () => {
+    expect(formatTable(["TIME", "RECORD"], [])).toBe("TIME  RECORD");
+  });
+});
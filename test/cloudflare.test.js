@@ -1,19 +1,23 @@
 const axios = require("axios");
 const { Logger } = require("winston");
 const CloudflareAPI = require("../lib/cloudflare");
+const { CloudflareError, LookupError } = require("../lib/errors");
 
 jest.mock("axios");
 
 describe("CloudflareAPI", () => {
   const cloudflare = () =>
     new CloudflareAPI("apiKey", "email", "domainName", logger);
-  const logger = { http: jest.fn() };
+  const logger = { http: jest.fn(), warn: jest.fn() };
   const mockResponse = jest.fn();
 
   beforeEach(() => {
     axios.create.mockReturnValue({
       get: mockResponse,
       put: mockResponse,
+      patch: mockResponse,
+      post: mockResponse,
+      delete: mockResponse,
     });
   });
 
@@ -25,7 +29,10 @@ describe("CloudflareAPI", () => {
     it("should return the zone ID", async () => {
       const mockZoneId = "zone123";
       mockResponse.mockResolvedValueOnce({
-        data: { success: true, result: [{ id: mockZoneId }] },
+        data: {
+          success: true,
+          result: [{ id: mockZoneId, name: "domainName" }],
+        },
       });
 
       const zoneId = await cloudflare().getZoneId();
@@ -33,7 +40,65 @@ describe("CloudflareAPI", () => {
       expect(zoneId).toBe(mockZoneId);
       expect(logger.http).toHaveBeenCalledWith("GET: Fetching Zone ID...");
       expect(mockResponse).toHaveBeenCalledWith("/zones", {
-        params: { name: "domainName" },
+        params: { name: "domainName", page: 1, per_page: 50 },
+      });
+    });
+
+    it("should page through the zones and match the name exactly", async () => {
+      mockResponse
+        .mockResolvedValueOnce({
+          data: {
+            success: true,
+            result: [{ id: "other", name: "sub.domainName" }],
+            result_info: { page: 1, total_pages: 2 },
+          },
+        })
+        .mockResolvedValueOnce({
+          data: {
+            success: true,
+            result: [{ id: "zone123", name: "DomainName." }],
+            result_info: { page: 2, total_pages: 2 },
+          },
+        });
+
+      await expect(cloudflare().getZoneId()).resolves.toBe("zone123");
+      expect(mockResponse).toHaveBeenLastCalledWith("/zones", {
+        params: { name: "domainName", page: 2, per_page: 50 },
+      });
+    });
+
+    it("should throw an error if no zone has the name", async () => {
+      mockResponse.mockResolvedValueOnce({
+        data: { success: true, result: [] },
+      });
+
+      const error = await cloudflare()
+        .getZoneId()
+        .catch((caught) => caught);
+
+      expect(error).toBeInstanceOf(LookupError);
+      expect(error.reason).toBe("not_found");
+      expect(error.message).toBe(
+        "Zone domainName was not found; check the domain name and that the credentials can access the zone"
+      );
+    });
+
+    it("should throw an error if several zones have the name", async () => {
+      mockResponse.mockResolvedValueOnce({
+        data: {
+          success: true,
+          result: [
+            { id: "zone1", name: "domainName" },
+            { id: "zone2", name: "domainName" },
+          ],
+        },
+      });
+
+      await expect(cloudflare().getZoneId()).rejects.toMatchObject({
+        reason: "ambiguous",
+        matches: ["zone1", "zone2"],
+        message:
+          "Zone domainName is ambiguous: 2 zones have that name (zone1, zone2)",
       });
     });
 
@@ -62,7 +127,10 @@ describe("CloudflareAPI", () => {
       const zoneId = "zone123";
       const subdomain = "sub";
       mockResponse.mockResolvedValueOnce({
-        data: { success: true, result: [{ id: mockRecordId }] },
+        data: {
+          success: true,
+          result: [{ id: mockRecordId, name: "sub.domainName", type: "A" }],
+        },
       });
 
       const recordId = await cloudflare().getRecordId(zoneId, subdomain);
@@ -72,11 +140,110 @@ describe("CloudflareAPI", () => {
       expect(mockResponse).toHaveBeenCalledWith(
         `/zones/${zoneId}/dns_records`,
         {
-          params: { type: "A", name: `${subdomain}.domainName` },
+          params: {
+            type: "A",
+            name: `${subdomain}.domainName`,
+            page: 1,
+            per_page: 100,
+          },
         }
       );
     });
 
+    it("should query the given record type", async () => {
+      const zoneId = "zone123";
+      const subdomain = "sub";
+      mockResponse.mockResolvedValueOnce({
+        data: {
+          success: true,
+          result: [{ id: "record789", name: "sub.domainName", type: "AAAA" }],
+        },
+      });
+
+      const recordId = await cloudflare().getRecordId(
+        zoneId,
+        subdomain,
+        "AAAA"
+      );
+
+      expect(recordId).toBe("record789");
+      expect(mockResponse).toHaveBeenCalledWith(
+        `/zones/${zoneId}/dns_records`,
+        {
+          params: {
+            type: "AAAA",
+            name: `${subdomain}.domainName`,
+            page: 1,
+            per_page: 100,
+          },
+        }
+      );
+    });
+
+    it("should look up the zone apex for @", async () => {
+      mockResponse.mockResolvedValueOnce({
+        data: {
+          success: true,
+          result: [{ id: "apex", name: "domainName", type: "A" }],
+        },
+      });
+
+      await expect(cloudflare().getRecordId("zone123", "@")).resolves.toBe(
+        "apex"
+      );
+      expect(mockResponse).toHaveBeenCalledWith("/zones/zone123/dns_records", {
+        params: { type: "A", name: "domainName", page: 1, per_page: 100 },
+      });
+    });
+
+    it("should ignore records whose name or type differs", async () => {
+      mockResponse.mockResolvedValueOnce({
+        data: {
+          success: true,
+          result: [
+            { id: "wildcard", name: "*.sub.domainName", type: "A" },
+            { id: "cname", name: "sub.domainName", type: "CNAME" },
+          ],
+        },
+      });
+
+      await expect(
+        cloudflare().getRecordId("zone123", "sub")
+      ).resolves.toBeNull();
+    });
+
+    it("should throw an error for round-robin names", async () => {
+      mockResponse.mockResolvedValueOnce({
+        data: {
+          success: true,
+          result: [
+            {
+              id: "one",
+              name: "sub.domainName",
+              type: "A",
+              content: "192.0.2.1",
+            },
+            {
+              id: "two",
+              name: "sub.domainName",
+              type: "A",
+              content: "192.0.2.2",
+            },
+          ],
+        },
+      });
+
+      await expect(
+        cloudflare().getRecordId("zone123", "sub")
+      ).rejects.toMatchObject({
+        name: "LookupError",
+        reason: "ambiguous",
+        matches: ["one", "two"],
+        message:
+          "sub.domainName has 2 A records (192.0.2.1, 192.0.2.2); remove the duplicates so the record to update is unambiguous",
+      });
+    });
+
     it("should return null if the record ID is not found", async () => {
       const zoneId = "zone123";
       const subdomain = "sub";
@@ -115,8 +282,213 @@ describe("CloudflareAPI", () => {
     });
   });
 
+  describe("getRecord", () => {
+    it("should return the record's current settings", async () => {
+      mockResponse.mockResolvedValueOnce({
+        data: {
+          success: true,
+          result: [
+            {
+              id: "record456",
+              name: "sub.domainName",
+              type: "AAAA",
+              content: "2001:db8::1",
+              ttl: 1,
+              proxied: true,
+            },
+          ],
+        },
+      });
+
+      const result = await cloudflare().getRecord("zone123", "sub", "AAAA");
+
+      expect(result).toEqual({
+        id: "record456",
+        content: "2001:db8::1",
+        ttl: "auto",
+        proxied: true,
+        comment: null,
+        tags: [],
+      });
+      expect(mockResponse).toHaveBeenCalledWith("/zones/zone123/dns_records", {
+        params: {
+          type: "AAAA",
+          name: "sub.domainName",
+          page: 1,
+          per_page: 100,
+        },
+      });
+    });
+
+    it("should return null if the record is not found", async () => {
+      mockResponse.mockResolvedValueOnce({
+        data: { success: true, result: [] },
+      });
+
+      expect(await cloudflare().getRecord("zone123", "sub")).toBeNull();
+    });
+
+    it("should pick the record whose content matches", async () => {
+      mockResponse.mockResolvedValueOnce({
+        data: {
+          success: true,
+          result: [
+            {
+              id: "verification",
+              name: "domainName",
+              type: "TXT",
+              content: "site-verification=abc",
+              ttl: 300,
+            },
+            {
+              id: "spf",
+              name: "domainName",
+              type: "TXT",
+              content: "v=spf1 ip4:192.0.2.1 -all",
+              ttl: 300,
+              comment: "mail",
+              tags: ["env:home"],
+            },
+          ],
+        },
+      });
+
+      const result = await cloudflare().getRecord("zone123", "@", "TXT", {
+        match: (content) => content.startsWith("v=spf1"),
+      });
+
+      expect(result).toEqual({
+        id: "spf",
+        content: "v=spf1 ip4:192.0.2.1 -all",
+        ttl: 300,
+        proxied: undefined,
+        comment: "mail",
+        tags: ["env:home"],
+      });
+    });
+  });
+
+  describe("listDNSRecords", () => {
+    it("should fetch every page of records", async () => {
+      mockResponse
+        .mockResolvedValueOnce({
+          data: {
+            success: true,
+            result: [{ id: "record1" }],
+            result_info: { page: 1, total_pages: 2 },
+          },
+        })
+        .mockResolvedValueOnce({
+          data: {
+            success: true,
+            result: [{ id: "record2" }],
+            result_info: { page: 2, total_pages: 2 },
+          },
+        });
+
+      const records = await cloudflare().listDNSRecords("zone123", {
+        type: "A",
+      });
+
+      expect(records).toEqual([{ id: "record1" }, { id: "record2" }]);
+      expect(mockResponse).toHaveBeenNthCalledWith(
+        2,
+        "/zones/zone123/dns_records",
+        { params: { type: "A", page: 2, per_page: 100 } }
+      );
+    });
+
+    it("should list records of every type by default", async () => {
+      mockResponse.mockResolvedValueOnce({
+        data: { success: true, result: [] },
+      });
+
+      await expect(cloudflare().listDNSRecords("zone123")).resolves.toEqual([]);
+      expect(mockResponse).toHaveBeenCalledWith("/zones/zone123/dns_records", {
+        params: { page: 1, per_page: 100 },
+      });
+    });
+  });
+
+  describe("createDNSRecord", () => {
+    it("should create the DNS record", async () => {
+      const expectedResponse = {
+        data: { success: true, result: { id: "record456" } },
+      };
+      mockResponse.mockResolvedValueOnce(expectedResponse);
+
+      const response = await cloudflare().createDNSRecord(
+        "zone123",
+        "sub",
+        "2001:db8::1",
+        "AAAA",
+        { ttl: 300, proxied: true, comment: "home", tags: ["env:home"] }
+      );
+
+      expect(response).toBe(expectedResponse.data);
+      expect(logger.http).toHaveBeenCalledWith(
+        "POST: Creating DNS record for sub with IP: 2001:db8::1"
+      );
+      expect(mockResponse).toHaveBeenCalledWith("/zones/zone123/dns_records", {
+        type: "AAAA",
+        name: "sub.domainName",
+        content: "2001:db8::1",
+        ttl: 300,
+        proxied: true,
+        comment: "home",
+        tags: ["env:home"],
+      });
+      expect(logger.http).toHaveBeenCalledWith(
+        "DNS record created successfully."
+      );
+    });
+
+    it("should default to an A record with the standard settings", async () => {
+      mockResponse.mockResolvedValueOnce({
+        data: { success: true, result: { id: "record456" } },
+      });
+
+      await cloudflare().createDNSRecord("zone123", "sub", "1.2.3.4");
+
+      expect(mockResponse).toHaveBeenCalledWith("/zones/zone123/dns_records", {
+        type: "A",
+        name: "sub.domainName",
+        content: "1.2.3.4",
+        ttl: 1800,
+        proxied: false,
+      });
+    });
+
+    it("should not send proxied for TXT records and send auto TTLs as 1", async () => {
+      mockResponse.mockResolvedValueOnce({
+        data: { success: true, result: { id: "record456" } },
+      });
+
+      await cloudflare().createDNSRecord("zone123", "ip", "1.2.3.4", "TXT", {
+        ttl: "auto",
+      });
+
+      expect(mockResponse).toHaveBeenCalledWith("/zones/zone123/dns_records", {
+        type: "TXT",
+        name: "ip.domainName",
+        content: "1.2.3.4",
+        ttl: 1,
+      });
+    });
+
+    it("should throw an error if the response is not successful", async () => {
+      mockResponse.mockResolvedValueOnce({
+        data: { success: false, errors: [{ message: "Error message" }] },
+      });
+
+      await expect(
+        cloudflare().createDNSRecord("zone123", "sub", "1.2.3.4")
+      ).rejects.toThrow("Failed to create DNS record");
+    });
+  });
+
   describe("updateDNSRecord", () => {
-    it("should update the DNS record", async () => {
+    it("should only send the content when no settings are given", async () => {
       const zoneId = "zone123";
       const recordId = "record456";
       const subdomain = "sub";
@@ -133,7 +505,7 @@ describe("CloudflareAPI", () => {
 
       expect(response).toBe(expectedResponse.data);
       expect(logger.http).toHaveBeenCalledWith(
-        `PUT: Updating DNS record for ${subdomain} to IP: ${publicIP}`
+        `PATCH: Updating DNS record for ${subdomain} to IP: ${publicIP}`
       );
       expect(mockResponse).toHaveBeenCalledWith(
         `/zones/${zoneId}/dns_records/${recordId}`,
@@ -141,8 +513,6 @@ describe("CloudflareAPI", () => {
           type: "A",
           name: `${subdomain}.domainName`,
           content: publicIP,
-          ttl: 1800,
-          proxied: false,
         }
       );
       expect(logger.http).toHaveBeenCalledWith(
@@ -150,6 +520,34 @@ describe("CloudflareAPI", () => {
       );
     });
 
+    it("should update an AAAA record with the given settings", async () => {
+      const zoneId = "zone123";
+      const recordId = "record789";
+      const subdomain = "sub";
+      const publicIP = "2001:db8::1";
+      mockResponse.mockResolvedValueOnce({ data: { success: true } });
+
+      await cloudflare().updateDNSRecord(
+        zoneId,
+        recordId,
+        subdomain,
+        publicIP,
+        "AAAA",
+        { ttl: 300, proxied: true }
+      );
+
+      expect(mockResponse).toHaveBeenCalledWith(
+        `/zones/${zoneId}/dns_records/${recordId}`,
+        {
+          type: "AAAA",
+          name: `${subdomain}.domainName`,
+          content: publicIP,
+          ttl: 300,
+          proxied: true,
+        }
+      );
+    });
+
     it("should throw an error if the API call fails", async () => {
       const zoneId = "zone123";
       const recordId = "record456";
@@ -161,10 +559,37 @@ describe("CloudflareAPI", () => {
         cloudflare().updateDNSRecord(zoneId, recordId, subdomain, publicIP)
       ).rejects.toThrow("Network error");
       expect(logger.http).toHaveBeenCalledWith(
-        `PUT: Updating DNS record for ${subdomain} to IP: ${publicIP}`
+        `PATCH: Updating DNS record for ${subdomain} to IP: ${publicIP}`
       );
     });
 
+    it("should throw a CloudflareError for HTTP errors", async () => {
+      const error = new Error("Request failed with status code 404");
+      error.response = {
+        status: 404,
+        data: {
+          success: false,
+          errors: [{ code: 81044, message: "Record does not exist." }],
+        },
+      };
+      mockResponse.mockRejectedValueOnce(error);
+
+      const promise = cloudflare().updateDNSRecord(
+        "zone123",
+        "record456",
+        "sub",
+        "1.2.3.4"
+      );
+
+      await expect(promise).rejects.toBeInstanceOf(CloudflareError);
+      await expect(promise).rejects.toMatchObject({
+        message:
+          "Failed to update DNS record: Record does not exist. (code 81044)",
+        status: 404,
+        isNotFound: true,
+      });
+    });
+
     it("should throw an error if the response is not successful", async () => {
       const zoneId = "zone123";
       const recordId = "record456";
@@ -179,71 +604,340 @@ describe("CloudflareAPI", () => {
         cloudflare().updateDNSRecord(zoneId, recordId, subdomain, publicIP)
       ).rejects.toThrow("Failed to update DNS record");
       expect(logger.http).toHaveBeenCalledWith(
-        `PUT: Updating DNS record for ${subdomain} to IP: ${publicIP}`
+        `PATCH: Updating DNS record for ${subdomain} to IP: ${publicIP}`
       );
     });
   });
 
-  describe("getPublicIP", () => {
-    it("should return the public IP address from ipv4.icanhazip.com", async () => {
-      const mockIP = "1.2.3.4";
-      axios.get.mockResolvedValueOnce({ data: `${mockIP}\n` });
+  describe("deleteDNSRecord", () => {
+    it("should delete the DNS record", async () => {
+      const expectedResponse = {
+        data: { success: true, result: { id: "record456" } },
+      };
+      mockResponse.mockResolvedValueOnce(expectedResponse);
 
-      const ip = await cloudflare().getPublicIP();
+      const response = await cloudflare().deleteDNSRecord(
+        "zone123",
+        "record456"
+      );
 
-      expect(ip).toBe(mockIP);
+      expect(response).toBe(expectedResponse.data);
+      expect(mockResponse).toHaveBeenCalledWith(
+        "/zones/zone123/dns_records/record456"
+      );
       expect(logger.http).toHaveBeenCalledWith(
-        "GET: Fetching public IP address..."
+        "DELETE: Deleting DNS record record456"
       );
-      expect(axios.get).toHaveBeenCalledWith("https://ipv4.icanhazip.com");
     });
 
-    it("should return the public IP address from api.ipify.org if ipv4.icanhazip.com fails", async () => {
-      const mockIP = "1.2.3.4";
-      axios.get
-        .mockRejectedValueOnce(new Error("Network error"))
-        .mockResolvedValueOnce({ data: mockIP });
+    it("should throw an error if the response is not successful", async () => {
+      mockResponse.mockResolvedValueOnce({
+        data: { success: false, errors: [] },
+      });
+
+      await expect(
+        cloudflare().deleteDNSRecord("zone123", "record456")
+      ).rejects.toThrow("Failed to delete DNS record");
+    });
+  });
 
-      const ip = await cloudflare().getPublicIP();
+  describe("record sets", () => {
+    const set = [
+      { id: "r1", name: "vpn.domainName", type: "A", content: "192.0.2.1" },
+      { id: "r2", name: "vpn.domainName", type: "A", content: "192.0.2.2" },
+      { id: "r3", name: "other.domainName", type: "A", content: "192.0.2.3" },
+    ];
 
-      expect(ip).toBe(mockIP);
-      expect(logger.http).toHaveBeenCalledWith(
-        "GET: Fetching public IP address..."
+    it("should read every record of the name and type", async () => {
+      mockResponse.mockResolvedValueOnce({
+        data: { success: true, result: set },
+      });
+
+      const records = await cloudflare().getRecordSet("zone123", "vpn");
+
+      expect(records.map((record) => record.content)).toEqual([
+        "192.0.2.1",
+        "192.0.2.2",
+      ]);
+    });
+
+    it("should create missing addresses before deleting the others", async () => {
+      mockResponse
+        .mockResolvedValueOnce({ data: { success: true, result: set } })
+        .mockResolvedValueOnce({
+          data: { success: true, result: { id: "r4" } },
+        })
+        .mockResolvedValueOnce({ data: { success: true, result: {} } });
+
+      const result = await cloudflare().replaceRecordSet(
+        "zone123",
+        "vpn",
+        ["192.0.2.2", "192.0.2.4"],
+        "A",
+        {}
       );
-      expect(axios.get).toHaveBeenCalledWith("https://ipv4.icanhazip.com");
-      expect(axios.get).toHaveBeenCalledWith("https://api.ipify.org");
+
+      expect(result).toEqual({ created: 1, deleted: 1 });
+      expect(mockResponse).toHaveBeenNthCalledWith(
+        2,
+        "/zones/zone123/dns_records",
+        {
+          type: "A",
+          name: "vpn.domainName",
+          content: "192.0.2.4",
+          ttl: 1800,
+          proxied: false,
+        }
+      );
+      expect(mockResponse).toHaveBeenNthCalledWith(
+        3,
+        "/zones/zone123/dns_records/r1"
+      );
+      expect(mockResponse).toHaveBeenCalledTimes(3);
     });
 
-    it("should trim whitespace from the returned IP address", async () => {
-      const mockIP = "1.2.3.4";
-      axios.get.mockResolvedValueOnce({ data: `   ${mockIP}   \n` });
+    it("should apply the settings to the records that stay", async () => {
+      mockResponse
+        .mockResolvedValueOnce({ data: { success: true, result: set } })
+        .mockResolvedValue({ data: { success: true, result: {} } });
+
+      await cloudflare().replaceRecordSet(
+        "zone123",
+        "vpn",
+        ["192.0.2.1", "192.0.2.2"],
+        "A",
+        { ttl: 60 }
+      );
 
-      const ip = await cloudflare().getPublicIP();
+      expect(mockResponse).toHaveBeenCalledWith(
+        "/zones/zone123/dns_records/r2",
+        { type: "A", name: "vpn.domainName", content: "192.0.2.2", ttl: 60 }
+      );
+      expect(mockResponse).toHaveBeenCalledTimes(3);
+    });
+  });
+
+  describe("retries", () => {
+    const httpError = (status, headers = {}) => {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.response = {
+        status,
+        headers,
+        data: { success: false, errors: [{ code: 10000, message: "Error" }] },
+      };
+      return error;
+    };
+    const zoneFound = {
+      data: { success: true, result: [{ id: "zone123", name: "domainName" }] },
+    };
+    const retrying = (options) =>
+      new CloudflareAPI("apiKey", "email", "domainName", logger, {
+        retryDelay: 1,
+        ...options,
+      });
+
+    it("should retry server errors and transient network errors", async () => {
+      const reset = Object.assign(new Error("socket hang up"), {
+        code: "ECONNRESET",
+      });
+      mockResponse
+        .mockRejectedValueOnce(httpError(502))
+        .mockRejectedValueOnce(reset)
+        .mockResolvedValueOnce(zoneFound);
+
+      await expect(retrying().getZoneId()).resolves.toBe("zone123");
+      expect(mockResponse).toHaveBeenCalledTimes(3);
+      expect(logger.warn).toHaveBeenCalledWith(
+        expect.stringMatching(
+          /^Failed to fetch Zone ID: Error \(code 10000\); retrying in \d+ms \(1\/3\)$/
+        ),
+        { status: 502, errorCodes: [10000] }
+      );
+    });
 
-      expect(ip).toBe(mockIP);
+    it("should wait as long as Retry-After asks when rate limited", async () => {
+      mockResponse
+        .mockRejectedValueOnce(httpError(429, { "retry-after": "0.05" }))
+        .mockResolvedValueOnce(zoneFound);
+
+      const started = Date.now();
+      await expect(retrying().getZoneId()).resolves.toBe("zone123");
+      expect(Date.now() - started).toBeGreaterThanOrEqual(45);
     });
 
-    it("should throw an error if both IP address services fail", async () => {
-      axios.get.mockRejectedValue(new Error("Network error"));
+    it("should give up when Retry-After exceeds the longest retry delay", async () => {
+      mockResponse.mockRejectedValueOnce(
+        httpError(429, { "retry-after": "60" })
+      );
+
+      await expect(retrying().getZoneId()).rejects.toMatchObject({
+        status: 429,
+        retryAfter: 60000,
+      });
+      expect(mockResponse).toHaveBeenCalledTimes(1);
+    });
 
-      await expect(cloudflare().getPublicIP()).rejects.toThrow("Network error");
-      expect(logger.http).toHaveBeenCalledWith(
-        "GET: Fetching public IP address..."
+    it("should give up once the retries are used up", async () => {
+      mockResponse.mockRejectedValue(httpError(503));
+
+      await expect(retrying({ retries: 2 }).getZoneId()).rejects.toMatchObject({
+        status: 503,
+      });
+      expect(mockResponse).toHaveBeenCalledTimes(3);
+      mockResponse.mockReset();
+    });
+
+    it("should report the duration of each attempt", async () => {
+      const onRequest = jest.fn();
+      mockResponse
+        .mockRejectedValueOnce(
+          Object.assign(httpError(502), { config: { method: "get" } })
+        )
+        .mockResolvedValueOnce({
+          ...zoneFound,
+          status: 200,
+          config: { method: "get" },
+        });
+
+      await retrying({ onRequest }).getZoneId();
+
+      expect(onRequest.mock.calls).toEqual([
+        [{ method: "GET", status: 502, duration: expect.any(Number) }],
+        [{ method: "GET", status: 200, duration: expect.any(Number) }],
+      ]);
+    });
+
+    it("should not retry client errors", async () => {
+      mockResponse.mockRejectedValueOnce(httpError(403));
+
+      await expect(retrying().getZoneId()).rejects.toThrow(
+        "Failed to fetch Zone ID: Error (code 10000)"
+      );
+      expect(mockResponse).toHaveBeenCalledTimes(1);
+    });
+
+    it("should not retry a create whose response timed out", async () => {
+      mockResponse.mockRejectedValueOnce(
+        Object.assign(new Error("timeout of 10000ms exceeded"), {
+          code: "ECONNABORTED",
+        })
+      );
+
+      await expect(
+        retrying().createDNSRecord("zone123", "sub", "1.2.3.4")
+      ).rejects.toThrow("timeout of 10000ms exceeded");
+      expect(mockResponse).toHaveBeenCalledTimes(1);
+    });
+
+    it("should retry a create or delete that was not applied", async () => {
+      const refused = Object.assign(new Error("connect ECONNREFUSED"), {
+        code: "ECONNREFUSED",
+      });
+      mockResponse
+        .mockRejectedValueOnce(refused)
+        .mockResolvedValueOnce({ data: { success: true, result: {} } })
+        .mockRejectedValueOnce(httpError(429))
+        .mockResolvedValueOnce({ data: { success: true, result: {} } });
+
+      await retrying().createDNSRecord("zone123", "sub", "1.2.3.4");
+      await retrying().deleteDNSRecord("zone123", "record123");
+      expect(mockResponse).toHaveBeenCalledTimes(4);
+    });
+
+    it("should not retry a delete that failed on the server", async () => {
+      mockResponse.mockRejectedValueOnce(httpError(502));
+
+      await expect(
+        retrying().deleteDNSRecord("zone123", "record123")
+      ).rejects.toMatchObject({ status: 502 });
+      expect(mockResponse).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("verifyToken", () => {
+    const dnsWritePolicy = {
+      effect: "allow",
+      permission_groups: [{ id: "4755a26eedb94da69e1066d98aa820be" }],
+    };
+
+    it("should verify an active token with DNS edit permission", async () => {
+      mockResponse
+        .mockResolvedValueOnce({
+          data: { success: true, result: { id: "tok1", status: "active" } },
+        })
+        .mockResolvedValueOnce({
+          data: { success: true, result: { policies: [dnsWritePolicy] } },
+        });
+
+      await expect(cloudflare().verifyToken()).resolves.toBeUndefined();
+      expect(mockResponse).toHaveBeenCalledWith("/user/tokens/verify");
+      expect(mockResponse).toHaveBeenCalledWith("/user/tokens/tok1");
+      expect(logger.http).toHaveBeenCalledWith("API token verified.");
+    });
+
+    it("should throw an error if the token is rejected", async () => {
+      const error = new Error("Request failed with status code 401");
+      error.response = { status: 401 };
+      mockResponse.mockRejectedValueOnce(error);
+
+      await expect(cloudflare().verifyToken()).rejects.toThrow(
+        "API token is invalid or has been revoked"
       );
     });
 
-    it("should handle unexpected response data from ipv4.icanhazip.com", async () => {
-      axios.get.mockResolvedValueOnce({ data: null });
+    it("should rethrow network errors", async () => {
+      mockResponse.mockRejectedValueOnce(new Error("Network error"));
 
-      await expect(cloudflare().getPublicIP()).rejects.toThrow();
+      await expect(cloudflare().verifyToken()).rejects.toThrow("Network error");
     });
 
-    it("should handle unexpected response data from api.ipify.org", async () => {
-      axios.get
-        .mockRejectedValueOnce(new Error("Network error"))
-        .mockResolvedValueOnce({ data: undefined });
+    it("should throw an error if the token is not active", async () => {
+      mockResponse.mockResolvedValueOnce({
+        data: { success: true, result: { id: "tok1", status: "disabled" } },
+      });
 
-      await expect(cloudflare().getPublicIP()).rejects.toThrow();
+      await expect(cloudflare().verifyToken()).rejects.toThrow(
+        "API token is not active (status: disabled)"
+      );
+    });
+
+    it("should throw an error if the token lacks DNS edit permission", async () => {
+      mockResponse
+        .mockResolvedValueOnce({
+          data: { success: true, result: { id: "tok1", status: "active" } },
+        })
+        .mockResolvedValueOnce({
+          data: {
+            success: true,
+            result: {
+              policies: [
+                {
+                  effect: "allow",
+                  permission_groups: [{ id: "some-read-permission" }],
+                },
+              ],
+            },
+          },
+        });
+
+      await expect(cloudflare().verifyToken()).rejects.toThrow(
+        "API token does not have the DNS edit permission (Zone > DNS > Edit)"
+      );
+    });
+
+    it("should warn if the token permissions cannot be inspected", async () => {
+      mockResponse
+        .mockResolvedValueOnce({
+          data: { success: true, result: { id: "tok1", status: "active" } },
+        })
+        .mockRejectedValueOnce(
+          new Error("Request failed with status code 403")
+        );
+
+      await expect(cloudflare().verifyToken()).resolves.toBeUndefined();
+      expect(logger.warn).toHaveBeenCalledWith(
+        "Unable to inspect API token permissions; make sure it has Zone > DNS > Edit permission"
+      );
     });
   });
 
@@ -262,6 +956,7 @@ describe("CloudflareAPI", () => {
       expect(instance.domainName).toBe(domainName);
       expect(axios.create).toHaveBeenCalledWith({
         baseURL: "https://api.cloudflare.com/client/v4",
+        timeout: 10000,
         headers: {
           "X-Auth-Email": "test@example.com",
           "X-Auth-Key": "testApiKey",
@@ -282,6 +977,7 @@ describe("CloudflareAPI", () => {
 
       expect(axios.create).toHaveBeenCalledWith({
         baseURL: "https://api.cloudflare.com/client/v4",
+        timeout: 10000,
         headers: {
           "X-Auth-Email": "email",
           "X-Auth-Key": "apiKey",
@@ -293,6 +989,21 @@ describe("CloudflareAPI", () => {
       });
     });
 
+    it("should authenticate with a Bearer token when an API token is provided", () => {
+      delete process.env.USE_PROXY;
+
+      new CloudflareAPI(undefined, undefined, "example.com", logger, {
+        apiToken: "token123",
+      });
+
+      expect(axios.create).toHaveBeenCalledWith({
+        baseURL: "https://api.cloudflare.com/client/v4",
+        timeout: 10000,
+        headers: { Authorization: "Bearer token123" },
+        proxy: false,
+      });
+    });
+
     it("should throw an error if logger is not provided", () => {
       expect(() => new CloudflareAPI("apiKey", "email", "domainName")).toThrow(
         "Logger was not provided to CloudflareAPI instance"
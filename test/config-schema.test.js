@@ -0,0 +1,134 @@
+const { CONFIG_SCHEMA, validateEnvironment } = require("../lib/config-schema");
+const { validate } = require("../lib/schema");
+
+describe("CONFIG_SCHEMA", () => {
+  it("should accept the sample config file", () => {
+    expect(
+      validate(require("../sample-ddns-config.json"), CONFIG_SCHEMA)
+    ).toEqual([]);
+  });
+
+  it("should reject unknown IP detection and notification settings", () => {
+    expect(
+      validate(
+        {
+          ipDetection: {
+            providers: [{ type: "http", family: 5 }],
+            concensus: 2,
+          },
+          notifications: { channels: [{ type: "slack", events: ["changed"] }] },
+        },
+        CONFIG_SCHEMA
+      )
+    ).toEqual([
+      "ipDetection.providers[0].family must be one of 4, 6, not 5",
+      'ipDetection.concensus is not a known setting (did you mean "consensus"?)',
+      'notifications.channels[0].events[0] must be one of "ip_changed", "update_failed", "recovered", "error", not "changed"',
+    ]);
+  });
+
+  it("should reject unknown uplink and failover settings", () => {
+    expect(
+      validate(
+        {
+          records: [
+            {
+              zone: "example.com",
+              uplinks: [
+                { address: "203.0.113.10", check: { type: "ping" } },
+                { adress: "198.51.100.7" },
+              ],
+              failover: { mode: "random", holddown: 60 },
+            },
+          ],
+        },
+        CONFIG_SCHEMA
+      )
+    ).toEqual([
+      'records[0].uplinks[0].check.type must be one of "tcp", "http", not "ping"',
+      'records[0].uplinks[1].adress is not a known setting (did you mean "address"?)',
+      'records[0].failover.mode must be one of "priority", "all", not "random"',
+      'records[0].failover.holddown is not a known setting (did you mean "holdDown"?)',
+    ]);
+  });
+});
+
+describe("validateEnvironment", () => {
+  const config = { records: [{ zone: "example.com" }] };
+
+  it("should accept a complete environment", () => {
+    expect(
+      validateEnvironment(
+        { API_TOKEN: "token", CHECK_INTERVAL: "60", DAEMON: "true" },
+        config
+      )
+    ).toEqual([]);
+  });
+
+  it("should check the format of typed variables", () => {
+    expect(
+      validateEnvironment(
+        {
+          API_TOKEN: "token",
+          CHECK_INTERVAL: "5m",
+          DAEMON: "yes",
+          STATUS_PORT: "70000",
+          LOG_LEVEL: "loud",
+        },
+        config
+      )
+    ).toEqual([
+      'LOG_LEVEL must be one of "error", "warn", "info", "http", "verbose", "debug", not "loud"',
+      "DAEMON must be a boolean, not string",
+      "CHECK_INTERVAL must be a number, not string",
+      "STATUS_PORT must be at most 65535",
+    ]);
+  });
+
+  it("should require DOMAIN_NAME without configured records", () => {
+    expect(validateEnvironment({ API_TOKEN: "token" }, {})).toEqual([
+      "DOMAIN_NAME is required when the config file has no records",
+    ]);
+  });
+
+  it("should require dyndns users for the update server", () => {
+    const env = { API_TOKEN: "token", DYNDNS_PORT: "8245" };
+    const users = [
+      { username: "router", password: "secret", hostnames: ["example.com"] },
+    ];
+
+    expect(validateEnvironment(env, config)).toEqual([
+      "DYNDNS_PORT needs dyndns users in the config file",
+    ]);
+    expect(validateEnvironment(env, { ...config, dyndns: { users } })).toEqual(
+      []
+    );
+  });
+
+  it("should require Cloudflare credentials", () => {
+    expect(validateEnvironment({}, config)).toEqual([
+      "Cloudflare credentials are missing: set API_TOKEN, or API_KEY and EMAIL",
+    ]);
+    expect(validateEnvironment({ API_KEY: "key" }, config)).toEqual([
+      "EMAIL is required with API_KEY",
+    ]);
+    expect(validateEnvironment({}, { ...config, apiToken: "token" })).toEqual(
+      []
+    );
+  });
+
+  it("should not require Cloudflare credentials for other providers", () => {
+    expect(
+      validateEnvironment(
+        {},
+        {
+          records: [{ zone: "example.com", provider: "bind" }],
+          providers: { bind: { type: "rfc2136" } },
+        }
+      )
+    ).toEqual([]);
+    expect(
+      validateEnvironment({ USE_MOCK_CLOUDFLARE: "true" }, config)
+    ).toEqual([]);
+  });
+});
@@ -1,5 +1,6 @@
 const fs = require("fs");
 const ConfigManager = require("../lib/config");
+const { ConfigError } = require("../lib/errors");
 
 jest.mock("fs");
 
@@ -40,6 +41,166 @@ describe("ConfigManager", () => {
     });
   });
 
+  describe("validation", () => {
+    const load = (config, options) => {
+      fs.readFileSync.mockReturnValue(
+        typeof config === "string" ? config : JSON.stringify(config)
+      );
+      return new ConfigManager(configPath, logger, options);
+    };
+    const problemsOf = (config, options) => {
+      try {
+        load(config, options);
+      } catch (error) {
+        expect(error).toBeInstanceOf(ConfigError);
+        return error.problems;
+      }
+      throw new Error("The config was accepted");
+    };
+
+    it("should report the line and column of JSON syntax errors", () => {
+      expect(() => load('{\n  "a": 1,\n}')).toThrow(
+        new ConfigError(
+          `Config file ${configPath} is not valid JSON: Expected double-quoted property name in JSON at position 12 (line 3, column 1)`
+        )
+      );
+    });
+
+    it("should report every field that does not match the schema", () => {
+      const schema = {
+        type: "object",
+        additionalProperties: false,
+        properties: { port: { type: "integer" }, name: { type: "string" } },
+      };
+
+      expect(problemsOf({ port: "80", nmae: "x" }, { schema })).toEqual([
+        "port must be an integer, not string",
+        'nmae is not a known setting (did you mean "name"?)',
+      ]);
+    });
+
+    it("should replace environment variable references", () => {
+      const instance = load(
+        {
+          apiToken: "${TOKEN}",
+          url: "https://${HOST:-localhost}:${PORT:-8080}/",
+          literal: "$${TOKEN}",
+        },
+        { env: { TOKEN: "secret", HOST: "example.com" } }
+      );
+
+      expect(instance.config).toEqual({
+        apiToken: "secret",
+        url: "https://example.com:8080/",
+        literal: "${TOKEN}",
+      });
+    });
+
+    it("should report references to unset variables", () => {
+      expect(
+        problemsOf(
+          { notifications: { channels: [{ password: "${SMTP_PASSWORD}" }] } },
+          { env: {} }
+        )
+      ).toEqual([
+        "notifications.channels[0].password uses ${SMTP_PASSWORD}, which is not set",
+      ]);
+    });
+
+    it("should write references back instead of their values", async () => {
+      const instance = load(
+        { apiToken: "${TOKEN}", zoneIds: {} },
+        { env: { TOKEN: "secret" } }
+      );
+
+      await instance.saveConfig({ zoneIds: { "example.com": "zone123" } });
+
+      expect(JSON.parse(fs.promises.writeFile.mock.calls[0][1])).toEqual({
+        apiToken: "${TOKEN}",
+        zoneIds: { "example.com": "zone123" },
+      });
+    });
+
+    it("should write a changed section whose values came from the file", async () => {
+      const instance = load(
+        {
+          apiToken: "${TOKEN}",
+          recordIds: { "A example.com": "old" },
+        },
+        { env: { TOKEN: "secret" } }
+      );
+
+      await instance.set("recordIds", {
+        ...instance.get("recordIds"),
+        "A example.com": "new",
+      });
+
+      expect(JSON.parse(fs.promises.writeFile.mock.calls[0][1])).toEqual({
+        apiToken: "${TOKEN}",
+        recordIds: { "A example.com": "new" },
+      });
+    });
+
+    it("should migrate the IDs cached by single-record versions", async () => {
+      const instance = load(
+        { zoneId: "zone123", recordId: "record456" },
+        { env: { DOMAIN_NAME: "example.com", SUBDOMAIN: "home" } }
+      );
+      await instance.pendingSave;
+
+      expect(instance.config).toEqual({
+        zoneIds: { "example.com": "zone123" },
+        recordIds: { "A home.example.com": "record456" },
+      });
+      expect(fs.promises.writeFile).not.toHaveBeenCalled();
+    });
+
+    it("should drop legacy IDs that cannot be keyed", () => {
+      const instance = load({ zoneId: "zone123" }, { env: {} });
+
+      expect(instance.config).toEqual({});
+    });
+  });
+
+  describe("formats", () => {
+    it("should load YAML and TOML files", () => {
+      fs.readFileSync.mockReturnValueOnce("records:\n  - zone: example.com\n");
+      expect(new ConfigManager("ddns.yaml", logger).config).toEqual({
+        records: [{ zone: "example.com" }],
+      });
+
+      fs.readFileSync.mockReturnValueOnce(
+        '[[records]]\nzone = "example.com"\n'
+      );
+      expect(new ConfigManager("ddns.toml", logger).config).toEqual({
+        records: [{ zone: "example.com" }],
+      });
+    });
+
+    it("should name the format in syntax errors", () => {
+      fs.readFileSync.mockReturnValue("records: [\n");
+
+      expect(() => new ConfigManager("ddns.yml", logger)).toThrow(
+        /^Config file ddns.yml is not valid YAML: .* at line 2, column 1$/
+      );
+    });
+
+    it("should keep the comments of the file when saving", async () => {
+      fs.readFileSync.mockReturnValue(
+        "# Managed by Ansible\nrecords: [] # none yet\n"
+      );
+      const instance = new ConfigManager("ddns.yaml", logger);
+
+      await instance.saveConfig({ zoneIds: { "example.com": "zone123" } });
+
+      expect(fs.promises.writeFile).toHaveBeenCalledWith(
+        "ddns.yaml.tmp",
+        "# Managed by Ansible\nrecords: [] # none yet\nzoneIds:\n  example.com: zone123\n",
+        "utf8"
+      );
+    });
+  });
+
   describe("saveConfig", () => {
     it("should save config to file", async () => {
       const newConfig = { new: "value" };
@@ -85,6 +246,37 @@ describe("ConfigManager", () => {
         `Failed to save config: ${errorMessage}`
       );
     });
+
+    it("should write concurrent saves one after another", async () => {
+      const instance = configManager();
+      const events = [];
+      fs.promises.writeFile.mockImplementation(async (path, contents) => {
+        events.push(`write ${JSON.parse(contents).count}`);
+        await new Promise((resolve) => setImmediate(resolve));
+      });
+      fs.promises.rename.mockImplementation(async () => {
+        events.push("rename");
+      });
+
+      await Promise.all([
+        instance.saveConfig({ count: 1 }),
+        instance.saveConfig({ count: 2 }),
+      ]);
+
+      expect(events).toEqual(["write 1", "rename", "write 2", "rename"]);
+    });
+
+    it("should keep saving after a failed save", async () => {
+      const instance = configManager();
+      fs.promises.writeFile.mockRejectedValueOnce(new Error("Disk full"));
+
+      await expect(instance.saveConfig({ count: 1 })).rejects.toThrow(
+        "Disk full"
+      );
+      await instance.saveConfig({ count: 2 });
+
+      expect(fs.promises.rename).toHaveBeenCalledTimes(1);
+    });
   });
 
   describe("get", () => {
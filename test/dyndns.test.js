@@ -0,0 +1,241 @@
+const axios = require("axios");
+const net = require("net");
+const DynDNSServer = require("../lib/dyndns");
+
+describe("DynDNSServer", () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  const records = [
+    { zone: "example.com", name: "home", provider: "cloudflare" },
+    { zone: "lab.example.com", name: "@", provider: "bind" },
+  ];
+  const users = [
+    {
+      username: "router",
+      password: "s3cret",
+      hostnames: ["gw.example.com", "example.com", "NAS.lab.example.com."],
+    },
+  ];
+  let client;
+  let updater;
+  let state;
+  let ipSource;
+  let server;
+
+  const update = (query, auth = { username: "router", password: "s3cret" }) =>
+    axios.get(`${server.url}/nic/update`, {
+      params: query,
+      auth,
+      validateStatus: () => true,
+    });
+
+  beforeEach(async () => {
+    client = {
+      getRecord: jest
+        .fn()
+        .mockResolvedValue({ id: "record456", content: "192.0.2.1" }),
+    };
+    updater = {
+      createMissing: false,
+      clientFor: jest.fn(() => client),
+      resolveZoneId: jest.fn().mockResolvedValue("zone123"),
+      publish: jest.fn().mockResolvedValue("updated"),
+    };
+    state = { recordChange: jest.fn().mockResolvedValue() };
+    ipSource = { getPublicIP: jest.fn().mockResolvedValue("203.0.113.10") };
+    server = new DynDNSServer(
+      { updater, state, ipSource, records, users, allowPrivate: true },
+      logger
+    );
+    await server.listen(0, "127.0.0.1");
+  });
+
+  afterEach(async () => {
+    await server.close();
+    jest.clearAllMocks();
+  });
+
+  it("should throw an error if logger is not provided", () => {
+    expect(() => new DynDNSServer({})).toThrow(
+      "Logger was not provided to DynDNSServer instance"
+    );
+  });
+
+  it("should throw an error without users or for a hostname outside the zones", () => {
+    expect(() => new DynDNSServer({ records, users: [] }, logger)).toThrow(
+      "The update server needs at least one user"
+    );
+    expect(
+      () =>
+        new DynDNSServer(
+          {
+            records,
+            users: [{ username: "nas", password: "x", hostnames: ["a.org"] }],
+          },
+          logger
+        )
+    ).toThrow(
+      "Update server user nas may update a.org, which is not in any configured zone"
+    );
+  });
+
+  it("should publish myip to the hostname and answer good", async () => {
+    const response = await update({
+      hostname: "gw.example.com",
+      myip: "203.0.113.7",
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.data).toBe("good 203.0.113.7");
+    const [record, ip, previousIP] = updater.publish.mock.calls[0];
+    expect(record).toMatchObject({
+      zone: "example.com",
+      name: "gw",
+      type: "A",
+      provider: "cloudflare",
+    });
+    expect([ip, previousIP]).toEqual(["203.0.113.7", "192.0.2.1"]);
+    expect(state.recordChange).toHaveBeenCalledWith("A gw.example.com", {
+      ip: "203.0.113.7",
+      previousIP: "192.0.2.1",
+      status: "updated",
+    });
+  });
+
+  it("should answer nochg when the record already holds the address", async () => {
+    const response = await update({
+      hostname: "gw.example.com",
+      myip: "192.0.2.1",
+    });
+
+    expect(response.data).toBe("nochg 192.0.2.1");
+    expect(updater.publish).not.toHaveBeenCalled();
+  });
+
+  it("should answer each hostname on its own line", async () => {
+    const response = await update({
+      hostname: "example.com,nas.lab.example.com,other.example.com",
+      myip: "2001:db8::7",
+    });
+
+    expect(response.data).toBe("good 2001:db8::7\ngood 2001:db8::7\nnohost");
+    expect(updater.publish.mock.calls.map(([record]) => record)).toEqual([
+      expect.objectContaining({ zone: "example.com", name: "@", type: "AAAA" }),
+      expect.objectContaining({
+        zone: "lab.example.com",
+        name: "nas",
+        provider: "bind",
+      }),
+    ]);
+  });
+
+  it("should publish the detected public IP without myip", async () => {
+    const response = await update({ hostname: "gw.example.com" });
+
+    expect(response.data).toBe("good 203.0.113.10");
+    expect(ipSource.getPublicIP).toHaveBeenCalledWith(4);
+  });
+
+  it("should answer nohost for a missing record unless records are created", async () => {
+    client.getRecord.mockResolvedValue(null);
+
+    const missing = await update({
+      hostname: "gw.example.com",
+      myip: "1.1.1.1",
+    });
+    updater.createMissing = true;
+    const created = await update({
+      hostname: "gw.example.com",
+      myip: "1.1.1.1",
+    });
+
+    expect(missing.data).toBe("nohost");
+    expect(created.data).toBe("good 1.1.1.1");
+  });
+
+  it("should answer dnserr when the provider fails", async () => {
+    updater.publish.mockRejectedValue(new Error("Failed to update DNS record"));
+
+    const response = await update({
+      hostname: "gw.example.com",
+      myip: "203.0.113.7",
+    });
+
+    expect(response.data).toBe("dnserr");
+    expect(logger.error).toHaveBeenCalledWith(
+      "A gw.example.com: Failed to update DNS record",
+      expect.objectContaining({ user: "router" })
+    );
+  });
+
+  it.each([
+    [{ username: "router", password: "wrong" }],
+    [{ username: "nobody", password: "s3cret" }],
+    [null],
+  ])("should answer badauth for the credentials %j", async (auth) => {
+    const response = await update({ hostname: "gw.example.com" }, auth);
+
+    expect(response.status).toBe(401);
+    expect(response.data).toBe("badauth");
+    expect(response.headers["www-authenticate"]).toBe(
+      'Basic realm="Nimbus DDNS"'
+    );
+    expect(updater.publish).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    [{}, "notfqdn"],
+    [
+      {
+        hostname: Array.from({ length: 21 }, () => "gw.example.com").join(),
+      },
+      "numhost",
+    ],
+    [{ hostname: "gw.example.com", myip: "not-an-ip" }, "badagent"],
+  ])("should reject the malformed request %j", async (query, answer) => {
+    const response = await update(query);
+
+    expect(response.status).toBe(400);
+    expect(response.data).toBe(answer);
+  });
+
+  it("should answer a malformed request path with badagent", async () => {
+    const { port } = server.server.address();
+    const response = await new Promise((resolve, reject) => {
+      let data = "";
+      const socket = net.connect(port, "127.0.0.1", () =>
+        socket.write(
+          "GET // HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n"
+        )
+      );
+      socket.on("data", (chunk) => (data += chunk));
+      socket.on("end", () => resolve(data));
+      socket.on("error", reject);
+    });
+
+    expect(response).toMatch(/^HTTP\/1\.1 400 /);
+    expect(response).toContain("\r\nbadagent\r\n");
+  });
+
+  it("should answer 911 when handling a request fails", async () => {
+    server.handle = jest.fn().mockRejectedValue(new Error("boom"));
+
+    const response = await update({ hostname: "gw.example.com" });
+
+    expect(response.status).toBe(500);
+    // axios reads the bare number as JSON
+    expect(String(response.data)).toBe("911");
+    expect(logger.error).toHaveBeenCalledWith("Update server: boom");
+  });
+
+  it("should only serve GET /nic/update", async () => {
+    const other = await axios.get(`${server.url}/status`, {
+      validateStatus: () => true,
+    });
+    const post = await axios.post(`${server.url}/nic/update`, null, {
+      validateStatus: () => true,
+    });
+
+    expect(other.status).toBe(404);
+    expect(post.status).toBe(405);
+  });
+});
@@ -0,0 +1,180 @@
+const {
+  CloudflareError,
+  isRetryableError,
+  parseRetryAfter,
+} = require("../lib/errors");
+
+describe("CloudflareError", () => {
+  describe("fromResponse", () => {
+    it("should use the messages reported by Cloudflare", () => {
+      const error = CloudflareError.fromResponse({
+        status: 400,
+        data: {
+          success: false,
+          errors: [
+            { code: 1004, message: "DNS Validation Error" },
+            { code: 9005, message: "Content for A record is invalid" },
+          ],
+        },
+      });
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error.message).toBe(
+        "DNS Validation Error (code 1004); Content for A record is invalid (code 9005)"
+      );
+      expect(error.status).toBe(400);
+      expect(error.errors.map((item) => item.code)).toEqual([1004, 9005]);
+    });
+
+    it("should prefer the given message", () => {
+      const error = CloudflareError.fromResponse(
+        { status: 200, data: { success: false, errors: [] } },
+        "Failed to update DNS record"
+      );
+
+      expect(error.message).toBe("Failed to update DNS record");
+    });
+
+    it("should append the reported errors to the given message", () => {
+      const error = CloudflareError.fromResponse(
+        {
+          status: 400,
+          data: {
+            success: false,
+            errors: [{ code: 81044, message: "Record does not exist." }],
+          },
+        },
+        "Failed to update DNS record"
+      );
+
+      expect(error.message).toBe(
+        "Failed to update DNS record: Record does not exist. (code 81044)"
+      );
+    });
+
+    it("should read the Retry-After header", () => {
+      const error = CloudflareError.fromResponse({
+        status: 429,
+        headers: { "retry-after": "30" },
+        data: { success: false, errors: [] },
+      });
+
+      expect(error.retryAfter).toBe(30000);
+    });
+
+    it("should fall back to the HTTP status", () => {
+      const error = CloudflareError.fromResponse({ status: 502, data: "" });
+
+      expect(error.message).toBe(
+        "Cloudflare API request failed with status 502"
+      );
+      expect(error.errors).toEqual([]);
+    });
+  });
+
+  describe("retryable", () => {
+    it.each([408, 429, 500, 502, 503])(
+      "should be true for status %i",
+      (status) => {
+        expect(new CloudflareError("Failed", { status }).retryable).toBe(true);
+      }
+    );
+
+    it.each([200, 400, 401, 403, 404])(
+      "should be false for status %i",
+      (status) => {
+        expect(new CloudflareError("Failed", { status }).retryable).toBe(false);
+      }
+    );
+  });
+
+  describe("isNotFound", () => {
+    it("should be true for a 404 status", () => {
+      expect(new CloudflareError("Not found", { status: 404 }).isNotFound).toBe(
+        true
+      );
+    });
+
+    it("should be true for Cloudflare's not found error codes", () => {
+      const invalidIdentifier = new CloudflareError("Could not route", {
+        status: 400,
+        errors: [{ code: 7003 }],
+      });
+      const missingRecord = new CloudflareError("Record does not exist", {
+        status: 400,
+        errors: [{ code: 81044 }],
+      });
+
+      expect(invalidIdentifier.isNotFound).toBe(true);
+      expect(missingRecord.isNotFound).toBe(true);
+    });
+
+    it("should be false for other errors", () => {
+      const error = new CloudflareError("Authentication error", {
+        status: 403,
+        errors: [{ code: 10000 }],
+      });
+
+      expect(error.isNotFound).toBe(false);
+    });
+  });
+
+  describe("isRetryableError", () => {
+    it("should retry transient network errors", () => {
+      const error = Object.assign(new Error("timeout"), { code: "ETIMEDOUT" });
+
+      expect(isRetryableError(error)).toBe(true);
+    });
+
+    it("should not retry other errors", () => {
+      expect(isRetryableError(new Error("Network error"))).toBe(false);
+      expect(isRetryableError(new TypeError("x is undefined"))).toBe(false);
+    });
+
+    it("should defer to CloudflareError", () => {
+      expect(
+        isRetryableError(new CloudflareError("Failed", { status: 429 }))
+      ).toBe(true);
+    });
+
+    it("should only retry requests that are not idempotent when nothing was sent", () => {
+      const options = { idempotent: false };
+      const network = (code) => Object.assign(new Error(code), { code });
+
+      expect(isRetryableError(network("ECONNREFUSED"), options)).toBe(true);
+      expect(isRetryableError(network("EAI_AGAIN"), options)).toBe(true);
+      expect(isRetryableError(network("ETIMEDOUT"), options)).toBe(false);
+      expect(isRetryableError(network("ECONNRESET"), options)).toBe(false);
+      expect(
+        isRetryableError(
+          new CloudflareError("Failed", { status: 408 }),
+          options
+        )
+      ).toBe(true);
+      expect(
+        isRetryableError(
+          new CloudflareError("Failed", { status: 503 }),
+          options
+        )
+      ).toBe(false);
+    });
+  });
+
+  describe("parseRetryAfter", () => {
+    it("should parse seconds", () => {
+      expect(parseRetryAfter("2")).toBe(2000);
+    });
+
+    it("should parse HTTP dates", () => {
+      const date = new Date(Date.now() + 10000).toUTCString();
+
+      expect(parseRetryAfter(date)).toBeGreaterThan(8000);
+      expect(parseRetryAfter(date)).toBeLessThanOrEqual(10000);
+    });
+
+    it("should ignore missing and invalid values", () => {
+      expect(parseRetryAfter(undefined)).toBeUndefined();
+      expect(parseRetryAfter("soon")).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,13 @@
+const { getField } = require("../lib/fields");
+
+describe("getField", () => {
+  it("should read a value by its dotted path", () => {
+    expect(getField({ data: { ip: "1.2.3.4" } }, "data.ip")).toBe("1.2.3.4");
+    expect(getField({ items: ["a", "b"] }, "items.1")).toBe("b");
+  });
+
+  it("should return undefined for a path that does not exist", () => {
+    expect(getField({ data: null }, "data.ip")).toBeUndefined();
+    expect(getField({}, "error.message")).toBeUndefined();
+  });
+});
@@ -0,0 +1,178 @@
+const { formatFor } = require("../lib/formats");
+
+describe("formatFor", () => {
+  it("should pick the format from the file extension", () => {
+    expect(formatFor("ddns-config.json").name).toBe("JSON");
+    expect(formatFor("/etc/nimbus/ddns.YAML").name).toBe("YAML");
+    expect(formatFor("ddns.yml").name).toBe("YAML");
+    expect(formatFor("ddns.toml").name).toBe("TOML");
+    expect(formatFor("ddns.conf").name).toBe("JSON");
+  });
+});
+
+describe("JSON", () => {
+  const json = formatFor("config.json");
+
+  it("should report the line and column of syntax errors", () => {
+    expect(() => json.parse('{\n  "a": 1,\n}')).toThrow(
+      "Expected double-quoted property name in JSON at position 12 (line 3, column 1)"
+    );
+  });
+
+  it("should keep the indentation and final newline of the file", () => {
+    expect(json.update('{\n\t"a": 1\n}\n', { a: 1, b: { c: 2 } })).toBe(
+      '{\n\t"a": 1,\n\t"b": {\n\t\t"c": 2\n\t}\n}\n'
+    );
+  });
+});
+
+describe("YAML", () => {
+  const yaml = formatFor("config.yaml");
+  const text = [
+    "# Nimbus DDNS",
+    "records:",
+    "  - zone: example.com # home zone",
+    "    name: home",
+    "apiToken: ${TOKEN} # from the environment",
+    "",
+    "zoneIds:",
+    "  old.example.com: zone0",
+    "",
+  ].join("\n");
+
+  it("should parse the document", () => {
+    expect(yaml.parse(text)).toEqual({
+      records: [{ zone: "example.com", name: "home" }],
+      apiToken: "${TOKEN}",
+      zoneIds: { "old.example.com": "zone0" },
+    });
+    expect(yaml.parse("")).toEqual({});
+  });
+
+  it("should report the location of syntax errors", () => {
+    expect(() => yaml.parse("a: 1\nb: [\n")).toThrow(/at line 3, column 1$/);
+  });
+
+  it("should only rewrite the sections that changed", () => {
+    const data = yaml.parse(text);
+
+    expect(
+      yaml.update(text, {
+        ...data,
+        zoneIds: { "example.com": "zone1" },
+        recordIds: { "A home.example.com": "record1" },
+      })
+    ).toBe(
+      [
+        "# Nimbus DDNS",
+        "records:",
+        "  - zone: example.com # home zone",
+        "    name: home",
+        "apiToken: ${TOKEN} # from the environment",
+        "",
+        "zoneIds:",
+        "  example.com: zone1",
+        "recordIds:",
+        "  A home.example.com: record1",
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("should remove deleted sections", () => {
+    const { zoneIds, ...data } = yaml.parse(text);
+
+    expect(yaml.update(text, data)).not.toContain("zoneIds");
+  });
+});
+
+describe("TOML", () => {
+  const toml = formatFor("config.toml");
+  const text = [
+    "# Nimbus DDNS",
+    'apiToken = "${TOKEN}" # from the environment',
+    "createMissing = false",
+    "",
+    "# Records to update",
+    "[[records]]",
+    'zone = "example.com" # home zone',
+    'name = "home"',
+    "",
+    "[zoneIds]",
+    '"old.example.com" = "zone0"',
+    "",
+    "[ipDetection]",
+    "consensus = 2",
+    "",
+  ].join("\n");
+
+  it("should report the location of syntax errors", () => {
+    expect(() => toml.parse("a = 1\nb = ")).toThrow(
+      "Invalid TOML document: invalid value (line 2, column 5)"
+    );
+  });
+
+  it("should replace changed values and tables where they are", () => {
+    const data = toml.parse(text);
+
+    expect(
+      toml.update(text, {
+        ...data,
+        createMissing: true,
+        zoneIds: { "example.com": "zone1" },
+        recordIds: { "A home.example.com": "record1" },
+        lastIPs: { "A home.example.com": "203.0.113.10" },
+      })
+    ).toBe(
+      [
+        "# Nimbus DDNS",
+        'apiToken = "${TOKEN}" # from the environment',
+        "createMissing = true",
+        "",
+        "# Records to update",
+        "[[records]]",
+        'zone = "example.com" # home zone',
+        'name = "home"',
+        "",
+        "[zoneIds]",
+        '"example.com" = "zone1"',
+        "",
+        "[ipDetection]",
+        "consensus = 2",
+        "",
+        "[recordIds]",
+        '"A home.example.com" = "record1"',
+        "",
+        "[lastIPs]",
+        '"A home.example.com" = "203.0.113.10"',
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("should add new values before the first table", () => {
+    const data = toml.parse(text);
+
+    const updated = toml.update(text, { ...data, createMissing: undefined });
+    expect(updated).not.toContain("createMissing");
+
+    expect(toml.update(text, { ...data, interval: 300 })).toContain(
+      "createMissing = false\ninterval = 300\n\n# Records to update\n[[records]]"
+    );
+  });
+
+  it("should remove deleted tables", () => {
+    const { zoneIds, ...data } = toml.parse(text);
+
+    const updated = toml.update(text, data);
+
+    expect(updated).not.toContain("zoneIds");
+    expect(toml.parse(updated)).toEqual(data);
+  });
+
+  it("should write a new document when there is none", () => {
+    expect(toml.update("\n", { zoneIds: { "example.com": "zone1" } })).toBe(
+      '[zoneIds]\n"example.com" = "zone1"\n'
+    );
+  });
+});
@@ -0,0 +1,552 @@
+const { execFile } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const MockCloudflareServer = require("../../lib/mock/server");
+
+const DDNS = path.resolve(__dirname, "../../ddns.js");
+
+describe("ddns.js against the mock Cloudflare API", () => {
+  let mock;
+  let dir;
+  let configPath;
+  let logPath;
+
+  /**
+   * Runs ddns.js once with the given extra environment and arguments.
+   * @param {object} [env] - Additional environment variables.
+   * @param {Array<string>} [args] - The command-line arguments.
+   * @returns {Promise<{code: number, stdout: string, stderr: string}>} - The exit code and console output.
+   */
+  const run = (env = {}, args = []) =>
+    new Promise((resolve) => {
+      execFile(
+        process.execPath,
+        [DDNS, ...args],
+        {
+          cwd: dir,
+          timeout: 20000,
+          env: {
+            PATH: process.env.PATH,
+            API_KEY: "key",
+            EMAIL: "user@example.com",
+            CONFIG_PATH: configPath,
+            LOG_PATH: logPath,
+            CLOUDFLARE_API_URL: mock.baseURL,
+            ...env,
+          },
+        },
+        (error, stdout, stderr) =>
+          resolve({ code: error ? error.code : 0, stdout, stderr })
+      );
+    });
+
+  const writeConfig = (config) =>
+    fs.writeFileSync(
+      configPath,
+      JSON.stringify({
+        ipDetection: {
+          allowPrivate: true,
+          providers: [
+            { type: "http", url: mock.ipURL(4), family: 4 },
+            { type: "http", url: mock.ipURL(6), family: 6 },
+          ],
+        },
+        ...config,
+      })
+    );
+  const readConfig = () => JSON.parse(fs.readFileSync(configPath, "utf8"));
+  const readState = () =>
+    JSON.parse(fs.readFileSync(path.join(dir, "ddns-state.json"), "utf8"));
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "nimbus-ddns-"));
+    configPath = path.join(dir, "ddns-config.json");
+    logPath = path.join(dir, "nimbus-ddns.log");
+    mock = new MockCloudflareServer({
+      records: [
+        {
+          zone: "example.com",
+          name: "home.example.com",
+          type: "A",
+          content: "192.0.2.1",
+        },
+        {
+          zone: "example.com",
+          name: "home.example.com",
+          type: "AAAA",
+          content: "2001:db8::1",
+        },
+      ],
+    });
+    await mock.listen();
+  });
+
+  afterEach(async () => {
+    await mock.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should update every configured record and cache the IDs", async () => {
+    writeConfig({
+      records: [
+        { zone: "example.com", name: "home", type: "A" },
+        { zone: "example.com", name: "home", type: "AAAA" },
+      ],
+    });
+
+    const { code, stdout } = await run();
+
+    expect(code).toBe(0);
+    expect(stdout).toContain("Updated 2 of 2 record(s)");
+    expect(mock.findRecord("home.example.com", "A").content).toBe(
+      "203.0.113.10"
+    );
+    expect(mock.findRecord("home.example.com", "AAAA").content).toBe(
+      "2001:db8::10"
+    );
+
+    const state = readState();
+    expect(state.zoneIds["example.com"]).toBe(mock.zones[0].id);
+    expect(state.recordIds["A home.example.com"]).toBe(
+      mock.findRecord("home.example.com", "A").id
+    );
+    expect(state.lastIPs["A home.example.com"]).toBe("203.0.113.10");
+    expect(readConfig().zoneIds).toBeUndefined();
+    expect(fs.existsSync(path.join(dir, "ddns-state.json.lock"))).toBe(false);
+  });
+
+  it("should update the zone apex for @", async () => {
+    mock.addRecord("example.com", {
+      name: "example.com",
+      type: "A",
+      content: "192.0.2.1",
+    });
+    writeConfig({ records: [{ zone: "example.com", name: "@" }] });
+
+    const { code } = await run();
+
+    expect(code).toBe(0);
+    expect(mock.findRecord("example.com", "A").content).toBe("203.0.113.10");
+    expect(mock.findRecord("home.example.com", "A").content).toBe("192.0.2.1");
+    expect(readState().lastIPs).toEqual({ "A example.com": "203.0.113.10" });
+  });
+
+  it("should fail clearly when the zone does not exist", async () => {
+    writeConfig({ records: [{ zone: "example.org", name: "home" }] });
+
+    const { code, stdout } = await run();
+
+    expect(code).toBe(1);
+    expect(stdout).toContain(
+      "A home.example.org: Zone example.org was not found; check the domain name and that the credentials can access the zone"
+    );
+  });
+
+  it("should write JSON log lines with the change's fields", async () => {
+    writeConfig({ records: [{ zone: "example.com", name: "home" }] });
+
+    await run({ LOG_FORMAT: "json" });
+
+    const entries = fs
+      .readFileSync(logPath, "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    expect(entries).toContainEqual({
+      level: "info",
+      message: "A home.example.com: updated with 203.0.113.10",
+      record: "A home.example.com",
+      zone: "example.com",
+      ip: "203.0.113.10",
+      duration: expect.any(Number),
+      timestamp: expect.any(String),
+    });
+  });
+
+  it("should write journald lines when started by systemd", async () => {
+    writeConfig({ records: [{ zone: "example.com", name: "home" }] });
+
+    const { stdout } = await run({ JOURNAL_STREAM: "8:12345" });
+
+    expect(stdout).toContain(
+      "<6>A home.example.com: updated with 203.0.113.10\n"
+    );
+  });
+
+  it("should not update records whose IP has not changed", async () => {
+    writeConfig({ records: [{ zone: "example.com", name: "home" }] });
+    await run();
+    mock.requests = [];
+
+    const { stdout } = await run();
+
+    expect(stdout).toContain("A home.example.com: unchanged (203.0.113.10)");
+    expect(
+      mock.requests.filter((request) => request.method === "PATCH")
+    ).toEqual([]);
+  });
+
+  it("should keep the record settings that are not configured", async () => {
+    Object.assign(mock.findRecord("home.example.com", "A"), {
+      proxied: true,
+      ttl: 300,
+      comment: "Home router",
+    });
+    writeConfig({
+      records: [{ zone: "example.com", name: "home", tags: ["site:home"] }],
+    });
+
+    await run();
+
+    expect(mock.findRecord("home.example.com", "A")).toMatchObject({
+      content: "203.0.113.10",
+      proxied: true,
+      ttl: 300,
+      comment: "Home router",
+      tags: ["site:home"],
+    });
+  });
+
+  it("should rewrite the address in an SPF policy", async () => {
+    mock.addRecord("example.com", {
+      name: "mail.example.com",
+      type: "TXT",
+      content: "google-site-verification=abc",
+    });
+    mock.addRecord("example.com", {
+      name: "mail.example.com",
+      type: "TXT",
+      content: '"v=spf1 mx ip4:192.0.2.1 -all"',
+    });
+    writeConfig({
+      records: [{ zone: "example.com", name: "mail", type: "TXT", spf: true }],
+    });
+
+    const { code } = await run();
+
+    expect(code).toBe(0);
+    expect(
+      mock.records
+        .filter((record) => record.type === "TXT")
+        .map((record) => record.content)
+    ).toEqual([
+      "google-site-verification=abc",
+      '"v=spf1 mx ip4:203.0.113.10 -all"',
+    ]);
+  });
+
+  describe("uplinks", () => {
+    let closedPort;
+
+    beforeEach(async () => {
+      const server = net.createServer();
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      closedPort = server.address().port;
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    const uplinks = () => [
+      {
+        name: "fiber",
+        address: "198.51.100.1",
+        check: { type: "tcp", host: "127.0.0.1", port: closedPort },
+      },
+      { name: "lte", address: "198.51.100.2" },
+      { name: "cable", address: "198.51.100.3" },
+    ];
+
+    it("should publish the first healthy uplink", async () => {
+      writeConfig({
+        records: [{ zone: "example.com", name: "home", uplinks: uplinks() }],
+      });
+
+      const { code, stdout } = await run();
+
+      expect(code).toBe(0);
+      expect(stdout).toContain("A home.example.com: uplink fiber is down");
+      expect(mock.findRecord("home.example.com", "A").content).toBe(
+        "198.51.100.2"
+      );
+      expect(readState().uplinks["A home.example.com"].active).toEqual(["lte"]);
+    });
+
+    it("should publish every healthy uplink as a round-robin set", async () => {
+      writeConfig({
+        records: [
+          {
+            zone: "example.com",
+            name: "home",
+            uplinks: uplinks(),
+            failover: { mode: "all" },
+          },
+        ],
+      });
+
+      const { code } = await run();
+
+      expect(code).toBe(0);
+      expect(
+        mock.records
+          .filter((record) => record.name === "home.example.com")
+          .map((record) => `${record.type} ${record.content}`)
+      ).toEqual(["AAAA 2001:db8::1", "A 198.51.100.2", "A 198.51.100.3"]);
+      expect(readState().lastIPs["A home.example.com"]).toBe(
+        "198.51.100.2, 198.51.100.3"
+      );
+    });
+  });
+
+  it("should create missing records when enabled", async () => {
+    writeConfig({ records: [{ zone: "example.com", name: "new" }] });
+
+    const { stdout } = await run({ CREATE_MISSING: "true" });
+
+    expect(stdout).toContain("A new.example.com: created with 203.0.113.10");
+    expect(mock.findRecord("new.example.com", "A").content).toBe(
+      "203.0.113.10"
+    );
+  });
+
+  it("should recover when a cached record was recreated", async () => {
+    writeConfig({
+      records: [{ zone: "example.com", name: "home" }],
+      zoneIds: { "example.com": mock.zones[0].id },
+      recordIds: { "A home.example.com": "deleted-record-id" },
+    });
+
+    const { stdout } = await run();
+
+    expect(stdout).toContain("cached IDs are stale");
+    expect(readState().recordIds["A home.example.com"]).toBe(
+      mock.findRecord("home.example.com", "A").id
+    );
+  });
+
+  it("should run self-contained against the internal mock", async () => {
+    fs.writeFileSync(
+      configPath,
+      JSON.stringify({ records: [{ zone: "example.org", name: "lab" }] })
+    );
+
+    const { code, stdout } = await run({
+      USE_MOCK_CLOUDFLARE: "true",
+      CLOUDFLARE_API_URL: "",
+    });
+
+    expect(code).toBe(0);
+    expect(stdout).toContain("Using mock Cloudflare API");
+    expect(stdout).toContain("A lab.example.org: updated with 203.0.113.10");
+  });
+
+  it("should keep a YAML config untouched when using a state file", async () => {
+    const yamlPath = path.join(dir, "ddns.yaml");
+    const statePath = path.join(dir, "state.json");
+    const yaml = [
+      "# Written by hand",
+      "records:",
+      "  - zone: example.com",
+      "    name: home # the house",
+      "ipDetection:",
+      "  allowPrivate: true",
+      "  providers:",
+      `    - { type: http, url: "${mock.ipURL(4)}", family: 4 }`,
+      "",
+    ].join("\n");
+    fs.writeFileSync(yamlPath, yaml);
+
+    const { code } = await run({
+      CONFIG_PATH: yamlPath,
+      STATE_PATH: statePath,
+    });
+
+    expect(code).toBe(0);
+    expect(fs.readFileSync(yamlPath, "utf8")).toBe(yaml);
+    expect(JSON.parse(fs.readFileSync(statePath, "utf8"))).toMatchObject({
+      zoneIds: { "example.com": mock.zones[0].id },
+      recordIds: {
+        "A home.example.com": mock.findRecord("home.example.com", "A").id,
+      },
+      lastIPs: { "A home.example.com": "203.0.113.10" },
+    });
+  });
+
+  describe("dry run", () => {
+    const dryRun = () => run({ DRY_RUN: "true" });
+
+    it("should show pending changes without applying them", async () => {
+      writeConfig({ records: [{ zone: "example.com", name: "home" }] });
+
+      const { code, stdout } = await dryRun();
+
+      expect(code).toBe(2);
+      expect(stdout).toContain(
+        "~ A home.example.com\n    content: 192.0.2.1 => 203.0.113.10\n"
+      );
+      expect(stdout).toContain(
+        "0 to create, 1 to update, 0 unchanged, 0 failed"
+      );
+      expect(mock.findRecord("home.example.com", "A").content).toBe(
+        "192.0.2.1"
+      );
+      expect(fs.existsSync(path.join(dir, "ddns-state.json"))).toBe(false);
+    });
+
+    it("should exit with 0 when nothing would change", async () => {
+      writeConfig({ records: [{ zone: "example.com", name: "home" }] });
+      await run();
+
+      const { code, stdout } = await dryRun();
+
+      expect(code).toBe(0);
+      expect(stdout).toContain("= A home.example.com (no changes)");
+    });
+
+    it("should exit with 1 when a record cannot be checked", async () => {
+      writeConfig({ records: [{ zone: "example.com", name: "missing" }] });
+
+      const { code, stdout } = await dryRun();
+
+      expect(code).toBe(1);
+      expect(stdout).toContain(
+        "! A missing.example.com: DNS A record missing.example.com not found."
+      );
+    });
+  });
+
+  describe("commands", () => {
+    beforeEach(() => {
+      writeConfig({ records: [{ zone: "example.com", name: "home" }] });
+    });
+
+    it("should print the update results as JSON", async () => {
+      const { code, stdout, stderr } = await run({}, ["update", "--json"]);
+
+      expect(code).toBe(0);
+      expect(JSON.parse(stdout)).toEqual([
+        {
+          record: "A home.example.com",
+          status: "updated",
+          ip: "203.0.113.10",
+          previousIP: null,
+          error: null,
+        },
+      ]);
+      expect(stderr).toContain("Updated 1 of 1 record(s)");
+    });
+
+    it("should show the cached state of each record", async () => {
+      await run();
+
+      const { code, stdout } = await run({}, ["status", "--json"]);
+
+      expect(code).toBe(0);
+      expect(JSON.parse(stdout)).toEqual([
+        {
+          record: "A home.example.com",
+          provider: "cloudflare",
+          zoneId: mock.zones[0].id,
+          recordId: mock.findRecord("home.example.com", "A").id,
+          lastIP: "203.0.113.10",
+          failure: null,
+        },
+      ]);
+    });
+
+    it("should list the records of the configured zones", async () => {
+      const { code, stdout } = await run({}, ["list-records", "-t", "AAAA"]);
+
+      expect(code).toBe(0);
+      expect(stdout).toContain(
+        "example.com\nTYPE  NAME              CONTENT      TTL   PROXIED\n" +
+          "AAAA  home.example.com  2001:db8::1  auto  no"
+      );
+    });
+
+    it("should clear the cached IDs", async () => {
+      await run();
+
+      const { code, stdout } = await run({}, ["clear-cache"]);
+
+      expect(code).toBe(0);
+      expect(stdout).toContain("Cleared zoneIds, recordIds");
+      const state = readState();
+      expect(state.zoneIds).toBeUndefined();
+      expect(state.recordIds).toBeUndefined();
+      expect(state.lastIPs["A home.example.com"]).toBe("203.0.113.10");
+    });
+
+    it("should print the history of IP changes", async () => {
+      await run();
+      mock.publicIPs[4] = "203.0.113.20";
+      await run();
+
+      const { code, stdout } = await run({}, ["history", "home.example.com"]);
+
+      expect(code).toBe(0);
+      const lines = stdout.slice(stdout.indexOf("TIME")).trim().split("\n");
+      expect(lines[0]).toMatch(/^TIME +RECORD +FROM +TO +STATUS$/);
+      expect(lines[1]).toMatch(
+        /^\S+Z +A home\.example\.com +203\.0\.113\.10 +203\.0\.113\.20 +updated$/
+      );
+      expect(lines[2]).toMatch(
+        /A home\.example\.com +- +203\.0\.113\.10 +updated$/
+      );
+      expect(lines).toHaveLength(3);
+    });
+
+    it("should exit with 78 when the configuration is invalid", async () => {
+      writeConfig({ records: [{ zone: "example.com", type: "MX" }] });
+
+      const { code, stdout } = await run({}, ["validate-config"]);
+
+      expect(code).toBe(78);
+      expect(stdout).toContain(
+        'records[0].type must be one of "A", "AAAA", "TXT", not "MX"'
+      );
+    });
+
+    it("should read the API token from a file and keep it out of the log", async () => {
+      mock.apiToken = "file-token-1234";
+      const tokenPath = path.join(dir, "api_token");
+      fs.writeFileSync(tokenPath, "file-token-1234\n");
+
+      const { code, stdout } = await run({
+        API_KEY: "",
+        EMAIL: "",
+        API_TOKEN_FILE: tokenPath,
+        LOG_LEVEL: "debug",
+      });
+
+      expect(code).toBe(0);
+      expect(mock.findRecord("home.example.com", "A").content).toBe(
+        "203.0.113.10"
+      );
+      expect(stdout).not.toContain("file-token-1234");
+      expect(fs.readFileSync(logPath, "utf8")).not.toContain("file-token-1234");
+    });
+
+    it("should exit with 78 when a secret cannot be read", async () => {
+      const { code, stdout } = await run({
+        API_TOKEN_COMMAND: "echo 'vault is sealed' >&2; exit 2",
+      });
+
+      expect(code).toBe(78);
+      expect(stdout).toContain("API_TOKEN_COMMAND failed: vault is sealed");
+    });
+
+    it("should exit with 78 when the config file is missing", async () => {
+      const { code } = await run({}, ["status", "-c", "missing.json"]);
+
+      expect(code).toBe(78);
+    });
+
+    it("should exit with 64 on usage errors", async () => {
+      const { code, stderr } = await run({}, ["update", "--bogus"]);
+
+      expect(code).toBe(64);
+      expect(stderr).toContain("Usage: ddns [command] [options]");
+    });
+  });
+});
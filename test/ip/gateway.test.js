@@ -0,0 +1,213 @@
+const dgram = require("dgram");
+const http = require("http");
+const { natpmpExternalIP, upnpExternalIP } = require("../../lib/ip/gateway");
+const { createProvider } = require("../../lib/ip/providers");
+
+/**
+ * Starts a UDP server on a random local port.
+ * @param {function(Buffer, object, dgram.Socket): void} onMessage - Handles each request.
+ * @returns {Promise<dgram.Socket>} - The bound socket.
+ */
+function udpServer(onMessage) {
+  const socket = dgram.createSocket("udp4");
+  socket.on("message", (message, remote) => onMessage(message, remote, socket));
+  return new Promise((resolve) =>
+    socket.bind(0, "127.0.0.1", () => resolve(socket))
+  );
+}
+
+describe("gateway IP sources", () => {
+  describe("upnpExternalIP", () => {
+    const serviceType = "urn:schemas-upnp-org:service:WANIPConnection:1";
+    let gateway;
+    let ssdp;
+    let soapRequests;
+    let baseURL;
+
+    beforeAll(async () => {
+      soapRequests = [];
+      gateway = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", (chunk) => (body += chunk));
+        req.on("end", () => {
+          if (req.url === "/rootDesc.xml") {
+            res.setHeader("Content-Type", "text/xml");
+            res.end(`<?xml version="1.0"?>
+<root xmlns="urn:schemas-upnp-org:device-1-0">
+  <device>
+    <serviceList>
+      <service>
+        <serviceType>urn:schemas-upnp-org:service:Layer3Forwarding:1</serviceType>
+        <controlURL>/ctl/L3F</controlURL>
+      </service>
+      <service>
+        <serviceType>${serviceType}</serviceType>
+        <controlURL>/ctl/IPConn</controlURL>
+      </service>
+    </serviceList>
+  </device>
+</root>`);
+          } else if (req.url === "/ctl/IPConn" && req.method === "POST") {
+            soapRequests.push({ headers: req.headers, body });
+            res.setHeader("Content-Type", "text/xml");
+            res.end(`<?xml version="1.0"?>
+<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/">
+  <s:Body>
+    <u:GetExternalIPAddressResponse xmlns:u="${serviceType}">
+      <NewExternalIPAddress>8.8.8.8</NewExternalIPAddress>
+    </u:GetExternalIPAddressResponse>
+  </s:Body>
+</s:Envelope>`);
+          } else {
+            res.statusCode = 404;
+            res.end();
+          }
+        });
+      });
+      await new Promise((resolve) => gateway.listen(0, "127.0.0.1", resolve));
+      baseURL = `http://127.0.0.1:${gateway.address().port}`;
+
+      ssdp = await udpServer((message, remote, socket) => {
+        if (message.toString().startsWith("M-SEARCH")) {
+          socket.send(
+            `HTTP/1.1 200 OK\r\nST: urn:schemas-upnp-org:device:InternetGatewayDevice:1\r\nLocation: ${baseURL}/rootDesc.xml\r\n\r\n`,
+            remote.port,
+            remote.address
+          );
+        }
+      });
+    });
+
+    afterAll(async () => {
+      ssdp.close();
+      await new Promise((resolve) => gateway.close(resolve));
+    });
+
+    beforeEach(() => {
+      soapRequests = [];
+    });
+
+    it("should discover the gateway and return its external address", async () => {
+      const ip = await upnpExternalIP({
+        ssdpAddress: "127.0.0.1",
+        ssdpPort: ssdp.address().port,
+        timeout: 2000,
+      });
+
+      expect(ip).toBe("8.8.8.8");
+      expect(soapRequests).toHaveLength(1);
+      expect(soapRequests[0].headers.soapaction).toBe(
+        `"${serviceType}#GetExternalIPAddress"`
+      );
+      expect(soapRequests[0].body).toContain("<u:GetExternalIPAddress");
+    });
+
+    it("should use a configured description location without discovery", async () => {
+      const ip = await upnpExternalIP({
+        location: `${baseURL}/rootDesc.xml`,
+        timeout: 2000,
+      });
+
+      expect(ip).toBe("8.8.8.8");
+    });
+
+    it("should throw an error if the gateway has no WAN connection service", async () => {
+      await expect(
+        upnpExternalIP({ location: `${baseURL}/missing.xml`, timeout: 2000 })
+      ).rejects.toThrow();
+    });
+
+    it("should throw an error if no gateway answers the search", async () => {
+      const silent = await udpServer(() => {});
+
+      await expect(
+        upnpExternalIP({
+          ssdpAddress: "127.0.0.1",
+          ssdpPort: silent.address().port,
+          timeout: 300,
+        })
+      ).rejects.toThrow(`No response from 127.0.0.1:${silent.address().port}`);
+      silent.close();
+    });
+
+    it("should be usable as an IPv4 provider", async () => {
+      const provider = createProvider({
+        type: "upnp",
+        location: `${baseURL}/rootDesc.xml`,
+      });
+
+      expect(provider.family).toBe(4);
+      expect(await provider.getIP(4)).toBe("8.8.8.8");
+    });
+  });
+
+  describe("natpmpExternalIP", () => {
+    /**
+     * Builds an external address response.
+     * @param {number} resultCode - The NAT-PMP result code.
+     * @returns {Buffer} - The response datagram.
+     */
+    const response = (resultCode) => {
+      const reply = Buffer.alloc(12);
+      reply[0] = 0;
+      reply[1] = 128;
+      reply.writeUInt16BE(resultCode, 2);
+      reply.writeUInt32BE(1234, 4);
+      Buffer.from([8, 8, 4, 4]).copy(reply, 8);
+      return reply;
+    };
+
+    it("should return the external address reported by the gateway", async () => {
+      const requests = [];
+      const server = await udpServer((message, remote, socket) => {
+        requests.push([...message]);
+        socket.send(response(0), remote.port, remote.address);
+      });
+
+      const ip = await natpmpExternalIP({
+        gateway: "127.0.0.1",
+        port: server.address().port,
+        timeout: 2000,
+      });
+
+      expect(ip).toBe("8.8.4.4");
+      expect(requests[0]).toEqual([0, 0]);
+      server.close();
+    });
+
+    it("should throw an error if the gateway reports a failure", async () => {
+      const server = await udpServer((message, remote, socket) => {
+        socket.send(response(3), remote.port, remote.address);
+      });
+
+      await expect(
+        natpmpExternalIP({
+          gateway: "127.0.0.1",
+          port: server.address().port,
+          timeout: 2000,
+        })
+      ).rejects.toThrow("NAT-PMP gateway returned result code 3");
+      server.close();
+    });
+
+    it("should retransmit until the gateway answers", async () => {
+      let received = 0;
+      const server = await udpServer((message, remote, socket) => {
+        received += 1;
+        if (received === 2) {
+          socket.send(response(0), remote.port, remote.address);
+        }
+      });
+
+      const ip = await natpmpExternalIP({
+        gateway: "127.0.0.1",
+        port: server.address().port,
+        timeout: 2000,
+      });
+
+      expect(ip).toBe("8.8.4.4");
+      expect(received).toBe(2);
+      server.close();
+    });
+  });
+});
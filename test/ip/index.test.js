@@ -0,0 +1,200 @@
+const axios = require("axios");
+const IPDetector = require("../../lib/ip");
+
+jest.mock("axios");
+
+describe("IPDetector", () => {
+  const logger = { http: jest.fn(), warn: jest.fn() };
+  const detector = (options) => new IPDetector(options, logger);
+  const textRequest = { timeout: 5000, responseType: "text" };
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe("constructor", () => {
+    it("should throw an error if logger is not provided", () => {
+      expect(() => new IPDetector({})).toThrow(
+        "Logger was not provided to IPDetector instance"
+      );
+    });
+
+    it("should throw an error if the consensus is not a positive integer", () => {
+      expect(() => detector({ consensus: 0 })).toThrow(
+        "IP detection consensus must be a positive integer"
+      );
+    });
+
+    it("should throw an error for an unknown provider type", () => {
+      expect(() =>
+        detector({ providers: [{ type: "carrier-pigeon" }] })
+      ).toThrow("Unknown IP provider type: carrier-pigeon");
+    });
+  });
+
+  describe("getPublicIP", () => {
+    it("should return the public IP address from ipv4.icanhazip.com", async () => {
+      axios.get.mockResolvedValueOnce({ data: "8.8.8.8\n" });
+
+      const ip = await detector().getPublicIP();
+
+      expect(ip).toBe("8.8.8.8");
+      expect(logger.http).toHaveBeenCalledWith(
+        "GET: Fetching public IPv4 address from https://ipv4.icanhazip.com..."
+      );
+      expect(axios.get).toHaveBeenCalledWith(
+        "https://ipv4.icanhazip.com",
+        textRequest
+      );
+    });
+
+    it("should return the public IP address from api.ipify.org if ipv4.icanhazip.com fails", async () => {
+      axios.get
+        .mockRejectedValueOnce(new Error("Network error"))
+        .mockResolvedValueOnce({ data: "8.8.8.8" });
+
+      const ip = await detector().getPublicIP();
+
+      expect(ip).toBe("8.8.8.8");
+      expect(axios.get).toHaveBeenCalledWith(
+        "https://api.ipify.org",
+        textRequest
+      );
+      expect(logger.warn).toHaveBeenCalledWith(
+        "IP provider https://ipv4.icanhazip.com failed: Network error"
+      );
+    });
+
+    it("should return the public IPv6 address from the IPv6 services", async () => {
+      axios.get
+        .mockRejectedValueOnce(new Error("Network error"))
+        .mockResolvedValueOnce({ data: "2606:4700::1111\n" });
+
+      const ip = await detector().getPublicIP(6);
+
+      expect(ip).toBe("2606:4700::1111");
+      expect(axios.get).toHaveBeenCalledWith(
+        "https://ipv6.icanhazip.com",
+        textRequest
+      );
+      expect(axios.get).toHaveBeenCalledWith(
+        "https://api6.ipify.org",
+        textRequest
+      );
+    });
+
+    it("should trim whitespace from the returned IP address", async () => {
+      axios.get.mockResolvedValueOnce({ data: "   8.8.8.8   \n" });
+
+      expect(await detector().getPublicIP()).toBe("8.8.8.8");
+    });
+
+    it("should throw an error if all providers fail", async () => {
+      axios.get.mockRejectedValue(new Error("Network error"));
+
+      await expect(detector().getPublicIP()).rejects.toThrow(
+        "Unable to detect public IPv4 address (https://ipv4.icanhazip.com: Network error; https://api.ipify.org: Network error)"
+      );
+    });
+
+    it("should skip responses that are not IP addresses", async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: "<html>Service Unavailable</html>" })
+        .mockResolvedValueOnce({ data: "8.8.8.8" });
+
+      expect(await detector().getPublicIP()).toBe("8.8.8.8");
+      expect(logger.warn).toHaveBeenCalledWith(
+        'IP provider https://ipv4.icanhazip.com failed: Invalid IP address: "<html>Service Unavailable</html>"'
+      );
+    });
+
+    it("should handle unexpected response data", async () => {
+      axios.get.mockResolvedValue({ data: null });
+
+      await expect(detector().getPublicIP()).rejects.toThrow(
+        "Unable to detect public IPv4 address"
+      );
+    });
+
+    it("should reject private addresses unless allowed", async () => {
+      axios.get.mockResolvedValue({ data: "192.168.1.10" });
+
+      await expect(detector().getPublicIP()).rejects.toThrow(
+        "Refusing to use private or reserved address 192.168.1.10"
+      );
+      expect(await detector({ allowPrivate: true }).getPublicIP()).toBe(
+        "192.168.1.10"
+      );
+    });
+
+    it("should throw an error for an unsupported address family", async () => {
+      await expect(detector().getPublicIP(5)).rejects.toThrow(
+        "Unsupported IP address family: 5"
+      );
+      expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    it("should only use providers for the requested family", async () => {
+      axios.get.mockResolvedValue({ data: "2606:4700::1111" });
+
+      await detector({
+        providers: [
+          { type: "http", url: "https://v4.example", family: 4 },
+          { type: "http", url: "https://v6.example", family: 6 },
+        ],
+      }).getPublicIP(6);
+
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.get).toHaveBeenCalledWith("https://v6.example", textRequest);
+    });
+  });
+
+  describe("consensus", () => {
+    const providers = [
+      { type: "http", url: "https://one.example" },
+      { type: "http", url: "https://two.example" },
+      { type: "http", url: "https://three.example" },
+    ];
+
+    it("should return the address once enough providers agree", async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: "8.8.8.8" })
+        .mockResolvedValueOnce({ data: "8.8.4.4" })
+        .mockResolvedValueOnce({ data: "8.8.8.8" });
+
+      const ip = await detector({ providers, consensus: 2 }).getPublicIP();
+
+      expect(ip).toBe("8.8.8.8");
+      expect(axios.get).toHaveBeenCalledTimes(3);
+    });
+
+    it("should stop querying once consensus is reached", async () => {
+      axios.get.mockResolvedValue({ data: "8.8.8.8" });
+
+      await detector({ providers, consensus: 2 }).getPublicIP();
+
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    it("should throw an error if the providers disagree", async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: "8.8.8.8" })
+        .mockResolvedValueOnce({ data: "8.8.4.4" })
+        .mockRejectedValueOnce(new Error("Network error"));
+
+      await expect(
+        detector({ providers, consensus: 2 }).getPublicIP()
+      ).rejects.toThrow(
+        "IP providers did not agree on a public IPv4 address (need 2, got 8.8.8.8, 8.8.4.4)"
+      );
+    });
+
+    it("should throw an error if fewer providers than the consensus are configured", async () => {
+      await expect(
+        detector({ providers, consensus: 4 }).getPublicIP()
+      ).rejects.toThrow(
+        "IP detection needs 4 IPv4 provider(s) to agree but only 3 are configured"
+      );
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const axios = require("axios");
+const os = require("os");
+const { createProvider } = require("../../lib/ip/providers");
+
+jest.mock("axios");
+
+describe("IP providers", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.resetAllMocks();
+  });
+
+  describe("createProvider", () => {
+    it("should throw an error if a required setting is missing", () => {
+      expect(() => createProvider({ type: "http" })).toThrow(
+        "Invalid http IP provider: url is required"
+      );
+      expect(() => createProvider({ type: "json", url: "https://x" })).toThrow(
+        "Invalid json IP provider: url and field are required"
+      );
+      expect(() => createProvider({ type: "interface" })).toThrow(
+        "Invalid interface IP provider: interface is required"
+      );
+    });
+
+    it("should use the configured name", () => {
+      const provider = createProvider({
+        type: "http",
+        url: "https://x",
+        name: "office",
+      });
+
+      expect(provider.name).toBe("office");
+    });
+  });
+
+  describe("http", () => {
+    it("should return the trimmed response body", async () => {
+      axios.get.mockResolvedValueOnce({ data: " 8.8.8.8\n" });
+      const provider = createProvider({
+        type: "http",
+        url: "https://ip.example",
+        timeout: 1000,
+      });
+
+      expect(await provider.getIP(4)).toBe("8.8.8.8");
+      expect(axios.get).toHaveBeenCalledWith("https://ip.example", {
+        timeout: 1000,
+        responseType: "text",
+      });
+    });
+  });
+
+  describe("json", () => {
+    it("should read the address from the field path", async () => {
+      axios.get.mockResolvedValueOnce({
+        data: { data: { client: { ip: "8.8.8.8" } } },
+      });
+      const provider = createProvider({
+        type: "json",
+        url: "https://ip.example/json",
+        field: "data.client.ip",
+      });
+
+      expect(await provider.getIP(4)).toBe("8.8.8.8");
+    });
+
+    it("should return undefined if the field does not exist", async () => {
+      axios.get.mockResolvedValueOnce({ data: { other: 1 } });
+      const provider = createProvider({
+        type: "json",
+        url: "https://ip.example/json",
+        field: "data.ip",
+      });
+
+      expect(await provider.getIP(4)).toBeUndefined();
+    });
+  });
+
+  describe("cloudflare-trace", () => {
+    it("should read the ip line from the trace endpoint for the family", async () => {
+      axios.get.mockResolvedValueOnce({
+        data: "fl=123\nh=1.1.1.1\nip=2606:4700::1111\nts=1\n",
+      });
+      const provider = createProvider({ type: "cloudflare-trace" });
+
+      expect(await provider.getIP(6)).toBe("2606:4700::1111");
+      expect(axios.get).toHaveBeenCalledWith(
+        "https://[2606:4700:4700::1111]/cdn-cgi/trace",
+        { timeout: 5000, responseType: "text" }
+      );
+    });
+  });
+
+  describe("interface", () => {
+    beforeEach(() => {
+      jest.spyOn(os, "networkInterfaces").mockReturnValue({
+        eth0: [
+          { family: "IPv4", address: "8.8.8.8" },
+          { family: "IPv6", address: "fe80::1" },
+          { family: "IPv6", address: "2606:4700::1111" },
+        ],
+      });
+    });
+
+    it("should prefer a public address of the requested family", async () => {
+      const provider = createProvider({ type: "interface", interface: "eth0" });
+
+      expect(await provider.getIP(4)).toBe("8.8.8.8");
+      expect(await provider.getIP(6)).toBe("2606:4700::1111");
+    });
+
+    it("should throw an error if the interface does not exist", async () => {
+      const provider = createProvider({ type: "interface", interface: "wan9" });
+
+      await expect(provider.getIP(4)).rejects.toThrow(
+        "Network interface wan9 not found"
+      );
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const { ipFamily, isBogon, validateIP } = require("../../lib/ip/validate");
+
+describe("IP validation", () => {
+  describe("ipFamily", () => {
+    it("should return the address family", () => {
+      expect(ipFamily("8.8.8.8")).toBe(4);
+      expect(ipFamily("2606:4700::1111")).toBe(6);
+      expect(ipFamily("not an ip")).toBe(0);
+      expect(ipFamily(undefined)).toBe(0);
+    });
+  });
+
+  describe("isBogon", () => {
+    it.each([
+      "10.1.2.3",
+      "100.64.0.1",
+      "127.0.0.1",
+      "169.254.1.1",
+      "172.16.5.4",
+      "192.168.1.1",
+      "203.0.113.7",
+      "224.0.0.1",
+      "::1",
+      "fd00::1",
+      "fe80::1",
+      "2001:db8::1",
+    ])("should flag %s", (ip) => {
+      expect(isBogon(ip)).toBe(true);
+    });
+
+    it.each(["8.8.8.8", "1.1.1.1", "2606:4700::1111"])(
+      "should not flag %s",
+      (ip) => {
+        expect(isBogon(ip)).toBe(false);
+      }
+    );
+  });
+
+  describe("validateIP", () => {
+    it("should return a valid public address", () => {
+      expect(validateIP("8.8.8.8", 4)).toBe("8.8.8.8");
+    });
+
+    it("should throw an error for invalid addresses", () => {
+      expect(() => validateIP("256.1.1.1", 4)).toThrow(
+        'Invalid IP address: "256.1.1.1"'
+      );
+    });
+
+    it("should throw an error for the wrong family", () => {
+      expect(() => validateIP("8.8.8.8", 6)).toThrow(
+        "Expected an IPv6 address but got 8.8.8.8"
+      );
+    });
+
+    it("should throw an error for private addresses unless allowed", () => {
+      expect(() => validateIP("10.0.0.1", 4)).toThrow(
+        "Refusing to use private or reserved address 10.0.0.1"
+      );
+      expect(validateIP("10.0.0.1", 4, { allowPrivate: true })).toBe(
+        "10.0.0.1"
+      );
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const createLogger = require("../../lib/logger");
+const { Redactor } = require("../../lib/logger/redact");
+
+describe("createLogger", () => {
+  let dir;
+  let logPath;
+
+  // Keeps the console quiet; the spy receives the formatted console entries
+  const create = (...args) => {
+    const logger = createLogger(...args);
+    jest
+      .spyOn(logger.transports[0], "log")
+      .mockImplementation((info, callback) => callback());
+    return logger;
+  };
+  const logged = (logger) =>
+    new Promise((resolve) => {
+      logger.on("finish", resolve);
+      logger.end();
+    }).then(() => fs.readFileSync(logPath, "utf8").trim().split("\n"));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "nimbus-logger-"));
+    logPath = path.join(dir, "logs", "ddns.log");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  it("should throw an error for invalid settings", () => {
+    expect(() => createLogger("")).toThrow(
+      "logPath must be a non-empty string"
+    );
+    expect(() => createLogger(logPath, "loud")).toThrow(
+      "Invalid log level. Must be one of: error, warn, info, http, verbose, debug"
+    );
+    expect(() => createLogger(logPath, "info", { format: "xml" })).toThrow(
+      "Invalid log format. Must be one of: text, json"
+    );
+  });
+
+  it("should write text lines by default", async () => {
+    const logger = create(logPath);
+
+    logger.info("Daemon stopped", { record: "A home.example.com" });
+
+    expect(await logged(logger)).toEqual([
+      expect.stringMatching(/^\S+Z \[INFO\] Daemon stopped$/),
+    ]);
+  });
+
+  it("should write JSON lines with the entry's fields", async () => {
+    const logger = create(logPath, "info", { format: "json" });
+
+    logger.warn("A home.example.com: updated with 1.2.3.4", {
+      record: "A home.example.com",
+      previousIP: "5.6.7.8",
+      ip: "1.2.3.4",
+    });
+
+    const [line] = await logged(logger);
+    expect(JSON.parse(line)).toEqual({
+      level: "warn",
+      message: "A home.example.com: updated with 1.2.3.4",
+      record: "A home.example.com",
+      previousIP: "5.6.7.8",
+      ip: "1.2.3.4",
+      timestamp: expect.any(String),
+    });
+  });
+
+  it("should redact secrets, including those added later", async () => {
+    const redactor = new Redactor(["env-token"]);
+    const logger = create(logPath, "info", {
+      format: "json",
+      redactor,
+    });
+    redactor.add("config-secret");
+
+    logger.error("Failed with env-token", { detail: "config-secret" });
+
+    const [line] = await logged(logger);
+    expect(line).not.toMatch(/env-token|config-secret/);
+    expect(JSON.parse(line)).toMatchObject({
+      message: "Failed with [REDACTED]",
+      detail: "[REDACTED]",
+    });
+  });
+
+  it("should prefix console lines with their priority for journald", async () => {
+    const logger = create(logPath, "info", { journald: true });
+    const [console] = logger.transports;
+
+    logger.warn("Low disk space");
+    await logged(logger);
+
+    expect(console.log.mock.calls[0][0][Symbol.for("message")]).toBe(
+      "<4>Low disk space"
+    );
+    expect(fs.readFileSync(logPath, "utf8")).toMatch(
+      /^\S+Z \[WARN\] Low disk space\n$/
+    );
+  });
+});
@@ -0,0 +1,53 @@
+const { Redactor, findSecrets } = require("../../lib/logger/redact");
+
+describe("findSecrets", () => {
+  it("should collect the values of secret settings", () => {
+    expect(
+      findSecrets({
+        API_KEY: "global-key",
+        API_TOKEN: "token-value",
+        EMAIL: "admin@example.com",
+        providers: { bind: { keyName: "ddns", keySecret: "c2VjcmV0" } },
+        notifications: { channels: [{ type: "smtp", password: "hunter22" }] },
+      })
+    ).toEqual(["global-key", "token-value", "c2VjcmV0", "hunter22"]);
+  });
+});
+
+describe("Redactor", () => {
+  it("should replace every known secret", () => {
+    const redactor = new Redactor(["abcd1234"]);
+    redactor.add("abcd1234extra", "no");
+
+    expect(redactor.redact("key abcd1234extra then abcd1234 and no")).toBe(
+      "key [REDACTED] then [REDACTED] and no"
+    );
+  });
+
+  it("should redact credentials it does not know", () => {
+    const redactor = new Redactor();
+
+    expect(
+      redactor.redact('Authorization: Bearer xyz789, {"X-Auth-Key":"k3y"}')
+    ).toBe('Authorization: Bearer [REDACTED], {"X-Auth-Key":"[REDACTED]"}');
+  });
+
+  it("should redact the message and nested fields of a log entry", () => {
+    const level = Symbol.for("level");
+    const info = {
+      level: "info",
+      [level]: "info",
+      message: "Using token abcd1234",
+      request: { headers: ["abcd1234"] },
+      duration: 12,
+    };
+
+    expect(new Redactor(["abcd1234"]).redactInfo(info)).toEqual({
+      level: "info",
+      [level]: "info",
+      message: "Using token [REDACTED]",
+      request: { headers: ["[REDACTED]"] },
+      duration: 12,
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  RotatingFileTransport,
+  parseSize,
+} = require("../../lib/logger/rotating-file");
+
+const MESSAGE = Symbol.for("message");
+
+describe("parseSize", () => {
+  it("should read bytes and k, M and G suffixes", () => {
+    expect(parseSize(2048)).toBe(2048);
+    expect(parseSize("512k")).toBe(512 * 1024);
+    expect(parseSize("10M")).toBe(10 * 1024 ** 2);
+    expect(parseSize("1.5GB")).toBe(1.5 * 1024 ** 3);
+  });
+
+  it("should reject anything else", () => {
+    expect(() => parseSize("lots")).toThrow(
+      "Invalid log file size: lots (use bytes or a k, M or G suffix)"
+    );
+    expect(() => parseSize("0")).toThrow("Invalid log file size: 0");
+  });
+});
+
+describe("RotatingFileTransport", () => {
+  let dir;
+  let filename;
+
+  const write = (transport, line) =>
+    new Promise((resolve) => transport.log({ [MESSAGE]: line }, resolve));
+  const files = () => fs.readdirSync(dir).sort();
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "nimbus-log-"));
+    filename = path.join(dir, "ddns.log");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.useRealTimers();
+  });
+
+  it("should append lines to the file", async () => {
+    const transport = new RotatingFileTransport({ filename });
+
+    await write(transport, "first");
+    await write(transport, "second");
+
+    expect(fs.readFileSync(filename, "utf8")).toBe("first\nsecond\n");
+  });
+
+  it("should rotate by size and keep the newest files", async () => {
+    const transport = new RotatingFileTransport({
+      filename,
+      maxSize: 10,
+      maxFiles: 2,
+    });
+
+    for (const line of ["one", "two", "three", "four", "five", "six"]) {
+      await write(transport, line);
+    }
+
+    expect(files()).toEqual(["ddns.log", "ddns.log.1", "ddns.log.2"]);
+    expect(fs.readFileSync(filename, "utf8")).toBe("six\n");
+    expect(fs.readFileSync(`${filename}.1`, "utf8")).toBe("four\nfive\n");
+    expect(fs.readFileSync(`${filename}.2`, "utf8")).toBe("three\n");
+  });
+
+  it("should rotate by age", async () => {
+    jest.useFakeTimers({ now: new Date("2026-01-01T00:00:00Z") });
+    const transport = new RotatingFileTransport({ filename, maxAge: 60000 });
+
+    await write(transport, "old");
+    jest.setSystemTime(new Date("2026-01-01T00:01:00Z"));
+    await write(transport, "new");
+
+    expect(fs.readFileSync(`${filename}.1`, "utf8")).toBe("old\n");
+    expect(fs.readFileSync(filename, "utf8")).toBe("new\n");
+  });
+
+  it("should continue an existing file", async () => {
+    fs.writeFileSync(filename, "12345678\n");
+    const transport = new RotatingFileTransport({ filename, maxSize: 12 });
+
+    await write(transport, "next");
+
+    expect(fs.readFileSync(`${filename}.1`, "utf8")).toBe("12345678\n");
+  });
+});
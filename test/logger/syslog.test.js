@@ -0,0 +1,137 @@
+const dgram = require("dgram");
+const net = require("net");
+const {
+  SyslogTransport,
+  formatSyslogMessage,
+  parseSyslogURL,
+} = require("../../lib/logger/syslog");
+
+describe("parseSyslogURL", () => {
+  it("should read UDP, TCP and Unix socket destinations", () => {
+    expect(parseSyslogURL("udp://logs.example.com")).toEqual({
+      protocol: "udp",
+      host: "logs.example.com",
+      port: 514,
+    });
+    expect(parseSyslogURL("tcp://[::1]:6514")).toEqual({
+      protocol: "tcp",
+      host: "::1",
+      port: 6514,
+    });
+    expect(parseSyslogURL("unix:///run/syslog.sock")).toEqual({
+      protocol: "unix",
+      path: "/run/syslog.sock",
+    });
+  });
+
+  it("should reject other destinations", () => {
+    expect(() => parseSyslogURL("http://logs.example.com")).toThrow(
+      "Invalid syslog destination: http://logs.example.com (use udp://host:port, tcp://host:port or unix:///path)"
+    );
+  });
+});
+
+describe("formatSyslogMessage", () => {
+  it("should write an RFC 5424 message with the fields as structured data", () => {
+    const message = formatSyslogMessage(
+      {
+        level: "warn",
+        message: "A home.example.com: updated with 1.2.3.4",
+        timestamp: "2026-01-01T00:00:00.000Z",
+        record: "A home.example.com",
+        errorCodes: [81044],
+        note: 'say "hi" [now]',
+        previousIP: undefined,
+      },
+      { facility: 3, hostname: "router" }
+    );
+
+    expect(message).toBe(
+      `<28>1 2026-01-01T00:00:00.000Z router nimbus-ddns ${process.pid} - ` +
+        '[fields@32473 record="A home.example.com" errorCodes="[81044\\]" note="say \\"hi\\" [now\\]"] ' +
+        "A home.example.com: updated with 1.2.3.4"
+    );
+  });
+
+  it("should use a nil value when there are no fields", () => {
+    expect(
+      formatSyslogMessage(
+        { level: "info", message: "Daemon stopped", timestamp: "t" },
+        { facility: 16, hostname: "router" }
+      )
+    ).toBe(`<134>1 t router nimbus-ddns ${process.pid} - - Daemon stopped`);
+  });
+});
+
+describe("SyslogTransport", () => {
+  const entry = { level: "error", message: "Boom", timestamp: "t" };
+
+  it("should throw an error for an unknown facility", () => {
+    expect(
+      () => new SyslogTransport({ url: "udp://127.0.0.1", facility: "nope" })
+    ).toThrow("Invalid syslog facility: nope");
+  });
+
+  it("should send datagrams over UDP", async () => {
+    const server = dgram.createSocket("udp4");
+    await new Promise((resolve) => server.bind(0, "127.0.0.1", resolve));
+    const received = new Promise((resolve) =>
+      server.once("message", (data) => resolve(String(data)))
+    );
+    const transport = new SyslogTransport({
+      url: `udp://127.0.0.1:${server.address().port}`,
+    });
+
+    transport.log(entry, () => {});
+
+    expect(await received).toMatch(/^<27>1 t \S+ nimbus-ddns \d+ - - Boom$/);
+    transport.close();
+    server.close();
+  });
+
+  it("should frame messages with their length over TCP", async () => {
+    let data = "";
+    const connected = new Promise((resolve) => {
+      const server = net.createServer((socket) => {
+        socket.on("data", (chunk) => (data += chunk));
+        socket.on("end", () => {
+          server.close();
+          resolve();
+        });
+      });
+      server.listen(0, "127.0.0.1", () => {
+        const transport = new SyslogTransport({
+          url: `tcp://127.0.0.1:${server.address().port}`,
+          facility: "local0",
+        });
+        transport.log(entry, () => {});
+        transport.log({ ...entry, message: "Again" }, () => {});
+        transport.close();
+      });
+    });
+
+    await connected;
+
+    const frames = [];
+    while (data) {
+      const space = data.indexOf(" ");
+      const length = Number(data.slice(0, space));
+      frames.push(data.slice(space + 1, space + 1 + length));
+      data = data.slice(space + 1 + length);
+    }
+    expect(frames).toEqual([
+      expect.stringMatching(/^<131>1 t \S+ nimbus-ddns \d+ - - Boom$/),
+      expect.stringMatching(/ - - Again$/),
+    ]);
+  });
+
+  it("should report delivery problems as warnings", async () => {
+    const transport = new SyslogTransport({ url: "tcp://127.0.0.1:1" });
+    const warned = new Promise((resolve) => transport.once("warn", resolve));
+
+    transport.log(entry, () => {});
+
+    expect((await warned).code).toBe("ECONNREFUSED");
+    transport.close();
+  });
+});
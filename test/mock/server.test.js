@@ -0,0 +1,169 @@
+const axios = require("axios");
+const net = require("net");
+const MockCloudflareServer = require("../../lib/mock/server");
+
+describe("MockCloudflareServer", () => {
+  let mock;
+  let api;
+
+  beforeEach(async () => {
+    mock = new MockCloudflareServer({
+      zones: ["example.com", "example.org", "example.net"],
+      records: [
+        {
+          zone: "example.com",
+          name: "home.example.com",
+          type: "A",
+          content: "192.0.2.1",
+        },
+      ],
+      publicIPs: { 4: "198.51.100.4" },
+    });
+    await mock.listen();
+    api = axios.create({
+      baseURL: mock.baseURL,
+      headers: { Authorization: "Bearer token" },
+      validateStatus: () => true,
+    });
+  });
+
+  afterEach(async () => {
+    await mock.close();
+  });
+
+  it("should list zones by name", async () => {
+    const { data } = await api.get("/zones", {
+      params: { name: "example.org" },
+    });
+
+    expect(data.success).toBe(true);
+    expect(data.result.map((zone) => zone.name)).toEqual(["example.org"]);
+  });
+
+  it("should paginate list results", async () => {
+    const { data } = await api.get("/zones", {
+      params: { per_page: 2, page: 2 },
+    });
+
+    expect(data.result.map((zone) => zone.name)).toEqual(["example.net"]);
+    expect(data.result_info).toEqual({
+      page: 2,
+      per_page: 2,
+      count: 1,
+      total_count: 3,
+      total_pages: 2,
+    });
+  });
+
+  it("should create, read, update and delete DNS records", async () => {
+    const zoneId = mock.zones[0].id;
+
+    const created = await api.post(`/zones/${zoneId}/dns_records`, {
+      type: "AAAA",
+      name: "home.example.com",
+      content: "2001:db8::1",
+      ttl: 300,
+    });
+    expect(created.data.result).toMatchObject({ type: "AAAA", ttl: 300 });
+    const recordId = created.data.result.id;
+
+    const updated = await api.put(`/zones/${zoneId}/dns_records/${recordId}`, {
+      type: "AAAA",
+      name: "home.example.com",
+      content: "2001:db8::2",
+    });
+    expect(updated.data.result).toMatchObject({
+      id: recordId,
+      content: "2001:db8::2",
+      ttl: 1,
+    });
+
+    const patched = await api.patch(
+      `/zones/${zoneId}/dns_records/${recordId}`,
+      { proxied: true }
+    );
+    expect(patched.data.result).toMatchObject({
+      content: "2001:db8::2",
+      proxied: true,
+    });
+
+    const listed = await api.get(`/zones/${zoneId}/dns_records`, {
+      params: { type: "AAAA", name: "home.example.com" },
+    });
+    expect(listed.data.result.map((record) => record.id)).toEqual([recordId]);
+
+    await api.delete(`/zones/${zoneId}/dns_records/${recordId}`);
+    const fetched = await api.get(`/zones/${zoneId}/dns_records/${recordId}`);
+    expect(fetched.status).toBe(404);
+    expect(fetched.data.errors).toEqual([
+      { code: 81044, message: "Record does not exist." },
+    ]);
+  });
+
+  it("should reject invalid record content", async () => {
+    const { status, data } = await api.post(
+      `/zones/${mock.zones[0].id}/dns_records`,
+      { type: "A", name: "bad.example.com", content: "not-an-ip" }
+    );
+
+    expect(status).toBe(400);
+    expect(data.errors[0]).toEqual({
+      code: 9005,
+      message: "Content for A record is invalid.",
+    });
+  });
+
+  it("should answer unknown zone IDs like Cloudflare", async () => {
+    const { status, data } = await api.get("/zones/unknown/dns_records");
+
+    expect(status).toBe(400);
+    expect(data.success).toBe(false);
+    expect(data.errors[0].code).toBe(7003);
+  });
+
+  it("should reject requests without credentials", async () => {
+    const { status, data } = await axios.get(`${mock.baseURL}/zones`, {
+      validateStatus: () => true,
+    });
+
+    expect(status).toBe(400);
+    expect(data.errors[0].code).toBe(9106);
+  });
+
+  it("should reject a wrong API token when one is configured", async () => {
+    await mock.close();
+    mock = new MockCloudflareServer({ apiToken: "secret" });
+    await mock.listen();
+
+    const { status } = await axios.get(`${mock.baseURL}/user/tokens/verify`, {
+      headers: { Authorization: "Bearer wrong" },
+      validateStatus: () => true,
+    });
+
+    expect(status).toBe(401);
+  });
+
+  it("should answer a malformed request path with 400", async () => {
+    const { port } = mock.server.address();
+    const response = await new Promise((resolve, reject) => {
+      let data = "";
+      const socket = net.connect(port, "127.0.0.1", () =>
+        socket.write(
+          "GET // HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n"
+        )
+      );
+      socket.on("data", (chunk) => (data += chunk));
+      socket.on("end", () => resolve(data));
+      socket.on("error", reject);
+    });
+
+    expect(response).toMatch(/^HTTP\/1\.1 400 /);
+    expect(response).toContain('"success":false');
+  });
+
+  it("should echo the configured public IP", async () => {
+    const { data } = await axios.get(mock.ipURL(4));
+
+    expect(data.trim()).toBe("198.51.100.4");
+  });
+});
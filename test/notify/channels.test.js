@@ -0,0 +1,199 @@
+const axios = require("axios");
+const { createChannel, render } = require("../../lib/notify/channels");
+const { sendMail } = require("../../lib/notify/smtp");
+
+jest.mock("axios");
+jest.mock("../../lib/notify/smtp");
+
+describe("render", () => {
+  const event = {
+    ip: "1.2.3.4",
+    record: "A home.example.com",
+    nested: { a: 1 },
+  };
+
+  it("should replace placeholders with event fields", () => {
+    expect(render("{{record}} is now {{ ip }}", event)).toBe(
+      "A home.example.com is now 1.2.3.4"
+    );
+  });
+
+  it("should render objects and arrays recursively", () => {
+    expect(
+      render({ text: "{{ip}}", list: ["{{nested.a}}", 2], flag: true }, event)
+    ).toEqual({ text: "1.2.3.4", list: ["1", 2], flag: true });
+  });
+
+  it("should render missing fields as empty strings", () => {
+    expect(render("[{{previousIP}}]", event)).toBe("[]");
+  });
+});
+
+describe("createChannel", () => {
+  const event = {
+    event: "ip_changed",
+    record: "A home.example.com",
+    fqdn: "home.example.com",
+    ip: "1.2.3.4",
+    summary: "A home.example.com created with 1.2.3.4",
+  };
+
+  beforeEach(() => {
+    axios.request.mockResolvedValue({ status: 200 });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should throw an error for unknown types", () => {
+    expect(() => createChannel({ type: "pager" })).toThrow(
+      "Unknown notification type: pager"
+    );
+  });
+
+  it("should throw an error if a required setting is missing", () => {
+    expect(() => createChannel({ type: "smtp", host: "mail" })).toThrow(
+      "Invalid smtp notification: host, from and to are required"
+    );
+  });
+
+  it("should throw an error for unknown events", () => {
+    expect(() =>
+      createChannel({ type: "slack", url: "https://x", events: ["changed"] })
+    ).toThrow("Invalid slack notification: unknown event(s) changed");
+  });
+
+  describe("filters", () => {
+    it("should accept every event by default", () => {
+      const channel = createChannel({ type: "slack", url: "https://x" });
+
+      expect(channel.accepts(event)).toBe(true);
+    });
+
+    it("should filter by event", () => {
+      const channel = createChannel({
+        type: "slack",
+        url: "https://x",
+        events: ["update_failed"],
+      });
+
+      expect(channel.accepts(event)).toBe(false);
+      expect(channel.accepts({ ...event, event: "update_failed" })).toBe(true);
+    });
+
+    it("should filter by record FQDN or key", () => {
+      const byName = createChannel({
+        type: "slack",
+        url: "https://x",
+        records: ["home.example.com"],
+      });
+      const byKey = createChannel({
+        type: "slack",
+        url: "https://x",
+        records: ["AAAA home.example.com"],
+      });
+
+      expect(byName.accepts(event)).toBe(true);
+      expect(byKey.accepts(event)).toBe(false);
+      expect(byKey.accepts({ event: "error" })).toBe(true);
+    });
+  });
+
+  it("should post the event as a webhook body by default", async () => {
+    await createChannel({ type: "webhook", url: "https://hooks" }).send(event);
+
+    expect(axios.request).toHaveBeenCalledWith({
+      method: "POST",
+      url: "https://hooks",
+      headers: undefined,
+      data: event,
+      timeout: 10000,
+    });
+  });
+
+  it("should name a webhook by its host only", () => {
+    expect(
+      createChannel({
+        type: "webhook",
+        url: "https://hooks.example.com/services/T0/B0/secret-token?key=1",
+      }).name
+    ).toBe("webhook:hooks.example.com");
+    expect(
+      createChannel({ type: "webhook", name: "ops", url: "https://hooks" }).name
+    ).toBe("ops");
+  });
+
+  it("should render a templated webhook body", async () => {
+    await createChannel({
+      type: "webhook",
+      url: "https://hooks",
+      method: "PUT",
+      headers: { Authorization: "Bearer t" },
+      body: { address: "{{ip}}", name: "{{fqdn}}" },
+    }).send(event);
+
+    expect(axios.request).toHaveBeenCalledWith(
+      expect.objectContaining({
+        method: "PUT",
+        headers: { Authorization: "Bearer t" },
+        data: { address: "1.2.3.4", name: "home.example.com" },
+      })
+    );
+  });
+
+  it("should post Slack and Discord messages", async () => {
+    await createChannel({ type: "slack", url: "https://slack" }).send(event);
+    await createChannel({
+      type: "discord",
+      url: "https://discord",
+      username: "ddns",
+    }).send(event);
+
+    expect(axios.request.mock.calls.map(([request]) => request.data)).toEqual([
+      { text: "A home.example.com created with 1.2.3.4" },
+      { content: "A home.example.com created with 1.2.3.4", username: "ddns" },
+    ]);
+  });
+
+  it("should send email with a templated subject", async () => {
+    sendMail.mockResolvedValue();
+
+    await createChannel({
+      type: "smtp",
+      host: "mail.example.com",
+      from: "ddns@example.com",
+      to: "admin@example.com",
+    }).send(event);
+
+    expect(sendMail).toHaveBeenCalledWith(
+      expect.objectContaining({
+        host: "mail.example.com",
+        to: "admin@example.com",
+        subject: "[Nimbus DDNS] A home.example.com created with 1.2.3.4",
+        text: "A home.example.com created with 1.2.3.4",
+      })
+    );
+  });
+
+  describe("command", () => {
+    it("should pass the event in the environment and on stdin", async () => {
+      const channel = createChannel({
+        type: "command",
+        command:
+          'test "$NIMBUS_EVENT $NIMBUS_IP" = "ip_changed 1.2.3.4" && grep -q home.example.com',
+      });
+
+      await expect(channel.send(event)).resolves.toBeUndefined();
+    });
+
+    it("should reject when the command fails", async () => {
+      const channel = createChannel({
+        type: "command",
+        command: "echo broken >&2; exit 3",
+      });
+
+      await expect(channel.send(event)).rejects.toThrow("broken");
+    });
+  });
+});
@@ -0,0 +1,172 @@
+const Notifier = require("../../lib/notify");
+const { createChannel } = require("../../lib/notify/channels");
+
+jest.mock("../../lib/notify/channels");
+
+describe("Notifier", () => {
+  const logger = { debug: jest.fn(), warn: jest.fn() };
+  let cache;
+  let state;
+  let channel;
+
+  const notifier = (options = {}) =>
+    new Notifier(
+      { channels: [{ type: "webhook" }], state, ...options },
+      logger
+    );
+  const record = { zone: "example.com", name: "home", type: "A" };
+  const sentEvents = () => channel.send.mock.calls.map(([event]) => event);
+
+  beforeEach(() => {
+    cache = {};
+    state = {
+      getEntry: jest.fn((section, key) => cache[section]?.[key]),
+      setEntry: jest.fn((section, key, value) => {
+        cache[section] = { ...cache[section], [key]: value };
+      }),
+      deleteEntry: jest.fn((section, key) => {
+        delete cache[section]?.[key];
+      }),
+    };
+    channel = {
+      name: "test",
+      accepts: jest.fn().mockReturnValue(true),
+      send: jest.fn().mockResolvedValue(),
+    };
+    createChannel.mockReturnValue(channel);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should throw an error if logger is not provided", () => {
+    expect(() => new Notifier({ state })).toThrow(
+      "Logger was not provided to Notifier instance"
+    );
+  });
+
+  describe("notifyResults", () => {
+    it("should send an event for each published IP", async () => {
+      await notifier().notifyResults([
+        { record, status: "updated", ip: "1.2.3.4", previousIP: "5.6.7.8" },
+        { record: { ...record, type: "AAAA" }, status: "unchanged" },
+      ]);
+
+      expect(sentEvents()).toEqual([
+        expect.objectContaining({
+          event: "ip_changed",
+          record: "A home.example.com",
+          fqdn: "home.example.com",
+          ip: "1.2.3.4",
+          previousIP: "5.6.7.8",
+          status: "updated",
+          summary: "A home.example.com changed from 5.6.7.8 to 1.2.3.4",
+          host: expect.any(String),
+          timestamp: expect.any(String),
+        }),
+      ]);
+    });
+
+    it("should send a failure only once while it persists", async () => {
+      const failed = { record, status: "failed", error: new Error("Boom") };
+
+      await notifier().notifyResults([failed]);
+      await notifier().notifyResults([failed]);
+
+      expect(sentEvents()).toEqual([
+        expect.objectContaining({
+          event: "update_failed",
+          message: "Boom",
+          summary: "A home.example.com failed: Boom",
+        }),
+      ]);
+    });
+
+    it("should send a failure again when its message changes", async () => {
+      await notifier().notifyResults([
+        { record, status: "failed", error: new Error("Boom") },
+      ]);
+      await notifier().notifyResults([
+        { record, status: "failed", error: new Error("Timeout") },
+      ]);
+
+      expect(sentEvents().map((event) => event.message)).toEqual([
+        "Boom",
+        "Timeout",
+      ]);
+    });
+
+    it("should remind about a failure after the repeat interval", async () => {
+      const failed = { record, status: "failed", error: new Error("Boom") };
+      jest.spyOn(Date, "now").mockReturnValue(0);
+      await notifier({ repeatAfter: 60 }).notifyResults([failed]);
+
+      Date.now.mockReturnValue(30000);
+      await notifier({ repeatAfter: 60 }).notifyResults([failed]);
+      Date.now.mockReturnValue(61000);
+      await notifier({ repeatAfter: 60 }).notifyResults([failed]);
+      Date.now.mockRestore();
+
+      expect(channel.send).toHaveBeenCalledTimes(2);
+      expect(cache.notifiedFailures["A home.example.com"]).toEqual({
+        message: "Boom",
+        since: 0,
+        notifiedAt: 61000,
+      });
+    });
+
+    it("should send a recovery once a failed record works again", async () => {
+      await notifier().notifyResults([
+        { record, status: "failed", error: new Error("Boom") },
+      ]);
+      await notifier().notifyResults([
+        { record, status: "unchanged", ip: "1.2.3.4" },
+      ]);
+
+      expect(sentEvents().map((event) => event.event)).toEqual([
+        "update_failed",
+        "recovered",
+      ]);
+      expect(cache.notifiedFailures).toEqual({});
+    });
+
+    it("should only send events the channel accepts", async () => {
+      channel.accepts.mockReturnValue(false);
+
+      await notifier().notifyResults([
+        { record, status: "created", ip: "1.2.3.4" },
+      ]);
+
+      expect(channel.send).not.toHaveBeenCalled();
+    });
+
+    it("should log delivery failures instead of throwing", async () => {
+      channel.send.mockRejectedValue(new Error("Connection refused"));
+
+      await expect(
+        notifier().notifyResults([{ record, status: "created", ip: "1.2.3.4" }])
+      ).resolves.toBeUndefined();
+      expect(logger.warn).toHaveBeenCalledWith(
+        "Notification via test failed: Connection refused"
+      );
+    });
+  });
+
+  describe("notifyError", () => {
+    it("should send a run failure once and its recovery", async () => {
+      await notifier().notifyError(new Error("Invalid config"));
+      await notifier().notifyError(new Error("Invalid config"));
+      await notifier().notifyResults([]);
+
+      expect(sentEvents()).toEqual([
+        expect.objectContaining({
+          event: "error",
+          message: "Invalid config",
+          summary: "DNS update failed: Invalid config",
+        }),
+        expect.objectContaining({ event: "recovered" }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const net = require("net");
+const { buildMessage, sendMail } = require("../../lib/notify/smtp");
+
+/**
+ * Starts a minimal plain-text SMTP server that records the commands it receives.
+ */
+function startServer({
+  extensions = [],
+  rejectRecipient = false,
+  forwardRecipient = false,
+} = {}) {
+  const session = { commands: [], data: "" };
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let inData = false;
+    socket.write("220 mail.test ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        if (inData) {
+          if (line === ".") {
+            inData = false;
+            socket.write("250 OK queued\r\n");
+          } else {
+            session.data += `${line}\n`;
+          }
+          continue;
+        }
+        session.commands.push(line);
+        if (line.startsWith("EHLO")) {
+          const lines = ["mail.test", ...extensions];
+          socket.write(
+            lines
+              .map(
+                (entry, i) => `250${i === lines.length - 1 ? " " : "-"}${entry}`
+              )
+              .join("\r\n") + "\r\n"
+          );
+        } else if (line.startsWith("AUTH")) {
+          socket.write("235 Authenticated\r\n");
+        } else if (line.startsWith("RCPT") && rejectRecipient) {
+          socket.write("550 No such user\r\n");
+        } else if (line.startsWith("RCPT") && forwardRecipient) {
+          socket.write("251 User not local; will forward\r\n");
+        } else if (line === "DATA") {
+          inData = true;
+          socket.write("354 Go ahead\r\n");
+        } else if (line === "QUIT") {
+          socket.end("221 Bye\r\n");
+        } else {
+          socket.write("250 OK\r\n");
+        }
+      }
+    });
+  });
+
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () =>
+      resolve({ server, session, port: server.address().port })
+    )
+  );
+}
+
+describe("sendMail", () => {
+  let smtp;
+  const mail = (options) => ({
+    host: "127.0.0.1",
+    port: smtp.port,
+    from: "ddns@example.com",
+    to: ["admin@example.com", "ops@example.com"],
+    subject: "IP changed",
+    text: "Now 1.2.3.4\n.hidden",
+    ...options,
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => smtp.server.close(resolve));
+  });
+
+  it("should deliver the message", async () => {
+    smtp = await startServer();
+
+    await sendMail(mail());
+
+    expect(smtp.session.commands).toEqual([
+      expect.stringMatching(/^EHLO /),
+      "MAIL FROM:<ddns@example.com>",
+      "RCPT TO:<admin@example.com>",
+      "RCPT TO:<ops@example.com>",
+      "DATA",
+      "QUIT",
+    ]);
+    expect(smtp.session.data).toContain("Subject: IP changed\n");
+    expect(smtp.session.data).toContain("\nNow 1.2.3.4\n..hidden\n");
+  });
+
+  it("should authenticate when allowed over a plain connection", async () => {
+    smtp = await startServer();
+
+    await sendMail(
+      mail({ username: "user", password: "secret", allowInsecureAuth: true })
+    );
+
+    expect(smtp.session.commands).toContain(
+      `AUTH PLAIN ${Buffer.from("\0user\0secret").toString("base64")}`
+    );
+  });
+
+  it("should refuse to send credentials without TLS", async () => {
+    smtp = await startServer();
+
+    await expect(
+      sendMail(mail({ username: "user", password: "secret" }))
+    ).rejects.toThrow(
+      "Refusing to send SMTP credentials over an unencrypted connection"
+    );
+  });
+
+  it("should report rejected commands", async () => {
+    smtp = await startServer({ rejectRecipient: true });
+
+    await expect(sendMail(mail())).rejects.toThrow(
+      "SMTP server rejected RCPT TO: 550 No such user"
+    );
+  });
+
+  it("should accept recipients the server forwards", async () => {
+    smtp = await startServer({ forwardRecipient: true });
+
+    await sendMail(mail());
+
+    expect(smtp.session.commands).toContain("DATA");
+  });
+
+  it("should time out when the server never completes the connection", async () => {
+    // Reads the TLS handshake without answering it
+    const server = net.createServer((socket) => socket.resume());
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    smtp = { server, port: server.address().port };
+
+    await expect(sendMail(mail({ secure: true, timeout: 50 }))).rejects.toThrow(
+      `Timed out connecting to 127.0.0.1:${smtp.port}`
+    );
+  });
+});
+
+describe("buildMessage", () => {
+  it("should encode non-ASCII subjects", () => {
+    const message = buildMessage({
+      from: "a@example.com",
+      to: ["b@example.com"],
+      subject: "Adresse geändert",
+      text: "Hi",
+    });
+
+    expect(message).toContain(
+      `Subject: =?UTF-8?B?${Buffer.from("Adresse geändert").toString("base64")}?=`
+    );
+    expect(message).toMatch(/\r\n\r\nHi$/);
+  });
+});
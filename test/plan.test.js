@@ -0,0 +1,64 @@
+const { formatPlan, planOutcome, summarizePlan } = require("../lib/plan");
+
+describe("plan", () => {
+  const record = (name, type = "A") => ({ zone: "example.com", name, type });
+  const plans = [
+    {
+      record: record("home"),
+      action: "update",
+      current: { content: "5.6.7.8", ttl: 1, proxied: false },
+      desired: { content: "1.2.3.4", ttl: 1800, proxied: false },
+      changes: ["content", "ttl"],
+    },
+    {
+      record: record("home", "AAAA"),
+      action: "create",
+      current: null,
+      desired: { content: "2001:db8::1", ttl: 1800, proxied: false },
+    },
+    { record: record("office"), action: "none", changes: [] },
+    { record: record("lab"), action: "failed", error: new Error("Boom") },
+  ];
+
+  describe("formatPlan", () => {
+    it("should show a diff per record and a summary", () => {
+      expect(formatPlan(plans)).toBe(
+        [
+          "~ A home.example.com",
+          "    content: 5.6.7.8 => 1.2.3.4",
+          "    ttl: 1 => 1800",
+          "+ AAAA home.example.com (create)",
+          "    content: 2001:db8::1",
+          "    ttl: 1800",
+          "    proxied: false",
+          "= A office.example.com (no changes)",
+          "! A lab.example.com: Boom",
+          "",
+          "1 to create, 1 to update, 1 unchanged, 1 failed",
+        ].join("\n")
+      );
+    });
+  });
+
+  describe("summarizePlan", () => {
+    it("should count the entries by action", () => {
+      expect(summarizePlan(plans)).toEqual({
+        create: 1,
+        update: 1,
+        none: 1,
+        failed: 1,
+      });
+    });
+  });
+
+  describe("planOutcome", () => {
+    it("should count the changes and failures", () => {
+      expect(planOutcome(plans)).toEqual({ changes: 2, failed: 1 });
+    });
+
+    it("should report when nothing would change", () => {
+      expect(planOutcome(plans.slice(2, 3))).toEqual({ changes: 0, failed: 0 });
+      expect(planOutcome([])).toEqual({ changes: 0, failed: 0 });
+    });
+  });
+});
@@ -0,0 +1,198 @@
+const dns = require("dns");
+const PropagationChecker = require("../lib/propagation");
+
+describe("PropagationChecker", () => {
+  const logger = { debug: jest.fn(), info: jest.fn(), error: jest.fn() };
+  const record = {
+    zone: "example.com",
+    name: "home",
+    type: "A",
+    family: 4,
+    proxied: false,
+  };
+  let served;
+  let sleep;
+  let now;
+
+  // Each name server answers with the next of its answers on every query, then keeps the last
+  const createResolver = (server) => {
+    const query = async () => {
+      const answers = served[server];
+      const answer = answers.length > 1 ? answers.shift() : answers[0];
+      if (answer instanceof Error) {
+        throw answer;
+      }
+      return answer;
+    };
+    // TXT records come back as their character strings
+    const resolveTxt = async () =>
+      (await query()).map((content) => content.match(/.{1,10}/g));
+    return { resolve4: query, resolve6: query, resolveTxt };
+  };
+  const checker = (options = {}) =>
+    new PropagationChecker(
+      {
+        resolvers: ["192.0.2.53", "198.51.100.53:5353"],
+        timeout: 30,
+        interval: 5,
+        createResolver,
+        sleep,
+        now: () => now,
+        ...options,
+      },
+      logger
+    );
+  const noData = () =>
+    Object.assign(new Error("queryA ENODATA"), { code: dns.NODATA });
+
+  beforeEach(() => {
+    now = 0;
+    sleep = jest.fn(async (ms) => {
+      now += ms;
+    });
+    served = {
+      "192.0.2.53": [["203.0.113.10"]],
+      "198.51.100.53:5353": [["203.0.113.10"]],
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  it("should throw an error if logger is not provided", () => {
+    expect(() => new PropagationChecker({})).toThrow(
+      "Logger was not provided to PropagationChecker instance"
+    );
+  });
+
+  it("should throw an error for an invalid timeout or interval", () => {
+    expect(() => new PropagationChecker({ timeout: 0 }, logger)).toThrow(
+      "Propagation timeout and interval must be positive numbers"
+    );
+  });
+
+  it("should return once every name server serves the address", async () => {
+    const result = await checker().verify(record, "203.0.113.10");
+
+    expect(result).toEqual({ duration: expect.any(Number), nameservers: 2 });
+    expect(sleep).not.toHaveBeenCalled();
+    expect(logger.info).toHaveBeenCalledWith(
+      expect.stringMatching(
+        /^A home\.example\.com: propagated to 2 name server\(s\) in \d+\.\ds$/
+      ),
+      expect.objectContaining({
+        record: "A home.example.com",
+        ip: "203.0.113.10",
+        propagationTime: expect.any(Number),
+      })
+    );
+  });
+
+  it("should poll the name servers that still serve the old address", async () => {
+    served["192.0.2.53"] = [["192.0.2.1"], noData(), ["203.0.113.10"]];
+
+    await checker().verify(record, "203.0.113.10");
+
+    expect(sleep).toHaveBeenCalledTimes(2);
+    expect(sleep).toHaveBeenCalledWith(5000);
+  });
+
+  it("should fail when a name server never serves the address", async () => {
+    served["198.51.100.53:5353"] = [["192.0.2.1"]];
+
+    await expect(checker().verify(record, "203.0.113.10")).rejects.toThrow(
+      "203.0.113.10 did not propagate within 30s: 198.51.100.53:5353 serves 192.0.2.1"
+    );
+    expect(sleep).toHaveBeenCalledTimes(6);
+  });
+
+  it("should report the error of a name server that cannot be queried", async () => {
+    served["192.0.2.53"] = [
+      Object.assign(new Error("queryA ETIMEOUT"), { code: "ETIMEOUT" }),
+    ];
+
+    await expect(
+      checker({ timeout: 5 }).verify(record, "203.0.113.10")
+    ).rejects.toThrow("192.0.2.53 serves an error (ETIMEOUT)");
+  });
+
+  it("should expect every address of a record set", async () => {
+    served["192.0.2.53"] = [["203.0.113.10"], ["203.0.113.10", "198.51.100.7"]];
+    served["198.51.100.53:5353"] = [["198.51.100.7", "203.0.113.10"]];
+
+    await checker().verify(record, "198.51.100.7, 203.0.113.10");
+
+    expect(sleep).toHaveBeenCalledTimes(1);
+  });
+
+  it("should find the address among the TXT records", async () => {
+    served["192.0.2.53"] = [["v=spf1 -all", "203.0.113.10"]];
+
+    await checker({ resolvers: ["192.0.2.53"] }).verify(
+      { ...record, name: "_home-ip", type: "TXT" },
+      "203.0.113.10"
+    );
+
+    expect(sleep).not.toHaveBeenCalled();
+  });
+
+  it("should wait for an SPF policy with the exact ip4 mechanism", async () => {
+    served["192.0.2.53"] = [
+      ["v=spf1 mx ip4:203.0.113.100 -all", "203.0.113.10"],
+      ["v=spf1 mx ip4:203.0.113.10 -all"],
+    ];
+
+    await checker({ resolvers: ["192.0.2.53"] }).verify(
+      { ...record, name: "mail", type: "TXT", spf: true },
+      "203.0.113.10"
+    );
+
+    expect(sleep).toHaveBeenCalledTimes(1);
+  });
+
+  it("should skip proxied records", async () => {
+    const verifier = checker();
+
+    await expect(
+      verifier.verify({ ...record, proxied: true }, "203.0.113.10")
+    ).resolves.toBeNull();
+  });
+
+  it("should ask the zone's authoritative name servers by default", async () => {
+    jest
+      .spyOn(dns.promises, "resolveNs")
+      .mockResolvedValue(["ns1.example.net", "ns2.example.net"]);
+    jest
+      .spyOn(dns.promises, "resolve4")
+      .mockImplementation(async (host) =>
+        host === "ns1.example.net" ? ["192.0.2.53"] : []
+      );
+    jest
+      .spyOn(dns.promises, "resolve6")
+      .mockRejectedValue(new Error("queryAaaa ENODATA"));
+    const verifier = checker({ resolvers: [] });
+
+    await verifier.verify(record, "203.0.113.10");
+    await verifier.verify({ ...record, name: "vpn" }, "203.0.113.10");
+
+    expect(dns.promises.resolveNs).toHaveBeenCalledTimes(1);
+    expect(dns.promises.resolveNs).toHaveBeenCalledWith("example.com");
+    expect(logger.info).toHaveBeenCalledWith(
+      expect.stringContaining("propagated to 1 name server(s)"),
+      expect.anything()
+    );
+  });
+
+  it("should fail when no name server of the zone has an address", async () => {
+    jest
+      .spyOn(dns.promises, "resolveNs")
+      .mockResolvedValue(["ns1.example.net"]);
+    jest.spyOn(dns.promises, "resolve4").mockResolvedValue([]);
+
+    await expect(
+      checker({ resolvers: undefined }).verify(record, "203.0.113.10")
+    ).rejects.toThrow("No address found for the name servers of example.com");
+  });
+});
@@ -0,0 +1,35 @@
+const CloudflareAPI = require("../../lib/cloudflare");
+const RFC2136Provider = require("../../lib/providers/rfc2136");
+const { createDNSProvider } = require("../../lib/providers");
+
+describe("createDNSProvider", () => {
+  const logger = { http: jest.fn() };
+
+  it("should create a Cloudflare provider", () => {
+    const provider = createDNSProvider(
+      "example.com",
+      { type: "cloudflare", apiToken: "token123" },
+      logger
+    );
+
+    expect(provider).toBeInstanceOf(CloudflareAPI);
+    expect(provider.domainName).toBe("example.com");
+  });
+
+  it("should create an RFC 2136 provider", () => {
+    const provider = createDNSProvider(
+      "example.net",
+      { type: "rfc2136", server: "192.0.2.53" },
+      logger
+    );
+
+    expect(provider).toBeInstanceOf(RFC2136Provider);
+    expect(provider.domainName).toBe("example.net");
+  });
+
+  it("should throw an error for an unknown provider type", () => {
+    expect(() =>
+      createDNSProvider("example.com", { type: "route53" }, logger)
+    ).toThrow("Unknown DNS provider type: route53");
+  });
+});
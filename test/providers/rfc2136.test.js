@@ -0,0 +1,428 @@
+const crypto = require("crypto");
+const dgram = require("dgram");
+const RFC2136Provider = require("../../lib/providers/rfc2136");
+
+const KEY_SECRET = Buffer.from("nimbus-test-key-secret").toString("base64");
+
+/**
+ * Encodes a domain name in DNS wire format.
+ * @param {string} name - The domain name.
+ * @returns {Buffer} - The encoded name.
+ */
+function wireName(name) {
+  return Buffer.concat([
+    ...name
+      .split(".")
+      .filter(Boolean)
+      .map((label) =>
+        Buffer.concat([Buffer.from([label.length]), Buffer.from(label)])
+      ),
+    Buffer.from([0]),
+  ]);
+}
+
+/**
+ * Verifies the TSIG signature of a received update the way a name server would.
+ * @param {Buffer} message - The signed message.
+ * @param {string} keyName - The expected key name.
+ * @returns {boolean} - Whether the MAC matches.
+ */
+function verifyTsig(message, keyName) {
+  const keyWire = wireName(keyName);
+  const start = message.lastIndexOf(
+    Buffer.concat([keyWire, Buffer.from([0x00, 0xfa, 0x00, 0xff])])
+  );
+  const rdata = message.subarray(start + keyWire.length + 10);
+  const algorithm = wireName("hmac-sha256");
+  const variables = rdata.subarray(0, algorithm.length + 8);
+  const macSize = rdata.readUInt16BE(algorithm.length + 8);
+  const mac = rdata.subarray(
+    algorithm.length + 10,
+    algorithm.length + 10 + macSize
+  );
+
+  const unsigned = Buffer.from(message.subarray(0, start));
+  unsigned.writeUInt16BE(unsigned.readUInt16BE(10) - 1, 10);
+  const expected = crypto
+    .createHmac("sha256", Buffer.from(KEY_SECRET, "base64"))
+    .update(
+      Buffer.concat([
+        unsigned,
+        keyWire,
+        Buffer.from([0x00, 0xff, 0, 0, 0, 0]),
+        variables,
+        Buffer.from([0, 0, 0, 0]),
+      ])
+    )
+    .digest();
+  return crypto.timingSafeEqual(mac, expected);
+}
+
+describe("RFC2136Provider", () => {
+  const logger = { http: jest.fn() };
+  let server;
+  let received;
+  let nextRcode;
+  let records;
+
+  const provider = (settings = {}) =>
+    new RFC2136Provider(
+      "example.net",
+      {
+        server: "127.0.0.1",
+        port: server.address().port,
+        keyName: "nimbus-key",
+        keySecret: KEY_SECRET,
+        timeout: 2000,
+        ...settings,
+      },
+      logger
+    );
+
+  beforeAll(async () => {
+    server = dgram.createSocket("udp4");
+    server.on("message", (message, remote) => {
+      const opcode = (message.readUInt16BE(2) >> 11) & 0xf;
+      const reply = Buffer.from(message.subarray(0, 12));
+      reply.writeUInt16BE(0x8000 | (opcode << 11), 2);
+
+      if (opcode === 5) {
+        received.push(message);
+        reply.writeUInt16BE(reply.readUInt16BE(2) | nextRcode, 2);
+        reply.fill(0, 4);
+        server.send(reply, remote.port, remote.address);
+        return;
+      }
+
+      // Standard query: answer from the records table
+      let offset = 12;
+      while (message[offset] !== 0) {
+        offset += message[offset] + 1;
+      }
+      const question = message.subarray(12, offset + 5);
+      const name = message
+        .subarray(12, offset)
+        .reduce(
+          (state, byte) => {
+            if (state.remaining === 0) {
+              state.labels.push("");
+              state.remaining = byte;
+            } else {
+              state.labels[state.labels.length - 1] +=
+                String.fromCharCode(byte);
+              state.remaining -= 1;
+            }
+            return state;
+          },
+          { labels: [], remaining: 0 }
+        )
+        .labels.join(".");
+      // A name maps to an address, or to a list of addresses for a round-robin name
+      const addresses = [].concat(records[name] ?? []);
+      reply.writeUInt16BE(0x8400 | (records[name] === undefined ? 3 : 0), 2);
+      reply.writeUInt16BE(1, 4);
+      reply.writeUInt16BE(addresses.length, 6);
+      reply.fill(0, 8);
+      const answers = addresses.map((address) =>
+        Buffer.concat([
+          Buffer.from([0xc0, 0x0c, 0, 1, 0, 1, 0, 0, 0, 60, 0, 4]),
+          Buffer.from(address.split(".").map(Number)),
+        ])
+      );
+      server.send(
+        Buffer.concat([reply, question, ...answers]),
+        remote.port,
+        remote.address
+      );
+    });
+    await new Promise((resolve) => server.bind(0, "127.0.0.1", resolve));
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    received = [];
+    nextRcode = 0;
+    records = { "home.example.net": "8.8.8.8" };
+  });
+
+  describe("constructor", () => {
+    it("should throw an error if logger is not provided", () => {
+      expect(
+        () => new RFC2136Provider("example.net", { server: "127.0.0.1" })
+      ).toThrow("Logger was not provided to RFC2136Provider instance");
+    });
+
+    it("should throw an error if no server is configured", () => {
+      expect(() => new RFC2136Provider("example.net", {}, logger)).toThrow(
+        "RFC 2136 provider requires a server"
+      );
+    });
+
+    it("should throw an error for an unknown TSIG algorithm", () => {
+      expect(() => provider({ keyAlgorithm: "hmac-rot13" })).toThrow(
+        "RFC 2136 provider requires a keySecret and one of"
+      );
+    });
+  });
+
+  describe("getZoneId", () => {
+    it("should return the zone name", async () => {
+      expect(await provider().getZoneId()).toBe("example.net");
+    });
+  });
+
+  describe("getRecordId", () => {
+    it("should return the record ID if the record exists", async () => {
+      expect(await provider().getRecordId("example.net", "home", "A")).toBe(
+        "home.example.net/A"
+      );
+    });
+
+    it("should return null if the record does not exist", async () => {
+      expect(
+        await provider().getRecordId("example.net", "missing", "A")
+      ).toBeNull();
+    });
+  });
+
+  describe("getRecord", () => {
+    it("should return the record's content and TTL", async () => {
+      expect(await provider().getRecord("example.net", "home", "A")).toEqual({
+        id: "home.example.net/A",
+        content: "8.8.8.8",
+        ttl: 60,
+      });
+    });
+
+    it("should return null if the record does not exist", async () => {
+      expect(
+        await provider().getRecord("example.net", "missing", "A")
+      ).toBeNull();
+    });
+
+    it("should read the zone apex for @", async () => {
+      records["example.net"] = "9.9.9.9";
+
+      expect(await provider().getRecord("example.net", "@", "A")).toEqual({
+        id: "example.net/A",
+        content: "9.9.9.9",
+        ttl: 60,
+      });
+    });
+
+    it("should throw an error for round-robin names", async () => {
+      records["www.example.net"] = ["192.0.2.1", "192.0.2.2"];
+
+      await expect(
+        provider().getRecordId("example.net", "www", "A")
+      ).rejects.toMatchObject({
+        reason: "ambiguous",
+        message:
+          "www.example.net has 2 A records (192.0.2.1, 192.0.2.2); remove the duplicates so the record to update is unambiguous",
+      });
+    });
+  });
+
+  describe("record sets", () => {
+    it("should read every record of the name", async () => {
+      records["www.example.net"] = ["192.0.2.1", "192.0.2.2"];
+
+      expect(await provider().getRecordSet("example.net", "www", "A")).toEqual([
+        { id: "www.example.net/A", content: "192.0.2.1", ttl: 60 },
+        { id: "www.example.net/A", content: "192.0.2.2", ttl: 60 },
+      ]);
+      expect(await provider().getRecordSet("example.net", "vpn", "A")).toEqual(
+        []
+      );
+    });
+
+    it("should replace the set with every address in one update", async () => {
+      records["www.example.net"] = ["192.0.2.1", "192.0.2.2"];
+
+      const result = await provider().replaceRecordSet(
+        "example.net",
+        "www",
+        ["192.0.2.2", "8.8.4.4"],
+        "A",
+        { ttl: 300 }
+      );
+
+      expect(result).toEqual({ created: 1, deleted: 1 });
+      expect(received).toHaveLength(1);
+      const [message] = received;
+      // One zone, no prerequisites, delete + two adds, one TSIG record
+      expect([...message.subarray(4, 12)]).toEqual([0, 1, 0, 0, 0, 3, 0, 1]);
+      for (const address of [
+        [192, 0, 2, 2],
+        [8, 8, 4, 4],
+      ]) {
+        expect(
+          message.includes(
+            Buffer.from([0, 1, 0, 1, 0, 0, 1, 0x2c, 0, 4, ...address])
+          )
+        ).toBe(true);
+      }
+      expect(verifyTsig(message, "nimbus-key")).toBe(true);
+    });
+
+    it("should keep the set's TTL when none is configured", async () => {
+      records["www.example.net"] = ["192.0.2.1"];
+
+      await provider().replaceRecordSet("example.net", "www", ["8.8.4.4"], "A");
+
+      expect(
+        received[0].includes(
+          Buffer.from([0, 1, 0, 1, 0, 0, 0, 60, 0, 4, 8, 8, 4, 4])
+        )
+      ).toBe(true);
+    });
+  });
+
+  describe("updateDNSRecord", () => {
+    it("should send a TSIG-signed update replacing the record set", async () => {
+      const response = await provider().updateDNSRecord(
+        "example.net",
+        "home.example.net/A",
+        "home",
+        "8.8.4.4",
+        "A",
+        { ttl: 300 }
+      );
+
+      expect(response).toEqual({ success: true });
+      expect(received).toHaveLength(1);
+      const [message] = received;
+      expect((message.readUInt16BE(2) >> 11) & 0xf).toBe(5);
+      // One zone, no prerequisites, delete + add, one TSIG record
+      expect([...message.subarray(4, 12)]).toEqual([0, 1, 0, 0, 0, 2, 0, 1]);
+      expect(message.includes(wireName("home.example.net"))).toBe(true);
+      expect(
+        message.includes(
+          Buffer.from([0, 1, 0, 1, 0, 0, 1, 0x2c, 0, 4, 8, 8, 4, 4])
+        )
+      ).toBe(true);
+      expect(verifyTsig(message, "nimbus-key")).toBe(true);
+    });
+
+    it("should keep the record's TTL when none is configured", async () => {
+      await provider().updateDNSRecord(
+        "example.net",
+        "home.example.net/A",
+        "home",
+        "8.8.4.4"
+      );
+
+      expect(
+        received[0].includes(
+          Buffer.from([0, 1, 0, 1, 0, 0, 0, 60, 0, 4, 8, 8, 4, 4])
+        )
+      ).toBe(true);
+    });
+
+    it("should use the default TTL for a record that does not exist yet", async () => {
+      records = {};
+
+      await provider().updateDNSRecord(
+        "example.net",
+        "home.example.net/A",
+        "home",
+        "8.8.4.4"
+      );
+
+      expect(
+        received[0].includes(
+          Buffer.from([0, 1, 0, 1, 0, 0, 0x07, 0x08, 0, 4, 8, 8, 4, 4])
+        )
+      ).toBe(true);
+    });
+
+    it("should encode IPv6 addresses for AAAA records", async () => {
+      await provider().updateDNSRecord(
+        "example.net",
+        "home.example.net/AAAA",
+        "home",
+        "2606:4700::1111",
+        "AAAA"
+      );
+
+      const rdata = Buffer.from("26064700000000000000000000001111", "hex");
+      expect(received[0].includes(rdata)).toBe(true);
+    });
+
+    it("should replace one TXT record of the set when the old content is given", async () => {
+      const txt = (content, rrclass, ttl) =>
+        Buffer.concat([
+          Buffer.from([0, 16, 0, rrclass]),
+          Buffer.from([0, 0, ttl >> 8, ttl & 0xff]),
+          Buffer.from([0, content.length + 1, content.length]),
+          Buffer.from(content),
+        ]);
+
+      await provider().updateDNSRecord(
+        "example.net",
+        "example.net/TXT",
+        "@",
+        "v=spf1 ip4:8.8.4.4 -all",
+        "TXT",
+        { ttl: "auto", replaces: '"v=spf1 ip4:8.8.8.8 -all"' }
+      );
+
+      const [message] = received;
+      expect(message.includes(txt("v=spf1 ip4:8.8.8.8 -all", 254, 0))).toBe(
+        true
+      );
+      expect(message.includes(txt("v=spf1 ip4:8.8.4.4 -all", 1, 1800))).toBe(
+        true
+      );
+    });
+
+    it("should send unsigned updates when no key is configured", async () => {
+      await provider({ keyName: undefined }).updateDNSRecord(
+        "example.net",
+        "home.example.net/A",
+        "home",
+        "8.8.4.4"
+      );
+
+      expect(received[0].readUInt16BE(10)).toBe(0);
+    });
+
+    it("should throw an error if the server rejects the update", async () => {
+      nextRcode = 9;
+
+      await expect(
+        provider().updateDNSRecord(
+          "example.net",
+          "home.example.net/A",
+          "home",
+          "8.8.4.4"
+        )
+      ).rejects.toThrow("DNS update for example.net was rejected: NOTAUTH");
+    });
+  });
+
+  describe("createDNSRecord", () => {
+    it("should publish the record and return its ID", async () => {
+      const response = await provider().createDNSRecord(
+        "example.net",
+        "new",
+        "8.8.4.4"
+      );
+
+      expect(response.result.id).toBe("new.example.net/A");
+      expect(received).toHaveLength(1);
+    });
+  });
+
+  describe("deleteDNSRecord", () => {
+    it("should delete the record set", async () => {
+      await provider().deleteDNSRecord("example.net", "home.example.net/A");
+
+      expect([...received[0].subarray(8, 10)]).toEqual([0, 1]);
+      expect(verifyTsig(received[0], "nimbus-key")).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,258 @@
+const {
+  loadRecords,
+  recordFqdn,
+  recordKey,
+  recordSettings,
+} = require("../lib/records");
+
+describe("records", () => {
+  describe("loadRecords", () => {
+    it("should normalize records from the config file", () => {
+      const config = {
+        records: [
+          { zone: "example.com", name: "home", type: "aaaa", ttl: 300 },
+          { zone: "example.org", name: "office", proxied: true },
+        ],
+      };
+
+      const records = loadRecords(config, {});
+
+      expect(records).toEqual([
+        {
+          zone: "example.com",
+          name: "home",
+          type: "AAAA",
+          family: 6,
+          spf: false,
+          ttl: 300,
+          provider: "cloudflare",
+        },
+        {
+          zone: "example.org",
+          name: "office",
+          type: "A",
+          family: 4,
+          spf: false,
+          proxied: true,
+          provider: "cloudflare",
+        },
+      ]);
+    });
+
+    it("should build records from the environment when none are configured", () => {
+      const env = {
+        DOMAIN_NAME: "example.com",
+        SUBDOMAIN: "home",
+        RECORD_TYPES: "A, AAAA",
+      };
+
+      const records = loadRecords({}, env);
+
+      expect(records.map(recordKey)).toEqual([
+        "A home.example.com",
+        "AAAA home.example.com",
+      ]);
+    });
+
+    it("should throw an error if no records or domain are configured", () => {
+      expect(() => loadRecords({}, {})).toThrow("No records configured");
+    });
+
+    it("should throw an error if records is not an array", () => {
+      expect(() => loadRecords({ records: {} }, {})).toThrow(
+        "records must be an array"
+      );
+    });
+
+    it("should throw an error if a record has no zone", () => {
+      expect(() => loadRecords({ records: [{ name: "home" }] }, {})).toThrow(
+        "records[0].zone must be a non-empty string"
+      );
+    });
+
+    it("should keep the chosen provider", () => {
+      const [record] = loadRecords(
+        { records: [{ zone: "example.net", provider: "bind" }] },
+        {}
+      );
+
+      expect(record.provider).toBe("bind");
+    });
+
+    it("should throw an error if the provider is not a string", () => {
+      expect(() =>
+        loadRecords({ records: [{ zone: "example.com", provider: 1 }] }, {})
+      ).toThrow("records[0].provider must be a non-empty string");
+    });
+
+    it("should throw an error if createMissing is not a boolean", () => {
+      expect(() =>
+        loadRecords(
+          { records: [{ zone: "example.com", createMissing: "yes" }] },
+          {}
+        )
+      ).toThrow("records[0].createMissing must be a boolean");
+    });
+
+    it("should throw an error for an unsupported record type", () => {
+      expect(() =>
+        loadRecords({ records: [{ zone: "example.com", type: "MX" }] }, {})
+      ).toThrow("records[0].type is not supported: MX");
+    });
+
+    it("should accept TXT records for either address family", () => {
+      const [ipv4, spf] = loadRecords(
+        {
+          records: [
+            { zone: "example.com", name: "ip", type: "txt" },
+            { zone: "example.com", type: "TXT", family: 6, spf: true },
+          ],
+        },
+        {}
+      );
+
+      expect(ipv4).toMatchObject({ type: "TXT", family: 4, spf: false });
+      expect(spf).toMatchObject({ type: "TXT", family: 6, spf: true });
+    });
+
+    it("should normalize uplinks and their failover settings", () => {
+      const [record] = loadRecords(
+        {
+          records: [
+            {
+              zone: "example.com",
+              name: "vpn",
+              uplinks: [
+                {
+                  name: "fiber",
+                  address: "203.0.113.10",
+                  check: { type: "tcp", port: 443 },
+                },
+                { source: { type: "interface", interface: "wwan0" } },
+                { address: "198.51.100.7" },
+              ],
+              failover: { mode: "all" },
+            },
+          ],
+        },
+        {}
+      );
+
+      expect(record.uplinks).toEqual([
+        {
+          name: "fiber",
+          address: "203.0.113.10",
+          check: { type: "tcp", port: 443 },
+        },
+        {
+          name: "interface:wwan0",
+          source: { type: "interface", interface: "wwan0" },
+        },
+        { name: "198.51.100.7", address: "198.51.100.7" },
+      ]);
+      expect(record.failover).toEqual({ mode: "all", holdDown: 300 });
+    });
+
+    it.each([
+      [{ ttl: 0 }, 'records[0].ttl must be a positive integer or "auto"'],
+      [
+        { ttl: "automatic" },
+        'records[0].ttl must be a positive integer or "auto"',
+      ],
+      [{ proxied: "yes" }, "records[0].proxied must be a boolean"],
+      [{ comment: 1 }, "records[0].comment must be a string"],
+      [{ tags: ["env:home", 1] }, "records[0].tags must be a list of strings"],
+      [{ family: 6 }, "records[0].family is only supported for TXT records"],
+      [{ spf: true }, "records[0].spf is only supported for TXT records"],
+      [
+        { type: "TXT", proxied: true },
+        "records[0].proxied is not supported for TXT records",
+      ],
+      [{ type: "TXT", family: 5 }, "records[0].family must be 4 or 6"],
+      [
+        { type: "TXT", spf: true, createMissing: true },
+        "records[0].createMissing is not supported for SPF records, which must already exist",
+      ],
+      [
+        { type: "TXT", uplinks: [{ address: "203.0.113.10" }] },
+        "records[0].uplinks is only supported for A and AAAA records",
+      ],
+      [{ uplinks: [] }, "records[0].uplinks must be a non-empty list"],
+      [
+        { uplinks: [{ name: "fiber" }] },
+        "records[0].uplinks[0] must set either address or source",
+      ],
+      [
+        { type: "AAAA", uplinks: [{ address: "203.0.113.10" }] },
+        "records[0].uplinks[0].address must be an IPv6 address",
+      ],
+      [
+        { uplinks: [{ source: { type: "interface" } }] },
+        "records[0].uplinks[0]: Invalid interface IP provider: interface is required",
+      ],
+      [
+        { type: "AAAA", uplinks: [{ source: { type: "upnp" } }] },
+        "records[0].uplinks[0].source only reports IPv4 addresses",
+      ],
+      [
+        { uplinks: [{ address: "203.0.113.10", check: { type: "ping" } }] },
+        "records[0].uplinks[0]: Unknown health check type: ping",
+      ],
+      [
+        {
+          uplinks: [
+            { name: "wan", address: "203.0.113.10" },
+            { name: "wan", address: "198.51.100.7" },
+          ],
+        },
+        "records[0].uplinks has more than one uplink named wan",
+      ],
+      [{ failover: { mode: "all" } }, "records[0].failover requires uplinks"],
+      [
+        {
+          uplinks: [{ address: "203.0.113.10" }],
+          failover: { mode: "random" },
+        },
+        "records[0].failover.mode must be one of: priority, all",
+      ],
+      [
+        { uplinks: [{ address: "203.0.113.10" }], failover: { holdDown: -1 } },
+        "records[0].failover.holdDown must be a non-negative number of seconds",
+      ],
+    ])("should reject invalid settings %j", (settings, message) => {
+      expect(() =>
+        loadRecords({ records: [{ zone: "example.com", ...settings }] }, {})
+      ).toThrow(message);
+    });
+  });
+
+  describe("recordSettings", () => {
+    it("should only include the configured settings", () => {
+      const [record] = loadRecords(
+        {
+          records: [{ zone: "example.com", ttl: "auto", tags: ["env:home"] }],
+        },
+        {}
+      );
+
+      expect(recordSettings(record)).toEqual({
+        ttl: "auto",
+        tags: ["env:home"],
+      });
+    });
+  });
+
+  describe("recordFqdn", () => {
+    it("should join the record name and zone", () => {
+      expect(recordFqdn({ zone: "example.com", name: "home" })).toBe(
+        "home.example.com"
+      );
+    });
+
+    it("should use the zone name for the apex", () => {
+      expect(recordFqdn({ zone: "example.com", name: "@" })).toBe(
+        "example.com"
+      );
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const { backoffDelay, withRetry } = require("../lib/retry");
+
+describe("backoffDelay", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should double the delay ceiling with each attempt", () => {
+    jest.spyOn(Math, "random").mockReturnValue(0.999);
+    const options = { minDelay: 100, maxDelay: 10000 };
+
+    expect(backoffDelay(1, options)).toBe(99);
+    expect(backoffDelay(2, options)).toBe(199);
+    expect(backoffDelay(4, options)).toBe(799);
+  });
+
+  it("should not exceed the maximum delay", () => {
+    jest.spyOn(Math, "random").mockReturnValue(0.999);
+
+    expect(backoffDelay(20, { minDelay: 100, maxDelay: 1000 })).toBe(999);
+  });
+});
+
+describe("withRetry", () => {
+  const transient = Object.assign(new Error("Temporary failure"), {
+    retryable: true,
+  });
+  const options = {
+    minDelay: 1,
+    isRetryable: (error) => error.retryable === true,
+  };
+
+  it("should return the result of the operation", async () => {
+    const operation = jest.fn().mockResolvedValue("ok");
+
+    await expect(withRetry(operation, options)).resolves.toBe("ok");
+    expect(operation).toHaveBeenCalledWith(0);
+  });
+
+  it("should retry retryable errors", async () => {
+    const onRetry = jest.fn();
+    const operation = jest
+      .fn()
+      .mockRejectedValueOnce(transient)
+      .mockRejectedValueOnce(transient)
+      .mockResolvedValueOnce("ok");
+
+    await expect(withRetry(operation, { ...options, onRetry })).resolves.toBe(
+      "ok"
+    );
+    expect(operation).toHaveBeenCalledTimes(3);
+    expect(onRetry).toHaveBeenCalledWith(transient, 1, expect.any(Number));
+    expect(onRetry).toHaveBeenCalledWith(transient, 2, expect.any(Number));
+  });
+
+  it("should throw fatal errors immediately", async () => {
+    const operation = jest.fn().mockRejectedValue(new Error("Fatal"));
+
+    await expect(withRetry(operation, options)).rejects.toThrow("Fatal");
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  it("should throw the last error once the retries are used up", async () => {
+    const operation = jest.fn().mockRejectedValue(transient);
+
+    await expect(withRetry(operation, { ...options, retries: 2 })).rejects.toBe(
+      transient
+    );
+    expect(operation).toHaveBeenCalledTimes(3);
+  });
+
+  it("should wait at least as long as the error asks", async () => {
+    const onRetry = jest.fn();
+    const operation = jest
+      .fn()
+      .mockRejectedValueOnce(transient)
+      .mockResolvedValueOnce("ok");
+
+    await withRetry(operation, { ...options, retryAfter: () => 20, onRetry });
+
+    expect(onRetry.mock.calls[0][2]).toBeGreaterThanOrEqual(20);
+  });
+
+  it("should not wait longer than the maximum delay", async () => {
+    const operation = jest.fn().mockRejectedValue(transient);
+
+    await expect(
+      withRetry(operation, {
+        ...options,
+        maxDelay: 1000,
+        retryAfter: () => 60000,
+      })
+    ).rejects.toBe(transient);
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+});
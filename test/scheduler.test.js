@@ -0,0 +1,116 @@
+const Scheduler = require("../lib/scheduler");
+
+describe("Scheduler", () => {
+  const logger = { error: jest.fn(), debug: jest.fn() };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  describe("constructor", () => {
+    it("should throw an error if the interval is not positive", () => {
+      expect(() => new Scheduler(jest.fn(), { interval: 0 }, logger)).toThrow(
+        "Scheduler interval must be a positive number"
+      );
+    });
+
+    it("should throw an error if the jitter is negative", () => {
+      expect(
+        () => new Scheduler(jest.fn(), { interval: 1000, jitter: -1 }, logger)
+      ).toThrow("Scheduler jitter must be a non-negative number");
+    });
+  });
+
+  describe("start", () => {
+    it("should run the task immediately and then on every interval", async () => {
+      const task = jest.fn().mockResolvedValue();
+      const scheduler = new Scheduler(task, { interval: 1000 }, logger);
+
+      scheduler.start();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(task).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(task).toHaveBeenCalledTimes(2);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(task).toHaveBeenCalledTimes(3);
+
+      await scheduler.stop();
+    });
+
+    it("should add a random jitter to the interval", async () => {
+      jest.spyOn(Math, "random").mockReturnValue(0.5);
+      const task = jest.fn().mockResolvedValue();
+      const scheduler = new Scheduler(
+        task,
+        { interval: 1000, jitter: 400 },
+        logger
+      );
+
+      scheduler.start();
+      await jest.advanceTimersByTimeAsync(1199);
+      expect(task).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(task).toHaveBeenCalledTimes(2);
+
+      await scheduler.stop();
+    });
+
+    it("should log task errors and keep running", async () => {
+      const task = jest
+        .fn()
+        .mockRejectedValueOnce(new Error("Boom"))
+        .mockResolvedValue();
+      const scheduler = new Scheduler(task, { interval: 1000 }, logger);
+
+      scheduler.start();
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(logger.error).toHaveBeenCalledWith("Scheduled run failed: Boom");
+      expect(task).toHaveBeenCalledTimes(2);
+
+      await scheduler.stop();
+    });
+  });
+
+  describe("stop", () => {
+    it("should wait for the current run and not schedule another", async () => {
+      let finishRun;
+      const task = jest.fn(
+        () =>
+          new Promise((resolve) => {
+            finishRun = resolve;
+          })
+      );
+      const scheduler = new Scheduler(task, { interval: 1000 }, logger);
+      const done = jest.fn();
+
+      scheduler.start().then(done);
+      await jest.advanceTimersByTimeAsync(0);
+      const stopped = scheduler.stop();
+      await jest.advanceTimersByTimeAsync(0);
+      expect(done).not.toHaveBeenCalled();
+
+      finishRun();
+      await stopped;
+      await jest.advanceTimersByTimeAsync(5000);
+
+      expect(done).toHaveBeenCalled();
+      expect(task).toHaveBeenCalledTimes(1);
+    });
+
+    it("should resolve immediately if the scheduler was never started", async () => {
+      const scheduler = new Scheduler(jest.fn(), { interval: 1000 }, logger);
+
+      await expect(scheduler.stop()).resolves.toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const { validate } = require("../lib/schema");
+
+describe("validate", () => {
+  const schema = {
+    type: "object",
+    required: ["zone"],
+    additionalProperties: false,
+    properties: {
+      zone: { type: "string", minLength: 1 },
+      type: { type: "string", enum: ["A", "AAAA"], ignoreCase: true },
+      ttl: { type: "integer", minimum: 1, maximum: 86400 },
+      weight: { type: "number" },
+      tags: { type: "array", minItems: 1, items: { type: "string" } },
+      labels: { type: "object", additionalProperties: { type: "string" } },
+    },
+  };
+
+  it("should accept a matching value", () => {
+    expect(
+      validate(
+        {
+          zone: "example.com",
+          type: "aaaa",
+          ttl: 300,
+          weight: 0.5,
+          tags: ["home"],
+          labels: { site: "lab" },
+        },
+        schema
+      )
+    ).toEqual([]);
+  });
+
+  it("should name the path of each problem", () => {
+    expect(
+      validate(
+        {
+          type: "MX",
+          ttl: 0,
+          tags: ["home", 2],
+          labels: { site: false },
+        },
+        schema,
+        "records[0]"
+      )
+    ).toEqual([
+      "records[0].zone is required",
+      'records[0].type must be one of "A", "AAAA", not "MX"',
+      "records[0].ttl must be at least 1",
+      "records[0].tags[1] must be a string, not integer",
+      "records[0].labels.site must be a string, not boolean",
+    ]);
+  });
+
+  it("should check types, bounds and lengths", () => {
+    expect(validate("300", { type: "integer" }, "ttl")).toEqual([
+      "ttl must be an integer, not string",
+    ]);
+    expect(validate(1.5, { type: ["integer", "boolean"] }, "ttl")).toEqual([
+      "ttl must be an integer or a boolean, not number",
+    ]);
+    expect(validate(90000, schema.properties.ttl, "ttl")).toEqual([
+      "ttl must be at most 86400",
+    ]);
+    expect(validate("", schema.properties.zone, "zone")).toEqual([
+      "zone must not be empty",
+    ]);
+    expect(validate([], schema.properties.tags, "tags")).toEqual([
+      "tags must have at least 1 item(s)",
+    ]);
+  });
+
+  it("should suggest the closest known setting for unknown ones", () => {
+    expect(
+      validate({ zone: "example.com", tll: 300, colour: 1 }, schema)
+    ).toEqual([
+      'tll is not a known setting (did you mean "ttl"?)',
+      "colour is not a known setting",
+    ]);
+  });
+});
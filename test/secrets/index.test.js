@@ -0,0 +1,156 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ConfigError } = require("../../lib/errors");
+const {
+  Keystore,
+  isSecretVariable,
+  resolveSecrets,
+} = require("../../lib/secrets");
+
+describe("resolveSecrets", () => {
+  let dir;
+
+  const secretFile = (name, contents) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+  };
+  const problemsOf = (promise) =>
+    promise.then(
+      () => [],
+      (error) => {
+        expect(error).toBeInstanceOf(ConfigError);
+        return error.problems;
+      }
+    );
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "nimbus-ddns-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should only read credentials from files and commands", () => {
+    expect(
+      [
+        "API_TOKEN",
+        "API_KEY",
+        "EMAIL",
+        "SMTP_PASSWORD",
+        "SSL_CERT",
+        "PROMPT",
+      ].map(isSecretVariable)
+    ).toEqual([true, true, true, true, false, false]);
+  });
+
+  it("should read a secret from a file without its trailing line break", async () => {
+    const env = {
+      API_TOKEN_FILE: secretFile("token", "cf-token-123\n"),
+      SSL_CERT_FILE: "/etc/ssl/cert.pem",
+      LOG_LEVEL: "debug",
+    };
+
+    const { env: resolved, secrets } = await resolveSecrets(env);
+
+    expect(resolved).toEqual({ ...env, API_TOKEN: "cf-token-123" });
+    expect(resolved).not.toHaveProperty("SSL_CERT");
+    expect(secrets).toEqual(["cf-token-123"]);
+    expect(env).not.toHaveProperty("API_TOKEN");
+  });
+
+  it("should read a secret from a command's output", async () => {
+    const { env } = await resolveSecrets({
+      API_KEY_COMMAND: "printf 'global-key\\n'",
+      EMAIL_COMMAND: 'echo "$USER_NAME@example.com"',
+      USER_NAME: "admin",
+    });
+
+    expect(env.API_KEY).toBe("global-key");
+    expect(env.EMAIL).toBe("admin@example.com");
+  });
+
+  it("should run commands with the secrets read from files", async () => {
+    const { env } = await resolveSecrets({
+      GPG_PASSPHRASE_FILE: secretFile("passphrase", "hunter22"),
+      API_TOKEN_COMMAND: 'echo "token-for-$GPG_PASSPHRASE"',
+    });
+
+    expect(env.API_TOKEN).toBe("token-for-hunter22");
+  });
+
+  it("should report every secret that cannot be read", async () => {
+    const problems = await problemsOf(
+      resolveSecrets({
+        API_TOKEN: "inline",
+        API_TOKEN_FILE: "/run/secrets/token",
+        API_KEY_FILE: path.join(dir, "missing"),
+        EMAIL_COMMAND: "echo 'not logged in' >&2; exit 1",
+        SMTP_PASSWORD_COMMAND: "true",
+      })
+    );
+
+    expect(problems).toEqual([
+      "Set only one of API_TOKEN, API_TOKEN_FILE",
+      `API_KEY_FILE: cannot read ${path.join(dir, "missing")} (ENOENT)`,
+      "EMAIL_COMMAND failed: not logged in",
+      "SMTP_PASSWORD_COMMAND failed: printed nothing",
+    ]);
+  });
+
+  describe("keystore", () => {
+    let keystorePath;
+
+    beforeEach(async () => {
+      keystorePath = path.join(dir, "ddns-secrets.json");
+      const keystore = new Keystore(keystorePath, "correct horse");
+      keystore.set("API_TOKEN", "stored-token");
+      keystore.set("SMTP_PASSWORD", "stored-password");
+      await keystore.save();
+    });
+
+    it("should fill in the variables that are not set", async () => {
+      const { env, secrets } = await resolveSecrets({
+        SECRETS_KEYSTORE: keystorePath,
+        SECRETS_PASSPHRASE_FILE: secretFile("passphrase", "correct horse\n"),
+        SMTP_PASSWORD: "from-env",
+      });
+
+      expect(env.API_TOKEN).toBe("stored-token");
+      expect(env.SMTP_PASSWORD).toBe("from-env");
+      expect(secrets).toEqual(["correct horse", "stored-token"]);
+    });
+
+    it("should fail without the passphrase or with a wrong one", async () => {
+      expect(
+        await problemsOf(resolveSecrets({ SECRETS_KEYSTORE: keystorePath }))
+      ).toEqual(["SECRETS_KEYSTORE needs SECRETS_PASSPHRASE"]);
+      expect(
+        await problemsOf(
+          resolveSecrets({
+            SECRETS_KEYSTORE: keystorePath,
+            SECRETS_PASSPHRASE: "wrong",
+          })
+        )
+      ).toEqual([
+        `Cannot unlock the keystore ${keystorePath}: wrong passphrase or damaged file`,
+      ]);
+    });
+
+    it("should fail when the keystore does not exist unless it is skipped", async () => {
+      const env = {
+        SECRETS_KEYSTORE: path.join(dir, "other.json"),
+        SECRETS_PASSPHRASE: "correct horse",
+      };
+
+      expect(await problemsOf(resolveSecrets(env))).toEqual([
+        `Keystore ${env.SECRETS_KEYSTORE} not found`,
+      ]);
+      await expect(
+        resolveSecrets(env, { keystore: false })
+      ).resolves.toMatchObject({ env });
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Keystore = require("../../lib/secrets/keystore");
+
+describe("Keystore", () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "nimbus-ddns-"));
+    filePath = path.join(dir, "ddns-secrets.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("should throw an error without a passphrase", () => {
+    expect(() => new Keystore(filePath, "")).toThrow(
+      `A passphrase is required to open the keystore ${filePath}`
+    );
+  });
+
+  it("should start empty when the file does not exist", async () => {
+    const keystore = new Keystore(filePath, "correct horse");
+
+    await expect(keystore.load()).resolves.toBe(false);
+    expect(keystore.names()).toEqual([]);
+  });
+
+  it("should encrypt the secrets and read them back", async () => {
+    const keystore = new Keystore(filePath, "correct horse");
+    keystore.set("API_TOKEN", "cf-token-123");
+    keystore.set("EMAIL", "admin@example.com");
+    await keystore.save();
+
+    const contents = fs.readFileSync(filePath, "utf8");
+    expect(contents).not.toContain("cf-token-123");
+    expect(JSON.parse(contents)).toMatchObject({
+      version: 1,
+      kdf: { name: "scrypt" },
+      cipher: "aes-256-gcm",
+    });
+    expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+
+    const reopened = new Keystore(filePath, "correct horse");
+    await expect(reopened.load()).resolves.toBe(true);
+    expect(reopened.names()).toEqual(["API_TOKEN", "EMAIL"]);
+    expect(reopened.get("API_TOKEN")).toBe("cf-token-123");
+    expect(reopened.get("constructor")).toBeUndefined();
+  });
+
+  it("should refuse a wrong passphrase or a damaged file", async () => {
+    const keystore = new Keystore(filePath, "correct horse");
+    keystore.set("API_TOKEN", "cf-token-123");
+    await keystore.save();
+
+    await expect(new Keystore(filePath, "wrong").load()).rejects.toThrow(
+      `Cannot unlock the keystore ${filePath}: wrong passphrase or damaged file`
+    );
+    fs.writeFileSync(filePath, "API_TOKEN=cf-token-123");
+    await expect(
+      new Keystore(filePath, "correct horse").load()
+    ).rejects.toThrow(`${filePath} is not a keystore`);
+  });
+
+  it("should remove secrets", async () => {
+    const keystore = new Keystore(filePath, "correct horse");
+    keystore.set("API_TOKEN", "cf-token-123");
+
+    expect(keystore.delete("API_TOKEN")).toBe(true);
+    expect(keystore.delete("API_TOKEN")).toBe(false);
+    expect(keystore.names()).toEqual([]);
+  });
+});
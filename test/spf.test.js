@@ -0,0 +1,77 @@
+const { isSPFPolicy, rewriteSPF } = require("../lib/spf");
+
+describe("spf", () => {
+  describe("isSPFPolicy", () => {
+    it("should recognize quoted and unquoted policies", () => {
+      expect(isSPFPolicy("v=spf1 -all")).toBe(true);
+      expect(isSPFPolicy('"v=spf1 mx -all"')).toBe(true);
+      expect(isSPFPolicy("google-site-verification=abc")).toBe(false);
+      expect(isSPFPolicy("v=spf10")).toBe(false);
+    });
+  });
+
+  describe("rewriteSPF", () => {
+    it("should replace the only ip4: mechanism, keeping the rest", () => {
+      expect(
+        rewriteSPF(
+          '"v=spf1 mx ~ip4:192.0.2.1 ip4:198.51.100.0/24 -all"',
+          "203.0.113.10",
+          {
+            family: 4,
+          }
+        )
+      ).toBe('"v=spf1 mx ~ip4:203.0.113.10 ip4:198.51.100.0/24 -all"');
+    });
+
+    it("should replace the mechanism holding the previous address", () => {
+      expect(
+        rewriteSPF("v=spf1 ip4:192.0.2.1 ip4:192.0.2.2 -all", "203.0.113.10", {
+          family: 4,
+          previousIP: "192.0.2.2",
+        })
+      ).toBe("v=spf1 ip4:192.0.2.1 ip4:203.0.113.10 -all");
+    });
+
+    it("should only touch mechanisms of the address family", () => {
+      expect(
+        rewriteSPF(
+          "v=spf1 ip4:192.0.2.1 ip6:2001:db8::1 -all",
+          "2001:db8::10",
+          {
+            family: 6,
+          }
+        )
+      ).toBe("v=spf1 ip4:192.0.2.1 ip6:2001:db8::10 -all");
+    });
+
+    it("should add a mechanism when there is none", () => {
+      expect(
+        rewriteSPF('"v=spf1 include:_spf.example.net -all"', "203.0.113.10", {
+          family: 4,
+        })
+      ).toBe('"v=spf1 ip4:203.0.113.10 include:_spf.example.net -all"');
+    });
+
+    it("should leave a policy that already lists the address", () => {
+      const policy = "v=spf1 ip4:192.0.2.1 ip4:203.0.113.10 -all";
+
+      expect(rewriteSPF(policy, "203.0.113.10", { family: 4 })).toBe(policy);
+    });
+
+    it("should refuse to guess between several mechanisms", () => {
+      expect(() =>
+        rewriteSPF("v=spf1 ip4:192.0.2.1 ip4:192.0.2.2 -all", "203.0.113.10", {
+          family: 4,
+        })
+      ).toThrow(
+        "Cannot tell which ip4: mechanism to update in SPF policy: v=spf1 ip4:192.0.2.1 ip4:192.0.2.2 -all"
+      );
+    });
+
+    it("should refuse content that is not an SPF policy", () => {
+      expect(() => rewriteSPF("hello", "203.0.113.10", { family: 4 })).toThrow(
+        "TXT record is not an SPF policy: hello"
+      );
+    });
+  });
+});
@@ -0,0 +1,335 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const StateStore = require("../lib/state");
+const { ConfigError } = require("../lib/errors");
+
+describe("StateStore", () => {
+  const logger = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  };
+  let dir;
+  let statePath;
+
+  const store = (options) => new StateStore(statePath, logger, options);
+  const readState = () => JSON.parse(fs.readFileSync(statePath, "utf8"));
+  const writeLock = (owner) =>
+    fs.writeFileSync(`${statePath}.lock`, JSON.stringify(owner));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "nimbus-state-"));
+    statePath = path.join(dir, "ddns-state.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  it("should throw an error if logger is not provided", () => {
+    expect(() => new StateStore(statePath)).toThrow(
+      "Logger was not provided to StateStore instance"
+    );
+  });
+
+  describe("open", () => {
+    it("should read the state file", async () => {
+      fs.writeFileSync(
+        statePath,
+        JSON.stringify({ zoneIds: { "example.com": "zone123" } })
+      );
+
+      const state = await store().open({ readOnly: true });
+
+      expect(state.getEntry("zoneIds", "example.com")).toBe("zone123");
+    });
+
+    it("should start from the seed until the state file exists", async () => {
+      const state = await store().open({
+        seed: { zoneIds: { "example.com": "zone123" } },
+      });
+      await state.close();
+
+      expect(state.get("zoneIds")).toEqual({ "example.com": "zone123" });
+      expect(fs.existsSync(statePath)).toBe(false);
+    });
+
+    it("should ignore the seed once the state file exists", async () => {
+      fs.writeFileSync(statePath, "{}");
+
+      const state = await store().open({
+        readOnly: true,
+        seed: { zoneIds: { "example.com": "stale" } },
+      });
+
+      expect(state.get("zoneIds")).toBeUndefined();
+    });
+
+    it("should name the format in syntax errors and release the lock", async () => {
+      fs.writeFileSync(statePath, "{");
+
+      await expect(store().open()).rejects.toThrow(ConfigError);
+      await expect(store().open()).rejects.toThrow(
+        /^State file .*ddns-state.json is not valid JSON: /
+      );
+      expect(fs.existsSync(`${statePath}.lock`)).toBe(false);
+    });
+  });
+
+  describe("lock", () => {
+    it("should hold the lock until the store is closed", async () => {
+      const state = await store().open();
+
+      expect(JSON.parse(fs.readFileSync(`${statePath}.lock`, "utf8"))).toEqual({
+        pid: process.pid,
+        host: os.hostname(),
+        since: expect.any(String),
+      });
+
+      await state.close();
+      expect(fs.existsSync(`${statePath}.lock`)).toBe(false);
+    });
+
+    it("should not take the lock when read-only", async () => {
+      writeLock({ pid: process.ppid, host: os.hostname() });
+
+      await expect(store().open({ readOnly: true })).resolves.toBeDefined();
+    });
+
+    it("should fail when another running process holds the lock", async () => {
+      writeLock({ pid: process.ppid, host: os.hostname() });
+
+      await expect(store({ lockTimeout: 150 }).open()).rejects.toThrow(
+        `State file ${statePath} is in use by process ${process.ppid} on ${os.hostname()}`
+      );
+    });
+
+    it("should wait for the lock to be released", async () => {
+      writeLock({ pid: process.ppid, host: os.hostname() });
+      setTimeout(() => fs.rmSync(`${statePath}.lock`), 150);
+
+      const state = await store({ lockTimeout: 2000 }).open();
+
+      expect(state.locked).toBe(true);
+      await state.close();
+    });
+
+    it("should take over locks left by processes that are not running", async () => {
+      const child = require("child_process").spawnSync(process.execPath, [
+        "-e",
+        "process.stdout.write(String(process.pid))",
+      ]);
+      writeLock({ pid: Number(child.stdout), host: os.hostname() });
+
+      const state = await store({ lockTimeout: 0 }).open();
+
+      expect(state.locked).toBe(true);
+      expect(logger.warn).toHaveBeenCalledWith(
+        expect.stringMatching(/^Removing stale lock .* left by process \d+$/)
+      );
+      await state.close();
+    });
+
+    it("should treat a lock that is still being written as held", async () => {
+      fs.writeFileSync(`${statePath}.lock`, "");
+
+      await expect(store({ lockTimeout: 150 }).open()).rejects.toThrow(
+        `State file ${statePath} is in use by another process`
+      );
+      expect(fs.existsSync(`${statePath}.lock`)).toBe(true);
+    });
+
+    it("should take over an unreadable lock once the grace period has passed", async () => {
+      fs.writeFileSync(`${statePath}.lock`, "");
+      const past = new Date(Date.now() - 60000);
+      fs.utimesSync(`${statePath}.lock`, past, past);
+
+      const state = await store({ lockTimeout: 0 }).open();
+
+      expect(state.locked).toBe(true);
+      await state.close();
+    });
+
+    it("should take over a lock with its own process ID", async () => {
+      writeLock({ pid: process.pid, host: os.hostname() });
+
+      const state = await store({ lockTimeout: 0 }).open();
+
+      expect(state.locked).toBe(true);
+      await state.close();
+    });
+  });
+
+  describe("writes", () => {
+    it("should save each change before resolving", async () => {
+      const state = await store().open();
+
+      await state.setEntry("zoneIds", "example.com", "zone123");
+      expect(readState()).toEqual({ zoneIds: { "example.com": "zone123" } });
+
+      await state.deleteEntry("zoneIds", "example.com");
+      expect(readState()).toEqual({ zoneIds: {} });
+      await state.close();
+    });
+
+    it("should write concurrent changes one after another", async () => {
+      const state = await store().open();
+      const rename = jest.spyOn(fs.promises, "rename");
+
+      await Promise.all(
+        ["a", "b", "c"].map((name) =>
+          state.setEntry("recordIds", `A ${name}.example.com`, name)
+        )
+      );
+      await state.close();
+
+      expect(rename).toHaveBeenCalledTimes(3);
+      expect(Object.keys(readState().recordIds)).toEqual([
+        "A a.example.com",
+        "A b.example.com",
+        "A c.example.com",
+      ]);
+      rename.mockRestore();
+    });
+
+    it("should keep saving after a failed save", async () => {
+      const state = await store().open();
+      jest
+        .spyOn(fs.promises, "rename")
+        .mockRejectedValueOnce(new Error("Disk full"));
+
+      await expect(state.setEntry("zoneIds", "a", "1")).rejects.toThrow(
+        "Disk full"
+      );
+      await state.setEntry("zoneIds", "b", "2");
+      await state.close();
+
+      expect(logger.error).toHaveBeenCalledWith(
+        "Failed to save state: Disk full"
+      );
+      expect(readState().zoneIds).toEqual({ a: "1", b: "2" });
+      fs.promises.rename.mockRestore();
+    });
+
+    it("should refuse changes when read-only", async () => {
+      const state = await store().open({ readOnly: true });
+
+      await expect(state.setEntry("zoneIds", "a", "1")).rejects.toThrow(
+        `State file ${statePath} was opened read-only`
+      );
+      expect(fs.existsSync(statePath)).toBe(false);
+    });
+
+    it("should clear whole sections", async () => {
+      fs.writeFileSync(
+        statePath,
+        JSON.stringify({ zoneIds: { a: "1" }, lastIPs: { b: "2" } })
+      );
+      const state = await store().open();
+
+      await expect(state.clear(["zoneIds", "recordIds"])).resolves.toEqual([
+        "zoneIds",
+      ]);
+      await state.close();
+
+      expect(readState()).toEqual({ lastIPs: { b: "2" } });
+    });
+
+    it("should keep the state file's format", async () => {
+      statePath = path.join(dir, "state.yaml");
+      fs.writeFileSync(statePath, "# cached by ddns\nzoneIds: {}\n");
+      const state = await store().open();
+
+      await state.setEntry("zoneIds", "example.com", "zone123");
+      await state.close();
+
+      expect(fs.readFileSync(statePath, "utf8")).toBe(
+        "# cached by ddns\nzoneIds:\n  example.com: zone123\n"
+      );
+    });
+  });
+
+  describe("history", () => {
+    it("should record the published IP and the change", async () => {
+      const state = await store().open();
+
+      await state.recordChange("A home.example.com", {
+        ip: "1.2.3.4",
+        status: "created",
+      });
+      await state.recordChange("A home.example.com", {
+        ip: "5.6.7.8",
+        previousIP: "1.2.3.4",
+        status: "updated",
+      });
+      await state.close();
+
+      expect(readState()).toEqual({
+        lastIPs: { "A home.example.com": "5.6.7.8" },
+        history: [
+          {
+            at: expect.any(String),
+            record: "A home.example.com",
+            ip: "1.2.3.4",
+            status: "created",
+          },
+          {
+            at: expect.any(String),
+            record: "A home.example.com",
+            previousIP: "1.2.3.4",
+            ip: "5.6.7.8",
+            status: "updated",
+          },
+        ],
+      });
+    });
+
+    it("should keep only the most recent changes", async () => {
+      const state = await store({ historyLimit: 2 }).open();
+
+      for (const ip of ["1.1.1.1", "2.2.2.2", "3.3.3.3"]) {
+        await state.recordChange("A home.example.com", {
+          ip,
+          status: "updated",
+        });
+      }
+      await state.close();
+
+      expect(readState().history.map((entry) => entry.ip)).toEqual([
+        "2.2.2.2",
+        "3.3.3.3",
+      ]);
+    });
+
+    it("should return the changes newest first, by record key or name", async () => {
+      fs.writeFileSync(
+        statePath,
+        JSON.stringify({
+          history: [
+            { record: "A home.example.com", ip: "1.1.1.1" },
+            { record: "AAAA home.example.com", ip: "::1" },
+            { record: "A www.example.com", ip: "2.2.2.2" },
+            { record: "A home.example.com", ip: "3.3.3.3" },
+          ],
+        })
+      );
+      const state = await store().open({ readOnly: true });
+      const ips = (filter) => state.getHistory(filter).map(({ ip }) => ip);
+
+      expect(ips()).toEqual(["3.3.3.3", "2.2.2.2", "::1", "1.1.1.1"]);
+      expect(ips({ limit: 2 })).toEqual(["3.3.3.3", "2.2.2.2"]);
+      expect(ips({ record: "A home.example.com" })).toEqual([
+        "3.3.3.3",
+        "1.1.1.1",
+      ]);
+      expect(ips({ record: "home.example.com" })).toEqual([
+        "3.3.3.3",
+        "::1",
+        "1.1.1.1",
+      ]);
+    });
+  });
+});
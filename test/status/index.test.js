@@ -0,0 +1,168 @@
+const axios = require("axios");
+const net = require("net");
+const StatusServer = require("../../lib/status");
+
+describe("StatusServer", () => {
+  const logger = { info: jest.fn() };
+  const state = {
+    get: jest.fn((key) =>
+      key === "zoneIds" ? { "example.com": "zone123" } : undefined
+    ),
+  };
+  const record = { zone: "example.com", name: "home", type: "A", family: 4 };
+  let status;
+
+  const get = (path) =>
+    axios.get(`${status.url}${path}`, { validateStatus: () => true });
+
+  beforeEach(async () => {
+    status = new StatusServer({ state, failureThreshold: 2 }, logger);
+    await status.listen(0);
+  });
+
+  afterEach(async () => {
+    await status.close();
+    jest.clearAllMocks();
+  });
+
+  it("should throw an error if logger is not provided", () => {
+    expect(() => new StatusServer({ state })).toThrow(
+      "Logger was not provided to StatusServer instance"
+    );
+  });
+
+  it("should throw an error if the failure threshold is invalid", () => {
+    expect(
+      () => new StatusServer({ state, failureThreshold: 0 }, logger)
+    ).toThrow("Health failure threshold must be a positive integer");
+  });
+
+  describe("/healthz", () => {
+    it("should be healthy until the failure threshold is reached", async () => {
+      const failed = { record, status: "failed", error: new Error("Boom") };
+
+      expect((await get("/healthz")).status).toBe(200);
+
+      status.recordRun([failed]);
+      expect((await get("/healthz")).status).toBe(200);
+
+      status.recordError(new Error("Invalid config"));
+      const unhealthy = await get("/healthz");
+      expect(unhealthy.status).toBe(503);
+      expect(unhealthy.data).toEqual({
+        status: "unhealthy",
+        consecutiveFailures: 2,
+        failureThreshold: 2,
+        lastError: "Invalid config",
+      });
+
+      status.recordRun([{ record, status: "unchanged", ip: "1.2.3.4" }]);
+      expect((await get("/healthz")).status).toBe(200);
+    });
+  });
+
+  describe("/status", () => {
+    it("should report the current IPs, record results and cached IDs", async () => {
+      status.recordRun([
+        { record, status: "updated", ip: "1.2.3.4" },
+        {
+          record: { ...record, type: "AAAA", family: 6 },
+          status: "failed",
+          error: new Error("Boom"),
+        },
+      ]);
+
+      const { data } = await get("/status");
+
+      expect(data).toMatchObject({
+        healthy: true,
+        consecutiveFailures: 1,
+        lastError: "Boom",
+        lastSuccess: null,
+        publicIPs: { ipv4: "1.2.3.4" },
+        records: {
+          "A home.example.com": {
+            status: "updated",
+            ip: "1.2.3.4",
+            updatedAt: expect.any(String),
+          },
+          "AAAA home.example.com": { status: "failed", error: "Boom" },
+        },
+        cache: { zoneIds: { "example.com": "zone123" }, recordIds: {} },
+      });
+    });
+
+    it("should keep the last update time of unchanged records", async () => {
+      status.recordRun([{ record, status: "updated", ip: "1.2.3.4" }]);
+      const { updatedAt } = status.records["A home.example.com"];
+
+      status.recordRun([{ record, status: "unchanged", ip: "1.2.3.4" }]);
+
+      expect(status.records["A home.example.com"]).toMatchObject({
+        status: "unchanged",
+        updatedAt,
+      });
+    });
+  });
+
+  describe("/metrics", () => {
+    it("should expose check, update, failure and latency metrics", async () => {
+      status.recordRun([
+        { record, status: "created", ip: "1.2.3.4" },
+        {
+          record: { ...record, type: "AAAA", family: 6 },
+          status: "failed",
+          error: new Error("Boom"),
+        },
+      ]);
+      status.observeRequest({ method: "PUT", status: 200, duration: 120 });
+
+      const response = await get("/metrics");
+
+      expect(response.headers["content-type"]).toMatch(/^text\/plain/);
+      expect(response.data).toContain(
+        'nimbus_ddns_checks_total{result="failure"} 1'
+      );
+      expect(response.data).toContain(
+        'nimbus_ddns_updates_total{record="A home.example.com",status="created"} 1'
+      );
+      expect(response.data).toContain(
+        'nimbus_ddns_failures_total{record="AAAA home.example.com"} 1'
+      );
+      expect(response.data).toContain("nimbus_ddns_consecutive_failures 1");
+      expect(response.data).toContain(
+        'nimbus_ddns_api_request_duration_seconds_bucket{method="PUT",status="200",le="0.25"} 1'
+      );
+    });
+  });
+
+  it("should answer unknown paths with 404", async () => {
+    expect((await get("/nope")).status).toBe(404);
+  });
+
+  it("should answer a malformed request path with 400", async () => {
+    const { port } = status.server.address();
+    const response = await new Promise((resolve, reject) => {
+      let data = "";
+      const socket = net.connect(port, "127.0.0.1", () =>
+        socket.write(
+          "GET // HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n"
+        )
+      );
+      socket.on("data", (chunk) => (data += chunk));
+      socket.on("end", () => resolve(data));
+      socket.on("error", reject);
+    });
+
+    expect(response).toMatch(/^HTTP\/1\.1 400 /);
+    expect((await get("/healthz")).status).toBe(200);
+  });
+
+  it("should reject other methods", async () => {
+    const response = await axios.post(`${status.url}/status`, null, {
+      validateStatus: () => true,
+    });
+
+    expect(response.status).toBe(405);
+  });
+});
@@ -0,0 +1,62 @@
+const {
+  Counter,
+  Gauge,
+  Histogram,
+  MetricsRegistry,
+} = require("../../lib/status/metrics");
+
+describe("MetricsRegistry", () => {
+  it("should render counters and gauges with labels", () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.register(new Counter("checks_total", "Checks."));
+    const gauge = registry.register(new Gauge("failures", "Failures."));
+
+    counter.inc({ result: "success" });
+    counter.inc({ result: "success" }, 2);
+    counter.inc({ result: "failure" });
+    gauge.set({}, 4);
+
+    expect(registry.render()).toBe(
+      [
+        "# HELP checks_total Checks.",
+        "# TYPE checks_total counter",
+        'checks_total{result="success"} 3',
+        'checks_total{result="failure"} 1',
+        "# HELP failures Failures.",
+        "# TYPE failures gauge",
+        "failures 4",
+        "",
+      ].join("\n")
+    );
+  });
+
+  it("should escape label values", () => {
+    const registry = new MetricsRegistry();
+    registry
+      .register(new Counter("errors_total", "Errors."))
+      .inc({ message: 'say "hi"\\\n' });
+
+    expect(registry.render()).toContain(
+      'errors_total{message="say \\"hi\\"\\\\\\n"} 1'
+    );
+  });
+
+  it("should render cumulative histogram buckets", () => {
+    const registry = new MetricsRegistry();
+    const histogram = registry.register(
+      new Histogram("latency_seconds", "Latency.", [0.1, 1])
+    );
+
+    histogram.observe({ method: "GET" }, 0.05);
+    histogram.observe({ method: "GET" }, 0.5);
+    histogram.observe({ method: "GET" }, 2);
+
+    expect(registry.render().split("\n").slice(2, 7)).toEqual([
+      'latency_seconds_bucket{method="GET",le="0.1"} 1',
+      'latency_seconds_bucket{method="GET",le="1"} 2',
+      'latency_seconds_bucket{method="GET",le="+Inf"} 3',
+      'latency_seconds_sum{method="GET"} 2.55',
+      'latency_seconds_count{method="GET"} 3',
+    ]);
+  });
+});
@@ -0,0 +1,58 @@
+const dgram = require("dgram");
+const udpRequest = require("../lib/udp");
+
+describe("udpRequest", () => {
+  let server;
+
+  beforeEach(async () => {
+    server = dgram.createSocket("udp4");
+    server.on("message", (message, remote) =>
+      server.send(Buffer.from(`echo ${message}`), remote.port, remote.address)
+    );
+    await new Promise((resolve) => server.bind(0, "127.0.0.1", resolve));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    server.close();
+  });
+
+  const request = (options) =>
+    udpRequest({
+      message: Buffer.from("ping"),
+      address: "127.0.0.1",
+      port: server.address().port,
+      timeout: 1000,
+      accept: (reply) => reply.toString(),
+      ...options,
+    });
+
+  it("should resolve with the accepted reply", async () => {
+    await expect(request()).resolves.toBe("echo ping");
+  });
+
+  it("should reject when no reply is accepted in time", async () => {
+    const port = server.address().port;
+
+    await expect(
+      request({ timeout: 50, accept: () => undefined })
+    ).rejects.toThrow(`No response from 127.0.0.1:${port}`);
+  });
+
+  it("should ignore replies and errors once it has settled", async () => {
+    const createSocket = dgram.createSocket;
+    let socket;
+    jest.spyOn(dgram, "createSocket").mockImplementation((type) => {
+      socket = createSocket(type);
+      return socket;
+    });
+
+    const result = request();
+    await new Promise((resolve) => server.once("message", resolve));
+    socket.emit("message", Buffer.from("first"));
+    socket.emit("message", Buffer.from("second"));
+    socket.emit("error", new Error("late"));
+
+    await expect(result).resolves.toBe("first");
+  });
+});
@@ -0,0 +1,776 @@
+const DNSUpdater = require("../lib/updater");
+const { CloudflareError } = require("../lib/errors");
+
+describe("DNSUpdater", () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  let client;
+  let ipSource;
+  let state;
+  let cache;
+
+  const updater = (options = {}) =>
+    new DNSUpdater(
+      {
+        createClient: jest.fn(() => client),
+        ipSource,
+        state,
+        ...options,
+      },
+      logger
+    );
+  const record = (overrides = {}) => ({
+    zone: "example.com",
+    name: "home",
+    type: "A",
+    family: overrides.type === "AAAA" ? 6 : 4,
+    spf: false,
+    provider: "cloudflare",
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    cache = {};
+    client = {
+      getZoneId: jest.fn().mockResolvedValue("zone123"),
+      getRecordId: jest.fn().mockResolvedValue("record456"),
+      getRecord: jest.fn().mockResolvedValue({
+        id: "record456",
+        content: "5.6.7.8",
+        ttl: 1800,
+        proxied: false,
+      }),
+      updateDNSRecord: jest.fn().mockResolvedValue({ success: true }),
+      createDNSRecord: jest
+        .fn()
+        .mockResolvedValue({ success: true, result: { id: "created789" } }),
+    };
+    ipSource = {
+      getPublicIP: jest.fn((family) =>
+        Promise.resolve(family === 6 ? "2001:db8::1" : "1.2.3.4")
+      ),
+    };
+    state = {
+      getEntry: jest.fn((section, key) => cache[section]?.[key]),
+      setEntry: jest.fn((section, key, value) => {
+        cache[section] = { ...cache[section], [key]: value };
+      }),
+      deleteEntry: jest.fn((section, key) => {
+        delete cache[section]?.[key];
+      }),
+      recordChange: jest.fn((key, { ip }) => {
+        cache.lastIPs = { ...cache.lastIPs, [key]: ip };
+      }),
+    };
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should throw an error if logger is not provided", () => {
+    expect(() => new DNSUpdater({})).toThrow(
+      "Logger was not provided to DNSUpdater instance"
+    );
+  });
+
+  it("should resolve, cache and update each record", async () => {
+    const results = await updater().run([record({ ttl: 300, proxied: true })]);
+
+    expect(results).toEqual([
+      { record: expect.any(Object), status: "updated", ip: "1.2.3.4" },
+    ]);
+    expect(client.updateDNSRecord).toHaveBeenCalledWith(
+      "zone123",
+      "record456",
+      "home",
+      "1.2.3.4",
+      "A",
+      { ttl: 300, proxied: true }
+    );
+    expect(state.setEntry).toHaveBeenCalledWith(
+      "zoneIds",
+      "example.com",
+      "zone123"
+    );
+    expect(state.setEntry).toHaveBeenCalledWith(
+      "recordIds",
+      "A home.example.com",
+      "record456"
+    );
+  });
+
+  it("should log the change with its fields", async () => {
+    cache = { lastIPs: { "A home.example.com": "5.6.7.8" } };
+
+    await updater().run([record()]);
+
+    expect(logger.info).toHaveBeenCalledWith(
+      "A home.example.com: updated with 1.2.3.4",
+      {
+        record: "A home.example.com",
+        zone: "example.com",
+        previousIP: "5.6.7.8",
+        ip: "1.2.3.4",
+        duration: expect.any(Number),
+      }
+    );
+  });
+
+  it("should use cached zone and record IDs", async () => {
+    cache = {
+      zoneIds: { "example.com": "cachedZone" },
+      recordIds: { "A home.example.com": "cachedRecord" },
+    };
+
+    await updater().run([record()]);
+
+    expect(client.getZoneId).not.toHaveBeenCalled();
+    expect(client.getRecordId).not.toHaveBeenCalled();
+    expect(client.updateDNSRecord).toHaveBeenCalledWith(
+      "cachedZone",
+      "cachedRecord",
+      "home",
+      "1.2.3.4",
+      "A",
+      {}
+    );
+  });
+
+  it("should only send the settings the record sets", async () => {
+    await updater().run([
+      record({ comment: "Home router", tags: ["owner:ops"] }),
+    ]);
+
+    expect(client.updateDNSRecord).toHaveBeenCalledWith(
+      "zone123",
+      "record456",
+      "home",
+      "1.2.3.4",
+      "A",
+      { comment: "Home router", tags: ["owner:ops"] }
+    );
+  });
+
+  it("should publish the IP to TXT records", async () => {
+    const results = await updater().run([record({ type: "TXT", family: 6 })]);
+
+    expect(results[0]).toMatchObject({ status: "updated", ip: "2001:db8::1" });
+    expect(ipSource.getPublicIP).toHaveBeenCalledWith(6);
+    expect(client.updateDNSRecord).toHaveBeenCalledWith(
+      "zone123",
+      "record456",
+      "home",
+      "2001:db8::1",
+      "TXT",
+      {}
+    );
+  });
+
+  describe("SPF records", () => {
+    const spfRecord = () => record({ type: "TXT", spf: true });
+
+    beforeEach(() => {
+      client.getRecord.mockResolvedValue({
+        id: "spf789",
+        content: "v=spf1 mx ip4:5.6.7.8 ip4:10.0.0.0/8 -all",
+      });
+    });
+
+    it("should rewrite the ip4: mechanism of the SPF policy", async () => {
+      const [result] = await updater().run([spfRecord()]);
+
+      expect(result.status).toBe("updated");
+      expect(client.getRecord).toHaveBeenCalledWith("zone123", "home", "TXT", {
+        match: expect.any(Function),
+      });
+      expect(client.updateDNSRecord).toHaveBeenCalledWith(
+        "zone123",
+        "spf789",
+        "home",
+        "v=spf1 mx ip4:1.2.3.4 ip4:10.0.0.0/8 -all",
+        "TXT",
+        { replaces: "v=spf1 mx ip4:5.6.7.8 ip4:10.0.0.0/8 -all" }
+      );
+      expect(cache.lastIPs["TXT home.example.com"]).toBe("1.2.3.4");
+    });
+
+    it("should change the mechanism holding the previously published IP", async () => {
+      cache = { lastIPs: { "TXT home.example.com": "9.9.9.9" } };
+      client.getRecord.mockResolvedValue({
+        id: "spf789",
+        content: "v=spf1 ip4:5.6.7.8 ip4:9.9.9.9 -all",
+      });
+
+      await updater().run([spfRecord()]);
+
+      expect(client.updateDNSRecord.mock.calls[0][3]).toBe(
+        "v=spf1 ip4:5.6.7.8 ip4:1.2.3.4 -all"
+      );
+    });
+
+    it("should fail when the name has no SPF policy", async () => {
+      client.getRecord.mockResolvedValue(null);
+
+      const [result] = await updater().run([spfRecord()]);
+
+      expect(result.status).toBe("failed");
+      expect(result.error.message).toBe(
+        "No SPF policy found in the TXT records of home.example.com"
+      );
+      expect(client.updateDNSRecord).not.toHaveBeenCalled();
+    });
+
+    it("should plan the rewritten policy", async () => {
+      const [plan] = await updater().plan([spfRecord()]);
+
+      expect(plan).toMatchObject({
+        action: "update",
+        desired: { content: "v=spf1 mx ip4:1.2.3.4 ip4:10.0.0.0/8 -all" },
+        changes: ["content"],
+      });
+    });
+  });
+
+  it("should skip records whose IP has not changed", async () => {
+    cache = { lastIPs: { "A home.example.com": "1.2.3.4" } };
+
+    const results = await updater().run([record()]);
+
+    expect(results).toEqual([
+      { record: expect.any(Object), status: "unchanged", ip: "1.2.3.4" },
+    ]);
+    expect(client.updateDNSRecord).not.toHaveBeenCalled();
+  });
+
+  it("should apply a changed TTL although the IP has not changed", async () => {
+    cache = { lastIPs: { "A home.example.com": "1.2.3.4" } };
+    client.getRecord.mockResolvedValue({
+      id: "record456",
+      content: "1.2.3.4",
+      ttl: 1800,
+      proxied: false,
+    });
+
+    const [changed] = await updater().run([record({ ttl: 300 })]);
+    const [same] = await updater().run([record({ ttl: 1800 })]);
+
+    expect(changed).toMatchObject({ status: "updated", ip: "1.2.3.4" });
+    expect(same.status).toBe("unchanged");
+    expect(client.updateDNSRecord).toHaveBeenCalledTimes(1);
+    expect(client.updateDNSRecord).toHaveBeenCalledWith(
+      "zone123",
+      "record456",
+      "home",
+      "1.2.3.4",
+      "A",
+      { ttl: 300 }
+    );
+  });
+
+  it("should remember the last published IP", async () => {
+    cache = { lastIPs: { "A home.example.com": "5.6.7.8" } };
+
+    const results = await updater().run([record()]);
+
+    expect(client.updateDNSRecord).toHaveBeenCalled();
+    expect(state.recordChange).toHaveBeenCalledWith("A home.example.com", {
+      ip: "1.2.3.4",
+      previousIP: "5.6.7.8",
+      status: "updated",
+    });
+    expect(results[0]).toMatchObject({
+      status: "updated",
+      ip: "1.2.3.4",
+      previousIP: "5.6.7.8",
+    });
+  });
+
+  it("should not remember the IP if the update fails", async () => {
+    client.updateDNSRecord.mockRejectedValueOnce(new Error("Network error"));
+
+    await updater().run([record()]);
+
+    expect(cache.lastIPs).toBeUndefined();
+  });
+
+  it("should detect the public IP once per address family", async () => {
+    await updater().run([
+      record(),
+      record({ name: "office" }),
+      record({ type: "AAAA" }),
+    ]);
+
+    expect(ipSource.getPublicIP).toHaveBeenCalledTimes(2);
+    expect(ipSource.getPublicIP).toHaveBeenCalledWith(4);
+    expect(ipSource.getPublicIP).toHaveBeenCalledWith(6);
+  });
+
+  it("should create one client per zone and provider", async () => {
+    const instance = updater();
+
+    await instance.run([
+      record(),
+      record({ name: "www" }),
+      record({ zone: "example.org" }),
+      record({ zone: "example.net", provider: "bind" }),
+    ]);
+
+    expect(instance.createClient).toHaveBeenCalledTimes(3);
+    expect(instance.createClient).toHaveBeenCalledWith(
+      "example.com",
+      "cloudflare"
+    );
+    expect(instance.createClient).toHaveBeenCalledWith(
+      "example.org",
+      "cloudflare"
+    );
+    expect(instance.createClient).toHaveBeenCalledWith("example.net", "bind");
+  });
+
+  it("should report a failure without blocking other records", async () => {
+    ipSource.getPublicIP.mockImplementation((family) =>
+      family === 6
+        ? Promise.reject(new Error("No IPv6 connectivity"))
+        : Promise.resolve("1.2.3.4")
+    );
+
+    const results = await updater().run([record({ type: "AAAA" }), record()]);
+
+    expect(results.map((result) => result.status)).toEqual([
+      "failed",
+      "updated",
+    ]);
+    expect(results[0].error.message).toBe("No IPv6 connectivity");
+    expect(logger.error).toHaveBeenCalledWith(
+      "AAAA home.example.com: No IPv6 connectivity",
+      { record: "AAAA home.example.com", zone: "example.com" }
+    );
+  });
+
+  it("should fail a record that does not exist", async () => {
+    client.getRecordId.mockResolvedValueOnce(null);
+
+    const [result] = await updater().run([record()]);
+
+    expect(result.status).toBe("failed");
+    expect(result.error.message).toBe(
+      "DNS A record home.example.com not found. Please create it first."
+    );
+    expect(client.updateDNSRecord).not.toHaveBeenCalled();
+  });
+
+  describe("create if missing", () => {
+    it("should create a missing record when enabled", async () => {
+      client.getRecordId.mockResolvedValueOnce(null);
+
+      const [result] = await updater({ createMissing: true }).run([
+        record({ ttl: 300 }),
+      ]);
+
+      expect(result.status).toBe("created");
+      expect(client.createDNSRecord).toHaveBeenCalledWith(
+        "zone123",
+        "home",
+        "1.2.3.4",
+        "A",
+        { ttl: 300 }
+      );
+      expect(client.updateDNSRecord).not.toHaveBeenCalled();
+      expect(cache.recordIds["A home.example.com"]).toBe("created789");
+      expect(cache.lastIPs["A home.example.com"]).toBe("1.2.3.4");
+    });
+
+    it("should let a record enable creation on its own", async () => {
+      client.getRecordId.mockResolvedValueOnce(null);
+
+      const [result] = await updater().run([record({ createMissing: true })]);
+
+      expect(result.status).toBe("created");
+    });
+
+    it("should let a record opt out of creation", async () => {
+      client.getRecordId.mockResolvedValueOnce(null);
+
+      const [result] = await updater({ createMissing: true }).run([
+        record({ createMissing: false }),
+      ]);
+
+      expect(result.status).toBe("failed");
+      expect(client.createDNSRecord).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("stale cached IDs", () => {
+    const notFound = () =>
+      new CloudflareError("Record does not exist.", {
+        status: 404,
+        errors: [{ code: 81044 }],
+      });
+
+    beforeEach(() => {
+      cache = {
+        zoneIds: { "example.com": "staleZone" },
+        recordIds: { "A home.example.com": "staleRecord" },
+      };
+    });
+
+    it("should look the IDs up again and retry once", async () => {
+      client.updateDNSRecord.mockRejectedValueOnce(notFound());
+
+      const [result] = await updater().run([record()]);
+
+      expect(result.status).toBe("updated");
+      expect(client.updateDNSRecord).toHaveBeenCalledTimes(2);
+      expect(client.updateDNSRecord).toHaveBeenLastCalledWith(
+        "zone123",
+        "record456",
+        "home",
+        "1.2.3.4",
+        "A",
+        {}
+      );
+      expect(cache.zoneIds["example.com"]).toBe("zone123");
+      expect(cache.recordIds["A home.example.com"]).toBe("record456");
+      expect(logger.warn).toHaveBeenCalledWith(
+        "A home.example.com: cached IDs are stale (Record does not exist.), looking them up again"
+      );
+    });
+
+    it("should fail if the retry also fails", async () => {
+      client.updateDNSRecord
+        .mockRejectedValueOnce(notFound())
+        .mockRejectedValueOnce(notFound());
+
+      const [result] = await updater().run([record()]);
+
+      expect(result.status).toBe("failed");
+      expect(client.updateDNSRecord).toHaveBeenCalledTimes(2);
+    });
+
+    it("should not retry other errors", async () => {
+      client.updateDNSRecord.mockRejectedValueOnce(
+        new CloudflareError("Authentication error", { status: 403 })
+      );
+
+      const [result] = await updater().run([record()]);
+
+      expect(result.status).toBe("failed");
+      expect(client.updateDNSRecord).toHaveBeenCalledTimes(1);
+      expect(cache.recordIds["A home.example.com"]).toBe("staleRecord");
+    });
+
+    it("should not retry when nothing was cached", async () => {
+      cache = {};
+      client.updateDNSRecord.mockRejectedValueOnce(notFound());
+
+      const [result] = await updater().run([record()]);
+
+      expect(result.status).toBe("failed");
+      expect(client.updateDNSRecord).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("plan", () => {
+    it("should look a stale cached zone ID up again without caching it", async () => {
+      cache = { zoneIds: { "example.com": "staleZone" } };
+      client.getRecord.mockRejectedValueOnce(
+        new CloudflareError("Could not route to /zones/staleZone", {
+          status: 404,
+          errors: [{ code: 7003 }],
+        })
+      );
+
+      const [plan] = await updater().plan([record()]);
+
+      expect(plan).toMatchObject({ action: "update", changes: ["content"] });
+      expect(client.getRecord).toHaveBeenLastCalledWith("zone123", "home", "A");
+      expect(cache.zoneIds["example.com"]).toBe("staleZone");
+      expect(state.setEntry).not.toHaveBeenCalled();
+      expect(state.deleteEntry).not.toHaveBeenCalled();
+    });
+
+    it("should diff the live record against the desired settings", async () => {
+      const [plan] = await updater().plan([record({ ttl: 300 })]);
+
+      expect(plan).toMatchObject({
+        action: "update",
+        current: { content: "5.6.7.8", ttl: 1800, proxied: false },
+        desired: { content: "1.2.3.4", ttl: 300 },
+        changes: ["content", "ttl"],
+      });
+      expect(client.getRecord).toHaveBeenCalledWith("zone123", "home", "A");
+    });
+
+    it("should compare tags in any order", async () => {
+      client.getRecord.mockResolvedValueOnce({
+        id: "record456",
+        content: "1.2.3.4",
+        tags: ["b:2", "a:1"],
+        comment: null,
+      });
+
+      const [plan] = await updater().plan([
+        record({ tags: ["a:1", "b:2"], comment: "Home" }),
+      ]);
+
+      expect(plan).toMatchObject({ action: "update", changes: ["comment"] });
+    });
+
+    it("should report records that are already up to date", async () => {
+      client.getRecord.mockResolvedValueOnce({
+        id: "record456",
+        content: "1.2.3.4",
+        ttl: 1800,
+      });
+
+      const [plan] = await updater().plan([record({ proxied: true })]);
+
+      expect(plan).toMatchObject({ action: "none", changes: [] });
+    });
+
+    it("should plan to create missing records when enabled", async () => {
+      client.getRecord.mockResolvedValueOnce(null);
+
+      const [plan] = await updater({ createMissing: true }).plan([record()]);
+
+      expect(plan).toMatchObject({ action: "create", current: null });
+    });
+
+    it("should fail missing records that may not be created", async () => {
+      client.getRecord.mockResolvedValueOnce(null);
+
+      const [plan] = await updater().plan([record()]);
+
+      expect(plan.action).toBe("failed");
+      expect(plan.error.message).toBe(
+        "DNS A record home.example.com not found. Please create it first."
+      );
+    });
+
+    it("should not write to the provider or the cache", async () => {
+      await updater({ createMissing: true }).plan([
+        record(),
+        record({ type: "AAAA" }),
+      ]);
+
+      expect(client.updateDNSRecord).not.toHaveBeenCalled();
+      expect(client.createDNSRecord).not.toHaveBeenCalled();
+      expect(state.setEntry).not.toHaveBeenCalled();
+      expect(state.deleteEntry).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("uplinks", () => {
+    let uplinks;
+    const uplinkRecord = (mode) =>
+      record({
+        uplinks: [
+          { name: "fiber", address: "203.0.113.10" },
+          { name: "lte", address: "198.51.100.7" },
+        ],
+        failover: { mode, holdDown: 300 },
+      });
+
+    beforeEach(() => {
+      uplinks = { select: jest.fn().mockResolvedValue(["198.51.100.7"]) };
+      client.getRecordSet = jest.fn().mockResolvedValue([
+        { id: "r1", content: "203.0.113.10", ttl: 300 },
+        { id: "r2", content: "192.0.2.9", ttl: 300 },
+      ]);
+      client.replaceRecordSet = jest
+        .fn()
+        .mockResolvedValue({ created: 1, deleted: 1 });
+    });
+
+    it("should publish the selected uplink instead of the public IP", async () => {
+      const [result] = await updater({ uplinks }).run([
+        uplinkRecord("priority"),
+      ]);
+
+      expect(result).toMatchObject({ status: "updated", ip: "198.51.100.7" });
+      expect(uplinks.select).toHaveBeenCalledWith(expect.any(Object), {
+        dryRun: false,
+      });
+      expect(ipSource.getPublicIP).not.toHaveBeenCalled();
+      expect(client.updateDNSRecord).toHaveBeenCalledWith(
+        "zone123",
+        "record456",
+        "home",
+        "198.51.100.7",
+        "A",
+        {}
+      );
+    });
+
+    it("should replace the record set with every selected uplink", async () => {
+      uplinks.select.mockResolvedValue(["203.0.113.10", "198.51.100.7"]);
+
+      const [result] = await updater({ uplinks }).run([uplinkRecord("all")]);
+
+      expect(result).toMatchObject({
+        status: "updated",
+        ip: "198.51.100.7, 203.0.113.10",
+      });
+      expect(client.replaceRecordSet).toHaveBeenCalledWith(
+        "zone123",
+        "home",
+        ["198.51.100.7", "203.0.113.10"],
+        "A",
+        {}
+      );
+      expect(client.getRecordId).not.toHaveBeenCalled();
+      expect(cache.lastIPs["A home.example.com"]).toBe(
+        "198.51.100.7, 203.0.113.10"
+      );
+    });
+
+    it("should leave an unchanged record set alone", async () => {
+      uplinks.select.mockResolvedValue(["203.0.113.10", "198.51.100.7"]);
+      cache.lastIPs = { "A home.example.com": "198.51.100.7, 203.0.113.10" };
+
+      const [result] = await updater({ uplinks }).run([uplinkRecord("all")]);
+
+      expect(result.status).toBe("unchanged");
+      expect(client.replaceRecordSet).not.toHaveBeenCalled();
+    });
+
+    it("should not create a missing record set unless enabled", async () => {
+      client.getRecordSet.mockResolvedValue([]);
+
+      const [failed] = await updater({ uplinks }).run([uplinkRecord("all")]);
+      const [created] = await updater({ uplinks, createMissing: true }).run([
+        uplinkRecord("all"),
+      ]);
+
+      expect(failed.error.message).toBe(
+        "DNS A record home.example.com not found. Please create it first."
+      );
+      expect(created.status).toBe("created");
+      expect(client.replaceRecordSet).toHaveBeenCalledTimes(1);
+    });
+
+    it("should fail the record when no uplink is healthy", async () => {
+      uplinks.select.mockRejectedValue(new Error("No healthy uplink"));
+
+      const [result] = await updater({ uplinks }).run([
+        uplinkRecord("priority"),
+      ]);
+
+      expect(result).toMatchObject({ status: "failed" });
+      expect(client.updateDNSRecord).not.toHaveBeenCalled();
+    });
+
+    it("should plan a record set change without saving the uplinks' health", async () => {
+      const [plan] = await updater({ uplinks }).plan([uplinkRecord("all")]);
+
+      expect(uplinks.select).toHaveBeenCalledWith(expect.any(Object), {
+        dryRun: true,
+      });
+      expect(plan).toMatchObject({
+        action: "update",
+        current: { id: "r1, r2", content: "192.0.2.9, 203.0.113.10" },
+        desired: { content: "198.51.100.7" },
+        changes: ["content"],
+      });
+      expect(client.replaceRecordSet).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("propagation", () => {
+    let propagation;
+
+    beforeEach(() => {
+      propagation = {
+        verify: jest.fn().mockResolvedValue({ duration: 4000, nameservers: 2 }),
+      };
+    });
+
+    it("should verify each published change", async () => {
+      cache.lastIPs = { "AAAA home.example.com": "2001:db8::1" };
+
+      const results = await updater({ propagation }).run([
+        record(),
+        record({ type: "AAAA" }),
+      ]);
+
+      expect(results.map((result) => result.status)).toEqual([
+        "updated",
+        "unchanged",
+      ]);
+      expect(propagation.verify).toHaveBeenCalledTimes(1);
+      expect(propagation.verify).toHaveBeenCalledWith(
+        expect.objectContaining({ type: "A" }),
+        "1.2.3.4"
+      );
+    });
+
+    it("should fail a change that never propagates without recording it", async () => {
+      propagation.verify.mockRejectedValue(
+        new Error("1.2.3.4 did not propagate within 120s")
+      );
+
+      const [result] = await updater({ propagation }).run([record()]);
+
+      expect(result).toMatchObject({
+        status: "failed",
+        ip: "1.2.3.4",
+        previousIP: undefined,
+      });
+      expect(result.error.message).toBe(
+        "1.2.3.4 did not propagate within 120s"
+      );
+      expect(state.recordChange).not.toHaveBeenCalled();
+      expect(logger.error).toHaveBeenCalledWith(
+        "A home.example.com: 1.2.3.4 did not propagate within 120s",
+        expect.objectContaining({ ip: "1.2.3.4" })
+      );
+    });
+
+    it("should not verify a record that is proxied without a proxied setting", async () => {
+      client.getRecord.mockResolvedValue({
+        id: "record456",
+        content: "1.2.3.4",
+        ttl: 1,
+        proxied: true,
+      });
+      propagation.verify.mockResolvedValue(null);
+
+      const [result] = await updater({ propagation }).run([record()]);
+
+      expect(result.status).toBe("updated");
+      expect(propagation.verify).toHaveBeenCalledWith(
+        expect.objectContaining({ proxied: true }),
+        "1.2.3.4"
+      );
+      expect(state.recordChange).toHaveBeenCalled();
+    });
+
+    it("should publish and verify a failed change again on the next run", async () => {
+      cache.lastIPs = { "A home.example.com": "5.6.7.8" };
+      propagation.verify.mockRejectedValueOnce(
+        new Error("1.2.3.4 did not propagate within 120s")
+      );
+      const ddns = updater({ propagation });
+
+      const [first] = await ddns.run([record()]);
+      const [second] = await ddns.run([record()]);
+      const [third] = await ddns.run([record()]);
+
+      expect(first.status).toBe("failed");
+      expect(second).toMatchObject({
+        status: "updated",
+        ip: "1.2.3.4",
+        previousIP: "5.6.7.8",
+      });
+      expect(third.status).toBe("unchanged");
+      expect(client.updateDNSRecord).toHaveBeenCalledTimes(2);
+      expect(propagation.verify).toHaveBeenCalledTimes(2);
+      expect(state.recordChange).toHaveBeenCalledTimes(1);
+      expect(state.recordChange).toHaveBeenCalledWith("A home.example.com", {
+        ip: "1.2.3.4",
+        previousIP: "5.6.7.8",
+        status: "updated",
+      });
+    });
+  });
+});
@@ -0,0 +1,230 @@
+const { createProvider } = require("../../lib/ip/providers");
+const { createProbe } = require("../../lib/uplinks/probes");
+const {
+  UplinkMonitor,
+  joinAddresses,
+  splitAddresses,
+} = require("../../lib/uplinks");
+
+jest.mock("../../lib/ip/providers");
+jest.mock("../../lib/uplinks/probes");
+
+describe("UplinkMonitor", () => {
+  const logger = {
+    debug: jest.fn(),
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  };
+  const KEY = "A vpn.example.com";
+  let cache;
+  let state;
+  let down;
+  let now;
+
+  // The addresses are from documentation ranges, which count as reserved
+  const monitor = (options = {}) =>
+    new UplinkMonitor(
+      { state, now: () => now, allowPrivate: true, ...options },
+      logger
+    );
+  const record = (failover = {}) => ({
+    zone: "example.com",
+    name: "vpn",
+    type: "A",
+    family: 4,
+    uplinks: [
+      { name: "fiber", address: "203.0.113.10", check: { type: "tcp" } },
+      { name: "cable", address: "198.51.100.7", check: { type: "tcp" } },
+      { name: "lte", source: { type: "interface", interface: "wwan0" } },
+    ],
+    failover: { mode: "priority", holdDown: 300, ...failover },
+  });
+
+  beforeEach(() => {
+    cache = {};
+    down = new Set();
+    now = Date.parse("2026-10-19T12:00:00Z");
+    state = {
+      getEntry: jest.fn((section, key) => cache[section]?.[key]),
+      setEntry: jest.fn(async (section, key, value) => {
+        cache[section] = { ...cache[section], [key]: value };
+      }),
+    };
+    createProbe.mockImplementation(() => ({
+      name: (address) => `tcp:${address}:443`,
+      check: jest.fn(async (address) => {
+        if (down.has(address)) {
+          throw new Error("connect ECONNREFUSED");
+        }
+      }),
+    }));
+    createProvider.mockImplementation(() => ({
+      name: "interface:wwan0",
+      getIP: jest.fn().mockResolvedValue("192.0.2.77"),
+    }));
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should throw an error if logger is not provided", () => {
+    expect(() => new UplinkMonitor({})).toThrow(
+      "Logger was not provided to UplinkMonitor instance"
+    );
+  });
+
+  it("should publish the first healthy uplink and remember it", async () => {
+    down.add("203.0.113.10");
+
+    const addresses = await monitor().select(record());
+
+    expect(addresses).toEqual(["198.51.100.7"]);
+    expect(cache.uplinks[KEY]).toEqual({
+      active: ["cable"],
+      healthySince: {
+        cable: "2026-10-19T12:00:00.000Z",
+        lte: "2026-10-19T12:00:00.000Z",
+      },
+    });
+    expect(logger.warn).toHaveBeenCalledWith(
+      `${KEY}: uplink fiber is down (connect ECONNREFUSED)`,
+      { record: KEY, uplink: "fiber" }
+    );
+  });
+
+  it("should fail over at once when the published uplink goes down", async () => {
+    await monitor().select(record());
+    down.add("203.0.113.10");
+    now += 1000;
+
+    const addresses = await monitor().select(record());
+
+    expect(addresses).toEqual(["198.51.100.7"]);
+    expect(logger.warn).toHaveBeenCalledWith(
+      `${KEY}: switching from fiber to cable`,
+      { record: KEY, previousUplinks: ["fiber"], uplinks: ["cable"] }
+    );
+  });
+
+  it("should only fail back once the hold-down period has passed", async () => {
+    down.add("203.0.113.10");
+    await monitor().select(record());
+    down.clear();
+
+    now += 1000;
+    expect(await monitor().select(record())).toEqual(["198.51.100.7"]);
+    now += 299 * 1000;
+    expect(await monitor().select(record())).toEqual(["198.51.100.7"]);
+    now += 1000;
+    expect(await monitor().select(record())).toEqual(["203.0.113.10"]);
+  });
+
+  it("should restart the hold-down period when a recovering uplink fails again", async () => {
+    down.add("203.0.113.10");
+    await monitor().select(record());
+    down.clear();
+    now += 1000;
+    await monitor().select(record());
+    down.add("203.0.113.10");
+    now += 100 * 1000;
+    await monitor().select(record());
+    down.clear();
+    now += 250 * 1000;
+
+    expect(await monitor().select(record())).toEqual(["198.51.100.7"]);
+  });
+
+  it("should fail back at once without a hold-down period", async () => {
+    down.add("203.0.113.10");
+    await monitor().select(record({ holdDown: 0 }));
+    down.clear();
+
+    expect(await monitor().select(record({ holdDown: 0 }))).toEqual([
+      "203.0.113.10",
+    ]);
+  });
+
+  it("should read the address of uplinks with a source", async () => {
+    down.add("203.0.113.10");
+    down.add("198.51.100.7");
+
+    const addresses = await monitor().select(record());
+
+    expect(addresses).toEqual(["192.0.2.77"]);
+    expect(createProvider).toHaveBeenCalledWith({
+      type: "interface",
+      interface: "wwan0",
+    });
+  });
+
+  it("should treat an uplink whose address cannot be read as down", async () => {
+    createProvider.mockImplementation(() => ({
+      getIP: jest.fn().mockResolvedValue("10.0.0.2"),
+    }));
+    down.add("203.0.113.10");
+    down.add("198.51.100.7");
+
+    await expect(
+      monitor({ allowPrivate: false }).select(record())
+    ).rejects.toThrow(
+      "No healthy uplink: fiber: connect ECONNREFUSED; cable: connect ECONNREFUSED; lte: Refusing to use private or reserved address 10.0.0.2"
+    );
+    expect(state.setEntry).not.toHaveBeenCalled();
+  });
+
+  describe("all mode", () => {
+    it("should publish every healthy uplink", async () => {
+      down.add("198.51.100.7");
+
+      const addresses = await monitor().select(record({ mode: "all" }));
+
+      expect(addresses).toEqual(["203.0.113.10", "192.0.2.77"]);
+      expect(cache.uplinks[KEY].active).toEqual(["fiber", "lte"]);
+    });
+
+    it("should add a recovered uplink back after the hold-down period", async () => {
+      down.add("198.51.100.7");
+      await monitor().select(record({ mode: "all" }));
+      down.clear();
+
+      now += 1000;
+      expect(await monitor().select(record({ mode: "all" }))).toEqual([
+        "203.0.113.10",
+        "192.0.2.77",
+      ]);
+      now += 300 * 1000;
+      expect(await monitor().select(record({ mode: "all" }))).toEqual([
+        "203.0.113.10",
+        "198.51.100.7",
+        "192.0.2.77",
+      ]);
+    });
+  });
+
+  it("should leave the state untouched in a dry run", async () => {
+    down.add("203.0.113.10");
+
+    await monitor().select(record(), { dryRun: true });
+
+    expect(state.setEntry).not.toHaveBeenCalled();
+  });
+
+  it("should only save the state when it changes", async () => {
+    await monitor().select(record());
+    now += 1000;
+    await monitor().select(record());
+
+    expect(state.setEntry).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("joinAddresses", () => {
+  it("should sort and join the addresses so a set always reads the same", () => {
+    const joined = joinAddresses(["203.0.113.10", "198.51.100.7"]);
+
+    expect(joined).toBe("198.51.100.7, 203.0.113.10");
+    expect(splitAddresses(joined)).toEqual(["198.51.100.7", "203.0.113.10"]);
+  });
+});
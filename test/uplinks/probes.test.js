@@ -0,0 +1,105 @@
+const axios = require("axios");
+const net = require("net");
+const { createProbe } = require("../../lib/uplinks/probes");
+
+jest.mock("axios");
+
+describe("health probes", () => {
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe("createProbe", () => {
+    it("should throw an error for an unknown type or a missing setting", () => {
+      expect(() => createProbe({ type: "icmp" })).toThrow(
+        "Unknown health check type: icmp"
+      );
+      expect(() => createProbe({ type: "tcp" })).toThrow(
+        "Invalid tcp health check: port must be a TCP port number"
+      );
+      expect(() => createProbe({ type: "http" })).toThrow(
+        "Invalid http health check: url is required"
+      );
+    });
+  });
+
+  describe("tcp", () => {
+    let server;
+    let port;
+
+    beforeEach(async () => {
+      server = net.createServer((socket) => socket.destroy());
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      port = server.address().port;
+    });
+
+    afterEach(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("should connect to the uplink's address by default", async () => {
+      const probe = createProbe({ type: "tcp", port });
+
+      expect(probe.name("127.0.0.1")).toBe(`tcp:127.0.0.1:${port}`);
+      await expect(probe.check("127.0.0.1")).resolves.toBeUndefined();
+    });
+
+    it("should connect to the configured host", async () => {
+      const probe = createProbe({ type: "tcp", host: "127.0.0.1", port });
+
+      await expect(probe.check("203.0.113.10")).resolves.toBeUndefined();
+    });
+
+    it("should fail when the port is closed", async () => {
+      await new Promise((resolve) => server.close(resolve));
+      // Another server for afterEach to close
+      server = net.createServer();
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+      await expect(
+        createProbe({ type: "tcp", port }).check("127.0.0.1")
+      ).rejects.toThrow("ECONNREFUSED");
+    });
+  });
+
+  describe("http", () => {
+    it("should request the URL from the local address", async () => {
+      axios.get.mockResolvedValueOnce({ status: 204 });
+      const probe = createProbe({
+        type: "http",
+        url: "https://probe.example.net/health",
+        localAddress: "192.0.2.10",
+        timeout: 2000,
+      });
+
+      await probe.check("203.0.113.10");
+
+      const [url, options] = axios.get.mock.calls[0];
+      expect(url).toBe("https://probe.example.net/health");
+      expect(options).toMatchObject({ timeout: 2000, maxRedirects: 0 });
+      expect(options.httpsAgent.options.localAddress).toBe("192.0.2.10");
+    });
+
+    it("should accept any status below 400 unless a status is set", () => {
+      const statusCheck = (spec) => {
+        createProbe({ type: "http", url: "https://x", ...spec }).check();
+        return axios.get.mock.calls.at(-1)[1].validateStatus;
+      };
+      axios.get.mockResolvedValue({ status: 200 });
+
+      const any = statusCheck({});
+      const exact = statusCheck({ status: 204 });
+
+      expect([any(200), any(302), any(404)]).toEqual([true, true, false]);
+      expect([exact(200), exact(204)]).toEqual([false, true]);
+    });
+
+    it("should fail when the request fails", async () => {
+      axios.get.mockRejectedValueOnce(new Error("Request failed with 503"));
+
+      await expect(
+        createProbe({ type: "http", url: "https://x" }).check()
+      ).rejects.toThrow("Request failed with 503");
+    });
+  });
+});